@@ -4,18 +4,19 @@ import terser from '@rollup/plugin-terser';
 
 /**
  * Rollup configuration for WebOpenSSL library.
- * Builds UMD, ESM, and minified bundles.
+ * Builds ESM, CommonJS, UMD, and minified bundles.
  * 
  * Outputs:
- * - lib/webopenssl.mjs (ESM)
- * - lib/webopenssl.js (UMD for browsers/CommonJS)
+ * - lib/webopenssl.mjs (ESM, `import`; top-level await)
+ * - lib/webopenssl.cjs (CommonJS, `require()`)
+ * - lib/webopenssl.js (UMD for browsers/AMD)
  * - lib/webopenssl.min.js (minified UMD)
  */
 
 const config = [
-  // ESM build
+  // ESM build: src/esm.js awaits the node:crypto import on Node 18
   {
-    input: 'src/index.js',
+    input: 'src/esm.js',
     output: {
       file: 'lib/webopenssl.mjs',
       format: 'es',
@@ -40,7 +41,35 @@ const config = [
     external: ['crypto-js', 'node-forge', 'asn1.js']
   },
 
-  // UMD build (browser/CommonJS compatible)
+  // CommonJS build (Node require())
+  {
+    input: 'src/index.js',
+    output: {
+      file: 'lib/webopenssl.cjs',
+      format: 'cjs',
+      exports: 'default',
+      sourcemap: true
+    },
+    plugins: [
+      resolve({
+        browser: true,
+        preferBuiltins: false
+      }),
+      commonjs(),
+      terser({
+        compress: {
+          drop_console: false,
+          drop_debugger: true
+        },
+        format: {
+          comments: false
+        }
+      })
+    ],
+    external: ['crypto-js', 'node-forge', 'asn1.js']
+  },
+
+  // UMD build (browser global/AMD/CommonJS)
   {
     input: 'src/index.js',
     output: {
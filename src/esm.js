@@ -0,0 +1,16 @@
+/**
+ * Entry point of the ES module build. Node 18 has no synchronous way to load
+ * `node:crypto` into an ES module, so the import is awaited here, before any
+ * caller can reach the synchronous APIs (`createHash`, `createDrbg`,
+ * `isWebCryptoAvailable`) that cannot wait for it themselves. Elsewhere the
+ * lookup is synchronous and the await returns at once.
+ *
+ * @module webopenssl/esm
+ */
+
+import webopenssl from './index.js';
+import { loadWebCrypto } from './utils/webcrypto.js';
+
+await loadWebCrypto();
+
+export default webopenssl;
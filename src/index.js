@@ -15,19 +15,86 @@
  */
 
 import { rand } from './modules/rand.js';
-import { dgst } from './modules/dgst.js';
+import { createDrbg } from './utils/drbg.js';
+import { dgst, createHash } from './modules/dgst.js';
 import { enc } from './modules/enc.js';
-import { req } from './modules/req.js';
+import { req, parseCSR } from './modules/req.js';
+import { parseConfig } from './utils/cnf.js';
+import { mac } from './modules/mac.js';
+import { genpkey } from './modules/genpkey.js';
+import { x509 } from './modules/x509.js';
+import { ca } from './modules/ca.js';
+import { verify } from './modules/verify.js';
+import { pkcs12 } from './modules/pkcs12.js';
+import { pkey } from './modules/pkey.js';
+import { pkeyutl } from './modules/pkeyutl.js';
+import { crl } from './modules/crl.js';
+import { ocsp } from './modules/ocsp.js';
+import { asn1parse } from './modules/asn1parse.js';
+import { list } from './modules/list.js';
+import { kdf } from './modules/kdf.js';
+import { passwd } from './modules/passwd.js';
+import { getWebCrypto, loadWebCrypto } from './utils/webcrypto.js';
+import { configure, getConfig } from './utils/config.js';
+import {
+  ERROR_CODES,
+  WebOpenSSLError,
+  InvalidArgumentError,
+  InvalidEncodingError,
+  UnsupportedAlgorithmError,
+  PolicyError,
+  BadDecryptError,
+  BadSignatureError,
+  recordError,
+  getError,
+  peekError,
+  peekLastError,
+  clearErrors,
+  printErrors
+} from './utils/errors.js';
 
 /**
  * Detects if Web Crypto API is available and secure.
  * @returns {boolean} True if crypto.subtle is available.
  */
 function isWebCryptoAvailable() {
-  return typeof window !== 'undefined' && 
-         window.crypto && 
-         window.crypto.subtle && 
-         typeof window.crypto.getRandomValues === 'function';
+  return getWebCrypto() !== null;
+}
+
+/**
+ * Wrap a command so that it runs once Web Crypto has been looked up, which
+ * is asynchronous for the ES module build on Node 18 (see loadWebCrypto()),
+ * and so that the error it rejects with is recorded in the error queue.
+ * @param {Function} command - Async command.
+ * @returns {Function} Command that awaits the lookup first.
+ */
+function withWebCrypto(command) {
+  return async (...args) => {
+    try {
+      await loadWebCrypto();
+      return await command(...args);
+    } catch (error) {
+      recordError(error);
+      throw error;
+    }
+  };
+}
+
+/**
+ * Wrap a synchronous API so that the error it throws is recorded in the
+ * error queue.
+ * @param {Function} fn - Synchronous function.
+ * @returns {Function} Function that records its errors.
+ */
+function withErrorQueue(fn) {
+  return (...args) => {
+    try {
+      return fn(...args);
+    } catch (error) {
+      recordError(error);
+      throw error;
+    }
+  };
 }
 
 /**
@@ -41,58 +108,333 @@ const webopenssl = {
    * @param {number} [options.length=32] - Number of random bytes.
    * @param {boolean} [options.base64=false] - Output as base64.
    * @param {boolean} [options.hex=false] - Output as hex.
-   * @returns {Promise<string>} Random data as string.
+   * @param {boolean} [options.stream=false] - Return a ReadableStream generated as it is read.
+   * @param {string|Uint8Array} [options.seed] - Seed a DRBG for reproducible, and so predictable, output.
+   * @param {string} [options.drbg='HMAC-DRBG'] - 'HMAC-DRBG' or 'CTR-DRBG' for `seed`.
+   * @returns {Promise<string|Uint8Array|ReadableStream>} Random data as string, bytes or stream.
    */
-  rand,
+  rand: withWebCrypto(rand),
+
+  /**
+   * NIST SP 800-90A DRBG, for `configure({ random })`.
+   * @param {Object} [options] - Generator options.
+   * @param {string} [options.type='HMAC-DRBG'] - 'HMAC-DRBG' or 'CTR-DRBG'.
+   * @param {string|Uint8Array} [options.seed] - Entropy input; makes the generator deterministic.
+   * @param {string|Uint8Array} [options.personalization] - Personalization string.
+   * @returns {{generate: Function, reseed: Function}} Generator.
+   */
+  createDrbg: withErrorQueue(createDrbg),
 
   /**
    * Message digest/hashing (openssl dgst equivalent).
    * @param {Object} options - Hashing options.
-   * @param {string} options.algorithm - Hash algo (e.g., 'SHA-256', 'MD5').
-   * @param {string|Uint8Array|ArrayBuffer} options.input - Data to hash.
+   * @param {string} options.algorithm - Hash algo (e.g., 'SHA-256', 'SHA3-256', 'SHAKE-128', 'RIPEMD-160',
+   *   'BLAKE2B-512', 'MD5'; see list()).
+   * @param {string|Uint8Array|ArrayBuffer|Blob|ReadableStream} options.input - Data to hash.
+   * @param {function({loaded: number, total?: number})} [options.onProgress] - Progress for Blob/stream input.
    * @param {boolean} [options.base64=false] - Output as base64.
    * @param {boolean} [options.hex=false] - Output as hex.
-   * @returns {Promise<string>} Hash digest as string.
+   * @param {number} [options.xoflen] - SHAKE output length in bytes.
+   * @param {string|Uint8Array|CryptoKey} [options.hmac] - HMAC key; return an HMAC instead of a hash.
+   * @param {string|Uint8Array} [options.sign] - Private key; return a signature instead of a hash.
+   * @param {string|Uint8Array} [options.verify] - Public key; verify `options.signature`.
+   * @param {string|Uint8Array} [options.prverify] - Private key; verify with its public half.
+   * @param {string|Uint8Array} [options.signature] - Signature to verify.
+   * @returns {Promise<string|boolean>} Hash digest or signature as string; boolean when verifying.
    */
-  dgst,
+  dgst: withWebCrypto(dgst),
+
+  /**
+   * Incremental hasher for large or chunked data.
+   * @param {string} [algorithm='SHA-256'] - Hash algorithm.
+   * @param {Object} [options] - `xoflen` for SHAKE.
+   * @returns {{update: Function, digest: Function}} Hasher with update()/digest().
+   */
+  createHash: withErrorQueue(createHash),
+
+  /**
+   * Message authentication codes (openssl mac equivalent).
+   * @param {Object} options - MAC options.
+   * @param {string} [options.algorithm='HMAC'] - 'HMAC', 'CMAC' or 'GMAC'.
+   * @param {string|Uint8Array|ArrayBuffer} options.input - Data to authenticate.
+   * @param {string|Uint8Array|CryptoKey} [options.key] - Key (string, bytes or CryptoKey).
+   * @param {string} [options.hexkey] - Key as hex.
+   * @param {string} [options.digest='SHA-256'] - HMAC digest.
+   * @param {string} [options.cipher] - CMAC/GMAC cipher (e.g. 'AES-128-CBC', 'AES-256-GCM').
+   * @param {string} [options.hexiv] - GMAC IV as hex.
+   * @returns {Promise<string>} MAC as hex (or base64/raw).
+   */
+  mac: withWebCrypto(mac),
 
   /**
    * Symmetric encryption/decryption (openssl enc equivalent).
    * @param {Object} options - Encryption options.
-   * @param {string} options.algorithm - Cipher algo (e.g., 'AES-256-CBC').
-   * @param {string|Uint8Array} options.input - Data to encrypt/decrypt.
+   * @param {string} options.algorithm - Cipher algo (e.g., 'AES-256-CBC', 'AES-128-GCM', 'CHACHA20-POLY1305';
+   *   see list()).
+   * @param {string|Uint8Array|Blob|ReadableStream} options.input - Data to encrypt/decrypt; Blob and
+   *   ReadableStream input is encrypted in authenticated chunks.
    * @param {boolean} [options.decrypt=false] - Decrypt mode.
    * @param {string} [options.password] - Password for key derivation.
+   * @param {string|Uint8Array|CryptoKey} [options.key] - Raw key instead of a password (hex string, bytes
+   *   or CryptoKey).
    * @param {string} [options.iv] - Initialization vector (hex/base64).
-   * @returns {Promise<{data: string, iv?: string, key?: CryptoKey}>} Encrypted/decrypted data.
+   * @param {boolean} [options.nosalt=false] - Derive the key without a salt.
+   * @param {string|Uint8Array} [options.aad] - GCM/ChaCha20-Poly1305 additional authenticated data.
+   * @param {number} [options.tagLength=128] - AEAD tag length in bits.
+   * @param {number} [options.chunkSize=65536] - Plaintext bytes per segment of stream input.
+   * @returns {Promise<{data: string|ReadableStream, iv?: string, salt?: string, tag?: string, params: Object}>}
+   *   Encrypted/decrypted data and the parameters used.
+   */
+  enc: withWebCrypto(enc),
+
+  /**
+   * Algorithm listing (openssl list equivalent).
+   * @param {Object} options - What to list.
+   * @param {boolean} [options.cipherAlgorithms=false] - enc() ciphers and who runs them in this runtime.
+   * @param {boolean} [options.digestAlgorithms=false] - dgst() digests and who runs them in this runtime.
+   * @returns {Promise<{cipherAlgorithms?: Array<Object>, digestAlgorithms?: Array<Object>, text: string}>} Listings
+   *   and one line per algorithm.
    */
-  enc,
+  list: withWebCrypto(list),
 
   /**
    * Certificate request generation (openssl req equivalent).
    * @param {Object} options - CSR options.
-   * @param {string} options.subject - DN subject (e.g., '/CN=example.com').
+   * @param {string} [options.subject='/CN=localhost'] - DN subject (e.g., '/CN=example.com').
+   * @param {string|Object} [options.config] - openssl.cnf contents or a parseConfig() result (`-config`).
+   * @param {string} [options.section='req'] - Config section of the req settings.
    * @param {string} [options.keySize=2048] - RSA key size.
-   * @param {string} [options.algo='RSA'] - Key algorithm (RSA/EC).
-   * @returns {Promise<{csr: string, privateKey: string}>} PEM-encoded CSR and private key.
+   * @param {string} [options.keyAlgo='RSA'] - Key algorithm (RSA/EC).
+   * @param {string} [options.curve] - EC curve ('P-256', 'P-384', 'P-521').
+   * @param {string} [options.key] - Existing private key to sign with.
+   * @param {string} [options.passin] - Passphrase of an encrypted `key`.
+   * @param {string} [options.keyFormat] - Private key output: 'pkcs8', 'pkcs1' or 'sec1'.
+   * @param {string} [options.passout] - Encrypt the private key output as PKCS#8.
+   * @param {boolean} [options.x509=false] - Output a self-signed certificate instead of a CSR.
+   * @param {number} [options.days=30] - Certificate validity in days.
+   * @param {string|number} [options.serial] - Certificate serial (random by default).
+   * @param {Object} [options.pkcs12] - With `x509`, also return a PFX (pkcs12() export options).
+   * @returns {Promise<{csr?: string, certificate?: string, privateKey: string, pfx?: Uint8Array}>} PEM-encoded CSR or certificate and private key.
+   */
+  req: withWebCrypto(req),
+
+  /**
+   * Parse and verify a CSR.
+   * @param {string} csrPem - PEM-encoded CSR.
+   * @param {boolean} [base64=false] - Input is base64 without headers.
+   * @returns {Promise<{subject: Array, publicKey: Object, extensions: Array}>} Parsed CSR.
+   */
+  parseCSR: withWebCrypto(parseCSR),
+
+  /**
+   * Parse an OpenSSL configuration file (sections, `$var` expansion, `.include`).
+   * @param {string} text - File contents.
+   * @param {Object} [options] - `includes` (path to contents, or a function) and `env` for `$ENV::name`.
+   * @returns {{get: Function, section: Function, sections: Function}} Parsed file.
+   */
+  parseConfig: withErrorQueue(parseConfig),
+
+  /**
+   * Key pair generation (openssl genpkey equivalent).
+   * @param {Object} options - Key options.
+   * @param {string} [options.algorithm='RSA'] - 'RSA', 'EC', 'Ed25519' or 'X25519'.
+   * @param {number} [options.bits=2048] - RSA key size.
+   * @param {number} [options.publicExponent=65537] - RSA public exponent.
+   * @param {string} [options.curve='P-256'] - EC curve.
+   * @param {string} [options.format='pem'] - 'pem', 'der' or 'jwk'.
+   * @param {string} [options.password] - Encrypt the PKCS#8 private key.
+   * @returns {Promise<{privateKey: string, publicKey: string}>} PKCS#8 and SPKI keys.
+   */
+  genpkey: withWebCrypto(genpkey),
+
+  /**
+   * Certificate parsing and display (openssl x509 equivalent).
+   * @param {Object} options - Parsing options.
+   * @param {string|Uint8Array} options.input - PEM or DER certificate.
+   * @param {boolean} [options.text=false] - Include the `-text` listing.
+   * @returns {Promise<Object>} Subject, issuer, validity, serial, key, extensions and fingerprints.
+   */
+  x509: withWebCrypto(x509),
+
+  /**
+   * Certificate signing with a CA (openssl ca / openssl x509 -req -CA equivalent).
+   * @param {Object} options - Signing options.
+   * @param {string|Uint8Array} options.csr - PEM or DER certificate request.
+   * @param {string|Uint8Array} options.caCert - CA certificate.
+   * @param {string|Uint8Array} options.caKey - CA private key.
+   * @param {string} [options.passin] - Passphrase of an encrypted CA key.
+   * @param {number} [options.days=30] - Validity in days.
+   * @param {string|number|Function} [options.serial] - Serial (random by default).
+   * @param {Object} [options.extensions] - Extensions added by the CA.
+   * @param {string|string[]} [options.copyExtensions='none'] - Requested extensions to copy.
+   * @param {Object} [options.policy] - DN policy ('match', 'supplied', 'optional' per field).
+   * @returns {Promise<{certificate: string, serial: string}>} PEM certificate and serial.
+   */
+  ca: withWebCrypto(ca),
+
+  /**
+   * Certificate chain verification (openssl verify equivalent).
+   * @param {Object} options - Verification options.
+   * @param {string|Uint8Array} options.certificate - Leaf certificate.
+   * @param {string|Array} options.trusted - Trusted certificates (`-CAfile`).
+   * @param {string|Array} [options.untrusted] - Intermediate certificates.
+   * @param {Date|number} [options.attime] - Validation time.
+   * @param {string} [options.purpose] - Purpose such as 'sslserver'.
+   * @param {string} [options.hostname] - Host name to match.
+   * @param {string} [options.ip] - IP address to match.
+   * @returns {Promise<{valid: boolean, errors: Array, chain: Array}>} Result with OpenSSL error codes and depths.
    */
-  req,
+  verify: withWebCrypto(verify),
+
+  /**
+   * PKCS#12/PFX import and export (openssl pkcs12 equivalent).
+   * @param {Object} options - PKCS#12 options.
+   * @param {Uint8Array|string} [options.input] - PFX to read.
+   * @param {string} [options.password=''] - PFX password.
+   * @param {boolean} [options.export=false] - Build a PFX from `key`, `certificate` and `chain`.
+   * @param {string} [options.friendlyName] - Friendly name when exporting.
+   * @param {boolean} [options.legacy=false] - Use 3DES/RC2 and a SHA-1 MAC when exporting.
+   * @returns {Promise<Object>} `{ privateKey, certificate, ca, ... }` when reading, `{ pfx }` when exporting.
+   */
+  pkcs12: withWebCrypto(pkcs12),
+
+  /**
+   * Key conversion (openssl pkey / pkcs8 equivalent).
+   * @param {Object} options - Conversion options.
+   * @param {string|Uint8Array|Object|CryptoKey} options.input - PEM, DER, JWK or CryptoKey.
+   * @param {string} [options.passin] - Passphrase of an encrypted key.
+   * @param {boolean} [options.pubout=false] - Output the public key.
+   * @param {string} [options.format] - 'pkcs8', 'pkcs1', 'sec1', 'spki', 'jwk' or 'cryptokey'.
+   * @param {string} [options.outform='pem'] - 'pem' or 'der'.
+   * @param {string} [options.passout] - Encrypt the PKCS#8 output.
+   * @param {string} [options.kdf='pbkdf2'] - 'pbkdf2' or 'scrypt' for encryption.
+   * @returns {Promise<string|Uint8Array|Object|CryptoKey>} Converted key.
+   */
+  pkey: withWebCrypto(pkey),
+
+  /**
+   * Public-key encryption, key agreement and digest signatures (openssl pkeyutl equivalent).
+   * @param {Object} options - Operation options.
+   * @param {string|Uint8Array|Object|CryptoKey} options.key - PEM, DER, JWK or CryptoKey.
+   * @param {string|Uint8Array} [options.input] - Plaintext, ciphertext or digest.
+   * @param {boolean} [options.encrypt] - RSA-OAEP encryption.
+   * @param {boolean} [options.decrypt] - RSA-OAEP or PKCS#1 v1.5 decryption.
+   * @param {boolean} [options.sign] - Sign a digest (RSA, ECDSA).
+   * @param {boolean} [options.verify] - Verify `options.signature` over a digest.
+   * @param {boolean} [options.derive] - ECDH/X25519 shared secret with `options.peerKey`.
+   * @param {boolean} [options.base64=false] - Binary input/output as base64 (hex by default).
+   * @returns {Promise<string|Uint8Array|boolean>} Result, or a boolean when verifying.
+   */
+  pkeyutl: withWebCrypto(pkeyutl),
+
+  /**
+   * Certificate revocation lists (openssl ca -gencrl / openssl crl equivalent).
+   * @param {Object} options - CRL options.
+   * @param {boolean} [options.gencrl=false] - Issue a CRL from `caCert`, `caKey` and `revoked`.
+   * @param {Array<Object|string|number>} [options.revoked] - Entries `{ serial, revocationDate, reason }` or serials.
+   * @param {string|number} [options.crlNumber=1] - CRL number.
+   * @param {string|Uint8Array} [options.input] - PEM or DER CRL to parse.
+   * @param {string|Uint8Array} [options.caCert] - Issuer certificate (signs, or verifies when parsing).
+   * @param {string|number|Uint8Array} [options.serial] - Serial to look up (or `options.certificate`).
+   * @returns {Promise<Object>} `{ crl, crlNumber }` when generating; CRL details with `verified`/`status` when parsing.
+   */
+  crl: withWebCrypto(crl),
+
+  /**
+   * OCSP requests and responses (openssl ocsp equivalent); no network access.
+   * @param {Object} options - OCSP options.
+   * @param {string|Uint8Array} [options.issuer] - Issuer certificate (request building and verification).
+   * @param {string|Uint8Array|Array} [options.certificate] - Certificate(s) to ask about or look up.
+   * @param {string|Uint8Array} [options.request] - DER request to parse or answer.
+   * @param {string|Uint8Array} [options.response] - DER response to parse and verify.
+   * @param {boolean} [options.respond=false] - Sign a response to `request` with `caCert` and `rkey`.
+   * @param {boolean|string} [options.nonce=true] - Request nonce, or the nonce to check in a response.
+   * @returns {Promise<Object>} `{ request, nonce }`, `{ response }`, or parsed contents with `valid`/`errors`/`status`.
+   */
+  ocsp: withWebCrypto(ocsp),
+
+  /**
+   * ASN.1 structure dump (openssl asn1parse equivalent).
+   * @param {Object} options - Parse options.
+   * @param {string|Uint8Array|ArrayBuffer} options.input - PEM, base64 or DER/BER input.
+   * @param {number|number[]} [options.strparse] - Offset(s) of elements whose contents to parse.
+   * @param {number} [options.offset=0] - Offset to start at.
+   * @param {number} [options.length] - Number of bytes to parse.
+   * @param {boolean} [options.indent=false] - Indent tags by depth (`-i`).
+   * @param {boolean|number} [options.dump=false] - Hex dump unknown data, optionally limited.
+   * @returns {Promise<Object>} `{ tree, lines, text, der }`, with `error` if the encoding is malformed.
+   */
+  asn1parse: withWebCrypto(asn1parse),
+
+  /**
+   * Key derivation (openssl kdf equivalent).
+   * @param {Object} options - KDF options.
+   * @param {string} options.algorithm - 'HKDF', 'PBKDF2', 'SCRYPT', 'ARGON2ID', 'ARGON2I' or 'ARGON2D'.
+   * @param {number} [options.keylen=32] - Output length in bytes.
+   * @param {string} [options.digest='SHA-256'] - HKDF/PBKDF2 digest.
+   * @param {string|Uint8Array} [options.key] - HKDF input keying material (`hexkey` for hex).
+   * @param {string|Uint8Array} [options.pass] - PBKDF2/scrypt/Argon2 password (`hexpass` for hex).
+   * @param {string|Uint8Array} [options.salt] - Salt (`hexsalt` for hex).
+   * @param {string|Uint8Array} [options.info] - HKDF info (`hexinfo` for hex).
+   * @param {string|string[]} [options.kdfopt] - OpenSSL-style `name:value` options.
+   * @param {string|Object} [options.keyAlgorithm] - Return a non-extractable CryptoKey for this algorithm.
+   * @returns {Promise<string|ArrayBuffer|CryptoKey>} Derived key.
+   */
+  kdf: withWebCrypto(kdf),
+
+  /**
+   * Unix password hashing (openssl passwd equivalent).
+   * @param {Object} options - Options.
+   * @param {string|Uint8Array} options.password - Password.
+   * @param {string} [options.algorithm='6'] - '6' (SHA-512-crypt), '5' (SHA-256-crypt), 'apr1' or '1' (MD5-crypt).
+   * @param {string} [options.salt] - Salt; random if missing.
+   * @param {number} [options.rounds] - SHA-crypt rounds.
+   * @param {string} [options.verify] - Hash to check the password against, including bcrypt `$2b$`.
+   * @returns {Promise<string|boolean>} Hash, or whether `verify` matches.
+   */
+  passwd: withWebCrypto(passwd),
 
   /**
    * Utility to check Web Crypto availability.
    * @returns {boolean}
    */
-  isWebCryptoAvailable
-};
+  isWebCryptoAvailable,
 
-// Export for different environments
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = webopenssl;
-} else if (typeof define === 'function' && define.amd) {
-  define(() => webopenssl);
-} else {
-  // Browser global
-  window.webopenssl = webopenssl;
-}
+  /**
+   * Change library-wide settings.
+   * @param {Object} options - Settings to change.
+   * @param {boolean} [options.strict] - Throw FALLBACK_DISABLED instead of using CryptoJS/node-forge fallbacks.
+   * @param {boolean} [options.fipsLike] - Strict, and refuse MD5, RIPEMD-160, BLAKE2, ChaCha20-Poly1305 and
+   *   DES-EDE3-CBC (ALGORITHM_DISABLED).
+   * @param {boolean|Function} [options.debug] - Log to `console.debug`, or to `fn(module, message, details)`.
+   * @param {Object|null} [options.random] - createDrbg() generator for salts, IVs, nonces and rand().
+   * @returns {Object} Settings now in effect.
+   */
+  configure: withErrorQueue(configure),
+
+  /**
+   * Current library-wide settings.
+   * @returns {{strict: boolean, fipsLike: boolean, debug: boolean|Function, random: Object|null}}
+   */
+  getConfig,
+
+  /**
+   * OpenSSL-like error queue of the last 16 errors: `getError()`, `peekError()`,
+   * `peekLastError()`, `clearErrors()` and `printErrors()`.
+   */
+  errors: { getError, peekError, peekLastError, clearErrors, printErrors },
+
+  /** Stable error codes, as found in `error.code`. */
+  ERROR_CODES,
+
+  /** Error classes, for `instanceof` checks. */
+  WebOpenSSLError,
+  InvalidArgumentError,
+  InvalidEncodingError,
+  UnsupportedAlgorithmError,
+  PolicyError,
+  BadDecryptError,
+  BadSignatureError
+};
 
 export default webopenssl;
\ No newline at end of file
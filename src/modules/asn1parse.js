@@ -0,0 +1,589 @@
+/**
+ * ASN.1 inspector module (openssl asn1parse equivalent).
+ * Walks BER/DER encodings element by element and reports each one both as a
+ * tree node and as an OpenSSL-style text line. The walker is hand-written,
+ * like OpenSSL's ASN1_parse_dump: asn1.js decoders need a schema and do not
+ * report header lengths, offsets or indefinite lengths. Only the INTEGER
+ * values (asn1.js's big numbers) and the tag class names come from asn1.js.
+ *
+ * @module asn1parse
+ */
+
+import asn1 from 'asn1.js';
+import { pemDecode } from '../utils/keys.js';
+import { base64ToBytes, bytesToBinaryString, bytesToHex, toBytes } from '../utils/encoding.js';
+import { InvalidArgumentError, InvalidEncodingError } from '../utils/errors.js';
+
+const BN = asn1.bignum;
+const TAG_CLASSES = asn1.constants.der.tagClass;
+
+/** Universal tag names as printed by OpenSSL (ASN1_tag2str). */
+const UNIVERSAL_TAGS = [
+  'EOC', 'BOOLEAN', 'INTEGER', 'BIT STRING', 'OCTET STRING', 'NULL', 'OBJECT',
+  'OBJECT DESCRIPTOR', 'EXTERNAL', 'REAL', 'ENUMERATED', '<ASN1 11>', 'UTF8STRING',
+  '<ASN1 13>', '<ASN1 14>', '<ASN1 15>', 'SEQUENCE', 'SET', 'NUMERICSTRING',
+  'PRINTABLESTRING', 'T61STRING', 'VIDEOTEXSTRING', 'IA5STRING', 'UTCTIME',
+  'GENERALIZEDTIME', 'GRAPHICSTRING', 'VISIBLESTRING', 'GENERALSTRING',
+  'UNIVERSALSTRING', '<ASN1 29>', 'BMPSTRING'
+];
+
+/** Universal types whose contents OpenSSL prints as text. */
+const TEXT_TAGS = new Set([12, 18, 19, 20, 22, 23, 24, 26]);
+
+/** Object identifiers and the OpenSSL long names printed for them. */
+const OID_NAMES = {
+  '1.2.840.113549.1.1.1': 'rsaEncryption',
+  '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+  '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+  '1.2.840.113549.1.1.7': 'rsaesOaep',
+  '1.2.840.113549.1.1.8': 'mgf1',
+  '1.2.840.113549.1.1.10': 'rsassaPss',
+  '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+  '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+  '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+  '1.2.840.113549.1.1.14': 'sha224WithRSAEncryption',
+  '1.2.840.10045.2.1': 'id-ecPublicKey',
+  '1.2.840.10045.3.1.7': 'prime256v1',
+  '1.3.132.0.34': 'secp384r1',
+  '1.3.132.0.35': 'secp521r1',
+  '1.3.132.0.10': 'secp256k1',
+  '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+  '1.2.840.10045.4.3.1': 'ecdsa-with-SHA224',
+  '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+  '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+  '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+  '1.3.101.110': 'X25519',
+  '1.3.101.111': 'X448',
+  '1.3.101.112': 'ED25519',
+  '1.3.101.113': 'ED448',
+  '1.2.840.113549.2.5': 'md5',
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+  '2.16.840.1.101.3.4.2.4': 'sha224',
+  '2.16.840.1.101.3.4.2.5': 'sha512-224',
+  '2.16.840.1.101.3.4.2.6': 'sha512-256',
+  '2.16.840.1.101.3.4.2.7': 'sha3-224',
+  '2.16.840.1.101.3.4.2.8': 'sha3-256',
+  '2.16.840.1.101.3.4.2.9': 'sha3-384',
+  '2.16.840.1.101.3.4.2.10': 'sha3-512',
+  '2.16.840.1.101.3.4.2.11': 'shake128',
+  '2.16.840.1.101.3.4.2.12': 'shake256',
+  '1.3.36.3.2.1': 'ripemd160',
+  '1.2.840.113549.2.7': 'hmacWithSHA1',
+  '1.2.840.113549.2.9': 'hmacWithSHA256',
+  '1.2.840.113549.2.10': 'hmacWithSHA384',
+  '1.2.840.113549.2.11': 'hmacWithSHA512',
+  '2.16.840.1.101.3.4.1.2': 'aes-128-cbc',
+  '2.16.840.1.101.3.4.1.6': 'aes-128-gcm',
+  '2.16.840.1.101.3.4.1.22': 'aes-192-cbc',
+  '2.16.840.1.101.3.4.1.26': 'aes-192-gcm',
+  '2.16.840.1.101.3.4.1.42': 'aes-256-cbc',
+  '2.16.840.1.101.3.4.1.46': 'aes-256-gcm',
+  '2.16.840.1.101.3.4.1.5': 'id-aes128-wrap',
+  '2.16.840.1.101.3.4.1.45': 'id-aes256-wrap',
+  '1.2.840.113549.3.7': 'des-ede3-cbc',
+  '1.3.14.3.2.7': 'des-cbc',
+  '1.2.840.113549.3.2': 'rc2-cbc',
+  '1.2.840.113549.1.5.12': 'PBKDF2',
+  '1.2.840.113549.1.5.13': 'PBES2',
+  '1.2.840.113549.1.5.3': 'pbeWithMD5AndDES-CBC',
+  '1.2.840.113549.1.5.10': 'pbeWithSHA1AndDES-CBC',
+  '1.3.6.1.4.1.11591.4.11': 'scrypt',
+  '1.2.840.113549.1.12.1.1': 'pbeWithSHA1And128BitRC4',
+  '1.2.840.113549.1.12.1.2': 'pbeWithSHA1And40BitRC4',
+  '1.2.840.113549.1.12.1.3': 'pbeWithSHA1And3-KeyTripleDES-CBC',
+  '1.2.840.113549.1.12.1.4': 'pbeWithSHA1And2-KeyTripleDES-CBC',
+  '1.2.840.113549.1.12.1.5': 'pbeWithSHA1And128BitRC2-CBC',
+  '1.2.840.113549.1.12.1.6': 'pbeWithSHA1And40BitRC2-CBC',
+  '1.2.840.113549.1.12.10.1.1': 'keyBag',
+  '1.2.840.113549.1.12.10.1.2': 'pkcs8ShroudedKeyBag',
+  '1.2.840.113549.1.12.10.1.3': 'certBag',
+  '1.2.840.113549.1.12.10.1.4': 'crlBag',
+  '1.2.840.113549.1.12.10.1.5': 'secretBag',
+  '1.2.840.113549.1.12.10.1.6': 'safeContentsBag',
+  '1.2.840.113549.1.9.22.1': 'x509Certificate',
+  '1.2.840.113549.1.7.1': 'pkcs7-data',
+  '1.2.840.113549.1.7.2': 'pkcs7-signedData',
+  '1.2.840.113549.1.7.3': 'pkcs7-envelopedData',
+  '1.2.840.113549.1.7.5': 'pkcs7-digestData',
+  '1.2.840.113549.1.7.6': 'pkcs7-encryptedData',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '1.2.840.113549.1.9.2': 'unstructuredName',
+  '1.2.840.113549.1.9.3': 'contentType',
+  '1.2.840.113549.1.9.4': 'messageDigest',
+  '1.2.840.113549.1.9.5': 'signingTime',
+  '1.2.840.113549.1.9.7': 'challengePassword',
+  '1.2.840.113549.1.9.14': 'Extension Request',
+  '1.2.840.113549.1.9.15': 'S/MIME Capabilities',
+  '1.2.840.113549.1.9.16.2.47': 'id-smime-aa-signingCertificateV2',
+  '1.2.840.113549.1.9.20': 'friendlyName',
+  '1.2.840.113549.1.9.21': 'localKeyID',
+  '2.5.4.3': 'commonName',
+  '2.5.4.4': 'surname',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'countryName',
+  '2.5.4.7': 'localityName',
+  '2.5.4.8': 'stateOrProvinceName',
+  '2.5.4.9': 'streetAddress',
+  '2.5.4.10': 'organizationName',
+  '2.5.4.11': 'organizationalUnitName',
+  '2.5.4.12': 'title',
+  '2.5.4.13': 'description',
+  '2.5.4.15': 'businessCategory',
+  '2.5.4.17': 'postalCode',
+  '2.5.4.41': 'name',
+  '2.5.4.42': 'givenName',
+  '2.5.4.43': 'initials',
+  '2.5.4.44': 'generationQualifier',
+  '2.5.4.46': 'dnQualifier',
+  '2.5.4.65': 'pseudonym',
+  '2.5.4.97': 'organizationIdentifier',
+  '0.9.2342.19200300.100.1.1': 'userId',
+  '0.9.2342.19200300.100.1.25': 'domainComponent',
+  '1.3.6.1.4.1.311.60.2.1.1': 'jurisdictionLocalityName',
+  '1.3.6.1.4.1.311.60.2.1.2': 'jurisdictionStateOrProvinceName',
+  '1.3.6.1.4.1.311.60.2.1.3': 'jurisdictionCountryName',
+  '2.5.29.9': 'X509v3 Subject Directory Attributes',
+  '2.5.29.14': 'X509v3 Subject Key Identifier',
+  '2.5.29.15': 'X509v3 Key Usage',
+  '2.5.29.16': 'X509v3 Private Key Usage Period',
+  '2.5.29.17': 'X509v3 Subject Alternative Name',
+  '2.5.29.18': 'X509v3 Issuer Alternative Name',
+  '2.5.29.19': 'X509v3 Basic Constraints',
+  '2.5.29.20': 'X509v3 CRL Number',
+  '2.5.29.21': 'X509v3 CRL Reason Code',
+  '2.5.29.24': 'Invalidity Date',
+  '2.5.29.27': 'X509v3 Delta CRL Indicator',
+  '2.5.29.28': 'X509v3 Issuing Distribution Point',
+  '2.5.29.30': 'X509v3 Name Constraints',
+  '2.5.29.31': 'X509v3 CRL Distribution Points',
+  '2.5.29.32': 'X509v3 Certificate Policies',
+  '2.5.29.32.0': 'X509v3 Any Policy',
+  '2.5.29.33': 'X509v3 Policy Mappings',
+  '2.5.29.35': 'X509v3 Authority Key Identifier',
+  '2.5.29.36': 'X509v3 Policy Constraints',
+  '2.5.29.37': 'X509v3 Extended Key Usage',
+  '2.5.29.37.0': 'Any Extended Key Usage',
+  '2.5.29.46': 'X509v3 Freshest CRL',
+  '2.5.29.54': 'X509v3 Inhibit Any Policy',
+  '1.3.6.1.5.5.7.1.1': 'Authority Information Access',
+  '1.3.6.1.5.5.7.1.11': 'Subject Information Access',
+  '1.3.6.1.5.5.7.1.24': 'TLS Feature',
+  '1.3.6.1.5.5.7.2.1': 'Policy Qualifier CPS',
+  '1.3.6.1.5.5.7.2.2': 'Policy Qualifier User Notice',
+  '1.3.6.1.5.5.7.3.1': 'TLS Web Server Authentication',
+  '1.3.6.1.5.5.7.3.2': 'TLS Web Client Authentication',
+  '1.3.6.1.5.5.7.3.3': 'Code Signing',
+  '1.3.6.1.5.5.7.3.4': 'E-mail Protection',
+  '1.3.6.1.5.5.7.3.8': 'Time Stamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSP Signing',
+  '1.3.6.1.5.5.7.48.1': 'OCSP',
+  '1.3.6.1.5.5.7.48.2': 'CA Issuers',
+  '1.3.6.1.5.5.7.48.1.1': 'Basic OCSP Response',
+  '1.3.6.1.5.5.7.48.1.2': 'OCSP Nonce',
+  '1.3.6.1.5.5.7.48.1.5': 'OCSP No Check',
+  '1.3.6.1.4.1.11129.2.4.2': 'CT Precertificate SCTs',
+  '1.3.6.1.4.1.11129.2.4.3': 'CT Precertificate Poison',
+  '2.16.840.1.113730.1.1': 'Netscape Cert Type',
+  '2.16.840.1.113730.1.13': 'Netscape Comment'
+};
+
+/**
+ * @typedef {Object} Asn1Node
+ * @property {number} offset - Offset of the element's first byte.
+ * @property {number} depth - Nesting depth, 0 at the top level.
+ * @property {number} headerLength - Tag and length bytes.
+ * @property {number|null} length - Content length, null for indefinite length.
+ * @property {string} class - 'universal', 'application', 'context' or 'private'.
+ * @property {number} tag - Tag number.
+ * @property {string} tagName - Tag as printed by OpenSSL (e.g. 'SEQUENCE', 'cont [ 0 ]').
+ * @property {boolean} constructed - Constructed encoding.
+ * @property {*} [value] - Decoded primitive value: dotted OID, hex integer, boolean, text, or the
+ *   content bytes (BIT STRING content excludes the unused-bits byte).
+ * @property {string} [name] - OpenSSL name of an OBJECT, when known.
+ * @property {number} [unusedBits] - Unused bits of a BIT STRING.
+ * @property {Asn1Node[]} [children] - Elements of a constructed value.
+ */
+
+/**
+ * Inspect an ASN.1 structure.
+ *
+ * Every element is reported as a tree node and as a line in the format of
+ * `openssl asn1parse`: offset, depth, header length, content length, tag
+ * and value. `strparse` descends into the content of an OCTET STRING, BIT
+ * STRING or other element at the given offset and parses that instead, and
+ * `offset`/`length` select a range of the final buffer, which is also
+ * returned as `der` (`-out`). An encoding error, or nesting deeper than 128
+ * levels, stops the walk: the lines up to it are kept, followed by 'Error in
+ * encoding', and `error` is set.
+ *
+ * @param {Object} options - Parse options.
+ * @param {string|Uint8Array|ArrayBuffer} options.input - PEM text, base64 text, or DER/BER bytes (`-in`).
+ * @param {number|number[]} [options.strparse] - Offset(s) of elements whose contents to parse, each
+ *   relative to the previous one (`-strparse`).
+ * @param {number} [options.offset=0] - Offset to start parsing at (`-offset`).
+ * @param {number} [options.length] - Number of bytes to parse (`-length`); the rest by default.
+ * @param {boolean} [options.indent=false] - Indent tags by depth (`-i`).
+ * @param {boolean|number} [options.dump=false] - Hex dump unknown data; a number limits the bytes
+ *   dumped (`-dump`, `-dlimit`).
+ * @param {Object<string, string>} [options.oids] - Extra OID names, dotted OID to name (`-oid`).
+ * @returns {Promise<{tree: Asn1Node[], lines: string[], text: string, der: Uint8Array, error?: Object}>}
+ *   Top-level elements, output lines, the lines joined, the bytes parsed, and `{ offset, message }`
+ *   on an encoding error.
+ * @throws {Error} If the input is missing or an offset is out of range.
+ */
+export async function asn1parse(options = {}) {
+  const {
+    input,
+    strparse = [],
+    offset = 0,
+    length,
+    indent = false,
+    dump = false,
+    oids = {}
+  } = options;
+
+  if (input === undefined || input === null) {
+    throw new InvalidArgumentError('Input is required', { module: 'asn1parse' });
+  }
+  let der = readInput(input);
+
+  for (const at of [].concat(strparse)) {
+    if (!Number.isInteger(at) || at <= 0 || at >= der.length) {
+      throw new InvalidArgumentError(`strparse offset ${at} is out of range`, { module: 'asn1parse' });
+    }
+    der = elementContents(der.subarray(at), at);
+  }
+
+  if (!Number.isInteger(offset) || offset < 0 || offset >= der.length) {
+    throw new InvalidArgumentError(`Offset ${offset} is out of range`, { module: 'asn1parse' });
+  }
+  let end = der.length;
+  if (length !== undefined && length !== null) {
+    if (!Number.isInteger(length) || length < 0) {
+      throw new InvalidArgumentError(`Invalid length: ${length}`, { module: 'asn1parse' });
+    }
+    if (length > 0) end = Math.min(end, offset + length);
+  }
+  der = der.slice(offset, end);
+
+  const state = {
+    der,
+    lines: [],
+    indent,
+    dumpLimit: dump === true ? Infinity : (dump ? dump : 0),
+    names: { ...OID_NAMES, ...oids }
+  };
+  const tree = [];
+  let error;
+  try {
+    parseElements(state, 0, der.length, 0, false, tree);
+  } catch (err) {
+    if (!(err instanceof EncodingError)) throw err;
+    error = { offset: err.offset, message: err.message };
+    state.lines.push('Error in encoding');
+  }
+
+  const result = { tree, lines: state.lines, text: state.lines.join('\n') + '\n', der };
+  if (error) result.error = error;
+  return result;
+}
+
+/** Deepest nesting walked, as OpenSSL's ASN1_PARSE_MAXDEPTH. */
+const MAX_DEPTH = 128;
+
+/** Malformed encoding at a known offset; ends the walk. */
+class EncodingError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.offset = offset;
+  }
+}
+
+/**
+ * Read the input as DER/BER bytes.
+ * @param {string|Uint8Array|ArrayBuffer} input - PEM, base64 or bytes.
+ * @returns {Uint8Array} Bytes.
+ */
+function readInput(input) {
+  if (typeof input !== 'string') return toBytes(input);
+  if (input.includes('-----BEGIN')) return pemDecode(input).der;
+  return base64ToBytes(input.replace(/\s+/g, ''));
+}
+
+/**
+ * The bytes `-strparse` descends into: the contents of a primitive element
+ * (after the unused-bits byte of a BIT STRING), or the whole encoding of a
+ * constructed one.
+ * @param {Uint8Array} bytes - Buffer starting at the element.
+ * @param {number} at - Offset of the element, for error messages.
+ * @returns {Uint8Array} Bytes to parse next.
+ */
+function elementContents(bytes, at) {
+  let header;
+  try {
+    header = readHeader(bytes, 0, bytes.length);
+  } catch (err) {
+    throw new InvalidEncodingError(
+      `Error parsing structure at offset ${at}: ${err.message}`,
+      { module: 'asn1parse', cause: err }
+    );
+  }
+  const { cls, tag, constructed, headerLength, length } = header;
+  if (constructed) {
+    if (length === null) {
+      throw new InvalidEncodingError(`Can't parse indefinite length element at offset ${at}`, { module: 'asn1parse' });
+    }
+    return bytes.subarray(0, headerLength + length);
+  }
+  if (cls === 0 && (tag === 1 || tag === 5 || tag === 6)) {
+    throw new InvalidEncodingError(`Can't parse ${UNIVERSAL_TAGS[tag]} type`, { module: 'asn1parse' });
+  }
+  const contents = bytes.subarray(headerLength, headerLength + length);
+  return cls === 0 && tag === 3 ? contents.subarray(1) : contents;
+}
+
+/**
+ * Decode an identifier and length.
+ * @param {Uint8Array} der - Buffer.
+ * @param {number} pos - Offset of the element.
+ * @param {number} end - End of the enclosing contents.
+ * @returns {{cls: number, tag: number, constructed: boolean, headerLength: number, length: number|null}}
+ *   Header; `length` is null for indefinite length.
+ * @throws {EncodingError} If the header is truncated or the length overruns `end`.
+ */
+function readHeader(der, pos, end) {
+  let p = pos;
+  if (p >= end) throw new EncodingError('header too long', pos);
+  const first = der[p++];
+  const cls = first >> 6;
+  const constructed = (first & 0x20) !== 0;
+  let tag = first & 0x1f;
+  if (tag === 0x1f) {
+    tag = 0;
+    let byte;
+    do {
+      if (p >= end || tag > 0xffffff) throw new EncodingError('header too long', pos);
+      byte = der[p++];
+      tag = tag * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+  }
+
+  if (p >= end) throw new EncodingError('header too long', pos);
+  let length = der[p++];
+  if (length === 0x80) {
+    if (!constructed) throw new EncodingError('indefinite length primitive', pos);
+    length = null;
+  } else if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count > 4 || p + count > end) throw new EncodingError('header too long', pos);
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + der[p++];
+    }
+  }
+  if (length !== null && length > end - p) {
+    throw new EncodingError('too long', pos);
+  }
+  return { cls, tag, constructed, headerLength: p - pos, length };
+}
+
+/**
+ * Parse the elements between `pos` and `end`, appending nodes and lines.
+ * @param {Object} state - Buffer, output lines and print options.
+ * @param {number} pos - Start offset.
+ * @param {number} end - End offset.
+ * @param {number} depth - Nesting depth.
+ * @param {boolean} indefinite - Contents of an indefinite length element: stop after EOC.
+ * @param {Asn1Node[]} nodes - Nodes to append to.
+ * @returns {number} Offset after the last element parsed.
+ */
+function parseElements(state, pos, end, depth, indefinite, nodes) {
+  while (pos < end) {
+    if (depth > MAX_DEPTH) throw new EncodingError('BAD RECURSION DEPTH', pos);
+    const { cls, tag, constructed, headerLength, length } = readHeader(state.der, pos, end);
+    const node = {
+      offset: pos,
+      depth,
+      headerLength,
+      length,
+      class: TAG_CLASSES[cls],
+      tag,
+      tagName: tagName(cls, tag),
+      constructed
+    };
+    nodes.push(node);
+    const line = headerLine(state, node);
+    const start = pos + headerLength;
+
+    if (constructed) {
+      state.lines.push(line);
+      node.children = [];
+      if (length === null) {
+        pos = parseElements(state, start, end, depth + 1, true, node.children);
+      } else {
+        pos = start + length;
+        parseElements(state, start, pos, depth + 1, false, node.children);
+      }
+    } else {
+      pos = start + length;
+      printPrimitive(state, node, line, state.der.subarray(start, pos));
+      if (indefinite && cls === 0 && tag === 0) return pos;
+    }
+  }
+  if (indefinite) throw new EncodingError('missing EOC', end);
+  return pos;
+}
+
+/**
+ * Tag name as printed by OpenSSL.
+ * @param {number} cls - Tag class.
+ * @param {number} tag - Tag number.
+ * @returns {string} Name.
+ */
+function tagName(cls, tag) {
+  if (cls === 1) return `appl [ ${tag} ]`;
+  if (cls === 2) return `cont [ ${tag} ]`;
+  if (cls === 3) return `priv [ ${tag} ]`;
+  return UNIVERSAL_TAGS[tag] || `<ASN1 ${tag}>`;
+}
+
+/**
+ * Offset, depth, lengths and tag of an element, in `openssl asn1parse` layout.
+ * @param {Object} state - Print options.
+ * @param {Asn1Node} node - Element.
+ * @returns {string} Line without the value.
+ */
+function headerLine(state, node) {
+  const length = node.length === null ? 'l=inf ' : `l=${String(node.length).padStart(4)}`;
+  const prefix = `${String(node.offset).padStart(5)}:d=${String(node.depth).padEnd(2)} hl=${node.headerLength} ${length} ` +
+    `${node.constructed ? 'cons' : 'prim'}: ${state.indent ? ' '.repeat(node.depth) : ''}`;
+  return prefix + node.tagName.padEnd(18);
+}
+
+/**
+ * Decode a primitive element's value and print its line (and hex dump).
+ * @param {Object} state - Output lines and print options.
+ * @param {Asn1Node} node - Element.
+ * @param {string} line - Header part of the line.
+ * @param {Uint8Array} contents - Content bytes.
+ */
+function printPrimitive(state, node, line, contents) {
+  const hex = bytesToHex(contents).toUpperCase();
+  let dumped = false;
+
+  if (node.class !== 'universal') {
+    node.value = contents;
+  } else if (TEXT_TAGS.has(node.tag)) {
+    node.value = node.tag === 12 ? new TextDecoder().decode(contents) : bytesToBinaryString(contents);
+    line += `:${node.value}`;
+  } else if (node.tag === 6) {
+    const oid = decodeOid(contents);
+    if (oid) {
+      node.value = oid;
+      if (state.names[oid]) node.name = state.names[oid];
+      line += `:${node.name || oid}`;
+    } else {
+      node.value = contents;
+      line += `:BAD OBJECT:[${hex}]`;
+    }
+  } else if (node.tag === 1) {
+    if (contents.length === 1) {
+      node.value = contents[0] !== 0;
+      line += `:${contents[0]}`;
+    } else {
+      node.value = contents;
+      line += `:BAD BOOLEAN:[${hex}]`;
+    }
+  } else if (node.tag === 2 || node.tag === 10) {
+    const value = decodeInteger(contents);
+    node.value = value === null ? contents : value;
+    line += value === null ? `:BAD ${node.tagName}:[${hex}]` : `:${value}`;
+  } else if (node.tag === 4) {
+    node.value = contents;
+    if (contents.every(b => (b >= 0x20 && b <= 0x7e) || b === 0x0a || b === 0x0d || b === 0x09)) {
+      line += `:${bytesToBinaryString(contents)}`;
+    } else if (!state.dumpLimit) {
+      line += `[HEX DUMP]:${hex}`;
+    } else {
+      dumped = true;
+    }
+  } else if (node.tag === 5) {
+    node.value = null;
+  } else {
+    node.value = node.tag === 3 ? contents.subarray(1) : contents;
+    if (node.tag === 3) node.unusedBits = contents[0];
+    // BMPSTRING is the one unknown type OpenSSL never dumps
+    dumped = contents.length > 0 && state.dumpLimit > 0 && node.tag !== 30;
+  }
+
+  state.lines.push(line);
+  if (dumped) {
+    state.lines.push(...hexDump(contents.subarray(0, Math.min(contents.length, state.dumpLimit)), 6));
+  }
+}
+
+/**
+ * Decode OBJECT IDENTIFIER contents to dotted form.
+ * @param {Uint8Array} contents - Content bytes.
+ * @returns {string|null} Dotted OID, or null if malformed.
+ */
+function decodeOid(contents) {
+  const arcs = [];
+  let value = 0n;
+  let started = false;
+  for (const byte of contents) {
+    if (!started && byte === 0x80) return null;
+    value = (value << 7n) | BigInt(byte & 0x7f);
+    started = (byte & 0x80) !== 0;
+    if (!started) {
+      arcs.push(value);
+      value = 0n;
+    }
+  }
+  if (!arcs.length || started) return null;
+  const first = arcs[0] < 80n ? arcs[0] / 40n : 2n;
+  return [first, arcs[0] - first * 40n, ...arcs.slice(1)].join('.');
+}
+
+/**
+ * Decode INTEGER or ENUMERATED contents as OpenSSL prints them: uppercase
+ * hex of the magnitude in whole bytes, '-' for negative values.
+ * @param {Uint8Array} contents - Content bytes.
+ * @returns {string|null} Hex value, or null if empty or not minimally encoded.
+ */
+function decodeInteger(contents) {
+  if (!contents.length) return null;
+  if (contents.length > 1 &&
+      ((contents[0] === 0x00 && !(contents[1] & 0x80)) || (contents[0] === 0xff && (contents[1] & 0x80)))) {
+    return null;
+  }
+  return new BN(contents).fromTwos(contents.length * 8).toString(16, 2).toUpperCase();
+}
+
+/**
+ * Hex dump in the layout of OpenSSL's BIO_dump_indent.
+ * @param {Uint8Array} bytes - Bytes to dump.
+ * @param {number} indent - Spaces before each line.
+ * @returns {string[]} Lines.
+ */
+function hexDump(bytes, indent) {
+  const lines = [];
+  for (let i = 0; i < bytes.length; i += 16) {
+    const row = bytes.subarray(i, i + 16);
+    let hexPart = '';
+    let text = '';
+    for (let j = 0; j < 16; j++) {
+      if (j < row.length) {
+        hexPart += row[j].toString(16).padStart(2, '0') + (j === 7 ? '-' : ' ');
+        text += row[j] >= 0x20 && row[j] <= 0x7e ? String.fromCharCode(row[j]) : '.';
+      } else {
+        hexPart += '   ';
+      }
+    }
+    lines.push(`${' '.repeat(indent)}${i.toString(16).padStart(4, '0')} - ${hexPart}  ${text}`);
+  }
+  return lines;
+}
@@ -0,0 +1,230 @@
+/**
+ * Certificate signing module (openssl ca / openssl x509 -req -CA equivalent).
+ * Turns a CSR into a certificate issued by a CA certificate and key.
+ *
+ * @module ca
+ */
+
+import forge from 'node-forge';
+import { loadKey, pemEncode, derToAsn1, publicKeyFromPrivate } from '../utils/keys.js';
+import { parseExtensions, extensionOid } from '../utils/extensions.js';
+import { normalizeSignatureHash, verifySignedAsn1 } from '../utils/signature.js';
+import {
+  createCertificate,
+  loadCertificate,
+  loadCertificationRequest,
+  normalizeSerial,
+  randomSerial,
+  getExtension
+} from '../utils/certificate.js';
+import { parseDistinguishedName, nameToAsn1, resolveAttributeName, DN_ATTRIBUTES } from '../utils/names.js';
+import { bytesEqual, hexToBytes } from '../utils/encoding.js';
+import { BadSignatureError, InvalidArgumentError } from '../utils/errors.js';
+
+/**
+ * Sign a certificate request with a CA certificate and key.
+ *
+ * @param {Object} options - Signing options.
+ * @param {string|Uint8Array} options.csr - PEM or DER certificate request (`-in`).
+ * @param {string|Uint8Array} options.caCert - PEM or DER CA certificate (`-cert` / `-CA`).
+ * @param {string|Uint8Array} options.caKey - PEM or DER CA private key (`-keyfile` / `-CAkey`).
+ * @param {string} [options.passin] - Passphrase of an encrypted CA key (`-passin`).
+ * @param {number} [options.days=30] - Validity in days from `startDate` (`-days`).
+ * @param {Date} [options.startDate] - Start of validity, now by default (`-startdate`).
+ * @param {Date} [options.endDate] - End of validity; overrides `days` (`-enddate`).
+ * @param {string|number|Function} [options.serial] - Serial as hex string or integer, or a (possibly async)
+ *   function returning one (`-set_serial`); a random 159-bit serial by default (`-CAcreateserial`).
+ * @param {string} [options.hashAlgo='sha256'] - Signature digest (`-md`).
+ * @param {string} [options.subject] - Replace the requested subject (`-subj`).
+ * @param {Object|Array<Object>} [options.extensions] - Extensions the CA adds, as in req() (`-extfile`);
+ *   subjectKeyIdentifier=hash and authorityKeyIdentifier=keyid unless given.
+ * @param {string|string[]} [options.copyExtensions='none'] - Requested extensions to copy (`copy_extensions`):
+ *   'none', 'copy' (only those the CA does not set), 'copyall' (requested ones win), or a list of
+ *   extension names to copy ('subjectAltName', ...).
+ * @param {Object} [options.policy] - DN policy (`-policy`): `{ countryName: 'match', commonName: 'supplied',
+ *   emailAddress: 'optional' }`. Fields not listed are dropped from the subject.
+ * @param {boolean} [options.base64=false] - Output base64 DER without PEM headers.
+ * @returns {Promise<{certificate: string, serial: string}>} PEM certificate and its serial (hex).
+ * @throws {Error} If the CSR signature is invalid, the CA key does not match, or the policy rejects the request.
+ *
+ * @example
+ * // openssl ca -in req.csr -cert ca.crt -keyfile ca.key -days 365 -policy policy_match
+ * const { certificate, serial } = await ca({
+ *   csr,
+ *   caCert,
+ *   caKey,
+ *   days: 365,
+ *   copyExtensions: ['subjectAltName'],
+ *   extensions: { basicConstraints: 'critical,CA:FALSE', extendedKeyUsage: 'serverAuth' },
+ *   policy: { countryName: 'match', organizationName: 'match', commonName: 'supplied' }
+ * });
+ */
+export async function ca(options = {}) {
+  const {
+    csr,
+    caCert,
+    caKey,
+    passin,
+    days = 30,
+    startDate,
+    endDate,
+    serial,
+    hashAlgo = 'sha256',
+    subject,
+    extensions = {},
+    copyExtensions = 'none',
+    policy,
+    base64 = false
+  } = options;
+
+  if (!csr || !caCert || !caKey) {
+    throw new InvalidArgumentError('csr, caCert and caKey are required', { module: 'ca' });
+  }
+
+  const request = loadCertificationRequest(csr);
+  if (!(await verifySignedAsn1(loadKey(request.spki), request.der))) {
+    throw new BadSignatureError('Signature did not match the certificate request', { module: 'ca' });
+  }
+
+  const issuerCert = loadCertificate(caCert);
+  const signingKey = loadKey(caKey, passin);
+  if (signingKey.kind !== 'private') {
+    throw new InvalidArgumentError('caKey must be a private key', { module: 'ca' });
+  }
+  if (!bytesEqual(publicKeyFromPrivate(signingKey), issuerCert.spki)) {
+    throw new InvalidArgumentError('CA certificate and CA private key do not match', { module: 'ca' });
+  }
+
+  // Subject: -subj override, policy-filtered request DN, or the request DN as is
+  let subjectName;
+  if (subject) {
+    subjectName = nameToAsn1(parseDistinguishedName(subject));
+  } else if (policy) {
+    subjectName = nameToAsn1(applyPolicy(policy, request.subject, issuerCert.subject));
+  } else {
+    subjectName = derToAsn1(request.subjectDer);
+  }
+
+  const serialHex = normalizeSerial(typeof serial === 'function' ? await serial() : serial ?? randomSerial());
+
+  const notBefore = startDate ? new Date(startDate) : new Date();
+  const notAfter = endDate ? new Date(endDate) : new Date(notBefore.getTime() + days * 86400000);
+  if (!(notAfter > notBefore)) {
+    throw new InvalidArgumentError('Invalid validity period: end date must be after start date', { module: 'ca' });
+  }
+
+  // The CA computes both key identifiers unless configured otherwise
+  const caExtensions = Array.isArray(extensions)
+    ? extensions
+    : { subjectKeyIdentifier: 'hash', authorityKeyIdentifier: 'keyid', ...extensions };
+  const issuerSki = getExtension(issuerCert, 'subjectKeyIdentifier');
+  const extList = parseExtensions(caExtensions, {
+    subjectSpki: request.spki,
+    subjectName,
+    issuerSpki: issuerCert.spki,
+    issuerKeyId: issuerSki ? hexToBytes(issuerSki.keyIdentifier) : undefined,
+    issuerName: derToAsn1(issuerCert.issuerDer),
+    issuerSerial: issuerCert.serial
+  });
+
+  const certDer = await createCertificate({
+    signingKey,
+    hashName: normalizeSignatureHash(hashAlgo),
+    serial: serialHex,
+    issuer: derToAsn1(issuerCert.subjectDer),
+    subject: subjectName,
+    notBefore,
+    notAfter,
+    spki: request.spki,
+    extensions: mergeExtensions(extList, request.rawExtensions, copyExtensions)
+  });
+
+  const certificate = pemEncode('CERTIFICATE', certDer);
+  return {
+    certificate: base64 ? certificate.replace(/-----[A-Z ]+-----|\s/g, '') : certificate,
+    serial: serialHex
+  };
+}
+
+/**
+ * Add requested extensions to the CA-side list according to `copyExtensions`.
+ * @param {Array<Object>} caExtensions - node-forge extensions configured by the CA.
+ * @param {Array<Object>} requested - Raw extensions from the CSR.
+ * @param {string|string[]} copyExtensions - 'none', 'copy', 'copyall' or a list of names.
+ * @returns {Array<Object>} node-forge extension objects.
+ * @throws {Error} On an unknown copy mode or extension name.
+ */
+function mergeExtensions(caExtensions, requested, copyExtensions) {
+  const out = [...caExtensions];
+  const indexOf = id => out.findIndex(ext => (ext.id || forge.pki.oids[ext.name]) === id);
+
+  if (copyExtensions === 'none') {
+    return out;
+  }
+  if (copyExtensions === 'copyall') {
+    for (const ext of requested) {
+      const idx = indexOf(ext.id);
+      if (idx >= 0) out.splice(idx, 1, ext);
+      else out.push(ext);
+    }
+    return out;
+  }
+  let wanted;
+  if (Array.isArray(copyExtensions)) {
+    wanted = copyExtensions.map(extensionOid);
+  } else if (copyExtensions !== 'copy') {
+    throw new InvalidArgumentError(
+      `Invalid copyExtensions: ${copyExtensions} (use none, copy, copyall or a list of names)`,
+      { module: 'ca' }
+    );
+  }
+  for (const ext of requested) {
+    if ((!wanted || wanted.includes(ext.id)) && indexOf(ext.id) < 0) out.push(ext);
+  }
+  return out;
+}
+
+/**
+ * Apply an `openssl ca` DN policy to a requested subject.
+ * @param {Object} policy - Field name to 'match', 'supplied' or 'optional'.
+ * @param {Array<Object>} requested - Requested subject attributes.
+ * @param {Array<Object>} caSubject - CA subject attributes.
+ * @returns {Array<Object>} Subject attributes in policy order.
+ * @throws {Error} If a field violates the policy.
+ */
+function applyPolicy(policy, requested, caSubject) {
+  const out = [];
+  for (const [field, rule] of Object.entries(policy)) {
+    const shortName = resolveAttributeName(field);
+    const longName = DN_ATTRIBUTES[shortName].long;
+    const values = requested.filter(a => a.shortName === shortName);
+
+    if (rule === 'match') {
+      const caValues = caSubject.filter(a => a.shortName === shortName).map(a => a.value);
+      if (values.length === 0) {
+        throw new InvalidArgumentError(
+          `The ${longName} field needed to be the same in the CA certificate (${caValues.join(', ')}) and the request (not present)`,
+          { module: 'ca' }
+        );
+      }
+      const mismatch = values.find(a => !caValues.includes(a.value));
+      if (mismatch) {
+        throw new InvalidArgumentError(
+          `The ${longName} field is different between CA certificate (${caValues.join(', ') || 'not present'}) and the request (${mismatch.value})`,
+          { module: 'ca' }
+        );
+      }
+    } else if (rule === 'supplied') {
+      if (values.length === 0 || values.some(a => a.value === '')) {
+        throw new InvalidArgumentError(`The ${longName} field needed to be supplied and was missing`, { module: 'ca' });
+      }
+    } else if (rule !== 'optional') {
+      throw new InvalidArgumentError(
+        `Invalid policy for ${longName}: ${rule} (use match, supplied or optional)`,
+        { module: 'ca' }
+      );
+    }
+    out.push(...values);
+  }
+  return out;
+}
@@ -0,0 +1,289 @@
+/**
+ * Certificate revocation list module (openssl ca -gencrl / openssl crl equivalent).
+ * Issues signed v2 CRLs from a CA certificate and key, and parses, verifies
+ * and queries existing ones.
+ *
+ * @module crl
+ */
+
+import forge from 'node-forge';
+import { loadKey, pemEncode, derToAsn1, publicKeyFromPrivate } from '../utils/keys.js';
+import { parseExtensions, EXTENSION_OIDS, CRL_REASONS, crlReasonCode } from '../utils/extensions.js';
+import { normalizeSignatureHash, signAsn1, signatureAlgorithmIdentifier, verifySignedAsn1 } from '../utils/signature.js';
+import {
+  loadCertificate,
+  loadCRL,
+  normalizeSerial,
+  serialToAsn1,
+  timeToAsn1,
+  extensionsToAsn1,
+  getExtension
+} from '../utils/certificate.js';
+import { formatName, nameToObjects } from '../utils/names.js';
+import { bytesEqual, hexToBytes } from '../utils/encoding.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+
+const asn1 = forge.asn1;
+
+/**
+ * @typedef {Object} RevokedEntry
+ * @property {string|number|bigint} serial - Serial number, hex string or integer.
+ * @property {Date} [revocationDate] - Time of revocation; the CRL's lastUpdate by default.
+ * @property {string|number} [reason] - Reason (`-crl_reason`): 'unspecified', 'keyCompromise',
+ *   'CACompromise', 'affiliationChanged', 'superseded', 'cessationOfOperation', 'certificateHold',
+ *   'privilegeWithdrawn', 'AACompromise', or the numeric code; not 'removeFromCRL', which only delta CRLs
+ *   carry. Omitted when not given or null, so parsed `revoked` entries can be reissued as they are.
+ * @property {Date} [invalidityDate] - When the key is known or suspected to have been compromised
+ *   (`-crl_compromise`). Omitted when not given or null.
+ */
+
+/**
+ * Issue, parse or query a certificate revocation list.
+ *
+ * With `gencrl: true`, a v2 CRL listing `revoked` is signed with the CA key
+ * (`openssl ca -gencrl`). It carries authorityKeyIdentifier and cRLNumber
+ * extensions, and each entry a reasonCode when one is given. Otherwise
+ * `input` is parsed (`openssl crl`); with `caCert` its signature is checked
+ * (`-CAfile`), and with `serial` or `certificate` that certificate is looked up.
+ *
+ * @param {Object} options - CRL options.
+ * @param {boolean} [options.gencrl=false] - Issue a CRL instead of reading one (`-gencrl`).
+ * @param {string|Uint8Array} [options.caCert] - PEM or DER CA certificate: the issuer when generating
+ *   (`-cert`), the signature check when parsing (`-CAfile`).
+ * @param {string|Uint8Array} [options.caKey] - PEM or DER CA private key (`-keyfile`).
+ * @param {string} [options.passin] - Passphrase of an encrypted CA key (`-passin`).
+ * @param {Array<RevokedEntry|string|number>} [options.revoked=[]] - Revoked certificates, as entries or
+ *   bare serials.
+ * @param {string|number|bigint} [options.crlNumber] - CRL number (`crlnumber` file); 1 by default.
+ * @param {Date} [options.lastUpdate] - thisUpdate, now by default.
+ * @param {Date} [options.nextUpdate] - nextUpdate; overrides `days` and `hours`.
+ * @param {number} [options.days=30] - Days until the next CRL (`-crldays`).
+ * @param {number} [options.hours=0] - Additional hours until the next CRL (`-crlhours`).
+ * @param {string} [options.hashAlgo='sha256'] - Signature digest (`-md`).
+ * @param {string|Uint8Array|ArrayBuffer} [options.input] - PEM or DER CRL to parse (`-in`).
+ * @param {string|number|bigint} [options.serial] - Serial to look up in the parsed CRL.
+ * @param {string|Uint8Array} [options.certificate] - Certificate to look up in the parsed CRL; its issuer
+ *   must be the CRL issuer.
+ * @param {boolean} [options.base64=false] - Base64 DER without PEM headers, for the output when
+ *   generating and for string input when parsing.
+ * @returns {Promise<Object>} When generating: `{ crl, crlNumber }` (PEM and hex). When parsing: `version`,
+ *   `signatureAlgorithm`, `issuer` (`[{ CN: 'value' }]`), `issuerName` (OpenSSL one-line form), `lastUpdate`,
+ *   `nextUpdate` (Date or null), `crlNumber` (hex or null), `authorityKeyIdentifier` (hex or null),
+ *   `revoked` (`[{ serial, revocationDate, reason, invalidityDate }]`), `extensions` (decoded) and `pem`;
+ *   `verified` (boolean) with `caCert`; `status` (`{ serial, revoked, revocationDate, reason }`) with
+ *   `serial` or `certificate`.
+ * @throws {Error} If an input cannot be read, the CA key does not match, or an entry is invalid.
+ *
+ * @example
+ * // openssl ca -gencrl -cert ca.crt -keyfile ca.key -crldays 7 (after openssl ca -revoke ... -crl_reason keyCompromise)
+ * const { crl: crlPem } = await crl({
+ *   gencrl: true,
+ *   caCert,
+ *   caKey,
+ *   crlNumber: 4,
+ *   days: 7,
+ *   revoked: [{ serial: '1a2b3c', reason: 'keyCompromise', revocationDate: new Date('2024-05-01') }]
+ * });
+ *
+ * @example
+ * // openssl crl -in ca.crl -CAfile ca.crt -noout, then look up a certificate
+ * const { verified, status } = await crl({ input: crlPem, caCert, certificate: leafPem });
+ * if (status.revoked) console.log(`revoked on ${status.revocationDate}: ${status.reason}`);
+ */
+export async function crl(options = {}) {
+  if (options.gencrl) {
+    return generateCRL(options);
+  }
+  if (!options.input) {
+    throw new InvalidArgumentError('CRL input required (or set gencrl: true)', { module: 'crl' });
+  }
+  return parseCRL(options);
+}
+
+/**
+ * Build one revokedCertificates entry.
+ * @param {RevokedEntry|string|number} entry - Entry or bare serial.
+ * @param {Date} lastUpdate - Default revocation date.
+ * @returns {Object} forge ASN.1 SEQUENCE { userCertificate, revocationDate, crlEntryExtensions }.
+ */
+function revokedToAsn1(entry, lastUpdate) {
+  const { serial, revocationDate = lastUpdate, reason, invalidityDate } =
+    typeof entry === 'object' && entry !== null ? entry : { serial: entry };
+  if (serial === undefined || serial === null) {
+    throw new InvalidArgumentError('Each revoked entry needs a serial', { module: 'crl' });
+  }
+
+  const extensions = [];
+  if (reason !== undefined && reason !== null) {
+    const code = crlReasonCode(reason);
+    // RFC 5280 section 5.3.1: removeFromCRL only appears in delta CRLs, and gencrl issues full CRLs
+    if (code === CRL_REASONS.removeFromCRL) {
+      throw new InvalidArgumentError(`removeFromCRL is only valid in a delta CRL (serial ${serial})`, {
+        module: 'crl'
+      });
+    }
+    extensions.push({
+      id: EXTENSION_OIDS.cRLReason,
+      critical: false,
+      value: asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false,
+        String.fromCharCode(code))).getBytes()
+    });
+  }
+  if (invalidityDate !== undefined && invalidityDate !== null) {
+    // Always GeneralizedTime (RFC 5280 section 5.3.2)
+    extensions.push({
+      id: EXTENSION_OIDS.invalidityDate,
+      critical: false,
+      value: asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+        asn1.dateToGeneralizedTime(new Date(invalidityDate)))).getBytes()
+    });
+  }
+
+  const fields = [serialToAsn1(normalizeSerial(serial)), timeToAsn1(new Date(revocationDate))];
+  if (extensions.length > 0) {
+    fields.push(extensionsToAsn1(extensions));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, fields);
+}
+
+/**
+ * Issue a signed v2 CRL.
+ * @param {Object} options - See {@link crl}.
+ * @returns {Promise<{crl: string, crlNumber: string}>} PEM (or base64) CRL and its number (hex).
+ * @throws {Error} If the CA inputs are missing or do not match.
+ */
+async function generateCRL(options) {
+  const {
+    caCert,
+    caKey,
+    passin,
+    revoked = [],
+    crlNumber = 1,
+    lastUpdate = new Date(),
+    nextUpdate,
+    days = 30,
+    hours = 0,
+    hashAlgo = 'sha256',
+    base64 = false
+  } = options;
+
+  if (!caCert || !caKey) {
+    throw new InvalidArgumentError('caCert and caKey are required to generate a CRL', { module: 'crl' });
+  }
+  if (!Array.isArray(revoked)) {
+    throw new InvalidArgumentError('revoked must be an array of entries or serials', { module: 'crl' });
+  }
+
+  const issuerCert = loadCertificate(caCert);
+  const signingKey = loadKey(caKey, passin);
+  if (signingKey.kind !== 'private') {
+    throw new InvalidArgumentError('caKey must be a private key', { module: 'crl' });
+  }
+  if (!bytesEqual(publicKeyFromPrivate(signingKey), issuerCert.spki)) {
+    throw new InvalidArgumentError('CA certificate and CA private key do not match', { module: 'crl' });
+  }
+
+  const thisUpdate = new Date(lastUpdate);
+  const next = nextUpdate ? new Date(nextUpdate) : new Date(thisUpdate.getTime() + (days * 24 + hours) * 3600000);
+  if (!(next > thisUpdate)) {
+    throw new InvalidArgumentError('Invalid CRL period: nextUpdate must be after lastUpdate', { module: 'crl' });
+  }
+
+  const numberHex = normalizeSerial(crlNumber);
+  const issuerSki = getExtension(issuerCert, 'subjectKeyIdentifier');
+  const crlExtensions = [
+    ...parseExtensions({ authorityKeyIdentifier: 'keyid' }, {
+      issuerSpki: issuerCert.spki,
+      issuerKeyId: issuerSki ? hexToBytes(issuerSki.keyIdentifier) : undefined
+    }),
+    { id: EXTENSION_OIDS.cRLNumber, critical: false, value: asn1.toDer(serialToAsn1(numberHex)).getBytes() }
+  ];
+
+  const hashName = normalizeSignatureHash(hashAlgo);
+  const tbs = [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x01'),
+    signatureAlgorithmIdentifier(signingKey.type, hashName),
+    derToAsn1(issuerCert.subjectDer),
+    timeToAsn1(thisUpdate),
+    timeToAsn1(next)
+  ];
+  // An empty revokedCertificates list is omitted (RFC 5280 section 5.1.2.6)
+  if (revoked.length > 0) {
+    tbs.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+      revoked.map(entry => revokedToAsn1(entry, thisUpdate))));
+  }
+  tbs.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [extensionsToAsn1(crlExtensions)]));
+
+  const der = await signAsn1(signingKey, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbs), hashName);
+  const pem = pemEncode('X509 CRL', der);
+  return {
+    crl: base64 ? pem.replace(/-----[A-Z0-9 ]+-----|\s/g, '') : pem,
+    crlNumber: numberHex
+  };
+}
+
+/**
+ * Parse a CRL and optionally verify it and look up a certificate.
+ * @param {Object} options - See {@link crl}.
+ * @returns {Promise<Object>} CRL details.
+ * @throws {Error} If an input cannot be read or the certificate has another issuer.
+ */
+async function parseCRL(options) {
+  const { input, base64 = false, caCert, serial, certificate } = options;
+
+  const parsed = loadCRL(input, base64);
+  const findExtension = (extensions, name) => extensions.find(e => e.name === name);
+  const revoked = parsed.revoked.map((entry) => {
+    const reason = findExtension(entry.extensions, 'cRLReason');
+    const invalidity = findExtension(entry.extensions, 'invalidityDate');
+    return {
+      serial: entry.serial,
+      revocationDate: entry.revocationDate,
+      reason: reason ? reason.reason : null,
+      invalidityDate: invalidity ? invalidity.date : null
+    };
+  });
+  const number = findExtension(parsed.extensions, 'cRLNumber');
+  const aki = findExtension(parsed.extensions, 'authorityKeyIdentifier');
+
+  const result = {
+    version: parsed.version,
+    signatureAlgorithm: parsed.signatureAlgorithm,
+    issuer: nameToObjects(parsed.issuer),
+    issuerName: formatName(parsed.issuer),
+    lastUpdate: parsed.lastUpdate,
+    nextUpdate: parsed.nextUpdate,
+    crlNumber: number ? number.number : null,
+    authorityKeyIdentifier: aki && aki.keyIdentifier ? aki.keyIdentifier : null,
+    revoked,
+    extensions: parsed.extensions,
+    pem: pemEncode('X509 CRL', parsed.der)
+  };
+
+  if (caCert) {
+    const issuerCert = loadCertificate(caCert);
+    result.verified = bytesEqual(issuerCert.subjectDer, parsed.issuerDer) &&
+      await verifySignedAsn1(loadKey(issuerCert.spki), parsed.der);
+  }
+
+  if (serial !== undefined || certificate) {
+    let serialHex;
+    if (certificate) {
+      const cert = loadCertificate(certificate);
+      if (!bytesEqual(cert.issuerDer, parsed.issuerDer)) {
+        throw new InvalidArgumentError(
+          `Certificate issuer (${formatName(cert.issuer)}) is not the CRL issuer (${result.issuerName})`,
+          { module: 'crl' }
+        );
+      }
+      serialHex = cert.serial;
+    } else {
+      serialHex = normalizeSerial(serial);
+    }
+    const entry = revoked.find(e => normalizeSerial(e.serial) === serialHex);
+    result.status = entry
+      ? { serial: serialHex, revoked: true, revocationDate: entry.revocationDate, reason: entry.reason }
+      : { serial: serialHex, revoked: false, revocationDate: null, reason: null };
+  }
+  return result;
+}
@@ -1,27 +1,72 @@
 /**
  * Message digest/hashing module (openssl dgst equivalent).
- * Uses crypto.subtle.digest() for secure hashing with polyfills for gaps.
+ * Uses crypto.subtle.digest() for secure hashing; the digests Web Crypto lacks
+ * come from utils/digests.
  * 
  * @module dgst
  */
 
-import CryptoJS from 'crypto-js';
+import { toBytes, formatBytes } from '../utils/encoding.js';
+import { loadKey } from '../utils/keys.js';
+import { signData, verifyData, normalizeSignatureHash } from '../utils/signature.js';
+import { getDigest, createDigest, digestBytes } from '../utils/digests.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { assertAlgorithmAllowed } from '../utils/config.js';
+import { isBlob, isReadableStream, readChunks } from '../utils/streams.js';
+import { hmac as computeHmac, parseMacopt, resolveMacKey } from './mac.js';
 
 /**
  * Compute hash digest of input data.
  * 
  * @param {Object} options - Hashing options.
- * @param {string} options.algorithm - Hash algorithm ('SHA-1', 'SHA-256', 'SHA-384', 'SHA-512', 'MD5').
- * @param {string|Uint8Array|ArrayBuffer} options.input - Data to hash.
+ * @param {string} options.algorithm - Hash algorithm: 'SHA-1', 'SHA-224', 'SHA-256', 'SHA-384', 'SHA-512',
+ *   'SHA-512/224', 'SHA-512/256', 'SHA3-224/256/384/512', 'SHAKE-128', 'SHAKE-256', 'MD5', 'RIPEMD-160',
+ *   'BLAKE2B-512' or 'BLAKE2S-256'; OpenSSL aliases such as 'sha3-256' or 'rmd160' work too.
+ * @param {string|Uint8Array|ArrayBuffer|Blob|ReadableStream} options.input - Data to hash. Blob/File and
+ *   ReadableStream inputs are hashed incrementally (plain digests only).
  * @param {boolean} [options.base64=false] - Output as base64 string.
  * @param {boolean} [options.hex=false] - Output as hexadecimal string (default for OpenSSL compatibility).
  * @param {boolean} [options.raw=false] - Return raw ArrayBuffer.
- * @returns {Promise<string|ArrayBuffer>} Hash digest in specified format.
- * @throws {Error} If algorithm unsupported or input invalid.
+ * @param {number} [options.xoflen] - Output length in bytes for SHAKE-128/256 (`-xoflen`); defaults to 16 and
+ *   32.
+ * @param {function({loaded: number, total?: number})} [options.onProgress] - Progress callback for Blob/stream input.
+ * @param {number} [options.chunkSize=1048576] - Bytes read per Blob slice.
+ * @param {string|Uint8Array|CryptoKey} [options.hmac] - HMAC key; compute an HMAC with `algorithm` (`-hmac key`).
+ * @param {string|string[]} [options.macopt] - HMAC key options such as 'hexkey:0a1b...' (`-macopt`).
+ * @param {string|Uint8Array} [options.sign] - PEM/DER private key; sign the input instead of hashing (`-sign`).
+ * @param {string|Uint8Array} [options.verify] - PEM/DER public key; verify `signature` over the input (`-verify`).
+ * @param {string|Uint8Array} [options.prverify] - PEM/DER private key; verify using its public half (`-prverify`).
+ * @param {string|Uint8Array|ArrayBuffer} [options.signature] - Signature to verify (hex, or base64 with `base64`).
+ * @param {string} [options.padding='pkcs1'] - RSA padding: 'pkcs1' or 'pss' (`-sigopt rsa_padding_mode:pss`).
+ * @param {number|string} [options.saltLength='digest'] - RSA-PSS salt length in bytes, 'digest' or 'max' (`-sigopt rsa_pss_saltlen:N`).
+ * @returns {Promise<string|ArrayBuffer|boolean>} Hash digest or signature in specified format; boolean when verifying.
+ * @throws {UnsupportedAlgorithmError} If the algorithm is unknown.
+ * @throws {InvalidArgumentError} If the input is missing or invalid, or `xoflen` is given for a fixed-size
+ *   digest.
+ * @throws {PolicyError} If the algorithm needs CryptoJS in strict mode, or fipsLike refuses it (MD5,
+ *   RIPEMD-160, BLAKE2).
  * 
  * @example
  * const hash = await dgst({ algorithm: 'SHA-256', input: 'Hello World', hex: true });
  * // Output: "315f5bdb76d078c43b8ac0064e4a0164612b1fce77c869345bfc94c75894edd3"
+ *
+ * @example
+ * // openssl dgst -shake256 -xoflen 64
+ * const long = await dgst({ algorithm: 'SHAKE-256', input: 'Hello World', xoflen: 64 });
+ *
+ * @example
+ * // openssl dgst -sha256 -sign key.pem | openssl dgst -sha256 -verify pub.pem -signature sig.bin
+ * const sig = await dgst({ algorithm: 'SHA-256', input: 'Hello World', sign: privateKeyPem });
+ * const ok = await dgst({ algorithm: 'SHA-256', input: 'Hello World', verify: publicKeyPem, signature: sig });
+ * // ok: true
+ *
+ * @example
+ * // openssl dgst -sha256 -hmac secret
+ * const tag = await dgst({ algorithm: 'SHA-256', input: 'payload', hmac: 'secret' });
+ *
+ * @example
+ * // Hash a File from <input type=file> without loading it into memory
+ * const hash = await dgst({ algorithm: 'SHA-256', input: file, onProgress: ({ loaded, total }) => {} });
  */
 export async function dgst(options = {}) {
   const { 
@@ -29,11 +74,32 @@ export async function dgst(options = {}) {
     input, 
     base64 = false, 
     hex = true, 
-    raw = false 
+    raw = false,
+    xoflen,
+    hmac,
+    macopt,
+    sign,
+    verify,
+    prverify,
+    signature,
+    padding = 'pkcs1',
+    saltLength = 'digest',
+    onProgress,
+    chunkSize = 1 << 20
   } = options;
 
   if (!input) {
-    throw new Error('Input data required for hashing');
+    throw new InvalidArgumentError('Input data required for hashing', { module: 'dgst' });
+  }
+  if (xoflen !== undefined && (hmac !== undefined || macopt || sign || verify || prverify)) {
+    throw new InvalidArgumentError('xoflen only applies to plain digests', { module: 'dgst' });
+  }
+
+  if (isBlob(input) || isReadableStream(input)) {
+    if (hmac !== undefined || macopt || sign || verify || prverify) {
+      throw new InvalidArgumentError('Blob/stream input is only supported for plain digests', { module: 'dgst' });
+    }
+    return hashStream(input, algorithm, { base64, hex, raw, xoflen, onProgress, chunkSize });
   }
 
   // Normalize input to Uint8Array
@@ -45,98 +111,118 @@ export async function dgst(options = {}) {
   } else if (input instanceof ArrayBuffer) {
     data = new Uint8Array(input);
   } else {
-    throw new Error('Unsupported input type; must be string, Uint8Array, or ArrayBuffer');
+    throw new InvalidArgumentError('Unsupported input type; must be string, Uint8Array, or ArrayBuffer', {
+      module: 'dgst'
+    });
   }
 
-  // Map OpenSSL-style algos to Web Crypto
-  const webCryptoAlgo = {
-    'SHA-1': 'SHA-1',
-    'SHA1': 'SHA-1',
-    'SHA-256': 'SHA-256',
-    'SHA256': 'SHA-256',
-    'SHA-384': 'SHA-384',
-    'SHA384': 'SHA-384',
-    'SHA-512': 'SHA-512',
-    'SHA512': 'SHA-512',
-    'MD5': null // Not supported in Web Crypto
-  }[algorithm.toUpperCase()] || algorithm;
+  if (hmac !== undefined || macopt) {
+    const { key, hexkey } = parseMacopt(macopt);
+    const tag = await computeHmac(algorithm, resolveMacKey({ key: hmac !== undefined ? hmac : key, hexkey }), data);
+    if (raw) return tag.buffer;
+    return formatBytes(tag, { base64, hex });
+  }
 
-  if (typeof window !== 'undefined' && window.crypto && window.crypto.subtle) {
-    try {
-      if (webCryptoAlgo && webCryptoAlgo !== 'MD5') {
-        // Use Web Crypto API for supported algorithms
-        const hashBuffer = await window.crypto.subtle.digest(webCryptoAlgo, data);
+  if (sign || verify || prverify) {
+    const hashName = normalizeSignatureHash(algorithm, 'dgst');
+    assertAlgorithmAllowed('dgst', hashName);
+    const sigOptions = { hashName, padding: padding.toLowerCase(), saltLength };
 
-        if (raw) return hashBuffer;
+    if (sign) {
+      const sigBytes = await signData(loadKey(sign), data, sigOptions);
+      if (raw) return sigBytes.buffer;
+      return formatBytes(sigBytes, { base64, hex });
+    }
 
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        if (base64) {
-          return btoa(String.fromCharCode(...hashArray));
-        } else if (hex) {
-          return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        } else {
-          return hashArray; // Array of bytes
-        }
-      } else {
-        // MD5 or unsupported algo - fallback
-        throw new Error(`Algorithm ${algorithm} not supported by Web Crypto`);
-      }
-    } catch (error) {
-      // Fallback to CryptoJS for MD5 or errors
-      console.warn(`Web Crypto failed for ${algorithm}; using CryptoJS fallback`, error.message);
-      return cryptoJSHash(data, algorithm, base64, hex, raw);
+    if (signature === undefined || signature === null) {
+      throw new InvalidArgumentError('Signature required for verification', { module: 'dgst' });
     }
-  } else {
-    // No Web Crypto available
-    console.warn('Web Crypto unavailable; using CryptoJS for all hashing');
-    return cryptoJSHash(data, algorithm, base64, hex, raw);
+    const sigBytes = typeof signature === 'string'
+      ? toBytes(signature, { base64, hex: !base64 })
+      : toBytes(signature);
+    const key = loadKey(verify || prverify);
+    if (verify && key.kind !== 'public') {
+      throw new InvalidArgumentError('verify expects a public key; use prverify for a private key', {
+        module: 'dgst'
+      });
+    }
+    return verifyData(key, data, sigBytes, sigOptions);
   }
+
+  const digest = getDigest(algorithm);
+  return formatDigest(await digestBytes(digest, data, 'dgst', xoflen), { base64, hex, raw });
 }
 
 /**
- * Internal CryptoJS hashing fallback.
- * @param {Uint8Array} data - Input bytes.
- * @param {string} algorithm - Hash algorithm.
- * @param {boolean} base64 - Base64 output.
- * @param {boolean} hex - Hex output.
- * @param {boolean} raw - Raw output.
- * @returns {Promise<string|ArrayBuffer>} Hash result.
+ * Format digest bytes the way dgst() does.
+ * @param {Uint8Array} bytes - Digest bytes.
+ * @param {Object} format - base64/hex/raw flags.
+ * @returns {string|ArrayBuffer|number[]} Formatted digest.
  */
-async function cryptoJSHash(data, algorithm, base64, hex, raw) {
-  const cryptoJSAlgo = {
-    'SHA-1': CryptoJS.algo.SHA1,
-    'SHA1': CryptoJS.algo.SHA1,
-    'SHA-256': CryptoJS.algo.SHA256,
-    'SHA256': CryptoJS.algo.SHA256,
-    'SHA-384': CryptoJS.algo.SHA384,
-    'SHA384': CryptoJS.algo.SHA384,
-    'SHA-512': CryptoJS.algo.SHA512,
-    'SHA512': CryptoJS.algo.SHA512,
-    'MD5': CryptoJS.algo.MD5
-  }[algorithm.toUpperCase()] || CryptoJS.algo.SHA256;
+function formatDigest(bytes, { base64 = false, hex = true, raw = false }) {
+  if (raw) return bytes.buffer;
+  if (base64 || hex) return formatBytes(bytes, { base64, hex });
+  return Array.from(bytes); // Array of bytes
+}
 
-  const wordArray = CryptoJS.lib.WordArray.create(data);
-  const hash = CryptoJS[cryptoJSAlgo.create ? 'algo' : ''][cryptoJSAlgo.name || cryptoJSAlgo].create
-    ? CryptoJS.algo[cryptoJSAlgo.name || 'SHA256'].create().finalize(wordArray)
-    : CryptoJS[cryptoJSAlgo.name || 'SHA256'](wordArray);
+/**
+ * Create an incremental hasher for data that arrives in pieces.
+ * `subtle.digest` cannot stream, so SHA-1 and SHA-2 use node-forge's
+ * digests; the result is identical to the one-shot {@link dgst} output.
+ *
+ * @param {string} [algorithm='SHA-256'] - Any {@link dgst} algorithm.
+ * @param {Object} [options] - Hasher options.
+ * @param {number} [options.xoflen] - Output length in bytes for SHAKE-128/256.
+ * @returns {{algorithm: string, update: function((string|Uint8Array|ArrayBuffer)): Object, digest: function(Object=): (string|ArrayBuffer)}}
+ *   Hasher; `update()` returns the hasher, `digest({ base64, hex, raw })` finishes it.
+ * @throws {UnsupportedAlgorithmError} If the algorithm is unknown.
+ * @throws {InvalidArgumentError} If `xoflen` is given for a fixed-size digest.
+ * @throws {PolicyError} If the algorithm needs CryptoJS in strict mode, or fipsLike refuses it.
+ *
+ * @example
+ * const hasher = createHash('SHA-256');
+ * hasher.update('Hello ').update('World');
+ * hasher.digest(); // "a591a6d40bf420404a011733cfb7b190d62c65bf0bcda32b57b277d9ad9f146e"
+ */
+export function createHash(algorithm = 'SHA-256', options = {}) {
+  const md = createDigest(getDigest(algorithm), 'dgst', options.xoflen);
+  let finished = false;
 
-  if (raw) {
-    return hash.toString(CryptoJS.enc.Latin1).split('').map(c => c.charCodeAt(0)).buffer;
-  }
+  return {
+    algorithm,
+    update(input) {
+      if (finished) {
+        throw new InvalidArgumentError('Hasher already finalized', { module: 'dgst' });
+      }
+      md.update(toBytes(input));
+      return this;
+    },
+    digest(format = {}) {
+      if (finished) {
+        throw new InvalidArgumentError('Hasher already finalized', { module: 'dgst' });
+      }
+      finished = true;
+      return formatDigest(md.digest(), format);
+    }
+  };
+}
 
-  const result = hash.toString(base64 ? CryptoJS.enc.Base64 : (hex ? CryptoJS.enc.Hex : CryptoJS.enc.Latin1));
-  
-  if (base64 && !hex) {
-    return result;
-  } else if (hex) {
-    return result;
+/**
+ * Hash a Blob or ReadableStream in chunks.
+ * @param {Blob|ReadableStream} input - Data source.
+ * @param {string} algorithm - Hash algorithm.
+ * @param {Object} options - Format flags, xoflen, onProgress and chunkSize.
+ * @returns {Promise<string|ArrayBuffer>} Digest in specified format.
+ */
+async function hashStream(input, algorithm, { onProgress, chunkSize, xoflen, ...format }) {
+  const hasher = createHash(algorithm, { xoflen });
+  const total = isBlob(input) ? input.size : undefined;
+  let loaded = 0;
+  for await (const chunk of readChunks(input, chunkSize)) {
+    hasher.update(chunk);
+    loaded += chunk.length;
+    if (onProgress) onProgress({ loaded, total });
   }
 
-  // Default to hex for OpenSSL compatibility
-  return hash.toString(CryptoJS.enc.Hex);
+  return hasher.digest(format);
 }
-
-// Export for CommonJS
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { dgst };
-}
\ No newline at end of file
@@ -1,29 +1,79 @@
 /**
  * Symmetric encryption/decryption module (openssl enc equivalent).
- * Uses crypto.subtle.encrypt/decrypt with PBKDF2 key derivation.
+ * Keys are derived with PBKDF2; the ciphers themselves live in utils/ciphers.
  * 
  * @module enc
  */
 
-import CryptoJS from 'crypto-js';
 import forge from 'node-forge';
+import {
+  toBytes,
+  formatBytes,
+  concatBytes,
+  hexToBytes,
+  bytesToBinaryString,
+  binaryStringToBytes
+} from '../utils/encoding.js';
+import { randomBytes, isCryptoKey } from '../utils/webcrypto.js';
+import { getCipher, cipherCrypt } from '../utils/ciphers.js';
+import { pbkdf2 as pbkdf2Derive } from '../utils/kdf.js';
+import { encryptStream, decryptStream } from '../utils/aeadstream.js';
+import { isBlob, isReadableStream } from '../utils/streams.js';
+import { InvalidArgumentError, InvalidEncodingError, UnsupportedAlgorithmError } from '../utils/errors.js';
+import { assertAlgorithmAllowed, debug } from '../utils/config.js';
+
+/** Magic prefix of the `openssl enc` salted container. */
+const SALTED_MAGIC = new Uint8Array([0x53, 0x61, 0x6c, 0x74, 0x65, 0x64, 0x5f, 0x5f]); // "Salted__"
 
 /**
  * Encrypt or decrypt data using symmetric cipher.
  * 
  * @param {Object} options - Encryption options.
- * @param {string} options.algorithm - Cipher algorithm (e.g., 'AES-256-CBC', 'AES-128-GCM').
- * @param {string|Uint8Array|ArrayBuffer} options.input - Data to encrypt/decrypt.
+ * @param {string} options.algorithm - Cipher name: AES-128/192/256 with -CBC, -ECB, -CFB, -OFB, -CTR, -GCM
+ *   or -WRAP (RFC 3394 key wrap), CHACHA20-POLY1305 or DES-EDE3-CBC. See {@link list} for what the
+ *   runtime supports.
+ * @param {string|Uint8Array|ArrayBuffer|Blob|ReadableStream} options.input - Data to encrypt/decrypt. Blob
+ *   and ReadableStream input selects streaming mode: segmented AES-GCM or ChaCha20-Poly1305 with a
+ *   per-stream key, returning a ReadableStream in `data`. Only `password`/`key`, `iterations`, `aad` and
+ *   `chunkSize` apply, and decryption reads the rest from the stream header.
  * @param {boolean} [options.decrypt=false] - Decrypt mode.
- * @param {string} [options.password] - Password for key derivation (required for encryption).
- * @param {string} [options.salt] - Salt for PBKDF2 (auto-generated if missing).
+ * @param {string} [options.password] - Password for key derivation; either this or `key` is required.
+ * @param {string|Uint8Array|CryptoKey} [options.key] - Raw key instead of a password (`-K`): hex, or
+ *   base64 with `base64`, bytes, or a CryptoKey (used directly if it suits the cipher, else exported).
+ * @param {string|Uint8Array} [options.salt] - Salt for PBKDF2 (`-S`): hex, or base64 with `base64`, or bytes
+ *   (auto-generated if missing; required to decrypt).
+ * @param {boolean} [options.nosalt=false] - Derive the key without a salt (`-nosalt`).
+ * @param {number} [options.saltLength=16] - Size of a generated salt in bytes.
  * @param {number} [options.iterations=10000] - PBKDF2 iterations.
- * @param {string} [options.iv] - Initialization vector (hex/base64; auto-generated if missing).
+ * @param {string} [options.md='sha256'] - PBKDF2 digest ('sha1', 'sha256', 'sha384', 'sha512'); in
+ *   OpenSSL format, the key derivation digest (`-md`).
+ * @param {string|Uint8Array} [options.iv] - Initialization vector (`-iv`): hex, or base64 with `base64`, or
+ *   bytes (auto-generated if missing). Its length depends on the cipher: 16 bytes for AES-CBC/CFB/OFB/CTR,
+ *   12 for GCM and ChaCha20-Poly1305, 8 for DES-EDE3-CBC; ECB and key wrap take none.
+ * @param {string|Uint8Array} [options.aad] - Additional authenticated data for GCM and ChaCha20-Poly1305.
+ * @param {string|Uint8Array} [options.tag] - Authentication tag to check when decrypting, hex or base64 like
+ *   `iv`; without it the tag is read from the end of `input`.
+ * @param {number} [options.tagLength=128] - Tag length in bits; GCM also takes 32, 64, 96, 104, 112 and 120.
+ * @param {number} [options.chunkSize=65536] - Plaintext bytes per segment in streaming mode.
  * @param {boolean} [options.base64=false] - Output/input as base64.
  * @param {boolean} [options.hex=false] - Output/input as hex.
  * @param {boolean} [options.raw=false] - Return raw Uint8Array (ignores formatting).
- * @returns {Promise<{data: string|Uint8Array, iv?: string, salt?: string, key?: CryptoKey}>} Result with data and metadata.
- * @throws {Error} If algorithm unsupported, password missing, or crypto unavailable.
+ * @param {boolean} [options.opensslFormat=false] - Read/write the `openssl enc` "Salted__" container
+ *   (key and IV derived from the password and the 8-byte header salt). See {@link opensslEnc}. Has no
+ *   effect with `key`: like `openssl enc -K`, raw-key output has no header.
+ * @param {boolean} [options.pbkdf2=false] - Use PBKDF2 instead of EVP_BytesToKey in OpenSSL format (`-pbkdf2`).
+ * @returns {Promise<{data: string|Uint8Array|ReadableStream, iv?: string, salt?: string, tag?: string,
+ *   params: Object}>}
+ *   Result: `iv`, `salt` and `tag` are hex unless `base64` or `raw` is set. `iv` is omitted for ciphers
+ *   without one, `salt` in raw-key and nosalt mode, and `tag` holds the AEAD tag when encrypting. `params`
+ *   records the settings used: `algorithm`, `kdf` ('PBKDF2', or null for a raw key), `md`, `iterations`,
+ *   `saltLength`, `ivLength` and, for AEAD ciphers, `tagLength`.
+ * @throws {InvalidArgumentError} If the password, key, IV or salt is missing, options conflict, or a
+ *   length does not fit the cipher.
+ * @throws {UnsupportedAlgorithmError} If the cipher or digest is unknown.
+ * @throws {BadDecryptError} If decryption fails: wrong password, corrupted data, a failed tag check or a
+ *   key unwrap integrity failure.
+ * @throws {PolicyError} If Web Crypto cannot run the cipher and strict mode disables the fallback.
  * 
  * @example
  * const encrypted = await enc({
@@ -32,7 +82,30 @@ import forge from 'node-forge';
  *   password: 'secret',
  *   base64: true
  * });
- * // { data: "encrypted_base64", iv: "iv_base64", salt: "salt_base64" }
+ * // { data: "encrypted_base64", iv: "iv_base64", salt: "salt_base64", params: {...} }
+ *
+ * @example
+ * // Same as: openssl enc -aes-128-cbc -K 000102030405060708090a0b0c0d0e0f \
+ * //   -iv 0f0e0d0c0b0a09080706050403020100 | xxd -p
+ * const { data } = await enc({
+ *   algorithm: 'AES-128-CBC',
+ *   input: new TextEncoder().encode('Hello World'),
+ *   key: '000102030405060708090a0b0c0d0e0f',
+ *   iv: '0f0e0d0c0b0a09080706050403020100',
+ *   hex: true
+ * });
+ * // data: "0da1b607e39dc00e586eaf696188bb48"
+ *
+ * @example
+ * // Same as: echo -n 'Hello World' | openssl enc -aes-256-cbc -pbkdf2 -iter 10000 -a -k secret
+ * const { data } = await enc({
+ *   algorithm: 'AES-256-CBC',
+ *   input: 'Hello World',
+ *   password: 'secret',
+ *   opensslFormat: true,
+ *   pbkdf2: true
+ * });
+ * // data: "U2FsdGVkX1..."
  */
 export async function enc(options = {}) {
   const { 
@@ -40,324 +113,301 @@ export async function enc(options = {}) {
     input, 
     decrypt = false, 
     password, 
+    key,
     salt, 
+    nosalt = false,
+    saltLength = 16,
     iterations = 10000, 
+    md = 'sha256',
     iv, 
+    aad,
+    tag,
+    tagLength = 128,
     base64 = false, 
     hex = false, 
-    raw = false 
+    raw = false,
+    opensslFormat = false,
+    pbkdf2 = false
   } = options;
 
   if (!input) {
-    throw new Error('Input data required');
+    throw new InvalidArgumentError('Input data required', { module: 'enc' });
   }
-
-  if (decrypt && (!password || !iv)) {
-    throw new Error('Password and IV required for decryption');
+  if (password && key !== undefined) {
+    throw new InvalidArgumentError('Use either password or key, not both', { module: 'enc' });
+  }
+  if (!password && key === undefined) {
+    throw new InvalidArgumentError(`Password or key required for ${decrypt ? 'decryption' : 'encryption'}`, {
+      module: 'enc'
+    });
   }
 
-  if (!decrypt && !password) {
-    throw new Error('Password required for encryption');
+  if (isBlob(input) || isReadableStream(input)) {
+    return encStream(options);
   }
 
-  // Normalize input
-  let data;
-  if (typeof input === 'string') {
-    console.log('enc: input type=string, value=', input.substring(0, 50) + '...', 'base64=', base64, 'hex=', hex);
-    if (base64) {
-      try {
-        const decoded = atob(input);
-        console.log('enc: base64 decoded length=', decoded.length, 'first chars=', decoded.substring(0, 20));
-        data = Uint8Array.from(decoded, c => {
-          if (typeof c !== 'string') {
-            console.error('enc: non-string char in base64 decode, type=', typeof c, 'value=', c);
-            throw new Error('Invalid base64 decoding: non-string character');
-          }
-          return c.charCodeAt(0);
-        });
-      } catch (e) {
-        console.error('enc: base64 decode failed for input=', input.substring(0, 50) + '...', 'error=', e.message);
-        throw new Error(`Base64 decode failed: ${e.message}. Ensure input is valid base64 when base64=true.`);
-      }
-    } else if (hex) {
-      const hexMatch = input.match(/.{1,2}/g);
-      if (!hexMatch) throw new Error('Invalid hex input');
-      data = new Uint8Array(hexMatch.map(byte => parseInt(byte, 16)));
-    } else {
-      data = new TextEncoder().encode(input);
-    }
-  } else if (input instanceof Uint8Array) {
-    data = input;
-    console.log('enc: input type=Uint8Array, length=', data.length);
-  } else if (input instanceof ArrayBuffer) {
-    data = new Uint8Array(input);
-    console.log('enc: input type=ArrayBuffer, length=', data.length);
-  } else {
-    console.error('enc: unsupported input type=', typeof input, 'instanceof=', input instanceof Object ? input.constructor.name : 'n/a');
-    throw new Error('Unsupported input type');
+  const cipher = getCipher(algorithm);
+  if (!cipher.aead && (aad !== undefined || tag !== undefined || options.tagLength !== undefined)) {
+    throw new InvalidArgumentError(`${cipher.name} is not an AEAD cipher: aad, tag and tagLength do not apply`, {
+      module: 'enc'
+    });
   }
 
-  // Parse algorithm
-  const [cipher, mode] = algorithm.split('-');
-  const keyLength = parseInt(algorithm.match(/(\d+)/)?.[0]) || 256;
-  const isGCM = mode === 'GCM';
+  if (opensslFormat && password) {
+    return opensslEnc({ cipher, input, decrypt, password, salt, nosalt, md, pbkdf2, iterations, base64, hex, raw });
+  }
 
-  if (typeof window !== 'undefined' && window.crypto && window.crypto.subtle) {
-    try {
-      // Generate or parse salt
-      let finalSalt;
-      if (salt) {
-        console.log('enc: salt provided, type=string, value=', salt.substring(0, 50) + '...', 'base64=', base64, 'hex=', hex);
-        if (base64) {
-          try {
-            const decodedSalt = atob(salt);
-            console.log('enc: salt base64 decoded length=', decodedSalt.length);
-            finalSalt = Uint8Array.from(decodedSalt, c => {
-              if (typeof c !== 'string') {
-                console.error('enc: non-string char in salt base64 decode, type=', typeof c, 'value=', c);
-                throw new Error('Invalid base64 salt: non-string character');
-              }
-              return c.charCodeAt(0);
-            });
-          } catch (e) {
-            console.error('enc: salt base64 decode failed, error=', e.message);
-            throw new Error(`Salt base64 decode failed: ${e.message}`);
-          }
-        } else if (hex) {
-          const hexMatch = salt.match(/.{1,2}/g);
-          if (!hexMatch) throw new Error('Invalid hex salt');
-          finalSalt = new Uint8Array(hexMatch.map(b => parseInt(b, 16)));
-        } else {
-          finalSalt = new TextEncoder().encode(salt);
-        }
-      } else {
-        finalSalt = window.crypto.getRandomValues(new Uint8Array(16));
-        console.log('enc: auto-generated salt, length=16');
-      }
+  if (decrypt && cipher.ivLength && !iv) {
+    throw new InvalidArgumentError('IV required for decryption', { module: 'enc' });
+  }
+  const useSalt = password && !nosalt;
+  if (decrypt && useSalt && !salt) {
+    throw new InvalidArgumentError('Salt required for decryption (or set nosalt)', { module: 'enc' });
+  }
+  if (!Number.isInteger(saltLength) || saltLength < 1) {
+    throw new InvalidArgumentError('Invalid saltLength: must be a positive integer', { module: 'enc' });
+  }
 
-      // Derive key with PBKDF2
-      const keyMaterial = await window.crypto.subtle.importKey(
-        'raw',
-        new TextEncoder().encode(password),
-        { name: 'PBKDF2' },
-        false,
-        ['deriveBits', 'deriveKey']
-      );
-      
-      const key = await window.crypto.subtle.deriveKey(
-        {
-          name: 'PBKDF2',
-          salt: finalSalt,
-          iterations,
-          hash: 'SHA-256'
-        },
-        keyMaterial,
-        { name: 'AES-' + (isGCM ? 'GCM' : 'CBC'), length: keyLength },
-        false,
-        decrypt ? ['decrypt'] : ['encrypt']
-      );
+  // Strings are base64/hex with the matching flag, UTF-8 otherwise
+  let data = toBytes(input, { base64, hex });
+  if (decrypt && tag !== undefined) {
+    data = concatBytes(data, paramBytes(tag, base64));
+  }
+  debug('enc', `${decrypt ? 'decrypting' : 'encrypting'} ${data.length} bytes with ${cipher.name}`);
 
-      // Generate or parse IV
-      let finalIV;
-      if (iv) {
-        console.log('enc: iv provided, type=string, value=', iv.substring(0, 50) + '...', 'base64=', base64, 'hex=', hex);
-        if (base64) {
-          try {
-            const decodedIV = atob(iv);
-            console.log('enc: iv base64 decoded length=', decodedIV.length);
-            finalIV = Uint8Array.from(decodedIV, c => {
-              if (typeof c !== 'string') {
-                console.error('enc: non-string char in iv base64 decode, type=', typeof c, 'value=', c);
-                throw new Error('Invalid base64 IV: non-string character');
-              }
-              return c.charCodeAt(0);
-            });
-          } catch (e) {
-            console.error('enc: iv base64 decode failed, error=', e.message);
-            throw new Error(`IV base64 decode failed: ${e.message}`);
-          }
-        } else if (hex) {
-          const hexMatch = iv.match(/.{1,2}/g);
-          if (!hexMatch) throw new Error('Invalid hex IV');
-          finalIV = new Uint8Array(hexMatch.map(b => parseInt(b, 16)));
-        } else {
-          finalIV = new TextEncoder().encode(iv);
-        }
-      } else {
-        finalIV = window.crypto.getRandomValues(new Uint8Array(16));
-        console.log('enc: auto-generated IV, length=16');
-      }
+  let finalSalt = new Uint8Array(0);
+  if (useSalt) {
+    finalSalt = salt ? paramBytes(salt, base64) : randomBytes(saltLength);
+  }
+  const finalIV = iv ? paramBytes(iv, base64) : randomBytes(cipher.ivLength);
 
-      let result;
-      if (decrypt) {
-        result = await window.crypto.subtle.decrypt(
-          { name: isGCM ? 'GCM' : 'CBC', iv: finalIV },
-          key,
-          data
-        );
-      } else {
-        result = await window.crypto.subtle.encrypt(
-          { name: isGCM ? 'GCM' : 'CBC', iv: finalIV },
-          key,
-          data
-        );
-      }
+  let cipherKey;
+  if (password) {
+    const mdName = kdfDigest(md);
+    debug('enc', `PBKDF2-${mdName.toUpperCase()} with ${iterations} iterations`, {
+      saltLength: finalSalt.length,
+      ivLength: finalIV.length,
+      generatedSalt: useSalt && !salt,
+      generatedIV: !iv
+    });
+    const passwordBytes = new TextEncoder().encode(password);
+    cipherKey = await pbkdf2Derive(passwordBytes, finalSalt, iterations, mdName, cipher.keyLength);
+  } else if (isCryptoKey(key)) {
+    cipherKey = key;
+  } else {
+    cipherKey = paramBytes(key, base64);
+  }
 
-      const resultArray = new Uint8Array(result);
+  const aeadOptions = { aad: aad === undefined ? undefined : toBytes(aad, { base64, hex }), tagLength };
+  let output = await cipherCrypt(cipher, cipherKey, finalIV, data, decrypt, aeadOptions);
+  let tagBytes = null;
+  if (cipher.aead && !decrypt) {
+    tagBytes = output.subarray(output.length - tagLength / 8);
+    output = output.subarray(0, output.length - tagLength / 8);
+  }
+  const meta = { raw, base64, hex };
 
-      if (raw) {
-        return { 
-          data: resultArray,
-          iv: finalIV,
-          salt: finalSalt
-        };
-      }
+  return {
+    data: formatBytes(output, meta, 'utf8'),
+    ...(cipher.ivLength && { iv: formatBytes(finalIV, meta) }),
+    ...(useSalt && { salt: formatBytes(finalSalt, meta) }),
+    ...(tagBytes && { tag: formatBytes(tagBytes, meta) }),
+    params: {
+      algorithm: cipher.name,
+      kdf: password ? 'PBKDF2' : null,
+      ...(password && { md: md.toLowerCase(), iterations }),
+      saltLength: finalSalt.length,
+      ivLength: finalIV.length,
+      ...(cipher.aead && { tagLength })
+    }
+  };
+}
 
-      // Format output
-      const formatData = (bytes) => {
-        if (base64) {
-          return btoa(String.fromCharCode(...bytes));
-        } else if (hex) {
-          return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-        } else {
-          return new TextDecoder().decode(bytes);
-        }
-      };
+/**
+ * Decode a key, IV, salt or tag option. Like `-K`, `-iv` and `-S`, strings
+ * are hex, or base64 with `base64`; bytes are used as they are.
+ * @param {string|Uint8Array|ArrayBuffer} value - Option value.
+ * @param {boolean} base64 - Strings are base64 rather than hex.
+ * @returns {Uint8Array} Decoded bytes.
+ * @throws {InvalidEncodingError} If a string is not valid hex or base64.
+ */
+function paramBytes(value, base64) {
+  return typeof value === 'string' ? toBytes(value, { base64, hex: !base64 }) : toBytes(value);
+}
 
-      return { 
-        data: formatData(resultArray),
-        iv: formatData(finalIV),
-        salt: formatData(finalSalt)
-      };
+/**
+ * Streaming mode of {@link enc}: Blob or ReadableStream input, encrypted in
+ * segments (see utils/aeadstream) so memory use does not grow with the input.
+ * Decryption reads the cipher, KDF and chunk size from the stream header.
+ *
+ * @param {Object} options - Options as passed to {@link enc}; `algorithm` defaults to AES-256-GCM.
+ * @returns {Promise<{data: ReadableStream<Uint8Array>, params: Object}>} Output stream and parameters.
+ * @throws {InvalidArgumentError} For options streams do not take.
+ */
+async function encStream(options) {
+  const { algorithm = 'AES-256-GCM', input, decrypt = false, password, key, iterations, chunkSize, aad } = options;
+  const { base64 = false, hex = false } = options;
+  const unsupported = ['salt', 'nosalt', 'saltLength', 'md', 'iv', 'tag', 'tagLength', 'opensslFormat', 'pbkdf2']
+    .filter(name => options[name] !== undefined && options[name] !== false);
+  if (unsupported.length) {
+    throw new InvalidArgumentError(`Not available for stream input: ${unsupported.join(', ')}`, { module: 'enc' });
+  }
 
-    } catch (error) {
-      console.warn(`Web Crypto encryption failed for ${algorithm}; using CryptoJS fallback`, error.message);
-      return cryptoJSEncrypt(data, algorithm, password, salt, iv, iterations, decrypt, base64, hex, raw);
-    }
-  } else {
-    console.warn('Web Crypto unavailable; using CryptoJS for encryption');
-    return cryptoJSEncrypt(data, algorithm, password, salt, iv, iterations, decrypt, base64, hex, raw);
+  let streamKey = key;
+  if (key !== undefined && !isCryptoKey(key)) {
+    streamKey = paramBytes(key, base64);
   }
+  const streamOptions = {
+    password,
+    key: streamKey,
+    iterations,
+    chunkSize,
+    aad: aad === undefined ? undefined : toBytes(aad, { base64, hex })
+  };
+  if (decrypt) {
+    const result = await decryptStream(input, streamOptions);
+    debug('enc', `decrypting a ${result.params.algorithm} stream`, result.params);
+    return result;
+  }
+  const cipher = getCipher(algorithm);
+  assertAlgorithmAllowed('enc', cipher.name);
+  debug('enc', `encrypting a stream with ${cipher.name}`);
+  return encryptStream(input, { cipher, ...streamOptions });
 }
 
 /**
- * Internal CryptoJS encryption fallback.
+ * Encrypt/decrypt the `openssl enc` container: "Salted__" + 8-byte salt + ciphertext,
+ * or the bare ciphertext with `nosalt`. Key and IV are derived together from the
+ * password and salt, either with EVP_BytesToKey (one iteration of `md`, OpenSSL's
+ * legacy default) or with PBKDF2-`md` over `iterations` rounds (`-pbkdf2 -iter N`).
+ *
+ * Encrypt output is base64 (like `-a`) unless `hex` or `raw` is set; decrypt
+ * input is read as base64 unless `hex` is set or bytes are passed. Decrypted
+ * data is returned as UTF-8 text, or bytes with `raw`.
+ *
+ * @param {Object} options - Options as passed to {@link enc}; `salt` is 8 bytes as hex (`-S`) or Uint8Array.
+ * @returns {Promise<{data: string|Uint8Array, salt?: string|Uint8Array, iv?: string|Uint8Array, params: Object}>}
+ *   Result; salt and IV are hex unless `base64`/`raw` is set (like `-p`), and `params` is as in {@link enc}.
+ * @throws {UnsupportedAlgorithmError} For AEAD and key wrap ciphers, which `openssl enc` refuses too.
+ * @throws {InvalidEncodingError} If the "Salted__" header is missing.
+ * @throws {BadDecryptError} If decryption fails.
  */
-async function cryptoJSEncrypt(data, algorithm, password, salt, iv, iterations, decrypt, base64, hex, raw) {
-  const [cipher, mode] = algorithm.split('-');
-  const keySize = parseInt(algorithm.match(/(\d+)/)?.[0]) / 32; // Convert bits to words
-
-  let cryptoJSMode = CryptoJS.mode.CBC;
-  if (mode === 'GCM') cryptoJSMode = CryptoJS.mode.GCM;
-  else if (mode === 'CTR') cryptoJSMode = CryptoJS.mode.CTR;
+async function opensslEnc({ cipher, input, decrypt, password, salt, nosalt, md, pbkdf2, iterations, base64, hex, raw }) {
+  if (cipher.aead || cipher.wrap) {
+    throw new UnsupportedAlgorithmError(
+      `${cipher.name} is not supported in OpenSSL format: AEAD and key wrap ciphers have no "Salted__" container`,
+      { module: 'enc' }
+    );
+  }
+  const keyLen = cipher.keyLength;
+  const ivLen = cipher.ivLength;
 
-  // Handle salt properly
-  let finalSalt;
-  if (salt) {
-    if (salt instanceof Uint8Array) {
-      finalSalt = CryptoJS.lib.WordArray.create(salt);
-    } else if (typeof salt === 'string') {
-      if (base64) {
-        finalSalt = CryptoJS.enc.Base64.parse(salt);
-      } else if (hex) {
-        finalSalt = CryptoJS.enc.Hex.parse(salt);
-      } else {
-        finalSalt = CryptoJS.enc.Utf8.parse(salt);
+  let saltBytes = new Uint8Array(0);
+  let payload;
+  if (decrypt) {
+    const bytes = typeof input === 'string'
+      ? toBytes(input, { base64: !hex, hex })
+      : toBytes(input);
+    payload = bytes;
+    if (!nosalt) {
+      const magic = bytes.subarray(0, SALTED_MAGIC.length);
+      if (bytes.length < 16 || !magic.every((b, i) => b === SALTED_MAGIC[i])) {
+        throw new InvalidEncodingError('Bad magic number: input is not in OpenSSL "Salted__" format', {
+          module: 'enc'
+        });
       }
-    } else {
-      finalSalt = CryptoJS.lib.WordArray.random(16);
+      saltBytes = bytes.slice(8, 16);
+      payload = bytes.subarray(16);
     }
   } else {
-    finalSalt = CryptoJS.lib.WordArray.random(16);
+    if (nosalt) {
+      // -nosalt: no header, key and IV from the password alone
+    } else if (salt) {
+      saltBytes = typeof salt === 'string' ? hexToBytes(salt) : toBytes(salt);
+      if (saltBytes.length !== 8) {
+        throw new InvalidArgumentError('OpenSSL format salt must be 8 bytes', { module: 'enc' });
+      }
+    } else {
+      saltBytes = randomBytes(8);
+    }
+    payload = toBytes(input);
   }
 
-  const key = CryptoJS.PBKDF2(password, finalSalt, {
-    keySize,
-    iterations: iterations || 10000,
-    hasher: CryptoJS.algo.SHA256
+  const derived = await opensslDeriveKeyIv(new TextEncoder().encode(password), saltBytes, {
+    md,
+    pbkdf2,
+    iterations,
+    length: keyLen + ivLen
   });
+  const key = derived.subarray(0, keyLen);
+  const iv = derived.subarray(keyLen);
 
-  let result;
-  if (decrypt) {
-    // For decrypt, data is ciphertext - must be in specified format (string)
-    let ciphertext;
-    if (base64) {
-      ciphertext = CryptoJS.enc.Base64.parse(data);
-    } else if (hex) {
-      ciphertext = CryptoJS.enc.Hex.parse(data);
-    } else {
-      // Default to base64 for binary ciphertext
-      ciphertext = CryptoJS.enc.Base64.parse(data);
+  const output = await cipherCrypt(cipher, key, iv, payload, decrypt);
+  const meta = { raw, base64, hex };
+  const details = {
+    ...(!nosalt && { salt: formatBytes(saltBytes, meta) }),
+    ...(ivLen && { iv: formatBytes(iv, meta) }),
+    params: {
+      algorithm: cipher.name,
+      kdf: pbkdf2 ? 'PBKDF2' : 'EVP_BytesToKey',
+      md: md.toLowerCase(),
+      iterations: pbkdf2 ? iterations : 1,
+      saltLength: saltBytes.length,
+      ivLength: ivLen
     }
+  };
 
-    const ivBytes = iv ?
-      (base64 ? CryptoJS.enc.Base64.parse(iv) :
-       hex ? CryptoJS.enc.Hex.parse(iv) :
-       CryptoJS.enc.Utf8.parse(iv)) :
-      CryptoJS.lib.WordArray.random(16);
-
-    result = CryptoJS.AES.decrypt(
-      { ciphertext },
-      key,
-      { iv: ivBytes, mode: cryptoJSMode }
-    );
-  } else {
-    // For encrypt, data is plaintext - convert Uint8Array to WordArray or parse formatted
-    let plaintext;
-    if (data instanceof Uint8Array) {
-      plaintext = CryptoJS.lib.WordArray.create(data);
-    } else if (base64) {
-      plaintext = CryptoJS.enc.Base64.parse(data);
-    } else if (hex) {
-      plaintext = CryptoJS.enc.Hex.parse(data);
-    } else {
-      plaintext = CryptoJS.enc.Utf8.parse(data);
-    }
-
-    const ivBytes = iv ?
-      (base64 ? CryptoJS.enc.Base64.parse(iv) :
-       hex ? CryptoJS.enc.Hex.parse(iv) :
-       CryptoJS.enc.Utf8.parse(iv)) :
-      CryptoJS.lib.WordArray.random(16);
-
-    result = CryptoJS.AES.encrypt(
-      plaintext,
-      key,
-      { iv: ivBytes, mode: cryptoJSMode }
-    );
+  if (decrypt) {
+    return { data: raw ? output : new TextDecoder().decode(output), ...details };
   }
 
-  if (raw) {
-    let outputData;
-    if (decrypt) {
-      // For decrypt raw, convert UTF-8 string result to bytes
-      outputData = CryptoJS.enc.Utf8.parse(result.toString(CryptoJS.enc.Utf8));
-    } else {
-      // For encrypt raw, use ciphertext WordArray
-      outputData = result.ciphertext;
-    }
-    return {
-      data: new Uint8Array(outputData.sigBytes),
-      iv: new Uint8Array(ivBytes.sigBytes),
-      ...(salt && { salt: new Uint8Array(finalSalt.sigBytes) })
-    };
+  const container = nosalt ? output : concatBytes(SALTED_MAGIC, saltBytes, output);
+  return { data: formatBytes(container, meta, 'base64'), ...details };
+}
+
+/**
+ * Validate a key derivation digest name.
+ * @param {string} md - Digest name, e.g. 'sha256' or 'SHA-256'.
+ * @returns {string} node-forge digest name.
+ * @throws {UnsupportedAlgorithmError} If node-forge lacks the digest.
+ * @throws {PolicyError} If fipsLike mode refuses it.
+ */
+function kdfDigest(md) {
+  const mdName = md.toLowerCase().replace('-', '');
+  if (!forge.md[mdName]) {
+    throw new UnsupportedAlgorithmError(`Unsupported digest for key derivation: ${md}`, { module: 'enc' });
   }
+  assertAlgorithmAllowed('enc', md);
+  return mdName;
+}
 
-  const output = decrypt ?
-    result.toString(CryptoJS.enc.Utf8) :
-    result.toString(base64 ? CryptoJS.enc.Base64 : hex ? CryptoJS.enc.Hex : CryptoJS.enc.Utf8);
+/**
+ * Derive OpenSSL key||IV bytes from a password and salt.
+ * @param {Uint8Array} password - Password bytes.
+ * @param {Uint8Array} salt - 8-byte salt, or empty with `-nosalt`.
+ * @param {Object} params - Derivation parameters.
+ * @param {string} params.md - Digest name ('md5', 'sha1', 'sha256', 'sha384', 'sha512').
+ * @param {boolean} params.pbkdf2 - Use PBKDF2 instead of EVP_BytesToKey.
+ * @param {number} params.iterations - PBKDF2 iteration count.
+ * @param {number} params.length - Number of bytes to derive.
+ * @returns {Promise<Uint8Array>} Derived bytes.
+ */
+async function opensslDeriveKeyIv(password, salt, { md, pbkdf2, iterations, length }) {
+  const mdName = kdfDigest(md);
 
-  const ivOutput = ivBytes.toString(base64 ? CryptoJS.enc.Base64 : hex ? CryptoJS.enc.Hex : CryptoJS.enc.Utf8);
-  const saltOutput = salt ? finalSalt.toString(base64 ? CryptoJS.enc.Base64 : hex ? CryptoJS.enc.Hex : CryptoJS.enc.Utf8) : undefined;
+  if (pbkdf2) {
+    return pbkdf2Derive(password, salt, iterations, mdName, length);
+  }
 
-  return {
-    data: output,
-    iv: ivOutput,
-    ...(saltOutput && { salt: saltOutput })
-  };
+  // EVP_BytesToKey: D_i = md(D_(i-1) || password || salt), concatenated until long enough
+  const input = bytesToBinaryString(password) + bytesToBinaryString(salt);
+  let block = '';
+  let out = '';
+  while (out.length < length) {
+    const digest = forge.md[mdName].create();
+    digest.update(block + input);
+    block = digest.digest().getBytes();
+    out += block;
+  }
+  return binaryStringToBytes(out.substring(0, length));
 }
-
-// Export for CommonJS
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { enc };
-}
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * Key derivation module (openssl kdf equivalent).
+ * HKDF and PBKDF2 use crypto.subtle with a node-forge fallback; scrypt and
+ * Argon2 are pure JS (utils/scrypt, utils/argon2).
+ *
+ * @module kdf
+ */
+
+import { toBytes, formatBytes, hexToBytes } from '../utils/encoding.js';
+import { getWebCrypto } from '../utils/webcrypto.js';
+import { pbkdf2, hkdf, hkdfExtract, hkdfExpand } from '../utils/kdf.js';
+import { getDigest } from '../utils/digests.js';
+import { scrypt, SCRYPT_DEFAULTS } from '../utils/scrypt.js';
+import { argon2, ARGON2_TYPES } from '../utils/argon2.js';
+import { InvalidArgumentError, UnsupportedAlgorithmError } from '../utils/errors.js';
+import { assertAlgorithmAllowed, debug } from '../utils/config.js';
+
+/** Digests for HKDF and PBKDF2, keyed by utils/digests name; values are node-forge names. */
+const KDF_DIGESTS = { 'SHA-1': 'sha1', 'SHA-256': 'sha256', 'SHA-384': 'sha384', 'SHA-512': 'sha512' };
+
+/** Output lengths of those digests, by node-forge name. */
+const KDF_DIGEST_LENGTHS = { sha1: 20, sha256: 32, sha384: 48, sha512: 64 };
+
+/** HKDF modes (`-kdfopt mode:`). */
+const HKDF_MODES = ['EXTRACT_AND_EXPAND', 'EXTRACT_ONLY', 'EXPAND_ONLY'];
+
+/** Argon2 defaults: the second recommended option of RFC 9106 (64 MiB, 3 passes, 4 lanes). */
+const ARGON2_DEFAULTS = { iter: 3, memcost: 65536, lanes: 4 };
+
+/** Default PBKDF2 iterations, as in OpenSSL (PKCS5_DEFAULT_ITER). */
+const PBKDF2_DEFAULT_ITER = 2048;
+
+/** `-kdfopt` names; the numeric ones are parsed as integers. */
+const KDFOPT_STRINGS = ['digest', 'mode', 'key', 'hexkey', 'pass', 'hexpass', 'salt', 'hexsalt', 'info', 'hexinfo',
+  'secret', 'hexsecret', 'ad', 'hexad'];
+const KDFOPT_NUMBERS = ['iter', 'n', 'r', 'p', 'memcost', 'lanes', 'threads'];
+
+/** Default usages of a derived CryptoKey, by Web Crypto algorithm name. */
+const KEY_USAGES = {
+  'AES-GCM': ['encrypt', 'decrypt'],
+  'AES-CBC': ['encrypt', 'decrypt'],
+  'AES-CTR': ['encrypt', 'decrypt'],
+  'AES-KW': ['wrapKey', 'unwrapKey'],
+  'HMAC': ['sign', 'verify'],
+  'HKDF': ['deriveBits', 'deriveKey'],
+  'PBKDF2': ['deriveBits', 'deriveKey']
+};
+
+/**
+ * Derive key material.
+ *
+ * @param {Object} options - KDF options; string values of `key`, `pass`, `salt`, `info`, `secret` and `ad`
+ *   are UTF-8, and each has a `hex` variant (`hexkey`, `hexpass`, ...) as in `-kdfopt`.
+ * @param {string} options.algorithm - 'HKDF', 'PBKDF2', 'SCRYPT', 'ARGON2ID', 'ARGON2I' or 'ARGON2D' (`kdf_name`).
+ * @param {number} [options.keylen=32] - Output length in bytes (`-keylen`).
+ * @param {string} [options.digest='SHA-256'] - HKDF/PBKDF2 digest: SHA-1, SHA-256, SHA-384 or SHA-512, under
+ *   any dgst() name such as 'sha256' or 'SHA2-256' (`-kdfopt digest:`). Unlike OpenSSL, PBKDF2 also defaults
+ *   to SHA-256.
+ * @param {string|Uint8Array} [options.key] - HKDF input keying material, e.g. an ECDH shared secret.
+ * @param {string} [options.mode='EXTRACT_AND_EXPAND'] - HKDF mode: 'EXTRACT_AND_EXPAND', 'EXTRACT_ONLY'
+ *   (output is the PRK, `keylen` must be the digest length) or 'EXPAND_ONLY' (`key` is the PRK).
+ * @param {string|Uint8Array} [options.info] - HKDF context information.
+ * @param {string|Uint8Array} [options.pass] - Password for PBKDF2, scrypt and Argon2.
+ * @param {string|Uint8Array} [options.salt] - Salt; optional for HKDF only.
+ * @param {number} [options.iter] - PBKDF2 iterations (default 2048) or Argon2 passes (default 3).
+ * @param {number} [options.n=16384] - scrypt CPU/memory cost, a power of two.
+ * @param {number} [options.r=8] - scrypt block size.
+ * @param {number} [options.p=1] - scrypt parallelization.
+ * @param {number} [options.memcost=65536] - Argon2 memory in KiB.
+ * @param {number} [options.lanes=4] - Argon2 lanes. `threads` is accepted and ignored: lanes run in turn.
+ * @param {string|Uint8Array} [options.secret] - Argon2 secret value.
+ * @param {string|Uint8Array} [options.ad] - Argon2 associated data.
+ * @param {string|string[]} [options.kdfopt] - OpenSSL-style `name:value` options, e.g. 'hexsalt:0a1b'.
+ * @param {boolean} [options.base64=false] - Output as base64 string.
+ * @param {boolean} [options.hex=true] - Output as hexadecimal string.
+ * @param {boolean} [options.raw=false] - Return raw ArrayBuffer.
+ * @param {string|Object} [options.keyAlgorithm] - Return a non-extractable CryptoKey for this Web Crypto
+ *   algorithm instead, e.g. 'AES-GCM' or `{ name: 'HMAC', hash: 'SHA-256' }`.
+ * @param {string[]} [options.keyUsages] - CryptoKey usages; defaults to those of the algorithm
+ *   (encrypt/decrypt for AES, wrapKey/unwrapKey for AES-KW, sign/verify for HMAC).
+ * @returns {Promise<string|ArrayBuffer|CryptoKey>} Derived key in the requested format.
+ * @throws {UnsupportedAlgorithmError} If the KDF, digest or HKDF mode is unknown, or a CryptoKey is
+ *   requested without Web Crypto.
+ * @throws {InvalidArgumentError} If a required input is missing or a parameter is out of range.
+ * @throws {PolicyError} If HKDF/PBKDF2 need the node-forge fallback in strict mode.
+ *
+ * @example
+ * // openssl kdf -keylen 32 -kdfopt digest:SHA256 -kdfopt hexkey:<secret> -kdfopt salt:salt -kdfopt info:session HKDF
+ * const subkey = await kdf({ algorithm: 'HKDF', hexkey: sharedSecretHex, salt: 'salt', info: 'session' });
+ *
+ * @example
+ * // Per-session AES-GCM key from an ECDH shared secret
+ * const aesKey = await kdf({ algorithm: 'HKDF', key: sharedSecret, info: 'session 1', keyAlgorithm: 'AES-GCM' });
+ *
+ * @example
+ * // openssl kdf -keylen 32 -kdfopt pass:secret -kdfopt salt:saltsalt -kdfopt iter:3 -kdfopt memcost:65536
+ * //   -kdfopt lanes:4 ARGON2ID
+ * const tag = await kdf({ algorithm: 'ARGON2ID', pass: 'secret', salt: 'saltsalt' });
+ */
+export async function kdf(options = {}) {
+  const opts = { ...options, ...parseKdfopt(options.kdfopt) };
+  const {
+    algorithm,
+    keylen = 32,
+    digest = 'SHA-256',
+    mode = 'EXTRACT_AND_EXPAND',
+    base64 = false,
+    hex = true,
+    raw = false,
+    keyAlgorithm,
+    keyUsages
+  } = opts;
+
+  if (!algorithm) {
+    throw new InvalidArgumentError('KDF algorithm required: HKDF, PBKDF2, SCRYPT or ARGON2ID', { module: 'kdf' });
+  }
+  if (!Number.isInteger(keylen) || keylen < 1) {
+    throw new InvalidArgumentError('Invalid keylen: must be a positive integer', { module: 'kdf' });
+  }
+  const name = algorithm.toUpperCase();
+  let result;
+
+  switch (name) {
+    case 'HKDF': {
+      const mdName = kdfDigest(digest);
+      const upperMode = mode.toUpperCase();
+      if (!HKDF_MODES.includes(upperMode)) {
+        throw new UnsupportedAlgorithmError(`Unsupported HKDF mode: ${mode} (use ${HKDF_MODES.join(', ')})`, {
+          module: 'kdf'
+        });
+      }
+      const ikm = kdfInput(opts, 'key', true);
+      const salt = kdfInput(opts, 'salt') || new Uint8Array(0);
+      const info = kdfInput(opts, 'info') || new Uint8Array(0);
+      debug('kdf', `HKDF-${mdName.toUpperCase()} ${upperMode}`, { keylen, saltLength: salt.length });
+      if (upperMode === 'EXTRACT_ONLY') {
+        result = await hkdfExtract(ikm, salt, mdName, 'kdf');
+        if (opts.keylen !== undefined && keylen !== result.length) {
+          throw new InvalidArgumentError(`HKDF EXTRACT_ONLY output is the digest length: ${result.length} bytes`, {
+            module: 'kdf'
+          });
+        }
+      } else {
+        const hashLength = KDF_DIGEST_LENGTHS[mdName];
+        if (keylen > 255 * hashLength) {
+          throw new InvalidArgumentError(`HKDF keylen is at most ${255 * hashLength} bytes with ${digest}`, {
+            module: 'kdf'
+          });
+        }
+        result = upperMode === 'EXPAND_ONLY'
+          ? await hkdfExpand(ikm, info, mdName, keylen, 'kdf')
+          : await hkdf(ikm, salt, info, mdName, keylen, 'kdf');
+      }
+      break;
+    }
+    case 'PBKDF2': {
+      const mdName = kdfDigest(digest);
+      const { iter = PBKDF2_DEFAULT_ITER } = opts;
+      if (!Number.isInteger(iter) || iter < 1) {
+        throw new InvalidArgumentError('Invalid PBKDF2 iter: must be a positive integer', { module: 'kdf' });
+      }
+      debug('kdf', `PBKDF2-${mdName.toUpperCase()} with ${iter} iterations`, { keylen });
+      result = await pbkdf2(kdfInput(opts, 'pass', true), kdfInput(opts, 'salt', true), iter, mdName, keylen, 'kdf');
+      break;
+    }
+    case 'SCRYPT': {
+      const { n = SCRYPT_DEFAULTS.N, r = SCRYPT_DEFAULTS.r, p = SCRYPT_DEFAULTS.p } = opts;
+      debug('kdf', `scrypt N=${n} r=${r} p=${p}`, { keylen });
+      result = scrypt(kdfInput(opts, 'pass', true), kdfInput(opts, 'salt', true), { N: n, r, p }, keylen);
+      break;
+    }
+    case 'ARGON2ID':
+    case 'ARGON2I':
+    case 'ARGON2D': {
+      const { iter = ARGON2_DEFAULTS.iter, memcost = ARGON2_DEFAULTS.memcost, lanes = ARGON2_DEFAULTS.lanes } = opts;
+      debug('kdf', `${name} t=${iter} m=${memcost} p=${lanes}`, { keylen });
+      result = argon2(kdfInput(opts, 'pass', true), kdfInput(opts, 'salt', true), {
+        type: ARGON2_TYPES[name],
+        iter,
+        memcost,
+        lanes,
+        secret: kdfInput(opts, 'secret'),
+        ad: kdfInput(opts, 'ad')
+      }, keylen);
+      break;
+    }
+    default:
+      throw new UnsupportedAlgorithmError(
+        `Unsupported KDF: ${algorithm} (use HKDF, PBKDF2, SCRYPT, ARGON2ID, ARGON2I or ARGON2D)`,
+        { module: 'kdf' }
+      );
+  }
+
+  if (keyAlgorithm) return importDerivedKey(result, keyAlgorithm, keyUsages);
+  if (raw) return result.buffer;
+  return formatBytes(result, { base64, hex });
+}
+
+/**
+ * Resolve an HKDF/PBKDF2 digest name through the dgst() aliases.
+ * @param {string} digest - Digest name such as 'SHA-256', 'sha256' or 'SHA2-256'.
+ * @returns {string} node-forge digest name.
+ * @throws {UnsupportedAlgorithmError} If the digest is unknown or not supported for HKDF/PBKDF2.
+ */
+function kdfDigest(digest) {
+  const { name } = getDigest(digest, 'kdf');
+  const mdName = KDF_DIGESTS[name];
+  if (!mdName) {
+    throw new UnsupportedAlgorithmError(`Unsupported KDF digest: ${digest} (use SHA-1, SHA-256, SHA-384 or SHA-512)`, {
+      module: 'kdf'
+    });
+  }
+  assertAlgorithmAllowed('kdf', name);
+  return mdName;
+}
+
+/**
+ * Read a byte-string input given as `name` (UTF-8 string or bytes) or `hexname`.
+ * @param {Object} opts - KDF options.
+ * @param {string} name - Input name, e.g. 'salt'.
+ * @param {boolean} [required=false] - Throw if missing.
+ * @returns {Uint8Array|undefined} Bytes.
+ * @throws {InvalidArgumentError} If a required input is missing.
+ */
+function kdfInput(opts, name, required = false) {
+  const hexValue = opts[`hex${name}`];
+  if (hexValue !== undefined) return hexToBytes(hexValue);
+  const value = opts[name];
+  if (value === undefined || value === null) {
+    if (required) {
+      throw new InvalidArgumentError(`${opts.algorithm.toUpperCase()} requires ${name} (or hex${name})`, {
+        module: 'kdf'
+      });
+    }
+    return undefined;
+  }
+  return toBytes(value);
+}
+
+/**
+ * Split `-kdfopt name:value` strings into options.
+ * @param {string|string[]} [kdfopt] - One or more `name:value` strings.
+ * @returns {Object} Parsed options.
+ * @throws {InvalidArgumentError} If an option is malformed or unknown.
+ */
+function parseKdfopt(kdfopt) {
+  const out = {};
+  if (!kdfopt) return out;
+  for (const opt of [].concat(kdfopt)) {
+    const idx = opt.indexOf(':');
+    if (idx < 0) {
+      throw new InvalidArgumentError(`Invalid kdfopt: ${opt} (expected name:value)`, { module: 'kdf' });
+    }
+    const name = opt.slice(0, idx).toLowerCase();
+    const value = opt.slice(idx + 1);
+    if (KDFOPT_NUMBERS.includes(name)) {
+      if (!/^\d+$/.test(value)) {
+        throw new InvalidArgumentError(`Invalid kdfopt ${name}: ${value} (expected an integer)`, { module: 'kdf' });
+      }
+      out[name] = parseInt(value, 10);
+    } else if (KDFOPT_STRINGS.includes(name)) {
+      out[name] = value;
+    } else {
+      throw new InvalidArgumentError(`Unsupported kdfopt: ${name}`, { module: 'kdf' });
+    }
+  }
+  return out;
+}
+
+/**
+ * Import derived bytes as a non-extractable CryptoKey.
+ * @param {Uint8Array} bytes - Derived key.
+ * @param {string|Object} keyAlgorithm - Web Crypto algorithm name or import parameters.
+ * @param {string[]} [keyUsages] - Usages; defaults from {@link KEY_USAGES}.
+ * @returns {Promise<CryptoKey>} Key.
+ * @throws {UnsupportedAlgorithmError} If Web Crypto is missing.
+ * @throws {InvalidArgumentError} If Web Crypto refuses the key, e.g. a 20-byte AES key.
+ */
+async function importDerivedKey(bytes, keyAlgorithm, keyUsages) {
+  const crypto = getWebCrypto();
+  if (!crypto) {
+    throw new UnsupportedAlgorithmError('CryptoKey output requires Web Crypto', { module: 'kdf' });
+  }
+  const algorithm = typeof keyAlgorithm === 'string' ? { name: keyAlgorithm.toUpperCase() } : { ...keyAlgorithm };
+  if (algorithm.name === 'HMAC' && !algorithm.hash) {
+    algorithm.hash = 'SHA-256';
+  }
+  const usages = keyUsages || KEY_USAGES[algorithm.name];
+  if (!usages) {
+    throw new InvalidArgumentError(`keyUsages required for ${algorithm.name} keys`, { module: 'kdf' });
+  }
+  try {
+    return await crypto.subtle.importKey('raw', bytes, algorithm, false, usages);
+  } catch (e) {
+    throw new InvalidArgumentError(`Cannot import the derived key as ${algorithm.name}: ${e.message}`, {
+      module: 'kdf',
+      cause: e
+    });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Algorithm listing module (openssl list equivalent).
+ * Reports what the current runtime can run, probing Web Crypto.
+ *
+ * @module list
+ */
+
+import { CIPHERS, hasWebCryptoCipher } from '../utils/ciphers.js';
+import { DIGESTS, hasWebCryptoDigest, isDigestFallback } from '../utils/digests.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { isAlgorithmAllowed, isStrict } from '../utils/config.js';
+
+/**
+ * @typedef {Object} CipherListing
+ * @property {string} name - OpenSSL cipher name, as accepted by enc().
+ * @property {number} keyLength - Key length in bytes.
+ * @property {number} ivLength - IV length in bytes (0 for ECB and key wrap).
+ * @property {boolean} aead - Authenticated cipher with a 16-byte tag.
+ * @property {string} provider - What runs it here: 'webcrypto', 'node-forge' or 'javascript'.
+ * @property {boolean} available - False if the strict/fipsLike settings refuse it.
+ */
+
+/**
+ * @typedef {Object} DigestListing
+ * @property {string} name - OpenSSL digest name, as accepted by dgst().
+ * @property {string[]} aliases - Other accepted names.
+ * @property {number} length - Digest size in bytes (default output length for XOFs).
+ * @property {boolean} xof - Extendable-output function taking `xoflen`.
+ * @property {string} provider - What runs it here: 'webcrypto', 'node-forge', 'crypto-js' or 'javascript'.
+ * @property {boolean} available - False if the strict/fipsLike settings refuse it.
+ */
+
+/**
+ * List supported algorithms.
+ *
+ * @param {Object} options - What to list.
+ * @param {boolean} [options.cipherAlgorithms=false] - List enc() ciphers (`-cipher-algorithms`).
+ * @param {boolean} [options.digestAlgorithms=false] - List dgst() digests (`-digest-algorithms`).
+ * @returns {Promise<{cipherAlgorithms?: CipherListing[], digestAlgorithms?: DigestListing[], text: string}>}
+ *   Listings, and `text` with one `NAME (provider)` line per available algorithm.
+ * @throws {InvalidArgumentError} If nothing is selected.
+ *
+ * @example
+ * // Same as: openssl list -cipher-algorithms
+ * const { cipherAlgorithms } = await list({ cipherAlgorithms: true });
+ * cipherAlgorithms.find(c => c.name === 'AES-192-GCM').provider; // 'node-forge' in Chrome, 'webcrypto' in Node
+ *
+ * @example
+ * // Same as: openssl list -digest-algorithms
+ * const { digestAlgorithms } = await list({ digestAlgorithms: true });
+ * digestAlgorithms.filter(d => d.xof).map(d => d.name); // ['SHAKE-128', 'SHAKE-256']
+ */
+export async function list(options = {}) {
+  const { cipherAlgorithms = false, digestAlgorithms = false } = options;
+
+  if (!cipherAlgorithms && !digestAlgorithms) {
+    throw new InvalidArgumentError('Select what to list: cipherAlgorithms or digestAlgorithms', { module: 'list' });
+  }
+
+  const result = {};
+  const lines = [];
+  if (cipherAlgorithms) {
+    result.cipherAlgorithms = await Promise.all(Object.values(CIPHERS).map(listCipher));
+    for (const c of result.cipherAlgorithms) {
+      if (c.available) lines.push(`${c.name} (${c.provider})`);
+    }
+  }
+  if (digestAlgorithms) {
+    result.digestAlgorithms = Object.values(DIGESTS).map(listDigest);
+    for (const d of result.digestAlgorithms) {
+      if (d.available) lines.push(`${d.name} (${d.provider})`);
+    }
+  }
+  result.text = lines.map(line => `${line}\n`).join('');
+  return result;
+}
+
+/**
+ * Describe one cipher for the current runtime and settings.
+ * @param {Object} cipher - Entry of CIPHERS.
+ * @returns {Promise<CipherListing>} Listing.
+ */
+async function listCipher(cipher) {
+  const webCrypto = await hasWebCryptoCipher(cipher);
+  const provider = webCrypto ? 'webcrypto' : cipher.forge || cipher.wrap ? 'node-forge' : 'javascript';
+  // A software provider is a fallback, refused in strict mode, only where Web Crypto normally has the cipher
+  const available = (webCrypto || !cipher.webCrypto || !isStrict()) && isAlgorithmAllowed(cipher.name);
+  return {
+    name: cipher.name,
+    keyLength: cipher.keyLength,
+    ivLength: cipher.ivLength,
+    aead: cipher.aead,
+    provider,
+    available
+  };
+}
+
+/**
+ * Describe one digest for the current runtime and settings.
+ * @param {Object} digest - Entry of DIGESTS.
+ * @returns {DigestListing} Listing.
+ */
+function listDigest(digest) {
+  return {
+    name: digest.name,
+    aliases: [...digest.aliases],
+    length: digest.length,
+    xof: digest.xof,
+    provider: hasWebCryptoDigest(digest) ? 'webcrypto' : digest.provider,
+    available: (!isDigestFallback(digest) || !isStrict()) && isAlgorithmAllowed(digest.name)
+  };
+}
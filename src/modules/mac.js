@@ -0,0 +1,304 @@
+/**
+ * Message authentication code module (openssl mac / dgst -hmac equivalent).
+ * HMAC uses crypto.subtle for SHA-1 and SHA-2, and utils/digests for every
+ * other dgst() digest (MD5, SHA-224, SHA-512/t, SHA-3, RIPEMD-160, BLAKE2);
+ * AES-CMAC and GMAC are built on AES-CBC and AES-GCM.
+ *
+ * @module mac
+ */
+
+import forge from 'node-forge';
+import {
+  toBytes,
+  formatBytes,
+  hexToBytes,
+  bytesToBinaryString,
+  binaryStringToBytes
+} from '../utils/encoding.js';
+import { getWebCrypto, isCryptoKey } from '../utils/webcrypto.js';
+import { getDigest, createHmac } from '../utils/digests.js';
+import { InvalidArgumentError, UnsupportedAlgorithmError } from '../utils/errors.js';
+import { assertAlgorithmAllowed, assertFallbackAllowed } from '../utils/config.js';
+
+/**
+ * Compute a message authentication code.
+ *
+ * @param {Object} options - MAC options.
+ * @param {string} [options.algorithm='HMAC'] - MAC algorithm: 'HMAC', 'CMAC' or 'GMAC'.
+ * @param {string|Uint8Array|ArrayBuffer} options.input - Data to authenticate.
+ * @param {string|Uint8Array|CryptoKey} [options.key] - Key as a UTF-8 string, bytes or CryptoKey (`-macopt key:`).
+ * @param {string} [options.hexkey] - Key as hex (`-macopt hexkey:`).
+ * @param {string} [options.digest='SHA-256'] - HMAC digest (`-macopt digest:`).
+ * @param {string} [options.cipher] - CMAC/GMAC cipher, e.g. 'AES-128-CBC', 'AES-256-GCM' (`-cipher`);
+ *   defaults to the AES size matching the key.
+ * @param {string|Uint8Array} [options.iv] - GMAC IV as a UTF-8 string or bytes (`-macopt iv:`).
+ * @param {string} [options.hexiv] - GMAC IV as hex (`-macopt hexiv:`).
+ * @param {string|string[]} [options.macopt] - OpenSSL-style `name:value` options (key, hexkey, digest, iv, hexiv).
+ * @param {boolean} [options.base64=false] - Output as base64 string.
+ * @param {boolean} [options.hex=true] - Output as hexadecimal string.
+ * @param {boolean} [options.raw=false] - Return raw ArrayBuffer.
+ * @returns {Promise<string|ArrayBuffer>} MAC in specified format.
+ * @throws {UnsupportedAlgorithmError} If the algorithm or digest is unknown.
+ * @throws {InvalidArgumentError} If the key, IV or input is missing or invalid.
+ *
+ * @example
+ * // openssl mac -digest SHA256 -macopt key:secret HMAC
+ * const tag = await mac({ algorithm: 'HMAC', digest: 'SHA-256', key: 'secret', input: 'payload' });
+ *
+ * @example
+ * // openssl mac -cipher AES-128-CBC -macopt hexkey:2b7e151628aed2a6abf7158809cf4f3c CMAC
+ * const cmac = await mac({ algorithm: 'CMAC', hexkey: '2b7e151628aed2a6abf7158809cf4f3c', input: '' });
+ */
+export async function mac(options = {}) {
+  const opts = { ...options, ...parseMacopt(options.macopt) };
+  const {
+    algorithm = 'HMAC',
+    input,
+    digest = 'SHA-256',
+    cipher,
+    base64 = false,
+    hex = true,
+    raw = false
+  } = opts;
+
+  if (input === undefined || input === null) {
+    throw new InvalidArgumentError('Input data required for MAC', { module: 'mac' });
+  }
+  const data = toBytes(input);
+  const key = resolveMacKey(opts);
+  let result;
+
+  switch (algorithm.toUpperCase()) {
+    case 'HMAC':
+      result = await hmac(digest, key, data);
+      break;
+    case 'CMAC':
+      result = await cmac(key, data, cipher);
+      break;
+    case 'GMAC':
+      result = await gmac(key, data, cipher, resolveMacIv(opts));
+      break;
+    default:
+      throw new UnsupportedAlgorithmError(`Unsupported MAC algorithm: ${algorithm} (use HMAC, CMAC or GMAC)`, {
+        module: 'mac'
+      });
+  }
+
+  if (raw) return result.buffer;
+  return formatBytes(result, { base64, hex });
+}
+
+/**
+ * Compute an HMAC. Used by {@link mac} and by dgst's `hmac` option.
+ * @param {string} digest - Any dgst() digest except the SHAKE XOFs ('SHA-256', 'SHA3-256', 'MD5', ...).
+ * @param {Uint8Array|CryptoKey} key - Key bytes or an HMAC CryptoKey.
+ * @param {Uint8Array} data - Data to authenticate.
+ * @returns {Promise<Uint8Array>} HMAC bytes.
+ * @throws {UnsupportedAlgorithmError} If the digest is unknown or an XOF.
+ * @throws {PolicyError} If the digest needs a software fallback in strict mode, or fipsLike refuses it.
+ */
+export async function hmac(digest, key, data) {
+  const md = getDigest(digest, 'mac');
+  assertAlgorithmAllowed('mac', md.name);
+
+  const crypto = getWebCrypto();
+  if (isCryptoKey(key)) {
+    if (!crypto) {
+      throw new UnsupportedAlgorithmError('CryptoKey keys require Web Crypto', { module: 'mac' });
+    }
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+  }
+
+  if (crypto && md.webCrypto) {
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      key,
+      { name: 'HMAC', hash: md.webCrypto },
+      false,
+      ['sign']
+    );
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+  }
+
+  return createHmac(md, key, 'mac').update(data).digest();
+}
+
+/**
+ * Split `-macopt name:value` strings into options.
+ * @param {string|string[]} [macopt] - One or more `name:value` strings.
+ * @returns {Object} Parsed options.
+ */
+export function parseMacopt(macopt) {
+  const out = {};
+  if (!macopt) return out;
+  for (const opt of [].concat(macopt)) {
+    const idx = opt.indexOf(':');
+    if (idx < 0) {
+      throw new InvalidArgumentError(`Invalid macopt: ${opt} (expected name:value)`, { module: 'mac' });
+    }
+    const name = opt.slice(0, idx).toLowerCase();
+    const value = opt.slice(idx + 1);
+    if (!['key', 'hexkey', 'digest', 'iv', 'hexiv', 'cipher'].includes(name)) {
+      throw new InvalidArgumentError(`Unsupported macopt: ${name}`, { module: 'mac' });
+    }
+    out[name] = value;
+  }
+  return out;
+}
+
+/**
+ * Resolve the MAC key from `key`/`hexkey` options.
+ * @param {Object} opts - MAC options.
+ * @returns {Uint8Array|CryptoKey} Key.
+ * @throws {InvalidArgumentError} If no key is given.
+ */
+export function resolveMacKey({ key, hexkey }) {
+  if (hexkey !== undefined) return hexToBytes(hexkey);
+  if (isCryptoKey(key)) return key;
+  if (key === undefined || key === null) {
+    throw new InvalidArgumentError('MAC key required (key or hexkey)', { module: 'mac' });
+  }
+  return toBytes(key);
+}
+
+/**
+ * Resolve the GMAC IV from `iv`/`hexiv` options.
+ * @param {Object} opts - MAC options.
+ * @returns {Uint8Array} IV.
+ * @throws {InvalidArgumentError} If no IV is given.
+ */
+function resolveMacIv({ iv, hexiv }) {
+  if (hexiv !== undefined) return hexToBytes(hexiv);
+  if (iv === undefined || iv === null) {
+    throw new InvalidArgumentError('GMAC requires an IV (iv or hexiv)', { module: 'mac' });
+  }
+  return toBytes(iv);
+}
+
+/**
+ * Check the AES cipher name against the key and return the key size in bits.
+ * @param {Uint8Array|CryptoKey} key - AES key.
+ * @param {string} [cipher] - Cipher name such as 'AES-128-CBC'.
+ * @param {string} mode - Expected mode ('CBC' for CMAC, 'GCM' for GMAC).
+ * @returns {number} Key size in bits.
+ */
+function aesKeyBits(key, cipher, mode) {
+  const keyBits = isCryptoKey(key) ? key.algorithm.length : key.length * 8;
+  if (![128, 192, 256].includes(keyBits)) {
+    throw new InvalidArgumentError(`Invalid AES key length: ${keyBits} bits`, { module: 'mac' });
+  }
+  if (cipher) {
+    const match = /^AES-(128|192|256)-([A-Z]+)$/.exec(cipher.toUpperCase());
+    if (!match || match[2] !== mode) {
+      throw new UnsupportedAlgorithmError(`Unsupported cipher for ${mode === 'GCM' ? 'GMAC' : 'CMAC'}: ${cipher}`, {
+        module: 'mac'
+      });
+    }
+    if (parseInt(match[1], 10) !== keyBits) {
+      throw new InvalidArgumentError(`Key length ${keyBits} does not match cipher ${cipher}`, { module: 'mac' });
+    }
+  }
+  return keyBits;
+}
+
+/**
+ * AES-CBC encrypt with PKCS#7 padding (the caller slices off the padding block).
+ * @param {Uint8Array|CryptoKey} key - Raw key or AES-CBC CryptoKey.
+ * @param {Uint8Array} data - Plaintext.
+ * @returns {Promise<Uint8Array>} Ciphertext including the padding block.
+ */
+async function aesCbcZeroIv(key, data) {
+  const iv = new Uint8Array(16);
+  const crypto = getWebCrypto();
+  if (crypto) {
+    const cryptoKey = isCryptoKey(key)
+      ? key
+      : await crypto.subtle.importKey('raw', key, { name: 'AES-CBC' }, false, ['encrypt']);
+    return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+  }
+  if (isCryptoKey(key)) {
+    throw new UnsupportedAlgorithmError('CryptoKey keys require Web Crypto', { module: 'mac' });
+  }
+  assertFallbackAllowed('mac', 'AES-CMAC without Web Crypto');
+  const c = forge.cipher.createCipher('AES-CBC', bytesToBinaryString(key));
+  c.start({ iv: bytesToBinaryString(iv) });
+  c.update(forge.util.createBuffer(bytesToBinaryString(data)));
+  c.finish();
+  return binaryStringToBytes(c.output.getBytes());
+}
+
+/**
+ * Double a 128-bit block in GF(2^128) (RFC 4493 subkey generation).
+ * @param {Uint8Array} block - 16-byte block.
+ * @returns {Uint8Array} Doubled block.
+ */
+function dbl(block) {
+  const out = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    out[i] = ((block[i] << 1) | (i < 15 ? block[i + 1] >>> 7 : 0)) & 0xff;
+  }
+  if (block[0] & 0x80) out[15] ^= 0x87;
+  return out;
+}
+
+/**
+ * AES-CMAC (RFC 4493 / NIST SP 800-38B).
+ * @param {Uint8Array|CryptoKey} key - AES key bytes or an AES-CBC CryptoKey.
+ * @param {Uint8Array} data - Data to authenticate.
+ * @param {string} [cipher] - Cipher name to check the key against.
+ * @returns {Promise<Uint8Array>} 16-byte tag.
+ */
+async function cmac(key, data, cipher) {
+  aesKeyBits(key, cipher, 'CBC');
+
+  const L = (await aesCbcZeroIv(key, new Uint8Array(16))).subarray(0, 16);
+  const k1 = dbl(L);
+  const k2 = dbl(k1);
+
+  const blocks = Math.max(1, Math.ceil(data.length / 16));
+  const complete = data.length > 0 && data.length % 16 === 0;
+  const msg = new Uint8Array(blocks * 16);
+  msg.set(data);
+  if (!complete) msg[data.length] = 0x80;
+
+  const subkey = complete ? k1 : k2;
+  const last = (blocks - 1) * 16;
+  for (let i = 0; i < 16; i++) msg[last + i] ^= subkey[i];
+
+  // CBC-MAC with a zero IV is the last ciphertext block before the padding block
+  const out = await aesCbcZeroIv(key, msg);
+  return out.slice(last, last + 16);
+}
+
+/**
+ * GMAC: AES-GCM over empty plaintext with the data as AAD.
+ * @param {Uint8Array|CryptoKey} key - AES key bytes or an AES-GCM CryptoKey.
+ * @param {Uint8Array} data - Data to authenticate.
+ * @param {string} [cipher] - Cipher name to check the key against.
+ * @param {Uint8Array} iv - GCM IV.
+ * @returns {Promise<Uint8Array>} 16-byte tag.
+ */
+async function gmac(key, data, cipher, iv) {
+  aesKeyBits(key, cipher, 'GCM');
+
+  const crypto = getWebCrypto();
+  if (crypto) {
+    const cryptoKey = isCryptoKey(key)
+      ? key
+      : await crypto.subtle.importKey('raw', key, { name: 'AES-GCM' }, false, ['encrypt']);
+    const tag = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: data, tagLength: 128 },
+      cryptoKey,
+      new Uint8Array(0)
+    );
+    return new Uint8Array(tag);
+  }
+  if (isCryptoKey(key)) {
+    throw new UnsupportedAlgorithmError('CryptoKey keys require Web Crypto', { module: 'mac' });
+  }
+  assertFallbackAllowed('mac', 'GMAC without Web Crypto');
+  const c = forge.cipher.createCipher('AES-GCM', bytesToBinaryString(key));
+  c.start({ iv: bytesToBinaryString(iv), additionalData: bytesToBinaryString(data), tagLength: 128 });
+  c.finish();
+  return binaryStringToBytes(c.mode.tag.getBytes());
+}
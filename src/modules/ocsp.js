@@ -0,0 +1,820 @@
+/**
+ * OCSP module (openssl ocsp equivalent, RFC 6960). Builds and parses OCSP
+ * requests, signs responses from a CA or delegated responder key, and
+ * verifies responses. Everything is DER in and DER out: callers POST the
+ * request (`application/ocsp-request`) with their own transport.
+ *
+ * @module ocsp
+ */
+
+import forge from 'node-forge';
+import { loadKey, pemEncode, derToAsn1, asn1ToDer, publicKeyFromPrivate } from '../utils/keys.js';
+import { EXTENSION_OIDS, CRL_REASONS, crlReasonCode, keyIdentifier } from '../utils/extensions.js';
+import { normalizeSignatureHash, signAsn1, verifySignedAsn1 } from '../utils/signature.js';
+import {
+  loadCertificate,
+  loadCertificates,
+  parseCertificateDer,
+  normalizeSerial,
+  serialToAsn1,
+  extensionsToAsn1,
+  getExtension,
+  SIGNATURE_ALGORITHM_NAMES
+} from '../utils/certificate.js';
+import { formatName, nameFromAsn1 } from '../utils/names.js';
+import {
+  bytesEqual,
+  bytesToBinaryString,
+  binaryStringToBytes,
+  bytesToHex,
+  toBytes,
+  base64ToBytes,
+  bytesToBase64
+} from '../utils/encoding.js';
+import { randomBytes } from '../utils/webcrypto.js';
+import {
+  InvalidArgumentError,
+  InvalidEncodingError,
+  UnsupportedAlgorithmError,
+  WebOpenSSLError
+} from '../utils/errors.js';
+
+const asn1 = forge.asn1;
+
+/** id-pkix-ocsp-basic response type. */
+const OCSP_BASIC_OID = '1.3.6.1.5.5.7.48.1.1';
+
+/** CertID hash algorithms (`-sha1`, `-sha256`, ...) keyed by OpenSSL name. */
+const CERT_ID_DIGESTS = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3'
+};
+
+/** OCSPResponseStatus values by code; 4 is unused. */
+const RESPONSE_STATUSES = ['successful', 'malformedRequest', 'internalError', 'tryLater', null, 'sigRequired', 'unauthorized'];
+
+/** Certificate statuses by CertStatus CHOICE tag. */
+const CERT_STATUSES = ['good', 'revoked', 'unknown'];
+
+/** Verification failures: OpenSSL reason names and messages. */
+const OCSP_ERRORS = {
+  OCSP_R_RESPONDER_ERROR: 'responder error',
+  OCSP_R_SIGNER_CERTIFICATE_NOT_FOUND: 'signer certificate not found',
+  OCSP_R_SIGNATURE_FAILURE: 'signature failure',
+  OCSP_R_CERTIFICATE_VERIFY_ERROR: 'certificate verify error',
+  OCSP_R_MISSING_OCSPSIGNING_USAGE: 'missing ocspsigning usage',
+  OCSP_R_NONCE_VERIFY_ERROR: 'nonce verify error',
+  OCSP_R_NO_NONCE: 'no nonce in response',
+  OCSP_R_NO_STATUS: 'no status found for certificate',
+  OCSP_R_STATUS_NOT_YET_VALID: 'status not yet valid',
+  OCSP_R_STATUS_EXPIRED: 'status expired',
+  OCSP_R_STATUS_TOO_OLD: 'status too old',
+  OCSP_R_NEXTUPDATE_BEFORE_THISUPDATE: 'nextupdate before thisupdate'
+};
+
+/**
+ * @typedef {Object} CertId
+ * @property {string} hashAlgorithm - 'sha1', 'sha256', 'sha384' or 'sha512' (or the OID if unknown).
+ * @property {string} issuerNameHash - Hash of the issuer Name DER (hex).
+ * @property {string} issuerKeyHash - Hash of the issuer public key bits (hex).
+ * @property {string} serial - Certificate serial (hex).
+ */
+
+/**
+ * Build, answer, parse or verify OCSP messages.
+ *
+ * The mode follows the options: `respond: true` signs a response to `request`
+ * (`openssl ocsp -index ... -rsigner`); `response` parses a response and, with
+ * `issuer`, verifies it (`-respin -issuer`); `request` alone parses a request
+ * (`-reqin -req_text`); otherwise a request is built for `certificate` or
+ * `serial` issued by `issuer` (`-issuer -cert -reqout`).
+ *
+ * @param {Object} options - OCSP options.
+ * @param {string|Uint8Array|Array} [options.certificate] - Certificate(s) to ask about or look up, PEM or DER (`-cert`).
+ * @param {string|number|Array} [options.serial] - Serial(s) to ask about or look up, hex or integer (`-serial`).
+ * @param {string|Uint8Array} [options.issuer] - Issuer certificate (`-issuer`).
+ * @param {boolean|string|Uint8Array} [options.nonce=true] - Building: add a random 16-byte nonce, use the given
+ *   nonce (hex or bytes), or none with false (`-no_nonce`). Verifying: nonce the response must echo.
+ * @param {string} [options.hashAlgo='sha1'] - CertID hash when building (`-sha256`, ...).
+ * @param {string|Uint8Array} [options.request] - DER (or base64) request to parse or answer (`-reqin`).
+ * @param {boolean} [options.respond=false] - Sign a response to `request`.
+ * @param {string|Uint8Array} [options.caCert] - CA whose certificates are answered for (`-CA`).
+ * @param {string|Uint8Array} [options.rsigner] - Responder certificate; `caCert` by default (`-rsigner`).
+ * @param {string|Uint8Array} [options.rkey] - Responder private key (`-rkey`).
+ * @param {string} [options.passin] - Passphrase of an encrypted responder key (`-passin`).
+ * @param {Array<Object|string|number>} [options.revoked=[]] - Revoked certificates as in crl():
+ *   `{ serial, revocationDate, reason }` or bare serials (`-index`).
+ * @param {Array<string|number>} [options.good] - Serials known to be valid; others are 'unknown'. Without
+ *   it every serial that is not revoked is 'good'.
+ * @param {number} [options.days] - Days until nextUpdate (`-ndays`); nextUpdate is omitted by default.
+ * @param {number} [options.minutes] - Minutes until nextUpdate (`-nmin`).
+ * @param {string} [options.responderId='name'] - 'name' or 'key' (`-resp_key_id`).
+ * @param {boolean} [options.includeCerts=true] - Include the responder certificate (`-resp_no_certs` when false).
+ * @param {string|Array} [options.rother] - Extra certificates to include (`-rother`).
+ * @param {string} [options.responseStatus='successful'] - Send an error status instead ('malformedRequest',
+ *   'internalError', 'tryLater', 'sigRequired', 'unauthorized').
+ * @param {string} [options.rmd='sha256'] - Response signature digest (`-rmd`).
+ * @param {string|Uint8Array} [options.response] - DER (or base64) response to parse (`-respin`).
+ * @param {string|Array} [options.untrusted] - Extra responder certificates for verification (`-verify_other`).
+ * @param {Date|number} [options.attime] - Verify at this time instead of now (seconds when a number).
+ * @param {number} [options.validityPeriod=300] - Clock skew allowed for thisUpdate/nextUpdate in seconds
+ *   (`-validity_period`).
+ * @param {number} [options.maxAge=-1] - Maximum age in seconds of statuses without nextUpdate; -1 disables
+ *   (`-status_age`).
+ * @param {boolean} [options.base64=false] - Output base64 instead of DER bytes. String inputs are always base64.
+ * @returns {Promise<Object>} Building: `{ request, nonce, certIds }`. Answering: `{ response }`. Parsing a
+ *   request: `{ version, certIds, nonce }`. Parsing a response: `{ responseStatus, producedAt, responderId,
+ *   signatureAlgorithm, certificates, responses, nonce }`, plus `valid`, `errors` and `status` (the status of
+ *   `certificate`/`serial`) when `issuer` is given.
+ * @throws {Error} If an input cannot be read or required options are missing.
+ *
+ * @example
+ * // openssl ocsp -issuer ca.pem -cert leaf.pem -reqout req.der
+ * const { request, nonce } = await ocsp({ certificate: leafPem, issuer: caPem });
+ * const der = new Uint8Array(await (await fetch(url, {
+ *   method: 'POST', headers: { 'Content-Type': 'application/ocsp-request' }, body: request
+ * })).arrayBuffer());
+ *
+ * // openssl ocsp -respin resp.der -issuer ca.pem -cert leaf.pem
+ * const { valid, status, errors } = await ocsp({ response: der, issuer: caPem, certificate: leafPem, nonce });
+ * if (valid) console.log(status.status); // 'good', 'revoked' or 'unknown'
+ *
+ * @example
+ * // openssl ocsp -index index.txt -CA ca.pem -rsigner ca.pem -rkey ca.key -reqin req.der -respout resp.der -ndays 1
+ * const { response } = await ocsp({
+ *   respond: true, request, caCert: caPem, rkey: caKeyPem, days: 1,
+ *   revoked: [{ serial: '1a2b', reason: 'keyCompromise', revocationDate: new Date('2024-05-01') }]
+ * });
+ */
+export async function ocsp(options = {}) {
+  if (options.respond) {
+    return respond(options);
+  }
+  if (options.response) {
+    return parseResponse(options);
+  }
+  if (options.request) {
+    return parseRequest(readDer(options.request));
+  }
+  return buildRequest(options);
+}
+
+/**
+ * Read a DER input given as bytes or base64 text.
+ * @param {string|Uint8Array|ArrayBuffer} input - Input.
+ * @returns {Uint8Array} DER.
+ */
+function readDer(input) {
+  return typeof input === 'string' ? base64ToBytes(input) : toBytes(input);
+}
+
+/**
+ * Output DER as bytes or base64.
+ * @param {Uint8Array} der - DER.
+ * @param {boolean} base64 - Return base64.
+ * @returns {Uint8Array|string} Output.
+ */
+function formatDer(der, base64) {
+  return base64 ? bytesToBase64(der) : der;
+}
+
+/**
+ * Wrap a list of items as a certificate list input: a single item or an array.
+ * @param {*} value - Item, array or undefined.
+ * @returns {Array} Items.
+ */
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Hash bytes with a CertID digest.
+ * @param {string} hashAlgorithm - Key of CERT_ID_DIGESTS.
+ * @param {string} bytes - Binary string.
+ * @returns {string} Digest as hex.
+ */
+function digestHex(hashAlgorithm, bytes) {
+  const md = forge.md[hashAlgorithm].create();
+  md.update(bytes);
+  return md.digest().toHex();
+}
+
+/**
+ * Compute the CertID of a serial issued by a CA.
+ * @param {ParsedCertificate} issuer - Issuer certificate.
+ * @param {string} serial - Serial hex.
+ * @param {string} hashAlgorithm - Key of CERT_ID_DIGESTS.
+ * @returns {CertId} CertID.
+ */
+function certIdFor(issuer, serial, hashAlgorithm) {
+  const spki = asn1.fromDer(bytesToBinaryString(issuer.spki), { decodeBitStrings: false });
+  return {
+    hashAlgorithm,
+    issuerNameHash: digestHex(hashAlgorithm, bytesToBinaryString(issuer.subjectDer)),
+    issuerKeyHash: digestHex(hashAlgorithm, spki.value[1].value.substring(1)),
+    serial
+  };
+}
+
+/**
+ * Encode a CertID.
+ * @param {CertId} id - CertID.
+ * @returns {Object} forge ASN.1 CertID.
+ */
+function certIdToAsn1(id) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(CERT_ID_DIGESTS[id.hashAlgorithm]).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, forge.util.hexToBytes(id.issuerNameHash)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, forge.util.hexToBytes(id.issuerKeyHash)),
+    serialToAsn1(id.serial)
+  ]);
+}
+
+/**
+ * Check the tag of a node read from an untrusted request or response.
+ * @param {Object} node - forge ASN.1 node, possibly missing.
+ * @param {number} type - Expected UNIVERSAL type.
+ * @param {string} what - Field name for the error.
+ * @returns {Object} The node.
+ * @throws {InvalidEncodingError} If the node is missing or has another tag.
+ */
+function expectNode(node, type, what) {
+  const constructed = type === asn1.Type.SEQUENCE;
+  if (!node || node.tagClass !== asn1.Class.UNIVERSAL || node.type !== type || node.constructed !== constructed) {
+    throw new InvalidEncodingError(`Invalid OCSP ${what}`, { module: 'ocsp' });
+  }
+  return node;
+}
+
+/**
+ * Unwrap an explicitly tagged field read from an untrusted request or response.
+ * @param {Object} node - forge ASN.1 CONTEXT_SPECIFIC node.
+ * @param {string} what - Field name for the error.
+ * @returns {Object} The wrapped node.
+ * @throws {InvalidEncodingError} If the node is not constructed or is empty.
+ */
+function explicit(node, what) {
+  if (!node || !node.constructed || !Array.isArray(node.value) || node.value.length !== 1) {
+    throw new InvalidEncodingError(`Invalid OCSP ${what}`, { module: 'ocsp' });
+  }
+  return node.value[0];
+}
+
+/**
+ * Read a GeneralizedTime.
+ * @param {Object} node - forge ASN.1 node.
+ * @param {string} what - Field name for the error.
+ * @returns {Date} Time.
+ * @throws {InvalidEncodingError} If the node is not a valid GeneralizedTime.
+ */
+function readTime(node, what) {
+  const date = asn1.generalizedTimeToDate(expectNode(node, asn1.Type.GENERALIZEDTIME, what).value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidEncodingError(`Invalid OCSP ${what}`, { module: 'ocsp' });
+  }
+  return date;
+}
+
+/**
+ * Decode a CertID.
+ * @param {Object} node - forge ASN.1 CertID.
+ * @returns {CertId} CertID.
+ */
+function certIdFromAsn1(node) {
+  const [algorithm, nameHash, keyHash, serial] = expectNode(node, asn1.Type.SEQUENCE, 'CertID').value;
+  const oid = asn1.derToOid(expectNode(expectNode(algorithm, asn1.Type.SEQUENCE, 'CertID').value[0],
+    asn1.Type.OID, 'CertID').value);
+  return {
+    hashAlgorithm: Object.keys(CERT_ID_DIGESTS).find(k => CERT_ID_DIGESTS[k] === oid) || oid,
+    issuerNameHash: forge.util.bytesToHex(expectNode(nameHash, asn1.Type.OCTETSTRING, 'CertID').value),
+    issuerKeyHash: forge.util.bytesToHex(expectNode(keyHash, asn1.Type.OCTETSTRING, 'CertID').value),
+    serial: forge.util.bytesToHex(expectNode(serial, asn1.Type.INTEGER, 'CertID').value.replace(/^\x00+(?=[\s\S])/, ''))
+  };
+}
+
+/**
+ * Whether two CertIDs name the same certificate.
+ * @param {CertId} a - First CertID.
+ * @param {CertId} b - Second CertID.
+ * @returns {boolean} True on a match.
+ */
+function sameCertId(a, b) {
+  return a.hashAlgorithm === b.hashAlgorithm && a.issuerNameHash === b.issuerNameHash &&
+    a.issuerKeyHash === b.issuerKeyHash && normalizeSerial(a.serial) === normalizeSerial(b.serial);
+}
+
+/**
+ * Build the nonce extension (the nonce is wrapped in an OCTET STRING, as OpenSSL does).
+ * @param {Uint8Array} nonce - Nonce bytes.
+ * @returns {Object} Extension for extensionsToAsn1().
+ */
+function nonceExtension(nonce) {
+  return {
+    id: EXTENSION_OIDS.ocspNonce,
+    critical: false,
+    value: asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(nonce))).getBytes()
+  };
+}
+
+/**
+ * Find the nonce in an Extensions SEQUENCE.
+ * @param {Object|undefined} extensions - forge ASN.1 SEQUENCE OF Extension.
+ * @returns {string|null} Nonce as hex, or null if absent.
+ */
+function readNonce(extensions) {
+  const ext = (extensions ? extensions.value : [])
+    .find(e => asn1.derToOid(e.value[0].value) === EXTENSION_OIDS.ocspNonce);
+  if (!ext) return null;
+  const raw = ext.value[ext.value.length - 1].value;
+  // Some responders put the bare nonce in extnValue
+  try {
+    const inner = asn1.fromDer(raw);
+    if (inner.type === asn1.Type.OCTETSTRING && !inner.constructed) return forge.util.bytesToHex(inner.value);
+  } catch (e) {
+    // fall through to the raw value
+  }
+  return forge.util.bytesToHex(raw);
+}
+
+/**
+ * Find an explicitly tagged field in a SEQUENCE.
+ * @param {Object} node - forge ASN.1 SEQUENCE.
+ * @param {number} tag - Context-specific tag number.
+ * @returns {Object|undefined} The tagged node.
+ */
+function tagged(node, tag) {
+  return node.value.find(n => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === tag);
+}
+
+/**
+ * Build an unsigned OCSP request.
+ * @param {Object} options - See {@link ocsp}.
+ * @returns {{request: Uint8Array|string, nonce: string|null, certIds: CertId[]}} Request and what it asks.
+ * @throws {Error} If the issuer or the certificates are missing.
+ */
+function buildRequest(options) {
+  const { certificate, serial, issuer, nonce = true, hashAlgo = 'sha1', base64 = false } = options;
+
+  if (!issuer) {
+    throw new InvalidArgumentError('issuer certificate required to build an OCSP request', { module: 'ocsp' });
+  }
+  const hashAlgorithm = String(hashAlgo).toLowerCase().replace('-', '');
+  if (!CERT_ID_DIGESTS[hashAlgorithm]) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported CertID digest: ${hashAlgo} (use ${Object.keys(CERT_ID_DIGESTS).join(', ')})`,
+      { module: 'ocsp' }
+    );
+  }
+
+  const issuerCert = loadCertificate(issuer);
+  const serials = [
+    ...asList(certificate).map(c => loadCertificate(c)).map((cert) => {
+      if (!bytesEqual(cert.issuerDer, issuerCert.subjectDer)) {
+        throw new InvalidArgumentError(
+          `Certificate ${formatName(cert.subject)} was not issued by ${formatName(issuerCert.subject)}`,
+          { module: 'ocsp' }
+        );
+      }
+      return cert.serial;
+    }),
+    ...asList(serial).map(normalizeSerial)
+  ];
+  if (serials.length === 0) {
+    throw new InvalidArgumentError('certificate or serial required to build an OCSP request', { module: 'ocsp' });
+  }
+
+  const certIds = serials.map(s => certIdFor(issuerCert, s, hashAlgorithm));
+  const tbs = [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+      certIds.map(id => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [certIdToAsn1(id)])))
+  ];
+
+  let nonceBytes = null;
+  if (nonce === true) {
+    nonceBytes = randomBytes(16);
+  } else if (nonce) {
+    nonceBytes = toBytes(nonce, { hex: typeof nonce === 'string' });
+  }
+  if (nonceBytes) {
+    tbs.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [extensionsToAsn1([nonceExtension(nonceBytes)])]));
+  }
+
+  const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbs)
+  ]);
+  return {
+    request: formatDer(asn1ToDer(request), base64),
+    nonce: nonceBytes ? bytesToHex(nonceBytes) : null,
+    certIds
+  };
+}
+
+/**
+ * Parse an OCSP request.
+ * @param {Uint8Array} der - Request DER.
+ * @returns {{version: number, certIds: CertId[], nonce: string|null, signed: boolean}} Request contents.
+ * @throws {InvalidEncodingError} If the input is not an OCSP request.
+ */
+function parseRequest(der) {
+  try {
+    const outer = derToAsn1(der);
+    const tbs = expectNode(expectNode(outer, asn1.Type.SEQUENCE, 'request').value[0], asn1.Type.SEQUENCE, 'request');
+    const version = tagged(tbs, 0);
+    const list = expectNode(tbs.value.find(n => n.tagClass === asn1.Class.UNIVERSAL), asn1.Type.SEQUENCE,
+      'requestList');
+    const extensions = tagged(tbs, 2);
+    const versionNumber = version
+      ? asn1.derToInteger(expectNode(explicit(version, 'version'), asn1.Type.INTEGER, 'version').value)
+      : 0;
+    return {
+      version: versionNumber + 1,
+      certIds: list.value.map(req => certIdFromAsn1(expectNode(req, asn1.Type.SEQUENCE, 'Request').value[0])),
+      nonce: readNonce(extensions && explicit(extensions, 'requestExtensions')),
+      signed: outer.value.length > 1
+    };
+  } catch (e) {
+    if (e instanceof WebOpenSSLError) throw e;
+    throw new InvalidEncodingError(`Invalid OCSP request: ${e.message}`, { module: 'ocsp', cause: e });
+  }
+}
+
+/**
+ * Sign an OCSP response for a request.
+ * @param {Object} options - See {@link ocsp}.
+ * @returns {Promise<{response: Uint8Array|string}>} Response DER (or base64).
+ * @throws {Error} If the responder inputs are missing or do not match.
+ */
+async function respond(options) {
+  const {
+    request,
+    caCert,
+    rsigner,
+    rkey,
+    passin,
+    revoked = [],
+    good,
+    days,
+    minutes,
+    responderId = 'name',
+    includeCerts = true,
+    rother,
+    responseStatus = 'successful',
+    rmd = 'sha256',
+    nonce = true,
+    base64 = false
+  } = options;
+
+  const statusCode = RESPONSE_STATUSES.indexOf(responseStatus);
+  if (statusCode < 0 || responseStatus === null) {
+    throw new InvalidArgumentError(
+      `Invalid responseStatus: ${responseStatus} (use ${RESPONSE_STATUSES.filter(Boolean).join(', ')})`,
+      { module: 'ocsp' }
+    );
+  }
+  const enumerated = code => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, String.fromCharCode(code));
+  if (statusCode !== 0) {
+    const errorResponse = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [enumerated(statusCode)]);
+    return { response: formatDer(asn1ToDer(errorResponse), base64) };
+  }
+
+  if (!request || !caCert || !rkey) {
+    throw new InvalidArgumentError(
+      'request, caCert and rkey are required to sign an OCSP response',
+      { module: 'ocsp' }
+    );
+  }
+  if (!['name', 'key'].includes(responderId)) {
+    throw new InvalidArgumentError(`Invalid responderId: ${responderId} (use name or key)`, { module: 'ocsp' });
+  }
+
+  const req = parseRequest(readDer(request));
+  const ca = loadCertificate(caCert);
+  const signer = rsigner ? loadCertificate(rsigner) : ca;
+  const signingKey = loadKey(rkey, passin);
+  if (signingKey.kind !== 'private') {
+    throw new InvalidArgumentError('rkey must be a private key', { module: 'ocsp' });
+  }
+  if (!bytesEqual(publicKeyFromPrivate(signingKey), signer.spki)) {
+    throw new InvalidArgumentError('Responder certificate and responder key do not match', { module: 'ocsp' });
+  }
+
+  const now = new Date();
+  const nextUpdate = days !== undefined || minutes !== undefined
+    ? new Date(now.getTime() + ((days || 0) * 1440 + (minutes || 0)) * 60000)
+    : null;
+  const revokedEntries = revoked.map(entry => (typeof entry === 'object' && entry !== null ? entry : { serial: entry }));
+  const goodSerials = good ? good.map(normalizeSerial) : null;
+  const generalizedTime = date => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false,
+    asn1.dateToGeneralizedTime(new Date(Math.floor(new Date(date).getTime() / 1000) * 1000)));
+
+  const responses = req.certIds.map((id) => {
+    let certStatus;
+    const ours = CERT_ID_DIGESTS[id.hashAlgorithm] && sameCertId(id, certIdFor(ca, id.serial, id.hashAlgorithm));
+    const entry = ours && revokedEntries.find(e => normalizeSerial(e.serial) === normalizeSerial(id.serial));
+    if (entry) {
+      const info = [generalizedTime(entry.revocationDate || now)];
+      if (entry.reason !== undefined && entry.reason !== null) {
+        info.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [enumerated(crlReasonCode(entry.reason))]));
+      }
+      certStatus = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, info);
+    } else {
+      const isGood = ours && (!goodSerials || goodSerials.includes(normalizeSerial(id.serial)));
+      certStatus = asn1.create(asn1.Class.CONTEXT_SPECIFIC, isGood ? 0 : 2, false, '');
+    }
+    const single = [certIdToAsn1(id), certStatus, generalizedTime(now)];
+    if (nextUpdate) {
+      single.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [generalizedTime(nextUpdate)]));
+    }
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, single);
+  });
+
+  const responseData = [
+    responderId === 'key'
+      ? asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(keyIdentifier(signer.spki)))
+      ])
+      : asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [derToAsn1(signer.subjectDer)]),
+    generalizedTime(now),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, responses)
+  ];
+  // The request nonce is echoed back unless disabled
+  if (nonce && req.nonce) {
+    responseData.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+      extensionsToAsn1([nonceExtension(binaryStringToBytes(forge.util.hexToBytes(req.nonce)))])
+    ]));
+  }
+
+  const hashName = normalizeSignatureHash(rmd);
+  const basic = derToAsn1(await signAsn1(signingKey, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, responseData), hashName));
+  const certs = [...(includeCerts ? [signer] : []), ...(rother ? loadCertificates(rother) : [])];
+  if (certs.length > 0) {
+    basic.value.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, certs.map(c => derToAsn1(c.der)))
+    ]));
+  }
+
+  const response = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    enumerated(0),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OCSP_BASIC_OID).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(basic).getBytes())
+      ])
+    ])
+  ]);
+  return { response: formatDer(asn1ToDer(response), base64) };
+}
+
+/**
+ * Verify a signed structure; a key that cannot be read (e.g. from a
+ * corrupted embedded certificate) fails the check instead of throwing.
+ * @param {Uint8Array} spki - Signer public key.
+ * @param {Uint8Array} der - Signed structure.
+ * @returns {Promise<boolean>} True when the signature is valid.
+ */
+async function checkSignature(spki, der) {
+  try {
+    return await verifySignedAsn1(loadKey(spki), der);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Decode the BasicOCSPResponse of a successful response, checking the shape
+ * of each field as it is read.
+ * @param {Object} responseBytes - forge ASN.1 `[0] EXPLICIT ResponseBytes`.
+ * @returns {Object} `basicDer`, the `responder` node, parsed `certificates`, `responses`, `producedAt`,
+ *   `responderId`, `signatureAlgorithm` and `nonce`.
+ * @throws {InvalidEncodingError} If a field is missing or malformed.
+ * @throws {UnsupportedAlgorithmError} If the response type is not id-pkix-ocsp-basic.
+ */
+function readBasicResponse(responseBytes) {
+  const bytes = expectNode(explicit(responseBytes, 'responseBytes'), asn1.Type.SEQUENCE, 'responseBytes');
+  const type = asn1.derToOid(expectNode(bytes.value[0], asn1.Type.OID, 'responseType').value);
+  if (type !== OCSP_BASIC_OID) {
+    throw new UnsupportedAlgorithmError(`Unsupported OCSP response type: ${type}`, { module: 'ocsp' });
+  }
+  const basicDer = binaryStringToBytes(expectNode(bytes.value[1], asn1.Type.OCTETSTRING, 'response').value);
+  const basic = expectNode(asn1.fromDer(bytesToBinaryString(basicDer), { decodeBitStrings: false }),
+    asn1.Type.SEQUENCE, 'BasicOCSPResponse');
+  const tbs = expectNode(basic.value[0], asn1.Type.SEQUENCE, 'ResponseData');
+  const sigAlg = expectNode(basic.value[1], asn1.Type.SEQUENCE, 'signatureAlgorithm');
+  const certsNode = tagged(basic, 0);
+
+  // Skip the optional [0] version
+  const fields = tbs.value.filter(n => !(n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 0));
+  const [responder, producedAt, list] = fields;
+  if (!responder || responder.tagClass !== asn1.Class.CONTEXT_SPECIFIC || ![1, 2].includes(responder.type)) {
+    throw new InvalidEncodingError('Invalid OCSP ResponderID', { module: 'ocsp' });
+  }
+  const responderValue = explicit(responder, 'ResponderID');
+  const extensions = fields.find((n, i) => i > 2 && n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 1);
+  const signatureOid = asn1.derToOid(expectNode(sigAlg.value[0], asn1.Type.OID, 'signatureAlgorithm').value);
+
+  const responses = expectNode(list, asn1.Type.SEQUENCE, 'responses').value.map((single) => {
+    const [id, status, thisUpdate, ...rest] = expectNode(single, asn1.Type.SEQUENCE, 'SingleResponse').value;
+    if (!status || status.tagClass !== asn1.Class.CONTEXT_SPECIFIC) {
+      throw new InvalidEncodingError('Invalid OCSP certStatus', { module: 'ocsp' });
+    }
+    const next = rest.find(n => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 0);
+    const entry = {
+      certId: certIdFromAsn1(id),
+      status: CERT_STATUSES[status.type] || 'unknown',
+      thisUpdate: readTime(thisUpdate, 'thisUpdate'),
+      nextUpdate: next ? readTime(explicit(next, 'nextUpdate'), 'nextUpdate') : null,
+      revocationTime: null,
+      reason: null
+    };
+    if (entry.status === 'revoked') {
+      if (!status.constructed || !Array.isArray(status.value)) {
+        throw new InvalidEncodingError('Invalid OCSP RevokedInfo', { module: 'ocsp' });
+      }
+      entry.revocationTime = readTime(status.value[0], 'revocationTime');
+      const reason = status.value.find(n => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 0);
+      if (reason) {
+        const code = expectNode(explicit(reason, 'revocationReason'), asn1.Type.ENUMERATED, 'revocationReason')
+          .value.charCodeAt(0);
+        entry.reason = Object.keys(CRL_REASONS).find(k => CRL_REASONS[k] === code) || String(code);
+      }
+    }
+    return entry;
+  });
+
+  const certificates = certsNode
+    ? expectNode(explicit(certsNode, 'certs'), asn1.Type.SEQUENCE, 'certs').value
+      .map(c => parseCertificateDer(asn1ToDer(c)))
+    : [];
+  return {
+    basicDer,
+    responder,
+    certificates,
+    responses,
+    producedAt: readTime(producedAt, 'producedAt'),
+    responderId: responder.type === 1
+      ? { name: formatName(nameFromAsn1(expectNode(responderValue, asn1.Type.SEQUENCE, 'ResponderID'))) }
+      : { keyHash: forge.util.bytesToHex(expectNode(responderValue, asn1.Type.OCTETSTRING, 'ResponderID').value) },
+    signatureAlgorithm: SIGNATURE_ALGORITHM_NAMES[signatureOid] || signatureOid,
+    nonce: readNonce(extensions && explicit(extensions, 'responseExtensions'))
+  };
+}
+
+/**
+ * Parse an OCSP response and, with an issuer, verify it.
+ * @param {Object} options - See {@link ocsp}.
+ * @returns {Promise<Object>} Response contents and verification result.
+ * @throws {InvalidEncodingError} If the input is not a well-formed OCSP response.
+ */
+async function parseResponse(options) {
+  const {
+    response,
+    issuer,
+    certificate,
+    serial,
+    nonce,
+    untrusted,
+    attime,
+    validityPeriod = 300,
+    maxAge = -1
+  } = options;
+
+  let outer;
+  try {
+    outer = derToAsn1(readDer(response));
+  } catch (e) {
+    throw new InvalidEncodingError(`Invalid OCSP response: ${e.message}`, { module: 'ocsp', cause: e });
+  }
+  if (outer.tagClass !== asn1.Class.UNIVERSAL || outer.type !== asn1.Type.SEQUENCE || !Array.isArray(outer.value) ||
+      !outer.value[0] || outer.value[0].type !== asn1.Type.ENUMERATED) {
+    throw new InvalidEncodingError('Not an OCSP response', { module: 'ocsp' });
+  }
+  const statusCode = outer.value[0].value.charCodeAt(0);
+  const result = { responseStatus: RESPONSE_STATUSES[statusCode] || String(statusCode) };
+
+  const errors = [];
+  const fail = (code, detail) => errors.push({ code, message: detail ? `${OCSP_ERRORS[code]}: ${detail}` : OCSP_ERRORS[code] });
+  if (statusCode !== 0) {
+    if (issuer) {
+      fail('OCSP_R_RESPONDER_ERROR', `${result.responseStatus} (${statusCode})`);
+      Object.assign(result, { valid: false, errors });
+    }
+    return result;
+  }
+
+  let basic;
+  try {
+    basic = readBasicResponse(tagged(outer, 0));
+  } catch (e) {
+    if (e instanceof WebOpenSSLError) throw e;
+    throw new InvalidEncodingError(`Invalid OCSP response: ${e.message}`, { module: 'ocsp', cause: e });
+  }
+  const { basicDer, responder, certificates, responses } = basic;
+  Object.assign(result, {
+    producedAt: basic.producedAt,
+    responderId: basic.responderId,
+    signatureAlgorithm: basic.signatureAlgorithm,
+    certificates: certificates.map(c => pemEncode('CERTIFICATE', c.der)),
+    responses,
+    nonce: basic.nonce
+  });
+
+  if (!issuer) {
+    return result;
+  }
+
+  const time = attime === undefined ? new Date() : new Date(typeof attime === 'number' ? attime * 1000 : attime);
+  const issuerCert = loadCertificate(issuer);
+
+  // Locate the signer named by the ResponderID
+  const candidates = [...certificates, ...loadCertificates(untrusted ? asList(untrusted) : []), issuerCert];
+  const responderSigner = candidates.find(c => (responder.type === 1
+    ? bytesEqual(c.subjectDer, asn1ToDer(responder.value[0]))
+    : bytesToHex(keyIdentifier(c.spki)) === result.responderId.keyHash));
+
+  if (!responderSigner) {
+    fail('OCSP_R_SIGNER_CERTIFICATE_NOT_FOUND');
+  } else {
+    if (!(await checkSignature(responderSigner.spki, basicDer))) {
+      fail('OCSP_R_SIGNATURE_FAILURE');
+    }
+    // Either the CA itself or a responder it delegated to with id-kp-OCSPSigning
+    const isCA = bytesEqual(responderSigner.spki, issuerCert.spki) && bytesEqual(responderSigner.subjectDer, issuerCert.subjectDer);
+    if (!isCA) {
+      if (!bytesEqual(responderSigner.issuerDer, issuerCert.subjectDer) ||
+          !(await checkSignature(issuerCert.spki, responderSigner.der))) {
+        fail('OCSP_R_CERTIFICATE_VERIFY_ERROR', 'responder certificate not issued by the issuer');
+      } else if (time < responderSigner.notBefore || time > responderSigner.notAfter) {
+        fail('OCSP_R_CERTIFICATE_VERIFY_ERROR', 'responder certificate is not valid at this time');
+      }
+      const eku = getExtension(responderSigner, 'extendedKeyUsage');
+      if (!eku || !eku.purposes.includes('OCSPSigning')) {
+        fail('OCSP_R_MISSING_OCSPSIGNING_USAGE');
+      }
+    }
+  }
+
+  if (nonce) {
+    const expected = typeof nonce === 'string' ? nonce.toLowerCase() : bytesToHex(toBytes(nonce));
+    if (result.nonce === null) {
+      fail('OCSP_R_NO_NONCE');
+    } else if (result.nonce !== expected) {
+      fail('OCSP_R_NONCE_VERIFY_ERROR');
+    }
+  }
+
+  // Statuses to check: the requested certificates, or every response
+  const wanted = [
+    ...asList(certificate).map(c => loadCertificate(c).serial),
+    ...asList(serial).map(normalizeSerial)
+  ];
+  let checked = responses;
+  if (wanted.length > 0) {
+    checked = [];
+    for (const s of wanted) {
+      const match = responses.find(r => CERT_ID_DIGESTS[r.certId.hashAlgorithm] &&
+        sameCertId(r.certId, certIdFor(issuerCert, s, r.certId.hashAlgorithm)));
+      if (match) {
+        checked.push(match);
+      } else {
+        fail('OCSP_R_NO_STATUS', s);
+      }
+    }
+    if (checked.length > 0) {
+      const [first] = checked;
+      result.status = {
+        serial: first.certId.serial,
+        status: first.status,
+        revocationTime: first.revocationTime,
+        reason: first.reason,
+        thisUpdate: first.thisUpdate,
+        nextUpdate: first.nextUpdate
+      };
+    }
+  }
+
+  // OCSP_check_validity()
+  const skew = validityPeriod * 1000;
+  for (const r of checked) {
+    if (r.thisUpdate.getTime() > time.getTime() + skew) {
+      fail('OCSP_R_STATUS_NOT_YET_VALID', r.certId.serial);
+    } else if (!r.nextUpdate && maxAge >= 0 && r.thisUpdate.getTime() < time.getTime() - maxAge * 1000) {
+      fail('OCSP_R_STATUS_TOO_OLD', r.certId.serial);
+    }
+    if (r.nextUpdate) {
+      if (r.nextUpdate.getTime() < time.getTime() - skew) {
+        fail('OCSP_R_STATUS_EXPIRED', r.certId.serial);
+      }
+      if (r.nextUpdate < r.thisUpdate) {
+        fail('OCSP_R_NEXTUPDATE_BEFORE_THISUPDATE', r.certId.serial);
+      }
+    }
+  }
+
+  return Object.assign(result, { valid: errors.length === 0, errors });
+}
@@ -0,0 +1,266 @@
+/**
+ * Password hashing module (openssl passwd equivalent).
+ * MD5-crypt ($1$, Apache $apr1$) and SHA-crypt ($5$, $6$) run on node-forge
+ * digests, as Web Crypto has no iterated password schemes; bcrypt ($2b$)
+ * hashes are verified with utils/bcrypt.
+ *
+ * @module passwd
+ */
+
+import forge from 'node-forge';
+import { toBytes, bytesToBinaryString } from '../utils/encoding.js';
+import { bcrypt } from '../utils/bcrypt.js';
+import { InvalidArgumentError, InvalidEncodingError, UnsupportedAlgorithmError } from '../utils/errors.js';
+import { assertAlgorithmAllowed, debug } from '../utils/config.js';
+import { rand } from './rand.js';
+
+/** Alphabet of crypt salts and hashes. */
+const ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/** Schemes, keyed by `algorithm` name and alias. */
+const SCHEMES = {
+  '1': { id: '1', md: 'md5', saltLength: 8 },
+  'MD5': { id: '1', md: 'md5', saltLength: 8 },
+  'APR1': { id: 'apr1', md: 'md5', saltLength: 8 },
+  '5': { id: '5', md: 'sha256', saltLength: 16 },
+  'SHA256': { id: '5', md: 'sha256', saltLength: 16 },
+  '6': { id: '6', md: 'sha512', saltLength: 16 },
+  'SHA512': { id: '6', md: 'sha512', saltLength: 16 }
+};
+
+/** SHA-crypt rounds: default (not written to the hash) and limits. */
+const ROUNDS_DEFAULT = 5000;
+const ROUNDS_MIN = 1000;
+const ROUNDS_MAX = 999999999;
+
+/** Byte order of the SHA-256-crypt and SHA-512-crypt output encodings, three bytes per group. */
+const SHA256_ORDER = [0, 10, 20, 21, 1, 11, 12, 22, 2, 3, 13, 23, 24, 4, 14, 15, 25, 5, 6, 16, 26, 27, 7, 17, 18, 28,
+  8, 9, 19, 29];
+const SHA512_ORDER = [0, 21, 42, 22, 43, 1, 44, 2, 23, 3, 24, 45, 25, 46, 4, 47, 5, 26, 6, 27, 48, 28, 49, 7, 50, 8,
+  29, 9, 30, 51, 31, 52, 10, 53, 11, 32, 12, 33, 54, 34, 55, 13, 56, 14, 35, 15, 36, 57, 37, 58, 16, 59, 17, 38, 18,
+  39, 60, 40, 61, 19, 62, 20, 41];
+
+/** MD5-crypt output byte order. */
+const MD5_ORDER = [0, 6, 12, 1, 7, 13, 2, 8, 14, 3, 9, 15, 4, 10, 5];
+
+/**
+ * Hash a password for /etc/shadow or .htpasswd, or check one against a hash.
+ *
+ * @param {Object} options - Options.
+ * @param {string|Uint8Array} options.password - Password (UTF-8 if a string).
+ * @param {string} [options.algorithm='6'] - '6' or 'sha512' (`-6`), '5' or 'sha256' (`-5`), 'apr1'
+ *   (`-apr1`) or '1' or 'md5' (`-1`). `openssl passwd` defaults to MD5-crypt.
+ * @param {string} [options.salt] - Salt (`-salt`), truncated to 8 characters for MD5-crypt and 16 for
+ *   SHA-crypt; SHA-crypt also accepts OpenSSL's `rounds=N$salt` form. Generated with {@link rand} if
+ *   missing.
+ * @param {number} [options.rounds] - SHA-crypt rounds (1000 to 999999999, default 5000). When given, the
+ *   hash records them as `rounds=N$`.
+ * @param {string} [options.verify] - Hash to check `password` against: `$1$`, `$apr1$`, `$5$`, `$6$`, or
+ *   bcrypt `$2a$`/`$2b$`/`$2y$`.
+ * @returns {Promise<string|boolean>} The hash, e.g. `$6$salt$...`; with `verify`, whether it matches.
+ * @throws {InvalidArgumentError} If the password is missing or the salt or rounds are invalid.
+ * @throws {UnsupportedAlgorithmError} If the algorithm, or the scheme of a hash to verify, is unknown.
+ * @throws {InvalidEncodingError} If the hash to verify is malformed.
+ * @throws {PolicyError} For MD5-crypt in fipsLike mode.
+ *
+ * @example
+ * // openssl passwd -6 -salt xyz secret
+ * const hash = await passwd({ algorithm: '6', salt: 'xyz', password: 'secret' });
+ * // "$6$xyz$..."
+ *
+ * @example
+ * // .htpasswd entry: openssl passwd -apr1 secret
+ * const line = `admin:${await passwd({ algorithm: 'apr1', password: 'secret' })}`;
+ *
+ * @example
+ * const ok = await passwd({ password: 'secret', verify: '$2b$12$...' });
+ */
+export async function passwd(options = {}) {
+  const { password, algorithm = '6', salt, rounds, verify } = options;
+
+  if (password === undefined || password === null) {
+    throw new InvalidArgumentError('Password required', { module: 'passwd' });
+  }
+  const pw = toBytes(password);
+
+  if (verify !== undefined) {
+    return verifyHash(pw, verify);
+  }
+
+  const scheme = SCHEMES[String(algorithm).toUpperCase()];
+  if (!scheme) {
+    throw new UnsupportedAlgorithmError(`Unsupported passwd algorithm: ${algorithm} (use 1, apr1, 5 or 6)`, {
+      module: 'passwd'
+    });
+  }
+  let finalSalt = salt;
+  let finalRounds = rounds;
+  if (finalSalt !== undefined && scheme.md !== 'md5') {
+    const match = /^rounds=(\d+)\$(.*)$/.exec(finalSalt);
+    if (match) {
+      finalRounds = finalRounds ?? parseInt(match[1], 10);
+      finalSalt = match[2];
+    }
+  }
+  if (finalSalt === undefined) {
+    finalSalt = await randomSalt(scheme.saltLength);
+  } else if (/[$:\n]/.test(finalSalt)) {
+    throw new InvalidArgumentError('Invalid salt: must not contain "$", ":" or a newline', { module: 'passwd' });
+  }
+  if (finalRounds !== undefined && (scheme.md === 'md5' || !Number.isInteger(finalRounds) || finalRounds < 1)) {
+    throw new InvalidArgumentError(
+      scheme.md === 'md5' ? 'MD5-crypt has no rounds' : 'Invalid rounds: must be a positive integer',
+      { module: 'passwd' }
+    );
+  }
+  debug('passwd', `$${scheme.id}$ hash`, { saltLength: finalSalt.length, rounds: finalRounds });
+
+  return scheme.md === 'md5'
+    ? md5Crypt(pw, finalSalt.slice(0, 8), scheme.id)
+    : shaCrypt(pw, finalSalt.slice(0, 16), scheme, finalRounds);
+}
+
+/**
+ * Check a password against a crypt hash.
+ * @param {Uint8Array} pw - Password bytes.
+ * @param {string} hash - Hash to check.
+ * @returns {boolean} True if the password matches.
+ * @throws {UnsupportedAlgorithmError} If the scheme is unknown.
+ * @throws {InvalidEncodingError} If the hash is malformed.
+ */
+function verifyHash(pw, hash) {
+  const text = String(hash).trim();
+  const parts = text.split('$');
+  let expected;
+  const bcryptMatch = /^\$(2[aby])\$(\d\d)\$([./A-Za-z0-9]{53})$/.exec(text);
+  if (bcryptMatch) {
+    expected = bcrypt(pw, bcryptMatch[3].slice(0, 22), parseInt(bcryptMatch[2], 10), bcryptMatch[1]);
+  } else if (parts[0] !== '' || parts.length < 4) {
+    throw new InvalidEncodingError('Invalid password hash: expected $id$salt$hash', { module: 'passwd' });
+  } else if (parts[1] === '1' || parts[1] === 'apr1') {
+    expected = md5Crypt(pw, parts[2], parts[1]);
+  } else if (parts[1] === '5' || parts[1] === '6') {
+    const scheme = SCHEMES[parts[1]];
+    const rounds = /^rounds=(\d+)$/.exec(parts[2]);
+    if (rounds && parts.length !== 5) {
+      throw new InvalidEncodingError('Invalid password hash: expected $id$rounds=N$salt$hash', { module: 'passwd' });
+    }
+    expected = rounds
+      ? shaCrypt(pw, parts[3], scheme, parseInt(rounds[1], 10))
+      : shaCrypt(pw, parts[2], scheme);
+  } else {
+    throw new UnsupportedAlgorithmError(`Unsupported password hash scheme: $${parts[1]}$`, { module: 'passwd' });
+  }
+
+  let diff = expected.length ^ text.length;
+  for (let i = 0; i < Math.min(expected.length, text.length); i++) {
+    diff |= expected.charCodeAt(i) ^ text.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Random salt characters, like `openssl passwd`: one random byte per character.
+ * @param {number} length - Number of characters.
+ * @returns {Promise<string>} Salt.
+ */
+async function randomSalt(length) {
+  const bytes = await rand({ length, raw: true });
+  return Array.from(bytes, b => ITOA64[b & 0x3f]).join('');
+}
+
+/**
+ * Encode digest bytes as crypt base64, three bytes (little-endian) per four characters.
+ * @param {string} digest - Digest as a binary string.
+ * @param {number[]} order - Byte order; a trailing partial group is zero-padded at the top.
+ * @returns {string} Encoded text.
+ */
+function cryptBase64(digest, order) {
+  let out = '';
+  for (let i = 0; i < order.length; i += 3) {
+    const group = order.slice(i, i + 3);
+    let value = 0;
+    for (const index of group) value = (value << 8) | digest.charCodeAt(index);
+    for (let n = group.length + 1; n > 0; n--, value >>>= 6) out += ITOA64[value & 0x3f];
+  }
+  return out;
+}
+
+/**
+ * Hash a binary string with a node-forge digest.
+ * @param {string} md - node-forge digest name.
+ * @param {string} data - Binary string.
+ * @returns {string} Digest as a binary string.
+ */
+function digest(md, data) {
+  return forge.md[md].create().update(data).digest().getBytes();
+}
+
+/**
+ * MD5-crypt (Poul-Henning Kamp's FreeBSD scheme) and its Apache variant.
+ * @param {Uint8Array} pw - Password bytes.
+ * @param {string} salt - Salt, at most 8 characters.
+ * @param {string} id - '1' or 'apr1'.
+ * @returns {string} `$1$salt$hash` or `$apr1$salt$hash`.
+ */
+function md5Crypt(pw, salt, id) {
+  assertAlgorithmAllowed('passwd', 'MD5');
+  const p = bytesToBinaryString(pw);
+  const s = salt.slice(0, 8);
+  const magic = `$${id}$`;
+  const alt = digest('md5', p + s + p);
+  let ctx = p + magic + s;
+  for (let n = p.length; n > 0; n -= 16) ctx += alt.slice(0, Math.min(16, n));
+  for (let n = p.length; n > 0; n >>= 1) ctx += n & 1 ? '\0' : p[0];
+  let final = digest('md5', ctx);
+
+  for (let i = 0; i < 1000; i++) {
+    let c = i & 1 ? p : final;
+    if (i % 3) c += s;
+    if (i % 7) c += p;
+    c += i & 1 ? final : p;
+    final = digest('md5', c);
+  }
+  return `${magic}${s}$${cryptBase64(final, MD5_ORDER.concat(11))}`;
+}
+
+/**
+ * SHA-256-crypt and SHA-512-crypt (Ulrich Drepper's specification).
+ * @param {Uint8Array} pw - Password bytes.
+ * @param {string} salt - Salt, at most 16 characters.
+ * @param {{id: string, md: string}} scheme - Entry of SCHEMES.
+ * @param {number} [rounds] - Rounds; clamped to 1000-999999999 and written to the hash when given.
+ * @returns {string} `$5$...` or `$6$...`.
+ */
+function shaCrypt(pw, salt, scheme, rounds) {
+  const { id, md } = scheme;
+  const p = bytesToBinaryString(pw);
+  const s = salt.slice(0, 16);
+  const n = rounds === undefined ? ROUNDS_DEFAULT : Math.min(Math.max(rounds, ROUNDS_MIN), ROUNDS_MAX);
+  const size = md === 'sha256' ? 32 : 64;
+
+  const b = digest(md, p + s + p);
+  let a = p + s;
+  let len = p.length;
+  for (; len > size; len -= size) a += b;
+  a += b.slice(0, len);
+  for (len = p.length; len > 0; len >>= 1) a += len & 1 ? b : p;
+  a = digest(md, a);
+
+  const dp = digest(md, p.repeat(p.length));
+  const pBytes = dp.repeat(Math.ceil(p.length / size)).slice(0, p.length);
+  const ds = digest(md, s.repeat(16 + a.charCodeAt(0)));
+  const sBytes = ds.slice(0, s.length);
+
+  for (let i = 0; i < n; i++) {
+    let c = i & 1 ? pBytes : a;
+    if (i % 3) c += sBytes;
+    if (i % 7) c += pBytes;
+    c += i & 1 ? a : pBytes;
+    a = digest(md, c);
+  }
+
+  const order = md === 'sha256' ? SHA256_ORDER.concat(31, 30) : SHA512_ORDER.concat(63);
+  const prefix = rounds === undefined ? `$${id}$` : `$${id}$rounds=${n}$`;
+  return `${prefix}${s}$${cryptBase64(a, order)}`;
+}
@@ -0,0 +1,445 @@
+/**
+ * PKCS#12 / PFX module (openssl pkcs12 equivalent).
+ * Reads and writes password-protected key and certificate bundles with
+ * PBES2 (AES) or the legacy 3DES/RC2 schemes, and an HMAC integrity check.
+ *
+ * @module pkcs12
+ */
+
+import forge from 'node-forge';
+import { loadKey, pemEncode, derToAsn1, asn1ToDer, publicKeyFromPrivate, serializePrivateKey } from '../utils/keys.js';
+import { loadCertificate, loadCertificates } from '../utils/certificate.js';
+import { pbeEncrypt, pbeDecrypt, pkcs12Kdf } from '../utils/pbe.js';
+import { randomBytes } from '../utils/webcrypto.js';
+import {
+  bytesToBinaryString,
+  binaryStringToBytes,
+  bytesToBase64,
+  bytesEqual,
+  toBytes
+} from '../utils/encoding.js';
+import {
+  BadDecryptError,
+  InvalidArgumentError,
+  InvalidEncodingError,
+  UnsupportedAlgorithmError
+} from '../utils/errors.js';
+
+const asn1 = forge.asn1;
+
+/** PKCS#7 content types, PKCS#12 bag types and PKCS#9 bag attributes. */
+const OIDS = {
+  data: '1.2.840.113549.1.7.1',
+  encryptedData: '1.2.840.113549.1.7.6',
+  keyBag: '1.2.840.113549.1.12.10.1.1',
+  pkcs8ShroudedKeyBag: '1.2.840.113549.1.12.10.1.2',
+  certBag: '1.2.840.113549.1.12.10.1.3',
+  safeContentsBag: '1.2.840.113549.1.12.10.1.6',
+  x509Certificate: '1.2.840.113549.1.9.22.1',
+  friendlyName: '1.2.840.113549.1.9.20',
+  localKeyId: '1.2.840.113549.1.9.21'
+};
+
+/** MAC digest OIDs keyed by name. */
+const MAC_DIGESTS = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3'
+};
+
+/**
+ * Read or write a PKCS#12 (PFX) file.
+ *
+ * Without `export`, `input` is parsed and its contents returned as PEM
+ * (`openssl pkcs12 -in file.p12 -nodes`). With `export: true`, a PFX is built from
+ * `key`, `certificate` and `chain` (`openssl pkcs12 -export`).
+ *
+ * @param {Object} options - PKCS#12 options.
+ * @param {string} [options.password=''] - PFX password (`-passin` / `-passout`).
+ * @param {Uint8Array|ArrayBuffer|string} [options.input] - PFX bytes, or base64 text, to read (`-in`).
+ * @param {string} [options.keyPassword] - When reading, encrypt the returned private key with this
+ *   passphrase (PBES2 AES-256-CBC) instead of returning it in the clear. When exporting, the passphrase
+ *   of an encrypted `key` (`-passin`).
+ * @param {boolean} [options.export=false] - Build a PFX instead of reading one (`-export`).
+ * @param {string|Uint8Array} [options.key] - Private key, PEM or DER (`-inkey`).
+ * @param {string|Uint8Array} [options.certificate] - Certificate matching `key`, PEM or DER.
+ * @param {string|Array<string|Uint8Array>} [options.chain] - CA certificates to include (`-certfile`).
+ * @param {string} [options.friendlyName] - Friendly name for the key and certificate (`-name`).
+ * @param {boolean} [options.legacy=false] - Use PBE-SHA1-3DES for the key, PBE-SHA1-RC2-40 for the
+ *   certificates and a SHA-1 MAC, for old Windows and Java readers (`-legacy`).
+ * @param {string} [options.keyPbe] - Key encryption: 'AES-256-CBC' (default), 'AES-128-CBC',
+ *   'DES-EDE3-CBC', 'PBE-SHA1-3DES', 'PBE-SHA1-2DES', 'PBE-SHA1-RC2-128', 'PBE-SHA1-RC2-40' or 'NONE' (`-keypbe`).
+ * @param {string} [options.certPbe] - Certificate encryption, same choices (`-certpbe`).
+ * @param {number} [options.iterations=2048] - Encryption and MAC iteration count (`-iter`).
+ * @param {string} [options.macAlgo] - MAC digest: 'sha256' (default), 'sha1', 'sha384', 'sha512' (`-macalg`).
+ * @param {boolean} [options.noMac=false] - Omit the MAC (`-nomac`).
+ * @param {boolean} [options.base64=false] - Return the PFX as base64 instead of bytes.
+ * @returns {Promise<Object>} When reading: `{ privateKey, certificate, ca, friendlyName, localKeyId, mac }`
+ *   with PEM strings (`ca` is an array, `mac` is `{ algorithm, iterations }` or null). When exporting: `{ pfx }`.
+ * @throws {Error} If the MAC does not verify ('Mac verify error: invalid password?'), a bag cannot be
+ *   decrypted, or the key does not match the certificate.
+ *
+ * @example
+ * // openssl pkcs12 -in bundle.p12 -nodes -passin pass:secret
+ * const { privateKey, certificate, ca } = await pkcs12({ input: p12Bytes, password: 'secret' });
+ *
+ * @example
+ * // openssl pkcs12 -export -inkey key.pem -in cert.pem -certfile chain.pem -name "My Key" -passout pass:secret
+ * const { pfx } = await pkcs12({
+ *   export: true,
+ *   key: privateKey,
+ *   certificate,
+ *   chain,
+ *   friendlyName: 'My Key',
+ *   password: 'secret'
+ * });
+ */
+export async function pkcs12(options = {}) {
+  if (options.export) {
+    return { pfx: exportPkcs12(options) };
+  }
+  if (!options.input) {
+    throw new InvalidArgumentError('PKCS#12 input required (or set export: true)', { module: 'pkcs12' });
+  }
+  return parsePkcs12(options);
+}
+
+/**
+ * Contents of an OCTET STRING that may be BER constructed (as Java writes them).
+ * @param {Object} node - forge ASN.1 OCTET STRING.
+ * @returns {string} Binary string.
+ */
+function octets(node) {
+  return Array.isArray(node.value) ? node.value.map(octets).join('') : node.value;
+}
+
+/**
+ * Compute the PFX integrity MAC over the AuthenticatedSafe.
+ * @param {string} password - Password.
+ * @param {string} digest - Digest name.
+ * @param {Uint8Array} salt - MAC salt.
+ * @param {number} iterations - Iteration count.
+ * @param {string} data - AuthenticatedSafe DER (binary string).
+ * @returns {string} MAC (binary string).
+ */
+function computeMac(password, digest, salt, iterations, data) {
+  const md = forge.md[digest].create();
+  const key = pkcs12Kdf(password, salt, 3, iterations, md.digestLength, digest);
+  const hmac = forge.hmac.create();
+  hmac.start(digest, bytesToBinaryString(key));
+  hmac.update(data);
+  return hmac.digest().getBytes();
+}
+
+/**
+ * Decode a SafeBag's attributes.
+ * @param {Object} [attributes] - forge ASN.1 SET OF Attribute.
+ * @returns {{friendlyName?: string, localKeyId?: string}} Attributes (key id as hex).
+ */
+function bagAttributes(attributes) {
+  const out = {};
+  for (const attr of attributes ? attributes.value : []) {
+    const oid = asn1.derToOid(attr.value[0].value);
+    const value = attr.value[1].value[0];
+    if (oid === OIDS.friendlyName) out.friendlyName = value.value;
+    if (oid === OIDS.localKeyId) out.localKeyId = forge.util.bytesToHex(value.value);
+  }
+  return out;
+}
+
+/**
+ * Collect keys and certificates from a SafeContents.
+ * @param {Object} safeContents - forge ASN.1 SEQUENCE OF SafeBag.
+ * @param {string} password - Password.
+ * @param {{keys: Array, certs: Array}} found - Accumulator.
+ */
+function readSafeContents(safeContents, password, found) {
+  for (const bag of safeContents.value) {
+    const bagId = asn1.derToOid(bag.value[0].value);
+    const value = bag.value[1].value[0];
+    const attrs = bagAttributes(bag.value[2]);
+
+    if (bagId === OIDS.keyBag) {
+      found.keys.push({ pkcs8: asn1ToDer(value), ...attrs });
+    } else if (bagId === OIDS.pkcs8ShroudedKeyBag) {
+      // EncryptedPrivateKeyInfo ::= SEQUENCE { encryptionAlgorithm, encryptedData OCTET STRING }
+      found.keys.push({ pkcs8: pbeDecrypt(value.value[0], binaryStringToBytes(octets(value.value[1])), password), ...attrs });
+    } else if (bagId === OIDS.certBag) {
+      // CertBag ::= SEQUENCE { certId, certValue [0] EXPLICIT OCTET STRING }
+      if (asn1.derToOid(value.value[0].value) === OIDS.x509Certificate) {
+        found.certs.push({ der: binaryStringToBytes(octets(value.value[1].value[0])), ...attrs });
+      }
+    } else if (bagId === OIDS.safeContentsBag) {
+      readSafeContents(value, password, found);
+    }
+  }
+}
+
+/**
+ * Parse a PFX and return its key and certificates.
+ * @param {Object} options - Options from {@link pkcs12}.
+ * @returns {Object} Key, certificate, CA certificates and metadata.
+ */
+function parsePkcs12(options) {
+  const { input, password = '', keyPassword } = options;
+  const der = typeof input === 'string' ? toBytes(input.replace(/\s/g, ''), { base64: true }) : toBytes(input);
+
+  let pfx;
+  try {
+    pfx = asn1.fromDer(bytesToBinaryString(der), { decodeBitStrings: false });
+  } catch (e) {
+    throw new InvalidEncodingError(`Invalid PKCS#12 DER: ${e.message}`, { module: 'pkcs12', cause: e });
+  }
+  const [version, authSafe, macData] = pfx.value || [];
+  if (!version || !authSafe || asn1.derToInteger(version.value) !== 3) {
+    throw new InvalidEncodingError('Not a PKCS#12 v3 file', { module: 'pkcs12' });
+  }
+  if (asn1.derToOid(authSafe.value[0].value) !== OIDS.data) {
+    throw new InvalidArgumentError('Public-key protected PKCS#12 files are not supported', { module: 'pkcs12' });
+  }
+  const authSafeDer = octets(authSafe.value[1].value[0]);
+
+  // MacData ::= SEQUENCE { mac DigestInfo, macSalt OCTET STRING, iterations INTEGER DEFAULT 1 }
+  let mac = null;
+  if (macData) {
+    const [digestInfo, salt, iterNode] = macData.value;
+    const digestOid = asn1.derToOid(digestInfo.value[0].value[0].value);
+    const algorithm = Object.keys(MAC_DIGESTS).find(k => MAC_DIGESTS[k] === digestOid);
+    if (!algorithm) {
+      throw new UnsupportedAlgorithmError(
+        `Unsupported PKCS#12 MAC digest: ${forge.pki.oids[digestOid] || digestOid}`,
+        { module: 'pkcs12' }
+      );
+    }
+    const iterations = iterNode ? asn1.derToInteger(iterNode.value) : 1;
+    const expected = computeMac(password, algorithm, binaryStringToBytes(salt.value), iterations, authSafeDer);
+    if (expected !== digestInfo.value[1].value) {
+      throw new BadDecryptError('Mac verify error: invalid password?', { module: 'pkcs12' });
+    }
+    mac = { algorithm, iterations };
+  }
+
+  const found = { keys: [], certs: [] };
+  for (const info of asn1.fromDer(authSafeDer).value) {
+    const contentType = asn1.derToOid(info.value[0].value);
+    const content = info.value[1].value[0];
+    if (contentType === OIDS.data) {
+      readSafeContents(asn1.fromDer(octets(content)), password, found);
+    } else if (contentType === OIDS.encryptedData) {
+      // EncryptedData ::= SEQUENCE { version, EncryptedContentInfo { contentType, algorithm, [0] IMPLICIT content } }
+      const encInfo = content.value[1];
+      const plain = pbeDecrypt(encInfo.value[1], binaryStringToBytes(octets(encInfo.value[2])), password);
+      readSafeContents(asn1.fromDer(bytesToBinaryString(plain)), password, found);
+    } else {
+      throw new UnsupportedAlgorithmError(
+        `Unsupported PKCS#12 content type: ${forge.pki.oids[contentType] || contentType}`,
+        { module: 'pkcs12' }
+      );
+    }
+  }
+
+  // The end-entity certificate shares the key's localKeyId, or failing that its public key
+  const key = found.keys[0];
+  let certIndex = -1;
+  if (key) {
+    certIndex = found.certs.findIndex(c => key.localKeyId && c.localKeyId === key.localKeyId);
+    if (certIndex < 0) {
+      const spki = publicKeyFromPrivate(loadKey(key.pkcs8));
+      certIndex = found.certs.findIndex(c => bytesEqual(loadCertificate(c.der).spki, spki));
+    }
+  }
+  const cert = certIndex >= 0 ? found.certs[certIndex] : undefined;
+
+  return {
+    privateKey: key ? serializePrivateKey(key.pkcs8, { password: keyPassword }) : undefined,
+    certificate: cert ? pemEncode('CERTIFICATE', cert.der) : undefined,
+    ca: found.certs.filter((_, i) => i !== certIndex).map(c => pemEncode('CERTIFICATE', c.der)),
+    friendlyName: (key && key.friendlyName) || (cert && cert.friendlyName),
+    localKeyId: (key && key.localKeyId) || (cert && cert.localKeyId),
+    mac
+  };
+}
+
+/**
+ * Build a SafeBag.
+ * @param {string} bagId - Bag type OID.
+ * @param {Object} value - forge ASN.1 bag value.
+ * @param {{friendlyName?: string, localKeyId?: string}} attrs - Bag attributes (key id as binary string).
+ * @returns {Object} forge ASN.1 SafeBag.
+ */
+function safeBag(bagId, value, attrs) {
+  const attributes = [];
+  if (attrs.friendlyName !== undefined) {
+    attributes.push(bagAttribute(OIDS.friendlyName, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BMPSTRING, false, attrs.friendlyName)));
+  }
+  if (attrs.localKeyId !== undefined) {
+    attributes.push(bagAttribute(OIDS.localKeyId, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, attrs.localKeyId)));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(bagId).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [value]),
+    ...(attributes.length > 0 ? [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, attributes)] : [])
+  ]);
+}
+
+/**
+ * Build a single-valued PKCS#9 attribute.
+ * @param {string} oid - Attribute OID.
+ * @param {Object} value - forge ASN.1 value.
+ * @returns {Object} forge ASN.1 Attribute.
+ */
+function bagAttribute(oid, value) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+  ]);
+}
+
+/**
+ * Wrap SafeContents in a ContentInfo, encrypted unless `pbe` is 'NONE'.
+ * @param {Array<Object>} bags - SafeBags.
+ * @param {string} password - Password.
+ * @param {string} pbe - Encryption scheme.
+ * @param {number} iterations - Iteration count.
+ * @returns {Object} forge ASN.1 ContentInfo.
+ */
+function contentInfo(bags, password, pbe, iterations) {
+  const safeContents = asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, bags)).getBytes();
+  const oid = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+
+  if (pbe === 'NONE') {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      oid(OIDS.data),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, safeContents)
+      ])
+    ]);
+  }
+  const { algorithm, ciphertext } = pbeEncrypt(binaryStringToBytes(safeContents), password, { algorithm: pbe, iterations });
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    oid(OIDS.encryptedData),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          oid(OIDS.data),
+          algorithm,
+          asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, bytesToBinaryString(ciphertext))
+        ])
+      ])
+    ])
+  ]);
+}
+
+/**
+ * Build a PFX from a key, certificate and chain.
+ * @param {Object} options - Options from {@link pkcs12}.
+ * @returns {Uint8Array|string} PFX DER, or base64 with `options.base64`.
+ * @throws {Error} If nothing is given or the key does not match the certificate.
+ */
+function exportPkcs12(options) {
+  const {
+    key,
+    keyPassword,
+    certificate,
+    chain = [],
+    friendlyName,
+    password = '',
+    legacy = false,
+    keyPbe = legacy ? 'PBE-SHA1-3DES' : 'AES-256-CBC',
+    certPbe = legacy ? 'PBE-SHA1-RC2-40' : 'AES-256-CBC',
+    iterations = 2048,
+    macAlgo = legacy ? 'sha1' : 'sha256',
+    noMac = false,
+    base64 = false
+  } = options;
+
+  if (!key && !certificate) {
+    throw new InvalidArgumentError('key or certificate required for PKCS#12 export', { module: 'pkcs12' });
+  }
+  if (!noMac && !MAC_DIGESTS[macAlgo]) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported MAC digest: ${macAlgo} (use ${Object.keys(MAC_DIGESTS).join(', ')})`,
+      { module: 'pkcs12' }
+    );
+  }
+
+  const cert = certificate ? loadCertificate(certificate) : null;
+  const privateKey = key ? loadKey(key, keyPassword) : null;
+  if (privateKey && privateKey.kind !== 'private') {
+    throw new InvalidArgumentError('A private key is required for PKCS#12 export', { module: 'pkcs12' });
+  }
+  if (cert && privateKey && !bytesEqual(publicKeyFromPrivate(privateKey), cert.spki)) {
+    throw new InvalidArgumentError('No certificate matches private key', { module: 'pkcs12' });
+  }
+
+  // OpenSSL ties the key to its certificate with localKeyID = SHA-1(certificate)
+  let localKeyId;
+  if (cert && privateKey) {
+    const md = forge.md.sha1.create();
+    md.update(bytesToBinaryString(cert.der));
+    localKeyId = md.digest().getBytes();
+  }
+
+  const certBag = der => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.x509Certificate).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(der))
+    ])
+  ]);
+  const certBags = [];
+  if (cert) {
+    certBags.push(safeBag(OIDS.certBag, certBag(cert.der), { friendlyName, localKeyId }));
+  }
+  for (const ca of loadCertificates(chain)) {
+    certBags.push(safeBag(OIDS.certBag, certBag(ca.der), {}));
+  }
+
+  const authSafe = [];
+  if (certBags.length > 0) {
+    authSafe.push(contentInfo(certBags, password, certPbe.toUpperCase(), iterations));
+  }
+  if (privateKey) {
+    let keyBag;
+    if (keyPbe.toUpperCase() === 'NONE') {
+      keyBag = safeBag(OIDS.keyBag, derToAsn1(privateKey.pkcs8), { friendlyName, localKeyId });
+    } else {
+      const { algorithm, ciphertext } = pbeEncrypt(privateKey.pkcs8, password, { algorithm: keyPbe, iterations });
+      keyBag = safeBag(OIDS.pkcs8ShroudedKeyBag, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        algorithm,
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(ciphertext))
+      ]), { friendlyName, localKeyId });
+    }
+    authSafe.push(contentInfo([keyBag], password, 'NONE', iterations));
+  }
+
+  const authSafeDer = asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, authSafe)).getBytes();
+  const pfx = [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x03'),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OIDS.data).getBytes()),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, authSafeDer)
+      ])
+    ])
+  ];
+  if (!noMac) {
+    const salt = randomBytes(8);
+    pfx.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(MAC_DIGESTS[macAlgo]).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false,
+          computeMac(password, macAlgo, salt, iterations, authSafeDer))
+      ]),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(salt)),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(iterations).getBytes())
+    ]));
+  }
+
+  const der = asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, pfx));
+  return base64 ? bytesToBase64(der) : der;
+}
@@ -0,0 +1,204 @@
+/**
+ * Key conversion module (openssl pkey / rsa / ec / pkcs8 equivalent).
+ * Converts keys between PKCS#8, PKCS#1, SEC1, SPKI, JWK and Web Crypto
+ * CryptoKey, extracts public keys and encrypts or decrypts PKCS#8 with a
+ * passphrase.
+ *
+ * @module pkey
+ */
+
+import {
+  pemEncode,
+  derToAsn1,
+  asn1ToDer,
+  pkcs8ToTraditional,
+  serializePrivateKey,
+  serializePublicKey
+} from '../utils/keys.js';
+import { keyToJwk, readKeyInput, derivePublicKey } from '../utils/jwk.js';
+import { getWebCrypto } from '../utils/webcrypto.js';
+import { InvalidArgumentError, UnsupportedAlgorithmError, WebOpenSSLError } from '../utils/errors.js';
+
+/** Output formats accepted by pkey(). */
+const FORMATS = ['pkcs8', 'pkcs1', 'sec1', 'spki', 'jwk', 'cryptokey'];
+
+/**
+ * Convert a key between formats, optionally extracting its public half.
+ *
+ * @param {Object} options - Conversion options.
+ * @param {string|Uint8Array|ArrayBuffer|Object|CryptoKey} options.input - Key as PEM, DER, JWK or an
+ *   extractable CryptoKey (`-in`). Encrypted PKCS#8 and legacy `Proc-Type: 4,ENCRYPTED` PEM are accepted.
+ * @param {string} [options.passin] - Passphrase of an encrypted input key (`-passin`).
+ * @param {boolean} [options.pubout=false] - Output the public key (`-pubout`).
+ * @param {string} [options.format] - 'pkcs8', 'pkcs1' (RSA, `-traditional`), 'sec1' (EC), 'spki', 'jwk' or
+ *   'cryptokey'. Defaults to 'pkcs8' for private keys and 'spki' for public keys; with a public key,
+ *   'pkcs1' writes an RSAPublicKey (`-RSAPublicKey_out`).
+ * @param {string} [options.outform='pem'] - 'pem' or 'der' (`-outform`).
+ * @param {string} [options.passout] - Encrypt the private key as PKCS#8 with this passphrase (`-passout`).
+ * @param {string} [options.cipher='AES-256-CBC'] - PBES2 cipher: 'AES-128-CBC', 'AES-192-CBC', 'AES-256-CBC'
+ *   or 'DES-EDE3-CBC'.
+ * @param {string} [options.kdf='pbkdf2'] - PBES2 key derivation: 'pbkdf2' or 'scrypt' (`-scrypt`).
+ * @param {number} [options.iterations=2048] - PBKDF2 iteration count (`-iter`).
+ * @param {{N: number, r: number, p: number}} [options.scrypt] - scrypt costs (default N=16384, r=8, p=1).
+ * @param {string|Object} [options.algorithm] - CryptoKey import algorithm, e.g. 'ECDH' or
+ *   `{ name: 'RSA-PSS', hash: 'SHA-384' }`. Defaults to RSASSA-PKCS1-v1_5/SHA-256, ECDSA, Ed25519 or X25519.
+ * @param {string[]} [options.usages] - CryptoKey usages; defaults from the algorithm.
+ * @param {boolean} [options.extractable=true] - Whether the CryptoKey is extractable.
+ * @returns {Promise<string|Uint8Array|Object|CryptoKey>} PEM text, DER bytes, a JWK or a CryptoKey.
+ * @throws {Error} If the key cannot be read or has no representation in the requested format.
+ *
+ * @example
+ * // openssl pkey -in key.pem -pubout
+ * const publicKey = await pkey({ input: privateKeyPem, pubout: true });
+ *
+ * @example
+ * // openssl pkcs8 -topk8 -scrypt -in key.pem -passout pass:secret
+ * const encrypted = await pkey({ input: privateKeyPem, passout: 'secret', kdf: 'scrypt' });
+ *
+ * @example
+ * // openssl rsa -in legacy.pem -passin pass:secret -traditional
+ * const pkcs1 = await pkey({ input: legacyPem, passin: 'secret', format: 'pkcs1' });
+ *
+ * @example
+ * // PEM to a non-extractable Web Crypto key for ECDH
+ * const cryptoKey = await pkey({ input: ecKeyPem, format: 'cryptokey', algorithm: 'ECDH', extractable: false });
+ */
+export async function pkey(options = {}) {
+  const {
+    input,
+    passin,
+    pubout = false,
+    format,
+    outform = 'pem',
+    passout,
+    cipher = 'AES-256-CBC',
+    kdf,
+    iterations,
+    scrypt,
+    algorithm,
+    usages,
+    extractable = true
+  } = options;
+
+  if (input === undefined || input === null) {
+    throw new InvalidArgumentError('Input key required', { module: 'pkey' });
+  }
+  if (format !== undefined && !FORMATS.includes(format)) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported key format: ${format} (use ${FORMATS.join(', ')})`,
+      { module: 'pkey' }
+    );
+  }
+  if (!['pem', 'der'].includes(outform)) {
+    throw new UnsupportedAlgorithmError(`Unsupported output form: ${outform} (use pem or der)`, { module: 'pkey' });
+  }
+
+  let key = await readKeyInput(input, passin);
+  if (pubout && key.kind === 'private') {
+    key = { kind: 'public', type: key.type, curve: key.curve, spki: await derivePublicKey(key) };
+  }
+  const target = format || (key.kind === 'private' ? 'pkcs8' : 'spki');
+
+  if (passout && target !== 'pkcs8') {
+    throw new InvalidArgumentError('Only PKCS#8 private keys can be written encrypted', { module: 'pkey' });
+  }
+
+  switch (target) {
+    case 'jwk':
+      return keyToJwk(key);
+    case 'cryptokey':
+      return toCryptoKey(key, { algorithm, usages, extractable });
+    case 'spki':
+      if (key.kind === 'private') {
+        throw new InvalidArgumentError('spki output requires a public key; set pubout: true', { module: 'pkey' });
+      }
+      return serializePublicKey(key.spki, { format: outform });
+    case 'pkcs8':
+      if (key.kind !== 'private') {
+        throw new InvalidArgumentError('pkcs8 output requires a private key', { module: 'pkey' });
+      }
+      return serializePrivateKey(key.pkcs8, { format: outform, password: passout, cipher, kdf, iterations, scrypt });
+    default:
+      return serializeTraditional(key, target, outform);
+  }
+}
+
+/**
+ * Serialize a key in its traditional container: PKCS#1 (RSA private or public) or SEC1 (EC private).
+ * @param {KeyInfo} key - Normalized key.
+ * @param {string} format - 'pkcs1' or 'sec1'.
+ * @param {string} outform - 'pem' or 'der'.
+ * @returns {string|Uint8Array} PEM text or DER bytes.
+ * @throws {Error} If the key type has no such container.
+ */
+function serializeTraditional(key, format, outform) {
+  let label;
+  let der;
+  if (key.kind === 'public') {
+    if (format !== 'pkcs1' || key.type !== 'RSA') {
+      throw new UnsupportedAlgorithmError(
+        `${format} output is not available for ${key.type} public keys`,
+        { module: 'pkey' }
+      );
+    }
+    // SubjectPublicKeyInfo BIT STRING wraps the RSAPublicKey
+    label = 'RSA PUBLIC KEY';
+    der = asn1ToDer(derToAsn1(key.spki).value[1].value[0]);
+  } else {
+    if ((format === 'pkcs1' && key.type !== 'RSA') || (format === 'sec1' && key.type !== 'EC')) {
+      throw new UnsupportedAlgorithmError(`${format} output is not available for ${key.type} keys`, { module: 'pkey' });
+    }
+    ({ label, der } = pkcs8ToTraditional(key.pkcs8));
+  }
+  return outform === 'der' ? der : pemEncode(label, der);
+}
+
+/**
+ * Import a normalized key into Web Crypto.
+ * @param {KeyInfo} key - Normalized key.
+ * @param {Object} params - Import parameters.
+ * @param {string|Object} [params.algorithm] - Import algorithm.
+ * @param {string[]} [params.usages] - Key usages.
+ * @param {boolean} params.extractable - Extractable flag.
+ * @returns {Promise<CryptoKey>} Imported key.
+ * @throws {Error} If Web Crypto is unavailable or rejects the key.
+ */
+async function toCryptoKey(key, { algorithm, usages, extractable }) {
+  const crypto = getWebCrypto();
+  if (!crypto) {
+    throw new UnsupportedAlgorithmError('CryptoKey output requires Web Crypto', { module: 'pkey' });
+  }
+  const defaults = {
+    RSA: 'RSASSA-PKCS1-v1_5',
+    'RSA-PSS': 'RSA-PSS',
+    EC: 'ECDSA',
+    Ed25519: 'Ed25519',
+    X25519: 'X25519'
+  };
+  const params = typeof algorithm === 'object' ? { ...algorithm } : { name: algorithm || defaults[key.type] };
+  if (key.type === 'EC' && !params.namedCurve) params.namedCurve = key.curve;
+  if (key.type.startsWith('RSA') && !params.hash) params.hash = 'SHA-256';
+
+  const isPrivate = key.kind === 'private';
+  const defaultUsages = {
+    'RSA-OAEP': isPrivate ? ['decrypt', 'unwrapKey'] : ['encrypt', 'wrapKey'],
+    ECDH: isPrivate ? ['deriveBits', 'deriveKey'] : [],
+    X25519: isPrivate ? ['deriveBits', 'deriveKey'] : []
+  };
+  const keyUsages = usages || defaultUsages[params.name] || [isPrivate ? 'sign' : 'verify'];
+
+  try {
+    return await crypto.subtle.importKey(
+      isPrivate ? 'pkcs8' : 'spki',
+      isPrivate ? key.pkcs8 : key.spki,
+      params,
+      extractable,
+      keyUsages
+    );
+  } catch (e) {
+    throw new WebOpenSSLError(
+      `Web Crypto could not import the ${key.type} key as ${params.name}: ${e.message}`,
+      { module: 'pkey', cause: e }
+    );
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Public key operations module (openssl pkeyutl equivalent): RSA-OAEP
+ * encryption, RSA PKCS#1 v1.5 decryption of legacy data, ECDH/X25519 key
+ * agreement and raw signatures over precomputed digests.
+ * Uses crypto.subtle where it can, node-forge for the rest of RSA.
+ *
+ * @module pkeyutl
+ */
+
+import { toBytes, formatBytes, bytesToBinaryString, binaryStringToBytes } from '../utils/encoding.js';
+import { readKeyInput, derivePublicKey } from '../utils/jwk.js';
+import { toForgeRsaKey, publicKeyFromPrivate } from '../utils/keys.js';
+import { signDigest, verifyDigest, normalizeSignatureHash, forgeMessageDigest } from '../utils/signature.js';
+import { getDigest } from '../utils/digests.js';
+import { getWebCrypto } from '../utils/webcrypto.js';
+import {
+  BadDecryptError,
+  InvalidArgumentError,
+  UnsupportedAlgorithmError,
+  WebOpenSSLError
+} from '../utils/errors.js';
+
+/** Shared secret sizes in bits for key agreement. */
+const DERIVE_BITS = { 'P-256': 256, 'P-384': 384, 'P-521': 528, X25519: 256 };
+
+/**
+ * Encrypt, decrypt, sign, verify or derive with a public-key algorithm.
+ * Exactly one of `encrypt`, `decrypt`, `sign`, `verify` or `derive` must be set.
+ *
+ * String inputs on the binary side (ciphertext to decrypt, digests, signatures)
+ * are read as hex, or base64 with `base64: true`; binary outputs are written the
+ * same way. Plaintext to encrypt is UTF-8 and decrypted data is returned as text
+ * unless `raw` is set.
+ *
+ * @param {Object} options - Operation options.
+ * @param {string|Uint8Array|ArrayBuffer|Object|CryptoKey} options.key - PEM, DER or JWK key, or an
+ *   extractable CryptoKey (`-inkey`). A private key also serves for public-key operations.
+ * @param {string} [options.passin] - Passphrase of an encrypted key (`-passin`).
+ * @param {string|Uint8Array|ArrayBuffer} [options.input] - Data, ciphertext or digest (`-in`).
+ * @param {boolean} [options.encrypt=false] - Encrypt to an RSA public key (`-encrypt`).
+ * @param {boolean} [options.decrypt=false] - Decrypt with an RSA private key (`-decrypt`).
+ * @param {boolean} [options.sign=false] - Sign a digest with an RSA or EC private key (`-sign`).
+ * @param {boolean} [options.verify=false] - Verify `signature` over a digest (`-verify`).
+ * @param {boolean} [options.derive=false] - ECDH or X25519 shared secret with `peerKey` (`-derive`).
+ * @param {string|Uint8Array|Object|CryptoKey} [options.peerKey] - Peer's public key (`-peerkey`).
+ * @param {string} [options.padding] - RSA padding: 'oaep' (default for encryption; 'pkcs1' decrypts legacy
+ *   data), or 'pkcs1' (default) / 'pss' for signatures (`-pkeyopt rsa_padding_mode:`).
+ * @param {string} [options.oaepHash='sha256'] - OAEP digest (`-pkeyopt rsa_oaep_md:`).
+ * @param {string} [options.mgf1Hash] - MGF1 digest; defaults to `oaepHash` (`-pkeyopt rsa_mgf1_md:`).
+ * @param {string|Uint8Array} [options.label] - OAEP label (`-pkeyopt rsa_oaep_label:`).
+ * @param {string} [options.digest] - Algorithm of the digest being signed (`-pkeyopt digest:`). RSA PKCS#1
+ *   signatures then carry a DigestInfo; without it the input is signed as given. Required for RSA-PSS.
+ * @param {number|string} [options.saltLength] - RSA-PSS salt length: bytes, 'digest' or 'max'
+ *   (`-pkeyopt rsa_pss_saltlen:`). Signing defaults to 'digest'; verifying to 'auto', which accepts either.
+ * @param {string|Uint8Array} [options.signature] - Signature to verify (`-sigfile`).
+ * @param {boolean} [options.base64=false] - Binary input and output as base64.
+ * @param {boolean} [options.hex=false] - Binary input and output as hex (the default).
+ * @param {boolean} [options.raw=false] - Return Uint8Array.
+ * @returns {Promise<string|Uint8Array|boolean>} Ciphertext, plaintext, signature or secret; a boolean when verifying.
+ * @throws {Error} If the key does not support the operation or decryption fails.
+ *
+ * @example
+ * // openssl pkeyutl -encrypt -pubin -inkey pub.pem -pkeyopt rsa_padding_mode:oaep -pkeyopt rsa_oaep_md:sha256
+ * const ciphertext = await pkeyutl({ encrypt: true, key: publicKeyPem, input: 'secret', base64: true });
+ * const plaintext = await pkeyutl({ decrypt: true, key: privateKeyPem, input: ciphertext, base64: true });
+ *
+ * @example
+ * // openssl pkeyutl -derive -inkey mine.pem -peerkey theirs.pub
+ * const secret = await pkeyutl({ derive: true, key: myPrivateKey, peerKey: theirPublicKey });
+ *
+ * @example
+ * // openssl dgst -sha256 -binary file | openssl pkeyutl -sign -inkey key.pem -pkeyopt digest:sha256
+ * const signature = await pkeyutl({ sign: true, key: privateKeyPem, input: sha256Hex, digest: 'sha256' });
+ */
+export async function pkeyutl(options = {}) {
+  const {
+    key,
+    passin,
+    input,
+    encrypt = false,
+    decrypt = false,
+    sign = false,
+    verify = false,
+    derive = false,
+    peerKey,
+    padding,
+    oaepHash = 'sha256',
+    mgf1Hash,
+    label,
+    digest,
+    saltLength,
+    signature,
+    base64 = false,
+    hex = false,
+    raw = false
+  } = options;
+
+  const operations = { encrypt, decrypt, sign, verify, derive };
+  const selected = Object.keys(operations).filter(op => operations[op]);
+  if (selected.length !== 1) {
+    throw new InvalidArgumentError(
+      'Select exactly one operation: encrypt, decrypt, sign, verify or derive',
+      { module: 'pkeyutl' }
+    );
+  }
+  if (!key) {
+    throw new InvalidArgumentError('Key required', { module: 'pkeyutl' });
+  }
+  if (!derive && (input === undefined || input === null)) {
+    throw new InvalidArgumentError('Input data required', { module: 'pkeyutl' });
+  }
+
+  const info = await readKeyInput(key, passin);
+  const binary = (value) => typeof value === 'string' ? toBytes(value, { base64, hex: !base64 }) : toBytes(value);
+  const format = { raw, base64, hex };
+
+  if (derive) {
+    if (!peerKey) {
+      throw new InvalidArgumentError('peerKey required for derive', { module: 'pkeyutl' });
+    }
+    return formatBytes(await deriveSecret(info, await readKeyInput(peerKey)), format);
+  }
+
+  if (encrypt || decrypt) {
+    if (info.type !== 'RSA') {
+      throw new UnsupportedAlgorithmError(
+        `${info.type} keys cannot ${encrypt ? 'encrypt' : 'decrypt'}; use an RSA key`,
+        { module: 'pkeyutl' }
+      );
+    }
+    const mode = (padding || 'oaep').toLowerCase();
+    const oaep = {
+      hash: normalizeSignatureHash(oaepHash),
+      mgf1Hash: normalizeSignatureHash(mgf1Hash || oaepHash),
+      label: label === undefined ? undefined : toBytes(label)
+    };
+    if (encrypt) {
+      if (mode !== 'oaep') {
+        throw new InvalidArgumentError(
+          'RSA encryption supports OAEP padding only; PKCS#1 v1.5 is accepted for decryption',
+          { module: 'pkeyutl' }
+        );
+      }
+      return formatBytes(await rsaOaepEncrypt(info, toBytes(input), oaep), format);
+    }
+    if (info.kind !== 'private') {
+      throw new InvalidArgumentError('Decryption requires a private key', { module: 'pkeyutl' });
+    }
+    let plaintext;
+    if (mode === 'oaep') {
+      plaintext = await rsaOaepDecrypt(info, binary(input), oaep);
+    } else if (mode === 'pkcs1') {
+      plaintext = rsaPkcs1Decrypt(info, binary(input));
+    } else {
+      throw new UnsupportedAlgorithmError(
+        `Unsupported RSA padding for decryption: ${padding} (use oaep or pkcs1)`,
+        { module: 'pkeyutl' }
+      );
+    }
+    return raw ? plaintext : new TextDecoder().decode(plaintext);
+  }
+
+  const sigOptions = {
+    hashName: digest ? normalizeSignatureHash(digest) : undefined,
+    padding: (padding || 'pkcs1').toLowerCase(),
+    saltLength: saltLength !== undefined ? saltLength : (sign ? 'digest' : 'auto')
+  };
+  if (!['pkcs1', 'pss'].includes(sigOptions.padding)) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported RSA padding for signatures: ${padding} (use pkcs1 or pss)`,
+      { module: 'pkeyutl' }
+    );
+  }
+  if (sign) {
+    return formatBytes(signDigest(info, binary(input), sigOptions), format);
+  }
+  if (signature === undefined || signature === null) {
+    throw new InvalidArgumentError('Signature required for verification', { module: 'pkeyutl' });
+  }
+  return verifyDigest(info, binary(input), binary(signature), sigOptions);
+}
+
+/**
+ * Whether Web Crypto can run this OAEP configuration (one SHA-1/SHA-2 digest for OAEP and MGF1).
+ * @param {Object} oaep - OAEP parameters.
+ * @returns {Crypto|null} Web Crypto, or null to use node-forge.
+ */
+function oaepWebCrypto(oaep) {
+  const crypto = getWebCrypto();
+  return crypto && oaep.hash === oaep.mgf1Hash && getDigest(oaep.hash, 'pkeyutl').webCrypto ? crypto : null;
+}
+
+/**
+ * RSA-OAEP encryption.
+ * @param {KeyInfo} info - RSA key (the public half of a private key is used).
+ * @param {Uint8Array} data - Plaintext.
+ * @param {{hash: string, mgf1Hash: string, label?: Uint8Array}} oaep - OAEP parameters.
+ * @returns {Promise<Uint8Array>} Ciphertext.
+ * @throws {InvalidArgumentError} If the data exceeds the k - 2hLen - 2 bytes OAEP can carry.
+ */
+async function rsaOaepEncrypt(info, data, oaep) {
+  const spki = info.kind === 'private' ? publicKeyFromPrivate(info) : info.spki;
+  const forgeKey = toForgeRsaKey({ kind: 'public', type: 'RSA', spki });
+  const max = Math.ceil(forgeKey.n.bitLength() / 8) - 2 * getDigest(oaep.hash, 'pkeyutl').length - 2;
+  if (max < 0) {
+    throw new InvalidArgumentError(`Key size too small for OAEP with ${oaep.hash}`, { module: 'pkeyutl' });
+  }
+  if (data.length > max) {
+    throw new InvalidArgumentError(
+      `Data too large for key size: ${data.length} bytes, OAEP with ${oaep.hash} takes at most ${max}`,
+      { module: 'pkeyutl' }
+    );
+  }
+  const crypto = oaepWebCrypto(oaep);
+  if (crypto) {
+    const cryptoKey = await crypto.subtle.importKey('spki', spki, { name: 'RSA-OAEP', hash: oaep.hash }, false, ['encrypt']);
+    const params = { name: 'RSA-OAEP', ...(oaep.label && { label: oaep.label }) };
+    return new Uint8Array(await crypto.subtle.encrypt(params, cryptoKey, data));
+  }
+  return binaryStringToBytes(forgeKey.encrypt(bytesToBinaryString(data), 'RSA-OAEP', {
+    md: forgeMessageDigest(oaep.hash),
+    mgf1: { md: forgeMessageDigest(oaep.mgf1Hash) },
+    label: oaep.label ? bytesToBinaryString(oaep.label) : undefined
+  }));
+}
+
+/**
+ * RSA-OAEP decryption.
+ * @param {KeyInfo} info - RSA private key.
+ * @param {Uint8Array} data - Ciphertext.
+ * @param {{hash: string, mgf1Hash: string, label?: Uint8Array}} oaep - OAEP parameters.
+ * @returns {Promise<Uint8Array>} Plaintext.
+ * @throws {Error} If decryption fails.
+ */
+async function rsaOaepDecrypt(info, data, oaep) {
+  const crypto = oaepWebCrypto(oaep);
+  try {
+    if (crypto) {
+      const cryptoKey = await crypto.subtle.importKey('pkcs8', info.pkcs8, { name: 'RSA-OAEP', hash: oaep.hash }, false, ['decrypt']);
+      const params = { name: 'RSA-OAEP', ...(oaep.label && { label: oaep.label }) };
+      return new Uint8Array(await crypto.subtle.decrypt(params, cryptoKey, data));
+    }
+    return binaryStringToBytes(toForgeRsaKey(info).decrypt(bytesToBinaryString(data), 'RSA-OAEP', {
+      md: forgeMessageDigest(oaep.hash),
+      mgf1: { md: forgeMessageDigest(oaep.mgf1Hash) },
+      label: oaep.label ? bytesToBinaryString(oaep.label) : undefined
+    }));
+  } catch (e) {
+    throw new BadDecryptError('RSA-OAEP decryption failed (wrong key, digest or label?)', { module: 'pkeyutl' });
+  }
+}
+
+/**
+ * RSA PKCS#1 v1.5 decryption, for data from older tools (`openssl rsautl -decrypt`).
+ * @param {KeyInfo} info - RSA private key.
+ * @param {Uint8Array} data - Ciphertext.
+ * @returns {Uint8Array} Plaintext.
+ * @throws {Error} If decryption fails.
+ */
+function rsaPkcs1Decrypt(info, data) {
+  try {
+    return binaryStringToBytes(toForgeRsaKey(info).decrypt(bytesToBinaryString(data), 'RSAES-PKCS1-V1_5'));
+  } catch (e) {
+    throw new BadDecryptError('RSA PKCS#1 v1.5 decryption failed (wrong key?)', { module: 'pkeyutl' });
+  }
+}
+
+/**
+ * Derive an ECDH or X25519 shared secret with Web Crypto.
+ * @param {KeyInfo} info - Own private key.
+ * @param {KeyInfo} peer - Peer key; a private key contributes its public half.
+ * @returns {Promise<Uint8Array>} Shared secret (the x-coordinate for ECDH, as OpenSSL outputs).
+ * @throws {Error} If the keys do not match or the runtime lacks support.
+ */
+async function deriveSecret(info, peer) {
+  if (info.kind !== 'private') {
+    throw new InvalidArgumentError('derive requires a private key', { module: 'pkeyutl' });
+  }
+  if (info.type !== 'EC' && info.type !== 'X25519') {
+    throw new UnsupportedAlgorithmError(
+      `${info.type} keys cannot derive a shared secret; use EC or X25519`,
+      { module: 'pkeyutl' }
+    );
+  }
+  if (peer.type !== info.type || peer.curve !== info.curve) {
+    throw new InvalidArgumentError('Peer key type does not match the private key', { module: 'pkeyutl' });
+  }
+  const crypto = getWebCrypto();
+  if (!crypto) {
+    throw new UnsupportedAlgorithmError('Key agreement requires Web Crypto', { module: 'pkeyutl' });
+  }
+  const peerSpki = peer.kind === 'private' ? await derivePublicKey(peer) : peer.spki;
+  const algorithm = info.type === 'EC' ? { name: 'ECDH', namedCurve: info.curve } : { name: 'X25519' };
+  try {
+    const privateKey = await crypto.subtle.importKey('pkcs8', info.pkcs8, algorithm, false, ['deriveBits']);
+    const publicKey = await crypto.subtle.importKey('spki', peerSpki, algorithm, false, []);
+    const bits = await crypto.subtle.deriveBits({ name: algorithm.name, public: publicKey }, privateKey,
+      DERIVE_BITS[info.curve || info.type]);
+    return new Uint8Array(bits);
+  } catch (e) {
+    throw new WebOpenSSLError(`Key agreement failed: ${e.message}`, { module: 'pkeyutl', cause: e });
+  }
+}
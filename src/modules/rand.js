@@ -1,71 +1,134 @@
 /**
  * Random data generation module (openssl rand equivalent).
- * Uses crypto.getRandomValues() for secure randomness.
- * 
+ * Uses crypto.getRandomValues() for secure randomness, or a seeded
+ * SP 800-90A DRBG for reproducible output.
+ *
  * @module rand
  */
 
-import CryptoJS from 'crypto-js';
+import { formatBytes, bytesToHex, bytesToBase64 } from '../utils/encoding.js';
+import { randomBytes } from '../utils/webcrypto.js';
+import { createDrbg, MAX_REQUEST } from '../utils/drbg.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+import { debug } from '../utils/config.js';
+
+/** Default chunk size of stream output, in bytes. */
+const STREAM_CHUNK_SIZE = 65536;
 
 /**
  * Generate random bytes and format as specified.
- * 
+ *
  * @param {Object} options - Generation options.
- * @param {number} [options.length=32] - Number of random bytes to generate.
- * @param {boolean} [options.base64=false] - Output as base64 string.
+ * @param {number} [options.length=32] - Number of random bytes to generate; any size.
+ * @param {boolean} [options.base64=false] - Output as base64 string (the default string format).
  * @param {boolean} [options.hex=false] - Output as hexadecimal string.
  * @param {boolean} [options.raw=false] - Return raw Uint8Array (ignores other formats).
- * @returns {Promise<string|Uint8Array>} Formatted random data.
- * @throws {Error} If length is invalid or crypto unavailable.
- * 
+ * @param {boolean} [options.stream=false] - Return a ReadableStream of `length` bytes, generated as it is
+ *   read (`-out file`): Uint8Array chunks, or hex/base64 string chunks with those flags.
+ * @param {number} [options.chunkSize=65536] - Bytes per stream chunk.
+ * @param {string|Uint8Array} [options.seed] - Seed a fresh DRBG with this entropy input (strings are UTF-8):
+ *   the same seed gives the same bytes on every run, to anyone who knows it. Never use seeded output for
+ *   keys, salts or nonces.
+ * @param {string} [options.drbg='HMAC-DRBG'] - Seeded generator: 'HMAC-DRBG' (SHA-256) or 'CTR-DRBG'
+ *   (AES-256).
+ * @returns {Promise<string|Uint8Array|ReadableStream>} Formatted random data, or a stream of it.
+ * @throws {InvalidArgumentError} If length or chunkSize is invalid.
+ * @throws {UnsupportedAlgorithmError} If the DRBG is unknown, or unseeded output is asked of a runtime
+ *   without Web Crypto.
+ *
  * @example
  * const randomBase64 = await rand({ length: 32, base64: true });
  * // Output: "SGVsbG8gV29ybGQh" (example 32 bytes base64)
+ *
+ * @example
+ * // openssl rand -out big.bin 100M, without holding 100 MB in memory
+ * const stream = await rand({ length: 100 * 1024 * 1024, stream: true });
+ *
+ * @example
+ * // Reproducible bytes for a test
+ * const a = await rand({ length: 16, hex: true, seed: 'test seed' });
+ * const b = await rand({ length: 16, hex: true, seed: 'test seed' });
+ * // a === b
  */
 export async function rand(options = {}) {
-  const { length = 32, base64 = false, hex = false, raw = false } = options;
+  const {
+    length = 32,
+    base64 = false,
+    hex = false,
+    raw = false,
+    stream = false,
+    chunkSize = STREAM_CHUNK_SIZE,
+    seed,
+    drbg = 'HMAC-DRBG'
+  } = options;
 
-  if (!Number.isInteger(length) || length <= 0) {
-    throw new Error('Invalid length: must be positive integer');
+  if (!Number.isSafeInteger(length) || length <= 0) {
+    throw new InvalidArgumentError('Invalid length: must be positive integer', { module: 'rand' });
   }
 
-  if (typeof window !== 'undefined' && window.crypto && window.crypto.getRandomValues) {
-    // Use Web Crypto API (preferred for security)
-    const randomBytes = new Uint8Array(length);
-    window.crypto.getRandomValues(randomBytes);
-
-    if (raw) return randomBytes;
+  let generate = randomBytes;
+  if (seed !== undefined && seed !== null) {
+    const generator = createDrbg({ type: drbg, seed });
+    generate = requestSized(generator);
+    debug('rand', `using seeded ${generator.type}`, { length });
+  }
 
-    // Convert to string format
-    if (base64) {
-      return btoa(String.fromCharCode(...randomBytes));
-    } else if (hex) {
-      return Array.from(randomBytes)
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
-    } else {
-      // Default to base64 for OpenSSL compatibility
-      return btoa(String.fromCharCode(...randomBytes));
+  if (stream) {
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+      throw new InvalidArgumentError('Invalid chunkSize: must be positive integer', { module: 'rand' });
     }
-  } else {
-    // Fallback to CryptoJS (less secure, for legacy environments)
-    console.warn('Web Crypto unavailable; using CryptoJS fallback (reduced security)');
-    const randomBytes = CryptoJS.lib.WordArray.random(length);
-    const bytes = randomBytes.toString(CryptoJS.enc.Latin1).split('').map(c => c.charCodeAt(0));
+    return randomStream(generate, length, chunkSize, { base64, hex });
+  }
 
-    if (raw) return new Uint8Array(bytes);
+  // Default to base64 for OpenSSL compatibility
+  return formatBytes(generate(length), { raw, base64, hex }, 'base64');
+}
 
-    if (base64) {
-      return btoa(String.fromCharCode(...bytes));
-    } else if (hex) {
-      return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
-    } else {
-      return btoa(String.fromCharCode(...bytes));
+/**
+ * Read a DRBG in whole requests of {@link MAX_REQUEST} bytes, so a seeded
+ * stream yields the same bytes as one call, whatever its chunk size.
+ * A shorter request returns a prefix of a longer one, so the last request
+ * may be cut short.
+ * @param {{generate: function(number): Uint8Array}} generator - DRBG.
+ * @returns {function(number): Uint8Array} Byte source.
+ */
+function requestSized(generator) {
+  let pending = new Uint8Array(0);
+  return length => {
+    const out = new Uint8Array(length);
+    for (let filled = 0; filled < length;) {
+      if (!pending.length) pending = generator.generate(MAX_REQUEST);
+      const n = Math.min(length - filled, pending.length);
+      out.set(pending.subarray(0, n), filled);
+      pending = pending.subarray(n);
+      filled += n;
     }
-  }
+    return out;
+  };
 }
 
-// Export for CommonJS
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { rand };
-}
\ No newline at end of file
+/**
+ * Stream random bytes, generating each chunk when it is read.
+ * @param {function(number): Uint8Array} generate - Byte source.
+ * @param {number} length - Total bytes.
+ * @param {number} chunkSize - Bytes per chunk.
+ * @param {{base64: boolean, hex: boolean}} format - String chunks instead of bytes.
+ * @returns {ReadableStream<Uint8Array|string>} Stream of `length` bytes.
+ */
+function randomStream(generate, length, chunkSize, { base64, hex }) {
+  // Whole 3-byte groups keep the base64 chunks concatenable
+  const size = base64 ? Math.max(3, chunkSize - chunkSize % 3) : chunkSize;
+  let remaining = length;
+  return new ReadableStream({
+    pull(controller) {
+      try {
+        const bytes = generate(Math.min(size, remaining));
+        remaining -= bytes.length;
+        controller.enqueue(base64 ? bytesToBase64(bytes) : hex ? bytesToHex(bytes) : bytes);
+        if (remaining === 0) controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+}
@@ -1,90 +1,276 @@
 /**
  * Certificate request generation module (openssl req equivalent).
  * Uses node-forge for ASN.1/PKI and Web Crypto for key operations where possible.
- * 
+ *
  * @module req
  */
 
 import forge from 'node-forge';
+import { genpkey } from './genpkey.js';
+import { pkcs12 } from './pkcs12.js';
+import {
+  loadKey,
+  pemEncode,
+  derToAsn1,
+  pkcs8ToTraditional,
+  publicKeyFromPrivate,
+  serializePrivateKey
+} from '../utils/keys.js';
+import { parseExtensions } from '../utils/extensions.js';
+import { signAsn1, normalizeSignatureHash, verifySignedAsn1 } from '../utils/signature.js';
+import {
+  createCertificate,
+  extensionsToAsn1,
+  normalizeSerial,
+  randomSerial,
+  loadCertificationRequest,
+  EXTENSION_REQUEST_OID
+} from '../utils/certificate.js';
+import {
+  parseDistinguishedName,
+  nameToAsn1,
+  nameToObjects,
+  findAttributeName,
+  DN_ATTRIBUTES
+} from '../utils/names.js';
+import { parseConfig } from '../utils/cnf.js';
+import {
+  ERROR_CODES,
+  WebOpenSSLError,
+  BadSignatureError,
+  InvalidArgumentError,
+  UnsupportedAlgorithmError
+} from '../utils/errors.js';
+import { debug } from '../utils/config.js';
+
+const asn1 = forge.asn1;
+
+/** Extensions of a self-signed certificate when none are given (OpenSSL's v3_ca section). */
+const V3_CA_EXTENSIONS = {
+  subjectKeyIdentifier: 'hash',
+  authorityKeyIdentifier: 'keyid:always',
+  basicConstraints: 'critical,CA:TRUE'
+};
+
+/** CSR attributes a config `attributes` section can set; OpenSSL encodes them as UTF8String. */
+const REQUEST_ATTRIBUTES = {
+  challengePassword: '1.2.840.113549.1.9.7',
+  unstructuredName: '1.2.840.113549.1.9.2'
+};
 
 /**
- * Generate Certificate Signing Request (CSR) with private key.
- * 
+ * Generate Certificate Signing Request (CSR) with private key, or a
+ * self-signed certificate with `x509: true` (`openssl req -x509`).
+ *
  * @param {Object} options - CSR generation options.
- * @param {string} options.subject - Distinguished Name (e.g., '/CN=example.com/O=Example Org/C=US').
- * @param {number} [options.keySize=2048] - RSA key size in bits.
+ * @param {string} [options.subject='/CN=localhost'] - Distinguished Name (e.g.,
+ *   '/CN=example.com/O=Example Org/C=US'); replaces the config's `distinguished_name` (`-subj`).
+ * @param {string|Object} [options.config] - openssl.cnf contents, or a file from parseConfig() (`-config`).
+ *   Reads `distinguished_name` (with `prompt = no`, or the `_default`/`_value` answers of `-batch`),
+ *   `attributes`, `req_extensions` or `x509_extensions`, `default_bits`, `default_md`, `input_password`
+ *   and `output_password`; options given here win.
+ * @param {string} [options.section='req'] - Config section of the req settings (`-section`).
+ * @param {number} [options.keySize=2048] - RSA key size in bits (for EC, 256/384/521 pick the curve).
  * @param {string} [options.keyAlgo='RSA'] - Key algorithm ('RSA', 'EC').
+ * @param {string} [options.curve] - EC curve ('P-256'/'prime256v1', 'P-384', 'P-521'); defaults from keySize, else P-256.
+ * @param {string|Uint8Array} [options.key] - Existing private key (PEM/DER) to use instead of generating one (`-key`).
+ * @param {string} [options.passin] - Passphrase of an encrypted `key` (`-passin`).
+ * @param {string} [options.keyFormat] - Private key output: 'pkcs8', 'pkcs1' (RSA) or 'sec1' (EC).
+ *   Defaults to 'pkcs1' for RSA and 'pkcs8' for EC, or 'pkcs8' with `passout`.
+ * @param {string} [options.passout] - Encrypt the private key output as PKCS#8 (PBES2, AES-256-CBC) with
+ *   this passphrase (`-passout`).
  * @param {string} [options.hashAlgo='sha256'] - Signature hash algorithm.
- * @param {Object} [options.extensions] - Certificate extensions (e.g., { basicConstraints: 'CA:FALSE' }).
+ * @param {Object} [options.extensions] - Certificate extensions (e.g., { basicConstraints: 'CA:FALSE' });
+ *   replace the config's extension section. Self-signed certificates default to the v3_ca set
+ *   (subjectKeyIdentifier, authorityKeyIdentifier, CA:TRUE).
+ * @param {boolean} [options.x509=false] - Output a self-signed certificate instead of a CSR.
+ * @param {number} [options.days=30] - Certificate validity in days (`-days`).
+ * @param {string|number} [options.serial] - Certificate serial (hex string or integer); random 159-bit by default (`-set_serial`).
+ * @param {Object} [options.pkcs12] - With `x509`, also bundle the key and certificate as a PFX,
+ *   using the export options of pkcs12() (`password`, `friendlyName`, `legacy`, ...).
  * @param {boolean} [options.base64=false] - Output PEM as base64 (without headers).
  * @param {boolean} [options.returnPrivateKey=true] - Include private key in response.
- * @returns {Promise<{csr: string, privateKey?: string}>} PEM-encoded CSR and optional private key.
+ * @returns {Promise<{csr?: string, certificate?: string, privateKey?: string, pfx?: Uint8Array}>} PEM-encoded CSR
+ *   (or certificate with `x509`), optional private key, and the PFX when `pkcs12` is set.
  * @throws {Error} If subject invalid or key generation fails.
- * 
+ * @throws {InvalidEncodingError} If the config has a syntax error or an undefined variable.
+ *
  * @example
- * const { csr, privateKey } = await req({ 
- *   subject: '/CN=localhost/O=Test/C=US', 
- *   keySize: 2048 
+ * const { csr, privateKey } = await req({
+ *   subject: '/CN=localhost/O=Test/C=US',
+ *   keySize: 2048
  * });
  * // csr: "-----BEGIN CERTIFICATE REQUEST-----\nMIIC...-----END CERTIFICATE REQUEST-----"
+ *
+ * @example
+ * // openssl req -new -newkey ec -pkeyopt ec_paramgen_curve:P-384 -sha384
+ * const { csr, privateKey } = await req({
+ *   subject: '/CN=example.com',
+ *   keyAlgo: 'EC',
+ *   curve: 'P-384',
+ *   hashAlgo: 'sha384',
+ *   extensions: { subjectAltName: 'DNS:example.com,DNS:www.example.com' }
+ * });
+ *
+ * @example
+ * // openssl req -x509 -newkey ec -days 365 -subj "/CN=localhost" -addext "subjectAltName=DNS:localhost"
+ * const { certificate, privateKey } = await req({
+ *   subject: '/CN=localhost',
+ *   keyAlgo: 'EC',
+ *   x509: true,
+ *   days: 365,
+ *   extensions: { subjectAltName: 'DNS:localhost,IP:127.0.0.1' }
+ * });
+ *
+ * @example
+ * // openssl req -new -config server.cnf -key server.key
+ * const { csr } = await req({
+ *   key: serverKey,
+ *   config: `
+ * [ req ]
+ * prompt             = no
+ * distinguished_name = dn
+ * req_extensions     = v3_req
+ * [ dn ]
+ * CN = example.com
+ * [ v3_req ]
+ * subjectAltName = @alt_names
+ * [ alt_names ]
+ * DNS.1 = example.com
+ * DNS.2 = www.example.com
+ * `
+ * });
+ *
+ * @example
+ * // Self-signed certificate exported straight to a .p12
+ * const { pfx } = await req({
+ *   subject: '/CN=localhost',
+ *   x509: true,
+ *   pkcs12: { password: 'secret', friendlyName: 'localhost' }
+ * });
  */
 export async function req(options = {}) {
-  const { 
-    subject = '/CN=localhost', 
-    keySize = 2048, 
-    keyAlgo = 'RSA', 
-    hashAlgo = 'sha256',
-    extensions = {},
+  const {
+    subject,
+    config,
+    section = 'req',
+    keyAlgo = 'RSA',
+    curve,
+    key,
+    keyFormat,
+    extensions,
+    x509 = false,
+    days = 30,
+    serial,
+    pkcs12: pkcs12Options,
     base64 = false,
-    returnPrivateKey = true 
+    returnPrivateKey = true
   } = options;
 
-  if (!subject || typeof subject !== 'string') {
-    throw new Error('Valid subject DN required (e.g., "/CN=example.com")');
+  const settings = config !== undefined ? readConfig(config, section, { x509, subject: subject === undefined }) : {};
+  const keySize = options.keySize ?? settings.keySize ?? 2048;
+  const hashAlgo = options.hashAlgo ?? settings.hashAlgo ?? 'sha256';
+  const passin = options.passin ?? settings.passin;
+  const passout = options.passout ?? settings.passout;
+
+  if (subject !== undefined && (!subject || typeof subject !== 'string')) {
+    throw new InvalidArgumentError('Valid subject DN required (e.g., "/CN=example.com")', { module: 'req' });
+  }
+  if (pkcs12Options && !x509) {
+    throw new InvalidArgumentError('pkcs12 output requires x509: true (a CSR cannot be bundled)', { module: 'req' });
+  }
+  if (passout && keyFormat && keyFormat !== 'pkcs8') {
+    throw new InvalidArgumentError('Only PKCS#8 private keys can be written encrypted', { module: 'req' });
   }
 
   try {
     // Parse subject DN
-    const attrs = subject.split('/').slice(1).reduce((acc, attr) => {
-      const [key, value] = attr.split('=');
-      if (key && value) acc.push({ shortName: key.toUpperCase(), value });
-      return acc;
-    }, []);
-
-    // Generate key pair using node-forge (Web Crypto RSA limited, EC supported)
-    let keys;
-    if (keyAlgo.toUpperCase() === 'EC') {
-      const curve = keySize === 256 ? 'p256' : keySize === 384 ? 'p384' : 'p521';
-      keys = forge.pki.rsa.generateKeyPair({ bits: keySize }) || 
-             forge.pki.setRsaPublicKey(/* fallback */); // Note: forge for EC too
+    const subjectName = nameToAsn1(subject !== undefined
+      ? parseDistinguishedName(subject)
+      : settings.subject || parseDistinguishedName('/CN=localhost'));
+
+    // Use the given key or generate one (Web Crypto, node-forge fallback for RSA)
+    let pkcs8;
+    if (key) {
+      const info = loadKey(key, passin);
+      if (info.kind !== 'private') {
+        throw new InvalidArgumentError('A private key is required to sign the CSR', { module: 'req' });
+      }
+      pkcs8 = info.pkcs8;
+    } else if (keyAlgo.toUpperCase() === 'EC') {
+      const ecCurve = curve || (keySize === 384 ? 'P-384' : keySize === 521 ? 'P-521' : 'P-256');
+      pkcs8 = (await genpkey({ algorithm: 'EC', curve: ecCurve, format: 'der' })).privateKey;
+    } else if (keyAlgo.toUpperCase() === 'RSA') {
+      pkcs8 = (await genpkey({ algorithm: 'RSA', bits: keySize, format: 'der' })).privateKey;
     } else {
-      keys = forge.pki.rsa.generateKeyPair({ bits: keySize });
+      throw new UnsupportedAlgorithmError(`Unsupported key algorithm: ${keyAlgo} (use RSA or EC)`, { module: 'req' });
     }
+    const privateKey = loadKey(pkcs8);
+    const spki = publicKeyFromPrivate(privateKey);
 
-    // Create CSR
-    const csr = forge.pki.createCertificationRequest();
-    csr.publicKey = keys.publicKey;
-    csr.setSubject(attrs);
-    
-    // Add extensions if provided
-    if (Object.keys(extensions).length > 0) {
-      const ext = forge.pki.oids;
-      csr.setAttributes([{
-        name: 'extensionRequest',
-        value: Object.entries(extensions).map(([name, value]) => ({
-          name,
-          value,
-          shortName: Object.keys(ext).find(k => ext[k] === name) || name
-        }))
-      }]);
+    const hashName = normalizeSignatureHash(hashAlgo);
+
+    if (x509) {
+      if (!Number.isInteger(days) || days <= 0) {
+        throw new InvalidArgumentError('Invalid days: must be a positive integer', { module: 'req' });
+      }
+      const serialHex = serial !== undefined ? normalizeSerial(serial) : randomSerial();
+      const notBefore = new Date();
+      const certDer = await createCertificate({
+        signingKey: privateKey,
+        hashName,
+        serial: serialHex,
+        issuer: subjectName,
+        subject: subjectName,
+        notBefore,
+        notAfter: new Date(notBefore.getTime() + days * 86400000),
+        spki,
+        extensions: extensions || settings.extensions || V3_CA_EXTENSIONS,
+        extensionContext: {
+          issuerSpki: spki,
+          issuerName: subjectName,
+          issuerSerial: serialHex,
+          section: settings.section
+        }
+      });
+      const certificate = pemEncode('CERTIFICATE', certDer);
+      return {
+        certificate: base64 ? certificate.replace(/-----[A-Z ]+-----|\s/g, '') : certificate,
+        ...(returnPrivateKey && { privateKey: serializeKey(privateKey, keyFormat, passout) }),
+        ...(pkcs12Options && {
+          pfx: (await pkcs12({ ...pkcs12Options, export: true, key: privateKey.pkcs8, certificate: certDer })).pfx
+        })
+      };
     }
 
-    // Sign CSR
-    csr.sign(keys.privateKey, forge.md[hashAlgo.toLowerCase()].create());
+    // CertificationRequestInfo ::= SEQUENCE { version, subject, subjectPKInfo, [0] attributes }
+    const extList = parseExtensions(extensions || settings.extensions || {}, {
+      subjectSpki: spki,
+      subjectName,
+      section: settings.section
+    });
+    const attributes = (settings.attributes || []).map(({ oid, value }) =>
+      attributeToAsn1(oid, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, forge.util.encodeUtf8(value))));
+    if (extList.length > 0) {
+      attributes.push(attributeToAsn1(EXTENSION_REQUEST_OID, extensionsToAsn1(extList)));
+    }
+    // DER orders the SET OF attributes by encoding
+    attributes.sort((a, b) => {
+      const x = asn1.toDer(a).getBytes();
+      const y = asn1.toDer(b).getBytes();
+      return x < y ? -1 : x > y ? 1 : 0;
+    });
+    const cri = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+      subjectName,
+      derToAsn1(spki),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, attributes)
+    ]);
+    const csrDer = await signAsn1(privateKey, cri, hashName);
 
     // Convert to PEM
-    const csrPem = forge.pki.certificationRequestToPem(csr);
-    const privateKeyPem = returnPrivateKey ? forge.pki.privateKeyToPem(keys.privateKey) : undefined;
+    const csrPem = pemEncode('CERTIFICATE REQUEST', csrDer);
+    const privateKeyPem = returnPrivateKey ? serializeKey(privateKey, keyFormat, passout) : undefined;
 
     if (base64) {
       const csrBase64 = csrPem
@@ -94,50 +280,207 @@ export async function req(options = {}) {
       return { csr: csrBase64, ...(returnPrivateKey && { privateKey: privateKeyPem }) };
     }
 
-    return { 
-      csr: csrPem, 
-      ...(returnPrivateKey && { privateKey: privateKeyPem }) 
+    return {
+      csr: csrPem,
+      ...(returnPrivateKey && { privateKey: privateKeyPem })
     };
 
   } catch (error) {
-    console.error('CSR generation failed:', error.message);
-    throw new Error(`Failed to generate CSR: ${error.message}`);
+    debug('req', `CSR generation failed: ${error.message}`);
+    throw new WebOpenSSLError(`Failed to generate CSR: ${error.message}`, {
+      code: error instanceof WebOpenSSLError ? error.code : undefined,
+      module: 'req',
+      cause: error
+    });
+  }
+}
+
+/**
+ * Encode a CSR attribute: SEQUENCE { type, SET { value } }.
+ * @param {string} oid - Attribute type.
+ * @param {Object} value - forge ASN.1 value.
+ * @returns {Object} forge ASN.1 Attribute.
+ */
+function attributeToAsn1(oid, value) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [value])
+  ]);
+}
+
+/**
+ * Read the req settings of an OpenSSL configuration file.
+ * @param {string|Object} config - openssl.cnf contents, or a file from parseConfig().
+ * @param {string} section - Section of the req settings; lookups fall back to the default section.
+ * @param {{x509: boolean, subject: boolean}} want - Self-signed certificate (x509_extensions instead of
+ *   req_extensions), and whether the subject comes from the config.
+ * @returns {{section: Function, subject?: Array<Object>, attributes: Array<{oid: string, value: string}>,
+ *   extensions?: Object, keySize?: number, hashAlgo?: string, passin?: string, passout?: string}} Settings.
+ * @throws {Error} If a referenced section is missing or a field is invalid.
+ */
+function readConfig(config, section, want) {
+  const conf = typeof config === 'string' ? parseConfig(config) : config;
+  if (!conf || typeof conf.get !== 'function' || typeof conf.section !== 'function') {
+    throw new InvalidArgumentError('config must be openssl.cnf contents or a parseConfig() result', {
+      module: 'req'
+    });
+  }
+  const get = name => conf.get(section, name) ?? undefined;
+  const prompt = get('prompt') !== 'no';
+  // Without `utf8 = yes` OpenSSL reads each byte of a value as one Latin-1 character
+  const text = get('utf8') === 'yes' ? value => value : value => forge.util.encodeUtf8(value);
+  const settings = { section: conf.section, attributes: [] };
+
+  if (get('default_bits') !== undefined) {
+    settings.keySize = parseInt(get('default_bits'), 10);
   }
+  // 'default' means the built-in digest, as with OpenSSL
+  if (get('default_md') !== undefined && get('default_md') !== 'default') {
+    settings.hashAlgo = get('default_md');
+  }
+  settings.passin = get('input_password');
+  settings.passout = get('output_password');
+
+  if (want.subject) {
+    const dnSection = get('distinguished_name');
+    if (dnSection === undefined) {
+      throw new InvalidArgumentError(`Unable to find 'distinguished_name' in [${section}]`, { module: 'req' });
+    }
+    settings.subject = configFields(conf, dnSection, prompt, (type) => {
+      const shortName = findAttributeName(type);
+      if (!shortName) return null;
+      const { oid, tag } = DN_ATTRIBUTES[shortName];
+      return value => ({ type: oid, shortName, value: text(value), valueTagClass: tag });
+    });
+    if (settings.subject.length === 0) {
+      throw new InvalidArgumentError('No objects specified in config file', { module: 'req' });
+    }
+  }
+
+  // Read along with the DN, so `-subj` drops them too
+  const attributesSection = get('attributes');
+  if (attributesSection !== undefined && want.subject && !want.x509) {
+    settings.attributes = configFields(conf, attributesSection, prompt, type =>
+      REQUEST_ATTRIBUTES[type] ? value => ({ oid: REQUEST_ATTRIBUTES[type], value: text(value) }) : null);
+  }
+
+  const extSection = get(want.x509 ? 'x509_extensions' : 'req_extensions');
+  if (extSection !== undefined) {
+    const entries = conf.section(extSection);
+    if (!entries) {
+      throw new InvalidArgumentError(`Error loading extension section ${extSection}`, { module: 'req' });
+    }
+    settings.extensions = Object.fromEntries(entries.map(e => [e.name, e.value]));
+  }
+  return settings;
+}
+
+/**
+ * Collect the fields of a `distinguished_name` or `attributes` section. With
+ * `prompt = no` every entry is a field; otherwise entries name prompts and
+ * the field takes its `_value` or `_default` answer, as `openssl req -batch`
+ * does, within the `_min`/`_max` byte lengths. A leading 'N.' lets a field
+ * repeat ('0.organizationName', '1.organizationName').
+ * @param {Object} conf - File from parseConfig().
+ * @param {string} name - Section name.
+ * @param {boolean} prompt - Prompt mode.
+ * @param {function(string): (function(string): Object|null)} resolve - Field type to a factory of field
+ *   objects, or null if the type is unknown.
+ * @returns {Array<Object>} Fields in section order.
+ * @throws {Error} If the section is missing, or a field is unknown, empty or out of bounds.
+ */
+function configFields(conf, name, prompt, resolve) {
+  const entries = conf.section(name);
+  if (!entries) {
+    throw new InvalidArgumentError(`Unable to get '${name}' section`, { module: 'req' });
+  }
+  const fields = [];
+  for (const entry of entries) {
+    if (prompt && /_(min|max|default|value)$/.test(entry.name)) continue;
+    const type = entry.name.match(/^[^.:,]*[.:,](.+)$/)?.[1] ?? entry.name;
+    if (type.startsWith('+')) {
+      throw new UnsupportedAlgorithmError(`Multi-valued RDNs are not supported: ${entry.name}`, { module: 'req' });
+    }
+    const create = resolve(type);
+    if (!create) {
+      // Prompt mode skips unknown fields; prompt = no needs every entry to be one
+      if (prompt) continue;
+      throw new UnsupportedAlgorithmError(`Unknown field in [${name}]: ${type}`, { module: 'req' });
+    }
+    let value = entry.value;
+    if (prompt) {
+      const answer = conf.get(name, `${entry.name}_value`);
+      if (answer === '.') continue;
+      value = answer || conf.get(name, `${entry.name}_default`) || '';
+      if (!value) continue;
+      const length = forge.util.encodeUtf8(value).length;
+      const min = parseInt(conf.get(name, `${entry.name}_min`), 10);
+      const max = parseInt(conf.get(name, `${entry.name}_max`), 10);
+      if (length < min) {
+        throw new InvalidArgumentError(`${entry.name}: string too short, must be at least ${min} bytes long`, {
+          module: 'req'
+        });
+      }
+      if (length > max) {
+        throw new InvalidArgumentError(`${entry.name}: string too long, must be at most ${max} bytes long`, {
+          module: 'req'
+        });
+      }
+    } else if (!value) {
+      throw new InvalidArgumentError(`${entry.name} in [${name}] is empty`, { module: 'req' });
+    }
+    fields.push(create(value));
+  }
+  return fields;
+}
+
+/**
+ * Serialize a private key in the requested container.
+ * @param {KeyInfo} privateKey - Private key from loadKey().
+ * @param {string} [keyFormat] - 'pkcs8', 'pkcs1' or 'sec1'.
+ * @param {string} [passout] - Encrypt as PKCS#8 with this passphrase.
+ * @returns {string} PEM private key.
+ */
+function serializeKey(privateKey, keyFormat, passout) {
+  const format = keyFormat || (privateKey.type === 'RSA' && !passout ? 'pkcs1' : 'pkcs8');
+  if (format === 'pkcs8') {
+    return serializePrivateKey(privateKey.pkcs8, { password: passout });
+  }
+  if ((format === 'pkcs1' && privateKey.type === 'RSA') || (format === 'sec1' && privateKey.type === 'EC')) {
+    const { label, der } = pkcs8ToTraditional(privateKey.pkcs8);
+    return pemEncode(label, der);
+  }
+  throw new UnsupportedAlgorithmError(
+    `Unsupported key format for ${privateKey.type} keys: ${format}`,
+    { module: 'req' }
+  );
 }
 
 /**
  * Parse and verify an existing CSR.
- * 
+ *
  * @param {string} csrPem - PEM-encoded CSR.
  * @param {boolean} [base64=false] - Input is base64 without headers.
  * @returns {Promise<{subject: Object, publicKey: Object, extensions: Array}>} Parsed CSR details.
+ *   RSA keys report `n`/`e`, EC keys `curve`/`x`/`y` (hex); extensions are decoded as in x509().
+ * @throws {Error} If the CSR is malformed or its signature does not verify.
  */
 export async function parseCSR(csrPem, base64 = false) {
   try {
-    let csrData = csrPem;
-    if (base64) {
-      // Reconstruct PEM from base64
-      csrData = `-----BEGIN CERTIFICATE REQUEST-----\n${csrPem}\n-----END CERTIFICATE REQUEST-----`;
+    const csr = loadCertificationRequest(csrPem, base64);
+    if (!(await verifySignedAsn1(loadKey(csr.spki), csr.der))) {
+      throw new BadSignatureError('signature verification failed', { module: 'req' });
     }
-
-    const csr = forge.pki.certificationRequestFromPem(csrData);
-    csr.verify();
-
     return {
-      subject: csr.subject.map(attr => ({ [attr.shortName]: attr.value })),
-      publicKey: {
-        type: csr.publicKey.type,
-        n: csr.publicKey.n ? csr.publicKey.n.toString(16) : null, // RSA modulus
-        e: csr.publicKey.e ? csr.publicKey.e.toString(16) : null  // RSA exponent
-      },
-      extensions: csr.getAttribute({ name: 'extensionRequest' })?.value || []
+      subject: nameToObjects(csr.subject),
+      publicKey: csr.publicKey,
+      extensions: csr.extensions
     };
   } catch (error) {
-    throw new Error(`CSR parsing failed: ${error.message}`);
+    throw new WebOpenSSLError(`CSR parsing failed: ${error.message}`, {
+      code: error instanceof WebOpenSSLError ? error.code : ERROR_CODES.INVALID_ENCODING,
+      module: 'req',
+      cause: error
+    });
   }
 }
-
-// Export for CommonJS
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { req, parseCSR };
-}
\ No newline at end of file
@@ -0,0 +1,337 @@
+/**
+ * Certificate chain verification module (openssl verify equivalent).
+ * Builds a chain from a leaf through untrusted intermediates to a trust
+ * anchor and reports every failure with OpenSSL's error code and depth.
+ *
+ * @module verify
+ */
+
+import forge from 'node-forge';
+import { loadKey } from '../utils/keys.js';
+import { verifySignedAsn1 } from '../utils/signature.js';
+import { loadCertificate, loadCertificates, getExtension } from '../utils/certificate.js';
+import { EKU_OIDS } from '../utils/extensions.js';
+import { formatName } from '../utils/names.js';
+import { bytesEqual } from '../utils/encoding.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+
+/** OpenSSL verification results: numeric code and `X509_verify_cert_error_string()` text. */
+const VERIFY_ERRORS = {
+  X509_V_ERR_UNABLE_TO_GET_ISSUER_CERT: [2, 'unable to get issuer certificate'],
+  X509_V_ERR_CERT_SIGNATURE_FAILURE: [7, 'certificate signature failure'],
+  X509_V_ERR_CERT_NOT_YET_VALID: [9, 'certificate is not yet valid'],
+  X509_V_ERR_CERT_HAS_EXPIRED: [10, 'certificate has expired'],
+  X509_V_ERR_DEPTH_ZERO_SELF_SIGNED_CERT: [18, 'self-signed certificate'],
+  X509_V_ERR_SELF_SIGNED_CERT_IN_CHAIN: [19, 'self-signed certificate in certificate chain'],
+  X509_V_ERR_UNABLE_TO_GET_ISSUER_CERT_LOCALLY: [20, 'unable to get local issuer certificate'],
+  X509_V_ERR_UNABLE_TO_VERIFY_LEAF_SIGNATURE: [21, 'unable to verify the first certificate'],
+  X509_V_ERR_CERT_CHAIN_TOO_LONG: [22, 'certificate chain too long'],
+  X509_V_ERR_PATH_LENGTH_EXCEEDED: [25, 'path length constraint exceeded'],
+  X509_V_ERR_INVALID_PURPOSE: [26, 'unsuitable certificate purpose'],
+  X509_V_ERR_KEYUSAGE_NO_CERTSIGN: [32, 'key usage does not include certificate signing'],
+  X509_V_ERR_UNHANDLED_CRITICAL_EXTENSION: [34, 'unhandled critical extension'],
+  X509_V_ERR_HOSTNAME_MISMATCH: [62, 'hostname mismatch'],
+  X509_V_ERR_IP_ADDRESS_MISMATCH: [64, 'IP address mismatch'],
+  X509_V_ERR_INVALID_CA: [79, 'invalid CA certificate']
+};
+
+/**
+ * `-purpose` values: the extendedKeyUsage required anywhere in the chain and
+ * the keyUsage bits of which the leaf needs at least one.
+ */
+const PURPOSES = {
+  sslclient: { eku: EKU_OIDS.clientAuth, keyUsage: ['digitalSignature', 'keyAgreement'] },
+  sslserver: { eku: EKU_OIDS.serverAuth, keyUsage: ['digitalSignature', 'keyEncipherment', 'keyAgreement'] },
+  smimesign: { eku: EKU_OIDS.emailProtection, keyUsage: ['digitalSignature', 'nonRepudiation'] },
+  smimeencrypt: { eku: EKU_OIDS.emailProtection, keyUsage: ['keyEncipherment'] },
+  crlsign: { keyUsage: ['cRLSign'] },
+  codesign: { eku: EKU_OIDS.codeSigning, keyUsage: ['digitalSignature'] },
+  timestampsign: { eku: EKU_OIDS.timeStamping, keyUsage: ['digitalSignature', 'nonRepudiation'] },
+  ocsphelper: { eku: EKU_OIDS.OCSPSigning, keyUsage: ['digitalSignature', 'nonRepudiation'] },
+  any: {}
+};
+
+/** Extensions whose semantics are checked or harmless, so they may be critical. */
+const HANDLED_EXTENSIONS = new Set([
+  'basicConstraints', 'keyUsage', 'extendedKeyUsage', 'subjectAltName', 'issuerAltName',
+  'subjectKeyIdentifier', 'authorityKeyIdentifier', 'crlDistributionPoints',
+  'certificatePolicies', 'authorityInfoAccess', 'nsCertType', 'nsComment'
+]);
+
+/**
+ * @typedef {Object} VerifyError
+ * @property {string} code - OpenSSL constant name (e.g. 'X509_V_ERR_CERT_HAS_EXPIRED').
+ * @property {number} error - OpenSSL numeric code (e.g. 10).
+ * @property {number} depth - Chain position of the failing certificate (0 = leaf).
+ * @property {string} message - OpenSSL error text ('certificate has expired').
+ * @property {string} [subject] - Subject of the failing certificate.
+ */
+
+/**
+ * Verify a certificate chain.
+ *
+ * @param {Object} options - Verification options.
+ * @param {string|Uint8Array} options.certificate - Leaf certificate, PEM or DER.
+ * @param {string|Array<string|Uint8Array>} options.trusted - Trust store: PEM bundle or list (`-CAfile`).
+ * @param {string|Array<string|Uint8Array>} [options.untrusted] - Intermediates: PEM bundle or list (`-untrusted`).
+ * @param {Date|number} [options.attime] - Check validity at this time instead of now (`-attime`,
+ *   seconds since the epoch when a number).
+ * @param {string} [options.purpose] - Required purpose (`-purpose`): 'sslserver', 'sslclient', 'smimesign',
+ *   'smimeencrypt', 'crlsign', 'codesign', 'timestampsign', 'ocsphelper' or 'any'.
+ * @param {string} [options.hostname] - Host name the leaf must match (`-verify_hostname`).
+ * @param {string} [options.ip] - IP address the leaf must match (`-verify_ip`).
+ * @param {boolean} [options.partialChain=false] - Accept any trusted certificate as anchor,
+ *   not only self-signed roots (`-partial_chain`).
+ * @param {number} [options.maxDepth=100] - Maximum number of intermediates (`-verify_depth`).
+ * @returns {Promise<{valid: boolean, errors: VerifyError[], chain: Array<{depth: number, subject: string, issuer: string}>}>}
+ *   `valid` is true when `errors` is empty; `chain` lists the certificates from leaf to anchor.
+ * @throws {Error} If an input cannot be parsed or an option is invalid.
+ *
+ * @example
+ * // openssl verify -CAfile root.pem -untrusted intermediate.pem -purpose sslserver -verify_hostname example.com leaf.pem
+ * const result = await verify({
+ *   certificate: leafPem,
+ *   untrusted: intermediatePem,
+ *   trusted: rootPem,
+ *   purpose: 'sslserver',
+ *   hostname: 'example.com'
+ * });
+ * if (!result.valid) {
+ *   const [first] = result.errors;
+ *   console.log(`error ${first.error} at ${first.depth} depth lookup: ${first.message}`);
+ * }
+ */
+export async function verify(options = {}) {
+  const {
+    certificate,
+    trusted,
+    untrusted = [],
+    attime,
+    purpose,
+    hostname,
+    ip,
+    partialChain = false,
+    maxDepth = 100
+  } = options;
+
+  if (!certificate) {
+    throw new InvalidArgumentError('Certificate to verify required', { module: 'verify' });
+  }
+  if (!trusted) {
+    throw new InvalidArgumentError('Trusted certificates required (trusted)', { module: 'verify' });
+  }
+  if (purpose && !PURPOSES[purpose]) {
+    throw new InvalidArgumentError(
+      `Unknown purpose: ${purpose} (use ${Object.keys(PURPOSES).join(', ')})`,
+      { module: 'verify' }
+    );
+  }
+
+  const time = attime === undefined ? new Date() : new Date(typeof attime === 'number' ? attime * 1000 : attime);
+  const leaf = loadCertificate(certificate);
+  const trustStore = loadCertificates(trusted);
+  const intermediates = loadCertificates(untrusted);
+  const isTrusted = cert => trustStore.some(t => bytesEqual(t.der, cert.der));
+
+  const errors = [];
+  const fail = (code, depth, cert) => {
+    const [error, message] = VERIFY_ERRORS[code];
+    errors.push({ code, error, depth, message, ...(cert && { subject: formatName(cert.subject) }) });
+  };
+
+  // Build the chain, preferring trusted issuers
+  const chain = [leaf];
+  for (;;) {
+    const current = chain[chain.length - 1];
+    if (isSelfIssued(current) || (partialChain && isTrusted(current))) break;
+    if (chain.length > maxDepth + 1) {
+      fail('X509_V_ERR_CERT_CHAIN_TOO_LONG', chain.length - 1, current);
+      break;
+    }
+    const candidates = [...trustStore, ...intermediates].filter(c => !chain.includes(c) && isIssuerOf(c, current));
+    const issuer = candidates.find(c => c.notBefore <= time && time <= c.notAfter) || candidates[0];
+    if (!issuer) break;
+    chain.push(issuer);
+  }
+
+  const top = chain[chain.length - 1];
+  const topDepth = chain.length - 1;
+  const anchored = partialChain ? chain.some(isTrusted) : isSelfIssued(top) && isTrusted(top);
+  if (!anchored) {
+    if (isSelfIssued(top)) {
+      fail(topDepth === 0 ? 'X509_V_ERR_DEPTH_ZERO_SELF_SIGNED_CERT' : 'X509_V_ERR_SELF_SIGNED_CERT_IN_CHAIN', topDepth, top);
+    } else if (isTrusted(top)) {
+      fail('X509_V_ERR_UNABLE_TO_GET_ISSUER_CERT', topDepth, top);
+    } else {
+      fail('X509_V_ERR_UNABLE_TO_GET_ISSUER_CERT_LOCALLY', topDepth, top);
+      if (topDepth === 0) fail('X509_V_ERR_UNABLE_TO_VERIFY_LEAF_SIGNATURE', 0, top);
+    }
+  }
+
+  // Extensions, CA flags and path lengths (leaf to anchor)
+  const rule = purpose ? PURPOSES[purpose] : null;
+  let intermediatesBelow = 0;
+  chain.forEach((cert, depth) => {
+    if (cert.extensions.some(e => e.critical && !HANDLED_EXTENSIONS.has(e.name))) {
+      fail('X509_V_ERR_UNHANDLED_CRITICAL_EXTENSION', depth, cert);
+    }
+    if (depth > 0) {
+      if (!isCA(cert)) {
+        fail('X509_V_ERR_INVALID_CA', depth, cert);
+      }
+      const bc = getExtension(cert, 'basicConstraints');
+      if (bc && bc.pathLenConstraint !== undefined && intermediatesBelow > bc.pathLenConstraint) {
+        fail('X509_V_ERR_PATH_LENGTH_EXCEEDED', depth, cert);
+      }
+      if (!isSelfIssued(cert)) intermediatesBelow++;
+    }
+    if (rule && !allowsPurpose(cert, rule, depth === 0)) {
+      fail('X509_V_ERR_INVALID_PURPOSE', depth, cert);
+    }
+  });
+
+  if (hostname && !matchesHostname(leaf, hostname)) {
+    fail('X509_V_ERR_HOSTNAME_MISMATCH', 0, leaf);
+  }
+  if (ip && !matchesIp(leaf, ip)) {
+    fail('X509_V_ERR_IP_ADDRESS_MISMATCH', 0, leaf);
+  }
+
+  // Signatures and validity (anchor to leaf); a trust anchor's self-signature is not checked
+  for (let depth = topDepth; depth >= 0; depth--) {
+    const cert = chain[depth];
+    const issuer = chain[depth + 1];
+    if (issuer) {
+      const usage = getExtension(issuer, 'keyUsage');
+      if (usage && !usage.usages.includes('keyCertSign')) {
+        fail('X509_V_ERR_KEYUSAGE_NO_CERTSIGN', depth + 1, issuer);
+      }
+      if (!(await checkSignature(issuer, cert))) {
+        fail('X509_V_ERR_CERT_SIGNATURE_FAILURE', depth, cert);
+      }
+    }
+    if (time < cert.notBefore) {
+      fail('X509_V_ERR_CERT_NOT_YET_VALID', depth, cert);
+    }
+    if (time > cert.notAfter) {
+      fail('X509_V_ERR_CERT_HAS_EXPIRED', depth, cert);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    chain: chain.map((cert, depth) => ({ depth, subject: formatName(cert.subject), issuer: formatName(cert.issuer) }))
+  };
+}
+
+/**
+ * Whether a certificate names itself as issuer.
+ * @param {Object} cert - Parsed certificate.
+ * @returns {boolean} True when subject and issuer are identical.
+ */
+function isSelfIssued(cert) {
+  return bytesEqual(cert.subjectDer, cert.issuerDer);
+}
+
+/**
+ * Whether `candidate` can be the issuer of `cert`: names must match, and key
+ * identifiers too when both certificates carry them.
+ * @param {Object} candidate - Possible issuer.
+ * @param {Object} cert - Issued certificate.
+ * @returns {boolean} True on a match.
+ */
+function isIssuerOf(candidate, cert) {
+  if (!bytesEqual(candidate.subjectDer, cert.issuerDer)) return false;
+  const aki = getExtension(cert, 'authorityKeyIdentifier');
+  const ski = getExtension(candidate, 'subjectKeyIdentifier');
+  return !aki || !aki.keyIdentifier || !ski || aki.keyIdentifier === ski.keyIdentifier;
+}
+
+/**
+ * Whether a certificate may act as a CA, following OpenSSL's X509_check_ca():
+ * basicConstraints decides when present, then v1 self-signed roots, keyCertSign and nsCertType.
+ * @param {Object} cert - Parsed certificate.
+ * @returns {boolean} True for CA certificates.
+ */
+function isCA(cert) {
+  const bc = getExtension(cert, 'basicConstraints');
+  if (bc) return bc.cA;
+  if (cert.version === 1 && isSelfIssued(cert)) return true;
+  const usage = getExtension(cert, 'keyUsage');
+  if (usage) return usage.usages.includes('keyCertSign');
+  const nsType = getExtension(cert, 'nsCertType');
+  return !!nsType && nsType.types.some(t => t.endsWith('CA'));
+}
+
+/**
+ * Check a certificate against a purpose. extendedKeyUsage applies at every
+ * depth; keyUsage only to the leaf.
+ * @param {Object} cert - Parsed certificate.
+ * @param {{eku?: string, keyUsage?: string[]}} rule - Entry from PURPOSES.
+ * @param {boolean} isLeaf - Whether the certificate is at depth 0.
+ * @returns {boolean} True when the purpose is allowed.
+ */
+function allowsPurpose(cert, rule, isLeaf) {
+  const eku = getExtension(cert, 'extendedKeyUsage');
+  if (rule.eku && eku && !eku.purposes.some(p => (EKU_OIDS[p] || p) === rule.eku)) {
+    return false;
+  }
+  const usage = getExtension(cert, 'keyUsage');
+  if (isLeaf && rule.keyUsage && usage && !rule.keyUsage.some(u => usage.usages.includes(u))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verify the signature on `cert` with the issuer's public key.
+ * @param {Object} issuer - Parsed issuer certificate.
+ * @param {Object} cert - Parsed certificate.
+ * @returns {Promise<boolean>} True when the signature is valid.
+ */
+async function checkSignature(issuer, cert) {
+  try {
+    return await verifySignedAsn1(loadKey(issuer.spki), cert.der);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Match a host name against the leaf's DNS subjectAltNames, or its commonName
+ * when it has none. A leading '*' label matches exactly one label.
+ * @param {Object} cert - Parsed leaf certificate.
+ * @param {string} hostname - Host name to check.
+ * @returns {boolean} True on a match.
+ */
+function matchesHostname(cert, hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const san = getExtension(cert, 'subjectAltName');
+  const dnsNames = san ? san.altNames.filter(n => n.type === 'DNS').map(n => n.value) : [];
+  const names = dnsNames.length > 0 ? dnsNames : cert.subject.filter(a => a.shortName === 'CN').map(a => a.value);
+
+  return names.some((name) => {
+    const pattern = name.toLowerCase().replace(/\.$/, '');
+    if (!pattern.startsWith('*.')) return pattern === host;
+    // A wildcard needs at least two labels after it and covers exactly one label
+    const suffix = pattern.slice(1);
+    const label = host.slice(0, host.length - suffix.length);
+    return suffix.split('.').length > 2 && host.endsWith(suffix) && label !== '' && !label.includes('.');
+  });
+}
+
+/**
+ * Match an IP address against the leaf's IP subjectAltNames.
+ * @param {Object} cert - Parsed leaf certificate.
+ * @param {string} ip - IPv4 or IPv6 address.
+ * @returns {boolean} True on a match.
+ */
+function matchesIp(cert, ip) {
+  const wanted = forge.util.bytesFromIP(ip);
+  if (wanted === null) {
+    throw new InvalidArgumentError(`Invalid IP address: ${ip}`, { module: 'verify' });
+  }
+  const san = getExtension(cert, 'subjectAltName');
+  return !!san && san.altNames.some(n => n.type === 'IP' && forge.util.bytesFromIP(n.value) === wanted);
+}
@@ -0,0 +1,193 @@
+/**
+ * Certificate display module (openssl x509 equivalent).
+ * Parses PEM/DER certificates with any supported key type and renders the
+ * `openssl x509 -noout -text` listing.
+ *
+ * @module x509
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, bytesToHex } from '../utils/encoding.js';
+import { pemEncode, CURVE_OIDS } from '../utils/keys.js';
+import { loadCertificate } from '../utils/certificate.js';
+import { extensionToText } from '../utils/extensions.js';
+import { formatName, nameToObjects } from '../utils/names.js';
+import { InvalidArgumentError } from '../utils/errors.js';
+
+/** OpenSSL curve names for `-text` output. */
+const CURVE_NAMES = { 'P-256': 'prime256v1', 'P-384': 'secp384r1', 'P-521': 'secp521r1' };
+
+/** Month abbreviations for validity dates. */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** Public key algorithm names for `-text` output. */
+const KEY_ALGORITHM_NAMES = { RSA: 'rsaEncryption', 'RSA-PSS': 'rsassaPss', EC: 'id-ecPublicKey', Ed25519: 'ED25519', X25519: 'X25519' };
+
+/**
+ * Parse a certificate and report its contents.
+ *
+ * @param {Object} options - Parsing options.
+ * @param {string|Uint8Array|ArrayBuffer} options.input - PEM text or DER bytes (`-in`).
+ * @param {boolean} [options.base64=false] - String input is base64 DER without PEM headers.
+ * @param {boolean} [options.text=false] - Include the `-text` listing.
+ * @returns {Promise<Object>} Certificate details: `version`, `serial` (hex), `signatureAlgorithm`,
+ *   `issuer` and `subject` (`[{ CN: 'value' }]`), `issuerName`/`subjectName` (OpenSSL one-line form),
+ *   `notBefore`/`notAfter` (Date), `publicKey`, `extensions` (decoded), `fingerprints`
+ *   (`sha1`, `sha256` as 'AB:CD:...'), `pem`, and `text` when requested.
+ * @throws {Error} If the input is not a certificate.
+ *
+ * @example
+ * // openssl x509 -in cert.pem -noout -text -fingerprint -sha256
+ * const info = await x509({ input: certPem, text: true });
+ * console.log(info.subjectName, info.notAfter, info.fingerprints.sha256);
+ * console.log(info.text);
+ */
+export async function x509(options = {}) {
+  const { input, base64 = false, text = false } = options;
+
+  if (!input) {
+    throw new InvalidArgumentError('Certificate input required', { module: 'x509' });
+  }
+
+  const cert = loadCertificate(input, base64);
+  const result = {
+    version: cert.version,
+    serial: cert.serial,
+    signatureAlgorithm: cert.signatureAlgorithm,
+    issuer: nameToObjects(cert.issuer),
+    issuerName: formatName(cert.issuer),
+    subject: nameToObjects(cert.subject),
+    subjectName: formatName(cert.subject),
+    notBefore: cert.notBefore,
+    notAfter: cert.notAfter,
+    publicKey: cert.publicKey,
+    extensions: cert.extensions,
+    fingerprints: {
+      sha1: fingerprint(cert.der, 'sha1'),
+      sha256: fingerprint(cert.der, 'sha256')
+    },
+    pem: pemEncode('CERTIFICATE', cert.der)
+  };
+  if (text) {
+    result.text = certificateText(cert);
+  }
+  return result;
+}
+
+/**
+ * Certificate fingerprint as `openssl x509 -fingerprint` prints it.
+ * @param {Uint8Array} der - Certificate DER.
+ * @param {string} algorithm - 'sha1' or 'sha256'.
+ * @returns {string} Uppercase colon-separated digest.
+ */
+function fingerprint(der, algorithm) {
+  const md = forge.md[algorithm].create();
+  md.update(bytesToBinaryString(der));
+  return hexBlock(forge.util.bytesToHex(md.digest().getBytes()), 0).toUpperCase();
+}
+
+/**
+ * Colon-separated hex split into indented lines.
+ * @param {string} hex - Hex string.
+ * @param {number} perLine - Bytes per line (0 for a single line).
+ * @param {string} [indent=''] - Line prefix.
+ * @returns {string} Formatted hex.
+ */
+function hexBlock(hex, perLine, indent = '') {
+  const bytes = hex.match(/.{2}/g) || [];
+  if (!perLine) return bytes.join(':');
+  const lines = [];
+  for (let i = 0; i < bytes.length; i += perLine) {
+    const last = i + perLine >= bytes.length;
+    lines.push(indent + bytes.slice(i, i + perLine).join(':') + (last ? '' : ':'));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format a validity date like OpenSSL ('Oct  8 19:16:29 2026 GMT').
+ * @param {Date} date - Date.
+ * @returns {string} Formatted date.
+ */
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  return `${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ${time} ${date.getUTCFullYear()} GMT`;
+}
+
+/**
+ * Render the public key block of the `-text` listing.
+ * @param {Object} key - Public key details.
+ * @returns {string[]} Lines.
+ */
+function publicKeyText(key) {
+  const lines = [`            Public Key Algorithm: ${KEY_ALGORITHM_NAMES[key.type] || key.type}`];
+  if (key.type === 'RSA' || key.type === 'RSA-PSS') {
+    const modulus = parseInt(key.n.slice(0, 2), 16) & 0x80 ? `00${key.n}` : key.n;
+    const e = parseInt(key.e, 16);
+    lines.push(
+      `                Public-Key: (${key.bits} bit)`,
+      '                Modulus:',
+      hexBlock(modulus, 15, '                    '),
+      `                Exponent: ${e} (0x${e.toString(16)})`
+    );
+  } else if (key.type === 'EC') {
+    lines.push(
+      `                Public-Key: (${key.bits} bit)`,
+      '                pub:',
+      hexBlock(`04${key.x}${key.y}`, 15, '                    '),
+      `                ASN1 OID: ${CURVE_NAMES[key.curve] || CURVE_OIDS[key.curve]}`,
+      `                NIST CURVE: ${key.curve}`
+    );
+  } else if (key.x) {
+    lines.push(
+      `                ${KEY_ALGORITHM_NAMES[key.type]} Public-Key:`,
+      '                pub:',
+      hexBlock(key.x, 15, '                    ')
+    );
+  }
+  return lines;
+}
+
+/**
+ * Render a parsed certificate like `openssl x509 -noout -text`.
+ * @param {Object} cert - Parsed certificate.
+ * @returns {string} Text listing.
+ */
+function certificateText(cert) {
+  // OpenSSL prints serials that fit in a long as decimal
+  const serial = new forge.jsbn.BigInteger(cert.serial, 16);
+  const serialLines = serial.bitLength() < 64
+    ? [`        Serial Number: ${serial.toString(10)} (0x${serial.toString(16)})`]
+    : ['        Serial Number:', `            ${hexBlock(cert.serial, 0)}`];
+
+  const lines = [
+    'Certificate:',
+    '    Data:',
+    `        Version: ${cert.version} (0x${(cert.version - 1).toString(16)})`,
+    ...serialLines,
+    `        Signature Algorithm: ${cert.signatureAlgorithm}`,
+    `        Issuer: ${formatName(cert.issuer)}`,
+    '        Validity',
+    `            Not Before: ${formatDate(cert.notBefore)}`,
+    `            Not After : ${formatDate(cert.notAfter)}`,
+    `        Subject: ${formatName(cert.subject)}`,
+    '        Subject Public Key Info:',
+    ...publicKeyText(cert.publicKey)
+  ];
+
+  if (cert.extensions.length > 0) {
+    lines.push('        X509v3 extensions:');
+    for (const ext of cert.extensions) {
+      const { title, lines: values } = extensionToText(ext);
+      lines.push(`            ${title}`, ...values.map(v => `                ${v}`));
+    }
+  }
+
+  lines.push(
+    `    Signature Algorithm: ${cert.signatureAlgorithm}`,
+    '    Signature Value:',
+    hexBlock(bytesToHex(cert.signature), 18, '        ')
+  );
+  return `${lines.join('\n')}\n`;
+}
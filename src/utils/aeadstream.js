@@ -0,0 +1,357 @@
+/**
+ * Segmented AEAD for encrypting Blobs and streams in constant memory: the
+ * STREAM construction (Hoang, Reyhanitabar, Rogaway and Vizár, "Online
+ * Authenticated-Encryption and its Nonce-Reuse Misuse-Resistance", 2015)
+ * with AES-GCM or ChaCha20-Poly1305, laid out like Tink's streaming AEAD.
+ *
+ * Output: header || segment_0 || ... || segment_n. A segment is the
+ * ciphertext of `chunkSize` plaintext bytes (the last may be shorter, or
+ * empty) followed by its 16-byte tag. Segment i is sealed under the nonce
+ * noncePrefix (7 bytes) || i (32-bit big-endian) || last-segment flag
+ * (1 byte), with the header as additional data, so reordered, dropped,
+ * truncated or appended segments and header changes fail authentication.
+ *
+ * Header (42 bytes): "WOSTREAM" | version (1) | cipher id | KDF id |
+ * iterations (u32) | chunkSize (u32) | salt (16) | nonce prefix (7). The
+ * segment key is PBKDF2-SHA256(password, salt) or HKDF-SHA256(key, salt),
+ * so every stream has its own key even when the password or key is reused.
+ *
+ * @module utils/aeadstream
+ */
+
+import { concatBytes } from './encoding.js';
+import { getWebCrypto, randomBytes, isCryptoKey } from './webcrypto.js';
+import { CIPHERS, cipherCrypt } from './ciphers.js';
+import { readChunks } from './streams.js';
+import { pbkdf2, hkdf } from './kdf.js';
+import {
+  InvalidArgumentError,
+  InvalidEncodingError,
+  UnsupportedAlgorithmError,
+  BadDecryptError
+} from './errors.js';
+
+/** "WOSTREAM" */
+const STREAM_MAGIC = new Uint8Array([0x57, 0x4f, 0x53, 0x54, 0x52, 0x45, 0x41, 0x4d]);
+const STREAM_VERSION = 1;
+const HEADER_LENGTH = 42;
+const SALT_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const TAG_LENGTH = 16;
+
+/** Default plaintext bytes per segment. */
+export const STREAM_CHUNK_SIZE = 65536;
+
+/** Largest accepted segment size. */
+const MAX_CHUNK_SIZE = 1 << 24;
+
+/** Largest accepted PBKDF2 iteration count, so a crafted header cannot stall decryption. */
+export const MAX_STREAM_ITERATIONS = 10000000;
+
+/** Cipher ids of the header. */
+const STREAM_CIPHER_IDS = {
+  'AES-128-GCM': 1,
+  'AES-192-GCM': 2,
+  'AES-256-GCM': 3,
+  'CHACHA20-POLY1305': 4
+};
+
+/** KDF ids of the header. */
+const KDF_HKDF = 1;
+const KDF_PBKDF2 = 2;
+
+/** HKDF info string for raw-key streams. */
+const HKDF_INFO = new TextEncoder().encode('webopenssl stream v1');
+
+/**
+ * FIFO of byte chunks that hands out exact-length pieces.
+ */
+class ByteQueue {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  /** @param {Uint8Array} bytes - Bytes to append. */
+  push(bytes) {
+    if (bytes.length) {
+      this.chunks.push(bytes);
+      this.length += bytes.length;
+    }
+  }
+
+  /**
+   * Remove bytes from the front.
+   * @param {number} n - Number of bytes, at most `length`.
+   * @returns {Uint8Array} The bytes.
+   */
+  take(n) {
+    const out = new Uint8Array(n);
+    let filled = 0;
+    while (filled < n) {
+      const head = this.chunks[0];
+      const count = Math.min(head.length, n - filled);
+      out.set(head.subarray(0, count), filled);
+      filled += count;
+      if (count === head.length) this.chunks.shift();
+      else this.chunks[0] = head.subarray(count);
+    }
+    this.length -= n;
+    return out;
+  }
+}
+
+/**
+ * Wrap an async generator as a pull-based ReadableStream, so nothing is
+ * read or encrypted ahead of the consumer.
+ * @param {AsyncGenerator<Uint8Array>} generator - Chunk source.
+ * @returns {ReadableStream<Uint8Array>} Stream.
+ */
+function toReadableStream(generator) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await generator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await generator.return(reason);
+    }
+  });
+}
+
+/**
+ * Derive the segment key and, where Web Crypto has the cipher, import it once.
+ * @param {Object} cipher - Entry of CIPHERS.
+ * @param {number} kdf - KDF id.
+ * @param {Uint8Array} secret - Password or key bytes.
+ * @param {Uint8Array} salt - Header salt.
+ * @param {number} iterations - PBKDF2 iterations.
+ * @returns {Promise<Uint8Array|CryptoKey>} Key for cipherCrypt().
+ */
+async function segmentKey(cipher, kdf, secret, salt, iterations) {
+  const key = kdf === KDF_PBKDF2
+    ? await pbkdf2(secret, salt, iterations, 'sha256', cipher.keyLength)
+    : await hkdf(secret, salt, HKDF_INFO, 'sha256', cipher.keyLength);
+  const crypto = getWebCrypto();
+  if (crypto && cipher.webCrypto) {
+    try {
+      return await crypto.subtle.importKey('raw', key, { name: cipher.webCrypto }, false, ['encrypt', 'decrypt']);
+    } catch (e) {
+      // Key size not supported by this engine; cipherCrypt falls back per segment
+    }
+  }
+  return key;
+}
+
+/**
+ * Raw bytes of a stream key.
+ * @param {Uint8Array|CryptoKey} key - Key bytes or an extractable CryptoKey.
+ * @returns {Promise<Uint8Array>} Key bytes.
+ * @throws {InvalidArgumentError} For a non-extractable CryptoKey, since HKDF needs the bytes.
+ */
+async function streamKeyBytes(key) {
+  if (!isCryptoKey(key)) {
+    return key;
+  }
+  if (!key.extractable) {
+    throw new InvalidArgumentError(
+      'Streaming derives a key per stream and needs the raw key: pass bytes or an extractable CryptoKey',
+      { module: 'enc' }
+    );
+  }
+  return new Uint8Array(await getWebCrypto().subtle.exportKey('raw', key));
+}
+
+/**
+ * Nonce of segment i.
+ * @param {Uint8Array} prefix - 7-byte nonce prefix.
+ * @param {number} index - Segment number.
+ * @param {boolean} last - Final segment.
+ * @returns {Uint8Array} 12-byte nonce.
+ */
+function segmentNonce(prefix, index, last) {
+  if (index > 0xffffffff) {
+    throw new InvalidArgumentError('Stream too long: more than 2^32 segments', { module: 'enc' });
+  }
+  const nonce = new Uint8Array(12);
+  nonce.set(prefix);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Describe a stream for enc()'s `params`.
+ * @param {Object} cipher - Entry of CIPHERS.
+ * @param {number} kdf - KDF id.
+ * @param {number} iterations - PBKDF2 iterations.
+ * @param {number} chunkSize - Plaintext bytes per segment.
+ * @returns {Object} Parameters.
+ */
+function streamParams(cipher, kdf, iterations, chunkSize) {
+  return {
+    algorithm: cipher.name,
+    kdf: kdf === KDF_PBKDF2 ? 'PBKDF2' : 'HKDF',
+    md: 'sha256',
+    ...(kdf === KDF_PBKDF2 && { iterations }),
+    saltLength: SALT_LENGTH,
+    ivLength: 12,
+    tagLength: TAG_LENGTH * 8,
+    chunkSize,
+    format: 'STREAM'
+  };
+}
+
+/**
+ * Encrypt a Blob or ReadableStream into the segmented format.
+ * @param {Blob|ReadableStream} input - Plaintext source.
+ * @param {Object} options - Stream options.
+ * @param {Object} options.cipher - AEAD entry of CIPHERS.
+ * @param {string} [options.password] - Password (PBKDF2-SHA256).
+ * @param {Uint8Array|CryptoKey} [options.key] - Key (HKDF-SHA256), of any length.
+ * @param {number} [options.iterations=10000] - PBKDF2 iterations, at most MAX_STREAM_ITERATIONS.
+ * @param {number} [options.chunkSize=65536] - Plaintext bytes per segment.
+ * @param {Uint8Array} [options.aad] - Additional data bound to every segment.
+ * @returns {Promise<{data: ReadableStream<Uint8Array>, params: Object}>} Ciphertext stream and parameters.
+ * @throws {UnsupportedAlgorithmError} If the cipher is not AES-GCM or ChaCha20-Poly1305.
+ * @throws {InvalidArgumentError} If the chunk size, iteration count or key is invalid.
+ */
+export async function encryptStream(input, options) {
+  const { cipher, password, key, iterations = 10000, chunkSize = STREAM_CHUNK_SIZE, aad } = options;
+  const cipherId = STREAM_CIPHER_IDS[cipher.name];
+  if (!cipherId) {
+    throw new UnsupportedAlgorithmError(
+      `Streaming needs an AEAD cipher (AES-128/192/256-GCM or CHACHA20-POLY1305), not ${cipher.name}`,
+      { module: 'enc' }
+    );
+  }
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new InvalidArgumentError(`Invalid chunkSize: must be an integer from 1 to ${MAX_CHUNK_SIZE}`, {
+      module: 'enc'
+    });
+  }
+  if (password && (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_STREAM_ITERATIONS)) {
+    throw new InvalidArgumentError(
+      `Invalid iterations: must be an integer from 1 to ${MAX_STREAM_ITERATIONS}`,
+      { module: 'enc' }
+    );
+  }
+
+  const kdf = password ? KDF_PBKDF2 : KDF_HKDF;
+  const salt = randomBytes(SALT_LENGTH);
+  const prefix = randomBytes(NONCE_PREFIX_LENGTH);
+  const header = new Uint8Array(HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  header.set(STREAM_MAGIC);
+  header[8] = STREAM_VERSION;
+  header[9] = cipherId;
+  header[10] = kdf;
+  view.setUint32(11, kdf === KDF_PBKDF2 ? iterations : 0);
+  view.setUint32(15, chunkSize);
+  header.set(salt, 19);
+  header.set(prefix, 35);
+
+  const secret = password ? new TextEncoder().encode(password) : await streamKeyBytes(key);
+  const segKey = await segmentKey(cipher, kdf, secret, salt, iterations);
+  const additionalData = aad ? concatBytes(header, aad) : header;
+  const seal = (plain, index, last) =>
+    cipherCrypt(cipher, segKey, segmentNonce(prefix, index, last), plain, false, { aad: additionalData });
+
+  async function* segments() {
+    yield header;
+    const queue = new ByteQueue();
+    let index = 0;
+    for await (const piece of readChunks(input)) {
+      queue.push(piece);
+      // A segment is final only once the input has ended
+      while (queue.length > chunkSize) {
+        yield await seal(queue.take(chunkSize), index++, false);
+      }
+    }
+    yield await seal(queue.take(queue.length), index, true);
+  }
+
+  return { data: toReadableStream(segments()), params: streamParams(cipher, kdf, iterations, chunkSize) };
+}
+
+/**
+ * Decrypt the segmented format. The header is read before returning, so a
+ * wrong format fails here; authentication failures surface as errors of the
+ * returned stream.
+ * @param {Blob|ReadableStream} input - Ciphertext source.
+ * @param {Object} options - Stream options.
+ * @param {string} [options.password] - Password, for PBKDF2 streams.
+ * @param {Uint8Array|CryptoKey} [options.key] - Key, for HKDF streams.
+ * @param {Uint8Array} [options.aad] - Additional data given when encrypting.
+ * @returns {Promise<{data: ReadableStream<Uint8Array>, params: Object}>} Plaintext stream and parameters.
+ * @throws {InvalidEncodingError} If the header is missing or malformed, or asks for more than
+ *   MAX_STREAM_ITERATIONS PBKDF2 iterations.
+ * @throws {InvalidArgumentError} If the stream needs a password and a key was given, or vice versa.
+ */
+export async function decryptStream(input, options) {
+  const { password, key, aad } = options;
+  const source = readChunks(input);
+  const queue = new ByteQueue();
+  while (queue.length < HEADER_LENGTH) {
+    const { done, value } = await source.next();
+    if (done) break;
+    queue.push(value);
+  }
+  if (queue.length < HEADER_LENGTH) {
+    throw new InvalidEncodingError('Input is too short for an encrypted stream', { module: 'enc' });
+  }
+  const header = queue.take(HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  const cipherName = Object.keys(STREAM_CIPHER_IDS).find(name => STREAM_CIPHER_IDS[name] === header[9]);
+  const kdf = header[10];
+  const iterations = view.getUint32(11);
+  const chunkSize = view.getUint32(15);
+  if (!STREAM_MAGIC.every((b, i) => b === header[i]) || header[8] !== STREAM_VERSION || !cipherName ||
+      (kdf !== KDF_HKDF && kdf !== KDF_PBKDF2) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+    throw new InvalidEncodingError('Not an encrypted stream, or an unsupported version', { module: 'enc' });
+  }
+  if (kdf === KDF_PBKDF2 && (iterations < 1 || iterations > MAX_STREAM_ITERATIONS)) {
+    throw new InvalidEncodingError(
+      `Invalid stream header: ${iterations} PBKDF2 iterations (from 1 to ${MAX_STREAM_ITERATIONS} accepted)`,
+      { module: 'enc' }
+    );
+  }
+  if ((kdf === KDF_PBKDF2) !== !!password) {
+    throw new InvalidArgumentError(
+      `This stream was encrypted with a ${kdf === KDF_PBKDF2 ? 'password' : 'key'}`,
+      { module: 'enc' }
+    );
+  }
+
+  const cipher = CIPHERS[cipherName];
+  const prefix = header.slice(35, 42);
+  const secret = password ? new TextEncoder().encode(password) : await streamKeyBytes(key);
+  const segKey = await segmentKey(cipher, kdf, secret, header.slice(19, 35), iterations);
+  const additionalData = aad ? concatBytes(header, aad) : header;
+  const open = (sealed, index, last) =>
+    cipherCrypt(cipher, segKey, segmentNonce(prefix, index, last), sealed, true, { aad: additionalData });
+  const segmentLength = chunkSize + TAG_LENGTH;
+
+  async function* segments() {
+    let index = 0;
+    for (;;) {
+      while (queue.length > segmentLength) {
+        yield await open(queue.take(segmentLength), index++, false);
+      }
+      const { done, value } = await source.next();
+      if (done) break;
+      queue.push(value);
+    }
+    if (queue.length < TAG_LENGTH) {
+      throw new BadDecryptError('Encrypted stream is truncated', { module: 'enc' });
+    }
+    yield await open(queue.take(queue.length), index, true);
+  }
+
+  return { data: toReadableStream(segments()), params: streamParams(cipher, kdf, iterations, chunkSize) };
+}
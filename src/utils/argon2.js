@@ -0,0 +1,243 @@
+/**
+ * Argon2d, Argon2i and Argon2id, version 0x13 (RFC 9106). Neither Web
+ * Crypto nor node-forge provides them. Lanes are computed one after another;
+ * 64-bit words are kept as (low, high) pairs of 32-bit halves.
+ *
+ * @module utils/argon2
+ */
+
+import { blake2b, createBlake2b, xorRotr64 } from './blake2.js';
+import { InvalidArgumentError } from './errors.js';
+
+/** Argon2 type numbers (the `y` parameter). */
+export const ARGON2_TYPES = { ARGON2D: 0, ARGON2I: 1, ARGON2ID: 2 };
+
+const ARGON2_VERSION = 0x13;
+
+/** Block size in 32-bit words (1024 bytes). */
+const BLOCK_WORDS = 256;
+
+/** Largest accepted memory cost in KiB (1 GiB, like the scrypt limit). */
+const MAX_MEMCOST = 1 << 20;
+
+/**
+ * 32-bit little-endian bytes.
+ * @param {number} n - Value.
+ * @returns {Uint8Array} 4 bytes.
+ */
+function le32(n) {
+  const out = new Uint8Array(4);
+  new DataView(out.buffer).setUint32(0, n, true);
+  return out;
+}
+
+/**
+ * Variable-length hash H' of RFC 9106 section 3.3.
+ * @param {Uint8Array[]} parts - Input, concatenated.
+ * @param {number} length - Output length in bytes.
+ * @returns {Uint8Array} Hash.
+ */
+function hashLong(parts, length) {
+  const first = createBlake2b(Math.min(length, 64)).update(le32(length));
+  for (const part of parts) first.update(part);
+  let v = first.digest();
+  if (length <= 64) return v;
+  const out = new Uint8Array(length);
+  let offset = 0;
+  while (length - offset > 64) {
+    out.set(v.subarray(0, 32), offset);
+    offset += 32;
+    v = blake2b(v, Math.min(64, length - offset));
+  }
+  out.set(v, offset);
+  return out;
+}
+
+/**
+ * v[a] += v[b] + 2 * low32(v[a]) * low32(v[b]) (the BlaMka multiplication).
+ * @param {Uint32Array} v - Words.
+ * @param {number} a - Target word.
+ * @param {number} b - Added word.
+ */
+function fBlaMka(v, a, b) {
+  const x = v[2 * a];
+  const y = v[2 * b];
+  // 64-bit product x * y from 16-bit halves
+  const xl = x & 0xffff, xh = x >>> 16, yl = y & 0xffff, yh = y >>> 16;
+  const ll = xl * yl, lh = xl * yh, hl = xh * yl;
+  const mid = (ll >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+  const pLo = ((mid << 16) | (ll & 0xffff)) >>> 0;
+  const pHi = xh * yh + (lh >>> 16) + (hl >>> 16) + (mid >>> 16);
+  const lo = x + y + pLo * 2;
+  v[2 * a] = lo;
+  v[2 * a + 1] = v[2 * a + 1] + v[2 * b + 1] + pHi * 2 + Math.floor(lo / 0x100000000);
+}
+
+/**
+ * Permutation P on 16 words of a block.
+ * @param {Uint32Array} v - Block.
+ * @param {number[]} w - The 16 word indices.
+ */
+function permute(v, w) {
+  const GB = (a, b, c, d) => {
+    fBlaMka(v, a, b); xorRotr64(v, d, a, 32);
+    fBlaMka(v, c, d); xorRotr64(v, b, c, 24);
+    fBlaMka(v, a, b); xorRotr64(v, d, a, 16);
+    fBlaMka(v, c, d); xorRotr64(v, b, c, 63);
+  };
+  GB(w[0], w[4], w[8], w[12]); GB(w[1], w[5], w[9], w[13]);
+  GB(w[2], w[6], w[10], w[14]); GB(w[3], w[7], w[11], w[15]);
+  GB(w[0], w[5], w[10], w[15]); GB(w[1], w[6], w[11], w[12]);
+  GB(w[2], w[7], w[8], w[13]); GB(w[3], w[4], w[9], w[14]);
+}
+
+/** Word indices of the 8 rows and 8 columns P is applied to. */
+const ROWS = [];
+const COLUMNS = [];
+for (let i = 0; i < 8; i++) {
+  ROWS.push(Array.from({ length: 16 }, (_, k) => 16 * i + k));
+  COLUMNS.push(Array.from({ length: 16 }, (_, k) => 2 * i + 16 * (k >> 1) + (k & 1)));
+}
+
+/**
+ * Compression function G: out = P(x ^ y) ^ x ^ y, or XORed into out.
+ * @param {Uint32Array} out - Destination block.
+ * @param {Uint32Array} x - First input block.
+ * @param {Uint32Array} y - Second input block.
+ * @param {boolean} xor - XOR the result into `out` (passes after the first).
+ * @param {Uint32Array} r - Block-sized scratch space.
+ * @param {Uint32Array} z - Block-sized scratch space.
+ */
+function compress(out, x, y, xor, r, z) {
+  for (let i = 0; i < BLOCK_WORDS; i++) r[i] = x[i] ^ y[i];
+  z.set(r);
+  for (const row of ROWS) permute(z, row);
+  for (const column of COLUMNS) permute(z, column);
+  if (xor) {
+    for (let i = 0; i < BLOCK_WORDS; i++) out[i] ^= z[i] ^ r[i];
+  } else {
+    for (let i = 0; i < BLOCK_WORDS; i++) out[i] = z[i] ^ r[i];
+  }
+}
+
+/**
+ * Derive a key with Argon2.
+ * @param {Uint8Array} password - Password bytes.
+ * @param {Uint8Array} salt - Salt, at least 8 bytes.
+ * @param {Object} params - Cost and type parameters.
+ * @param {number} params.type - Entry of {@link ARGON2_TYPES}.
+ * @param {number} params.iter - Passes over memory (t).
+ * @param {number} params.memcost - Memory in KiB (m), at least 8 per lane.
+ * @param {number} params.lanes - Parallelism (p).
+ * @param {Uint8Array} [params.secret] - Secret value (K).
+ * @param {Uint8Array} [params.ad] - Associated data (X).
+ * @param {number} length - Output length in bytes, at least 4.
+ * @returns {Uint8Array} Derived key.
+ * @throws {InvalidArgumentError} If the parameters are invalid.
+ */
+export function argon2(password, salt, params, length) {
+  const { type, iter, memcost, lanes, secret = new Uint8Array(0), ad = new Uint8Array(0) } = params;
+  if (!Number.isInteger(lanes) || lanes < 1 || lanes > 0xffffff) {
+    throw new InvalidArgumentError('Invalid Argon2 lanes: must be an integer from 1 to 2^24-1', { module: 'argon2' });
+  }
+  if (!Number.isInteger(iter) || iter < 1) {
+    throw new InvalidArgumentError('Invalid Argon2 iter: must be a positive integer', { module: 'argon2' });
+  }
+  if (!Number.isInteger(memcost) || memcost < 8 * lanes) {
+    throw new InvalidArgumentError('Invalid Argon2 memcost: must be at least 8 KiB per lane', { module: 'argon2' });
+  }
+  if (memcost > MAX_MEMCOST) {
+    throw new InvalidArgumentError('Argon2 parameters need more than 1 GiB of memory', { module: 'argon2' });
+  }
+  if (salt.length < 8) {
+    throw new InvalidArgumentError('Argon2 salt must be at least 8 bytes', { module: 'argon2' });
+  }
+  if (!Number.isInteger(length) || length < 4) {
+    throw new InvalidArgumentError('Argon2 output must be at least 4 bytes', { module: 'argon2' });
+  }
+
+  const h0 = createBlake2b(64)
+    .update(le32(lanes)).update(le32(length)).update(le32(memcost)).update(le32(iter))
+    .update(le32(ARGON2_VERSION)).update(le32(type))
+    .update(le32(password.length)).update(password)
+    .update(le32(salt.length)).update(salt)
+    .update(le32(secret.length)).update(secret)
+    .update(le32(ad.length)).update(ad)
+    .digest();
+
+  const segmentLength = Math.floor(memcost / (4 * lanes));
+  const laneLength = 4 * segmentLength;
+  const blockCount = laneLength * lanes;
+  const memory = new Uint32Array(blockCount * BLOCK_WORDS);
+  const block = i => memory.subarray(i * BLOCK_WORDS, (i + 1) * BLOCK_WORDS);
+  const toWords = (bytes, out) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let i = 0; i < BLOCK_WORDS; i++) out[i] = view.getUint32(i * 4, true);
+  };
+  for (let l = 0; l < lanes; l++) {
+    toWords(hashLong([h0, le32(0), le32(l)], 1024), block(l * laneLength));
+    toWords(hashLong([h0, le32(1), le32(l)], 1024), block(l * laneLength + 1));
+  }
+
+  const r = new Uint32Array(BLOCK_WORDS);
+  const z = new Uint32Array(BLOCK_WORDS);
+  const zero = new Uint32Array(BLOCK_WORDS);
+  const input = new Uint32Array(BLOCK_WORDS);
+  const addresses = new Uint32Array(BLOCK_WORDS);
+
+  for (let pass = 0; pass < iter; pass++) {
+    for (let slice = 0; slice < 4; slice++) {
+      const independent = type === ARGON2_TYPES.ARGON2I || (type === ARGON2_TYPES.ARGON2ID && pass === 0 && slice < 2);
+      for (let lane = 0; lane < lanes; lane++) {
+        if (independent) {
+          input.fill(0);
+          input[0] = pass; input[2] = lane; input[4] = slice;
+          input[6] = blockCount; input[8] = iter; input[10] = type;
+        }
+        const nextAddresses = () => {
+          input[12]++;
+          compress(addresses, zero, input, false, r, z);
+          compress(addresses, zero, addresses, false, r, z);
+        };
+        const start = pass === 0 && slice === 0 ? 2 : 0;
+        if (independent && start) nextAddresses();
+
+        for (let index = start; index < segmentLength; index++) {
+          const current = lane * laneLength + slice * segmentLength + index;
+          const prev = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+          let j1;
+          let j2;
+          if (independent) {
+            if (index % 128 === 0) nextAddresses();
+            j1 = addresses[2 * (index % 128)];
+            j2 = addresses[2 * (index % 128) + 1];
+          } else {
+            j1 = memory[prev * BLOCK_WORDS];
+            j2 = memory[prev * BLOCK_WORDS + 1];
+          }
+
+          const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+          // Blocks of finished segments, plus this segment's in the same lane, excluding the one just computed
+          const finished = pass === 0 ? slice * segmentLength : laneLength - segmentLength;
+          const areaSize = refLane === lane ? finished + index - 1 : finished - (index === 0 ? 1 : 0);
+          const x = (BigInt(j1) * BigInt(j1)) >> 32n;
+          const y = Number((BigInt(areaSize) * x) >> 32n);
+          const startPosition = pass === 0 || slice === 3 ? 0 : (slice + 1) * segmentLength;
+          const refIndex = (startPosition + areaSize - 1 - y) % laneLength;
+
+          compress(block(current), block(prev), block(refLane * laneLength + refIndex), pass > 0, r, z);
+        }
+      }
+    }
+  }
+
+  const final = block(laneLength - 1).slice();
+  for (let l = 1; l < lanes; l++) {
+    const last = block(l * laneLength + laneLength - 1);
+    for (let i = 0; i < BLOCK_WORDS; i++) final[i] ^= last[i];
+  }
+  const finalBytes = new Uint8Array(1024);
+  const view = new DataView(finalBytes.buffer);
+  for (let i = 0; i < BLOCK_WORDS; i++) view.setUint32(i * 4, final[i], true);
+  return hashLong([finalBytes], length);
+}
@@ -0,0 +1,190 @@
+/**
+ * bcrypt (Provos and Mazières, "A Future-Adaptable Password Scheme", 1999):
+ * the expensive Blowfish key schedule (EksBlowfish) over
+ * "OrpheanBeholderScryDoubt". Neither Web Crypto nor node-forge provides it.
+ *
+ * @module utils/bcrypt
+ */
+
+import { InvalidArgumentError, InvalidEncodingError } from './errors.js';
+
+/** bcrypt's base64 alphabet (no padding). */
+const BCRYPT_BASE64 = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/** "OrpheanBeholderScryDoubt" as big-endian words. */
+const MAGIC = [0x4f727068, 0x65616e42, 0x65686f6c, 0x64657253, 0x63727944, 0x6f756274];
+
+let initialState = null;
+
+/**
+ * Blowfish's initial P-array and S-boxes: the first 1042 words of the
+ * fractional part of pi in hexadecimal. They are computed once, on first
+ * use, with Machin's formula rather than stored as 4 KiB of constants.
+ * @returns {Uint32Array} 18 P words followed by 4 x 256 S-box words.
+ */
+function blowfishInitialState() {
+  if (initialState) return initialState;
+  const words = 18 + 4 * 256;
+  // 8 guard digits absorb the truncation error of the series
+  const scale = 1n << BigInt(4 * (words * 8 + 8));
+  const arctanInv = x => {
+    const x2 = x * x;
+    let sum = 0n;
+    let power = scale / x;
+    for (let k = 1n, sign = 1n; power !== 0n; k += 2n, sign = -sign) {
+      sum += sign * (power / k);
+      power /= x2;
+    }
+    return sum;
+  };
+  const pi = 4n * (4n * arctanInv(5n) - arctanInv(239n));
+  const hex = ((pi - 3n * scale) >> 32n).toString(16).padStart(words * 8, '0');
+  initialState = new Uint32Array(words);
+  for (let i = 0; i < words; i++) initialState[i] = parseInt(hex.slice(i * 8, i * 8 + 8), 16);
+  return initialState;
+}
+
+/**
+ * Encrypt one block in place.
+ * @param {Uint32Array} state - P-array (words 0-17) and S-boxes (18-1041).
+ * @param {Uint32Array} lr - Two-word block.
+ */
+function encipher(state, lr) {
+  let l = lr[0];
+  let r = lr[1];
+  for (let i = 0; i < 16; i += 2) {
+    l ^= state[i];
+    r ^= (((state[18 + (l >>> 24)] + state[274 + ((l >>> 16) & 0xff)]) ^ state[530 + ((l >>> 8) & 0xff)])
+      + state[786 + (l & 0xff)]);
+    r ^= state[i + 1];
+    l ^= (((state[18 + (r >>> 24)] + state[274 + ((r >>> 16) & 0xff)]) ^ state[530 + ((r >>> 8) & 0xff)])
+      + state[786 + (r & 0xff)]);
+  }
+  lr[0] = r ^ state[17];
+  lr[1] = l ^ state[16];
+}
+
+/**
+ * Read the next big-endian word of `data`, cycling.
+ * @param {Uint8Array} data - Key or salt.
+ * @param {{offset: number}} position - Read position, advanced.
+ * @returns {number} Word.
+ */
+function streamWord(data, position) {
+  let word = 0;
+  for (let i = 0; i < 4; i++) {
+    word = (word << 8) | data[position.offset];
+    position.offset = (position.offset + 1) % data.length;
+  }
+  return word >>> 0;
+}
+
+/**
+ * ExpandKey(state, salt, key): mix the key into P, then re-encrypt P and
+ * the S-boxes, XORing salt words into each block when a salt is given.
+ * @param {Uint32Array} state - Blowfish state.
+ * @param {Uint8Array|null} salt - 16-byte salt, or null.
+ * @param {Uint8Array} key - Key bytes.
+ */
+function expandKey(state, salt, key) {
+  const keyPosition = { offset: 0 };
+  for (let i = 0; i < 18; i++) state[i] ^= streamWord(key, keyPosition);
+  const saltPosition = { offset: 0 };
+  const lr = new Uint32Array(2);
+  for (let i = 0; i < state.length; i += 2) {
+    if (salt) {
+      lr[0] ^= streamWord(salt, saltPosition);
+      lr[1] ^= streamWord(salt, saltPosition);
+    }
+    encipher(state, lr);
+    state[i] = lr[0];
+    state[i + 1] = lr[1];
+  }
+}
+
+/**
+ * Encode bytes with bcrypt's base64.
+ * @param {Uint8Array} bytes - Input.
+ * @param {number} length - Number of characters to produce.
+ * @returns {string} Encoded text.
+ */
+function encodeBase64(bytes, length) {
+  let out = '';
+  for (let i = 0; out.length < length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    out += BCRYPT_BASE64[(n >>> 18) & 63] + BCRYPT_BASE64[(n >>> 12) & 63]
+      + BCRYPT_BASE64[(n >>> 6) & 63] + BCRYPT_BASE64[n & 63];
+  }
+  return out.slice(0, length);
+}
+
+/**
+ * Decode bcrypt's base64.
+ * @param {string} text - Encoded text.
+ * @param {number} length - Number of bytes to produce.
+ * @returns {Uint8Array} Bytes.
+ * @throws {InvalidEncodingError} On characters outside the alphabet.
+ */
+function decodeBase64(text, length) {
+  const out = new Uint8Array(length);
+  let bits = 0;
+  let value = 0;
+  let filled = 0;
+  for (const ch of text) {
+    const index = BCRYPT_BASE64.indexOf(ch);
+    if (index < 0) {
+      throw new InvalidEncodingError(`Invalid bcrypt base64 character: ${ch}`, { module: 'bcrypt' });
+    }
+    value = (value << 6) | index;
+    bits += 6;
+    if (bits >= 8 && filled < length) {
+      bits -= 8;
+      out[filled++] = (value >>> bits) & 0xff;
+    }
+  }
+  return out;
+}
+
+/**
+ * Hash a password with bcrypt.
+ * @param {Uint8Array} password - Password bytes; only the first 72 (with a NUL terminator) count.
+ * @param {string} salt - 22-character bcrypt-base64 salt.
+ * @param {number} cost - Log2 of the number of rounds, 4 to 31.
+ * @param {string} [variant='2b'] - Version in the output: '2a', '2b' or '2y'.
+ * @returns {string} `$2b$<cost>$<salt><hash>`.
+ * @throws {InvalidArgumentError} If the cost is out of range.
+ * @throws {InvalidEncodingError} If the salt is malformed.
+ */
+export function bcrypt(password, salt, cost, variant = '2b') {
+  if (!Number.isInteger(cost) || cost < 4 || cost > 31) {
+    throw new InvalidArgumentError('Invalid bcrypt cost: must be an integer from 4 to 31', { module: 'bcrypt' });
+  }
+  if (salt.length !== 22) {
+    throw new InvalidEncodingError('bcrypt salt must be 22 characters', { module: 'bcrypt' });
+  }
+  const saltBytes = decodeBase64(salt, 16);
+  const key = new Uint8Array(Math.min(password.length + 1, 72));
+  key.set(password.subarray(0, key.length));
+
+  const state = blowfishInitialState().slice();
+  expandKey(state, saltBytes, key);
+  for (let i = 2 ** cost; i > 0; i--) {
+    expandKey(state, null, key);
+    expandKey(state, null, saltBytes);
+  }
+
+  const text = Uint32Array.from(MAGIC);
+  const lr = new Uint32Array(2);
+  for (let block = 0; block < 6; block += 2) {
+    lr.set(text.subarray(block, block + 2));
+    for (let i = 0; i < 64; i++) encipher(state, lr);
+    text.set(lr, block);
+  }
+  const hash = new Uint8Array(24);
+  const view = new DataView(hash.buffer);
+  for (let i = 0; i < 6; i++) view.setUint32(i * 4, text[i]);
+
+  // The salt is re-encoded, dropping stray low bits of its last character; only 23 hash bytes are kept
+  const prefix = `$${variant}$${String(cost).padStart(2, '0')}$`;
+  return prefix + encodeBase64(saltBytes, 22) + encodeBase64(hash.subarray(0, 23), 31);
+}
@@ -0,0 +1,281 @@
+/**
+ * BLAKE2b and BLAKE2s (RFC 7693), with variable output length and an
+ * optional key. Neither Web Crypto nor node-forge provides them; Argon2 is
+ * built on BLAKE2b. BLAKE2b's 64-bit words are kept as (low, high) pairs of
+ * 32-bit halves.
+ *
+ * @module utils/blake2
+ */
+
+import { InvalidArgumentError } from './errors.js';
+
+/** BLAKE2b IV (the SHA-512 IV), as (low, high) pairs. */
+const B2B_IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+/** BLAKE2s IV (the SHA-256 IV). */
+const B2S_IV = new Uint32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+/** Message word schedule; BLAKE2b's rounds 10 and 11 repeat rounds 0 and 1. */
+const SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+/**
+ * v[a] += v[b] + (m[x] if given), on 64-bit words at pair indices a, b, x.
+ * @param {Uint32Array} v - Working vector.
+ * @param {number} a - Target word.
+ * @param {number} b - Added word.
+ * @param {Uint32Array} [m] - Message words.
+ * @param {number} [x] - Message word index.
+ */
+function add64(v, a, b, m, x) {
+  let lo = v[2 * a] + v[2 * b];
+  let hi = v[2 * a + 1] + v[2 * b + 1];
+  if (m) {
+    lo += m[2 * x];
+    hi += m[2 * x + 1];
+  }
+  v[2 * a] = lo;
+  v[2 * a + 1] = hi + Math.floor(lo / 0x100000000);
+}
+
+/**
+ * v[d] = (v[d] ^ v[a]) rotated right by n (16, 24, 32 or 63).
+ * @param {Uint32Array} v - Working vector.
+ * @param {number} d - Target word.
+ * @param {number} a - XORed word.
+ * @param {number} n - Rotation.
+ */
+export function xorRotr64(v, d, a, n) {
+  const lo = v[2 * d] ^ v[2 * a];
+  const hi = v[2 * d + 1] ^ v[2 * a + 1];
+  if (n === 32) {
+    v[2 * d] = hi;
+    v[2 * d + 1] = lo;
+  } else if (n === 63) {
+    v[2 * d] = (lo << 1) | (hi >>> 31);
+    v[2 * d + 1] = (hi << 1) | (lo >>> 31);
+  } else {
+    v[2 * d] = (lo >>> n) | (hi << (32 - n));
+    v[2 * d + 1] = (hi >>> n) | (lo << (32 - n));
+  }
+}
+
+/**
+ * BLAKE2b compression function F, in place on h.
+ * @param {Uint32Array} h - 8-word state.
+ * @param {Uint32Array} m - 16-word message block.
+ * @param {number} t - Bytes hashed so far, including this block.
+ * @param {boolean} last - Final block.
+ * @param {Uint32Array} v - 16-word scratch space.
+ */
+function compress(h, m, t, last, v) {
+  v.set(h);
+  v.set(B2B_IV, 16);
+  v[24] ^= t;
+  v[25] ^= Math.floor(t / 0x100000000);
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+  const G = (a, b, c, d, x, y) => {
+    add64(v, a, b, m, x); xorRotr64(v, d, a, 32);
+    add64(v, c, d); xorRotr64(v, b, c, 24);
+    add64(v, a, b, m, y); xorRotr64(v, d, a, 16);
+    add64(v, c, d); xorRotr64(v, b, c, 63);
+  };
+  for (let r = 0; r < 12; r++) {
+    const s = SIGMA[r % 10];
+    G(0, 4, 8, 12, s[0], s[1]); G(1, 5, 9, 13, s[2], s[3]);
+    G(2, 6, 10, 14, s[4], s[5]); G(3, 7, 11, 15, s[6], s[7]);
+    G(0, 5, 10, 15, s[8], s[9]); G(1, 6, 11, 12, s[10], s[11]);
+    G(2, 7, 8, 13, s[12], s[13]); G(3, 4, 9, 14, s[14], s[15]);
+  }
+  for (let i = 0; i < 16; i++) h[i] ^= v[i] ^ v[i + 16];
+}
+
+/**
+ * Start an incremental BLAKE2b hash.
+ * @param {number} [outLength=64] - Digest length in bytes, 1 to 64.
+ * @param {Uint8Array} [key] - MAC key, up to 64 bytes.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher; `update`
+ *   returns the hasher.
+ * @throws {InvalidArgumentError} If the output or key length is out of range.
+ */
+export function createBlake2b(outLength = 64, key = new Uint8Array(0)) {
+  if (!Number.isInteger(outLength) || outLength < 1 || outLength > 64 || key.length > 64) {
+    throw new InvalidArgumentError(
+      'BLAKE2b output must be 1 to 64 bytes and the key at most 64 bytes',
+      { module: 'blake2' }
+    );
+  }
+  const h = B2B_IV.slice();
+  h[0] ^= 0x01010000 ^ (key.length << 8) ^ outLength;
+  const block = new Uint8Array(128);
+  const m = new Uint32Array(32);
+  const v = new Uint32Array(32);
+  const view = new DataView(block.buffer);
+  let filled = 0;
+  let total = 0;
+
+  const flush = last => {
+    for (let i = 0; i < 32; i++) m[i] = view.getUint32(i * 4, true);
+    compress(h, m, total, last, v);
+    block.fill(0);
+    filled = 0;
+  };
+
+  const hasher = {
+    update(data) {
+      for (let i = 0; i < data.length;) {
+        // Keep the latest full block buffered: only the final block is flagged
+        if (filled === 128) flush(false);
+        const n = Math.min(128 - filled, data.length - i);
+        block.set(data.subarray(i, i + n), filled);
+        filled += n;
+        total += n;
+        i += n;
+      }
+      return hasher;
+    },
+    digest() {
+      flush(true);
+      const out = new Uint8Array(64);
+      const outView = new DataView(out.buffer);
+      for (let i = 0; i < 16; i++) outView.setUint32(i * 4, h[i], true);
+      return out.slice(0, outLength);
+    }
+  };
+  if (key.length) {
+    hasher.update(key);
+    filled = 128;
+    total = 128;
+  }
+  return hasher;
+}
+
+/**
+ * BLAKE2b of a message.
+ * @param {Uint8Array} data - Message.
+ * @param {number} [outLength=64] - Digest length in bytes, 1 to 64.
+ * @param {Uint8Array} [key] - MAC key, up to 64 bytes.
+ * @returns {Uint8Array} Digest.
+ */
+export function blake2b(data, outLength = 64, key) {
+  return createBlake2b(outLength, key).update(data).digest();
+}
+
+/**
+ * BLAKE2s compression function F, in place on h.
+ * @param {Uint32Array} h - 8-word state.
+ * @param {Uint32Array} m - 16-word message block.
+ * @param {number} t - Bytes hashed so far, including this block.
+ * @param {boolean} last - Final block.
+ * @param {Uint32Array} v - 16-word scratch space.
+ */
+function compress2s(h, m, t, last, v) {
+  v.set(h);
+  v.set(B2S_IV, 8);
+  v[12] ^= t;
+  v[13] ^= Math.floor(t / 0x100000000);
+  if (last) v[14] = ~v[14];
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const G = (a, b, c, d, x, y) => {
+    v[a] = v[a] + v[b] + m[x]; v[d] = rotr(v[d] ^ v[a], 16);
+    v[c] = v[c] + v[d]; v[b] = rotr(v[b] ^ v[c], 12);
+    v[a] = v[a] + v[b] + m[y]; v[d] = rotr(v[d] ^ v[a], 8);
+    v[c] = v[c] + v[d]; v[b] = rotr(v[b] ^ v[c], 7);
+  };
+  for (let r = 0; r < 10; r++) {
+    const s = SIGMA[r];
+    G(0, 4, 8, 12, s[0], s[1]); G(1, 5, 9, 13, s[2], s[3]);
+    G(2, 6, 10, 14, s[4], s[5]); G(3, 7, 11, 15, s[6], s[7]);
+    G(0, 5, 10, 15, s[8], s[9]); G(1, 6, 11, 12, s[10], s[11]);
+    G(2, 7, 8, 13, s[12], s[13]); G(3, 4, 9, 14, s[14], s[15]);
+  }
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+}
+
+/**
+ * Start an incremental BLAKE2s hash.
+ * @param {number} [outLength=32] - Digest length in bytes, 1 to 32.
+ * @param {Uint8Array} [key] - MAC key, up to 32 bytes.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher; `update`
+ *   returns the hasher.
+ * @throws {InvalidArgumentError} If the output or key length is out of range.
+ */
+export function createBlake2s(outLength = 32, key = new Uint8Array(0)) {
+  if (!Number.isInteger(outLength) || outLength < 1 || outLength > 32 || key.length > 32) {
+    throw new InvalidArgumentError(
+      'BLAKE2s output must be 1 to 32 bytes and the key at most 32 bytes',
+      { module: 'blake2' }
+    );
+  }
+  const h = B2S_IV.slice();
+  h[0] ^= 0x01010000 ^ (key.length << 8) ^ outLength;
+  const block = new Uint8Array(64);
+  const m = new Uint32Array(16);
+  const v = new Uint32Array(16);
+  const view = new DataView(block.buffer);
+  let filled = 0;
+  let total = 0;
+
+  const flush = last => {
+    for (let i = 0; i < 16; i++) m[i] = view.getUint32(i * 4, true);
+    compress2s(h, m, total, last, v);
+    block.fill(0);
+    filled = 0;
+  };
+
+  const hasher = {
+    update(data) {
+      for (let i = 0; i < data.length;) {
+        if (filled === 64) flush(false);
+        const n = Math.min(64 - filled, data.length - i);
+        block.set(data.subarray(i, i + n), filled);
+        filled += n;
+        total += n;
+        i += n;
+      }
+      return hasher;
+    },
+    digest() {
+      flush(true);
+      const out = new Uint8Array(32);
+      const outView = new DataView(out.buffer);
+      for (let i = 0; i < 8; i++) outView.setUint32(i * 4, h[i], true);
+      return out.slice(0, outLength);
+    }
+  };
+  if (key.length) {
+    hasher.update(key);
+    filled = 64;
+    total = 64;
+  }
+  return hasher;
+}
+
+/**
+ * BLAKE2s of a message.
+ * @param {Uint8Array} data - Message.
+ * @param {number} [outLength=32] - Digest length in bytes, 1 to 32.
+ * @param {Uint8Array} [key] - MAC key, up to 32 bytes.
+ * @returns {Uint8Array} Digest.
+ */
+export function blake2s(data, outLength = 32, key) {
+  return createBlake2s(outLength, key).update(data).digest();
+}
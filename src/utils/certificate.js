@@ -0,0 +1,433 @@
+/**
+ * X.509 certificate building and parsing shared by req, x509 and the CA
+ * modules. node-forge's certificate API only handles RSA keys, so
+ * TBSCertificates are assembled from forge ASN.1 pieces and parsed the same
+ * way, which keeps EC and Ed25519 certificates on the same path.
+ *
+ * @module utils/certificate
+ */
+
+import forge from 'node-forge';
+import { binaryStringToBytes, bytesToBinaryString, toBytes, base64ToBytes } from './encoding.js';
+import { derToAsn1, asn1ToDer, pemDecode, pemDecodeAll, publicKeyDetails } from './keys.js';
+import { decodeExtensions, parseExtensions } from './extensions.js';
+import { nameFromAsn1 } from './names.js';
+import { signAsn1, signatureAlgorithmIdentifier } from './signature.js';
+import { randomBytes } from './webcrypto.js';
+import { InvalidArgumentError, InvalidEncodingError, WebOpenSSLError } from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** OpenSSL names of signature algorithms keyed by OID. */
+export const SIGNATURE_ALGORITHM_NAMES = {
+  '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+  '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+  '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+  '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+  '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+  '1.2.840.113549.1.1.10': 'rsassaPss',
+  '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+  '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+  '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+  '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512',
+  '1.3.101.112': 'ED25519'
+};
+
+/**
+ * Encode a validity time: UTCTime through 2049, GeneralizedTime after (RFC 5280).
+ * @param {Date} date - Time to encode (milliseconds are dropped).
+ * @returns {Object} forge ASN.1 time.
+ */
+export function timeToAsn1(date) {
+  const d = new Date(Math.floor(date.getTime() / 1000) * 1000);
+  if (d.getUTCFullYear() >= 1950 && d.getUTCFullYear() < 2050) {
+    return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(d));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(d));
+}
+
+/**
+ * Decode a UTCTime or GeneralizedTime.
+ * @param {Object} node - forge ASN.1 time.
+ * @returns {Date} Time.
+ */
+export function timeFromAsn1(node) {
+  return node.type === asn1.Type.UTCTIME
+    ? asn1.utcTimeToDate(node.value)
+    : asn1.generalizedTimeToDate(node.value);
+}
+
+/**
+ * Normalize a serial number to minimal positive hex.
+ * @param {string|number|bigint} serial - Hex string ('0x' optional), or a non-negative integer.
+ * @returns {string} Lowercase hex with an even number of digits.
+ * @throws {Error} If the serial is not a non-negative integer.
+ */
+export function normalizeSerial(serial) {
+  let hex;
+  if (typeof serial === 'number' || typeof serial === 'bigint') {
+    if (serial < 0 || (typeof serial === 'number' && !Number.isSafeInteger(serial))) {
+      throw new InvalidArgumentError(`Invalid serial number: ${serial}`, { module: 'certificate' });
+    }
+    hex = serial.toString(16);
+  } else if (typeof serial === 'string' && /^(0x)?[0-9a-fA-F:]+$/.test(serial.trim())) {
+    hex = serial.trim().replace(/^0x/, '').replace(/:/g, '').toLowerCase();
+  } else {
+    throw new InvalidArgumentError(`Invalid serial number: ${serial}`, { module: 'certificate' });
+  }
+  hex = hex.replace(/^0+(?=.)/, '');
+  return hex.length % 2 ? `0${hex}` : hex;
+}
+
+/**
+ * Generate a random 159-bit positive serial number, as `openssl req -x509` does.
+ * @returns {string} 20-byte serial as hex.
+ */
+export function randomSerial() {
+  const bytes = randomBytes(20);
+  bytes[0] &= 0x7f;
+  bytes[0] |= bytes[0] === 0 ? 0x01 : 0;
+  return forge.util.bytesToHex(bytesToBinaryString(bytes));
+}
+
+/**
+ * Encode a serial number INTEGER.
+ * @param {string} serialHex - Serial from {@link normalizeSerial}.
+ * @returns {Object} forge ASN.1 INTEGER.
+ */
+export function serialToAsn1(serialHex) {
+  let bytes = forge.util.hexToBytes(serialHex);
+  if (bytes.charCodeAt(0) & 0x80) bytes = `\x00${bytes}`;
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, bytes);
+}
+
+/**
+ * Fill in node-forge extension objects and encode them as a SEQUENCE OF Extension.
+ * @param {Array<Object>} extensions - Extensions from parseExtensions().
+ * @returns {Object} forge ASN.1 SEQUENCE.
+ */
+export function extensionsToAsn1(extensions) {
+  const holder = forge.pki.createCertificate();
+  holder.setExtensions(extensions);
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true,
+    holder.extensions.map(ext => forge.pki.certificateExtensionToAsn1(ext)));
+}
+
+/**
+ * Build and sign an X.509 v3 certificate.
+ *
+ * @param {Object} params - Certificate contents.
+ * @param {KeyInfo} params.signingKey - Issuer private key from loadKey().
+ * @param {string} params.hashName - Signature digest ('SHA-256', ...).
+ * @param {string} params.serial - Serial number hex.
+ * @param {Object} params.issuer - Issuer Name (forge ASN.1).
+ * @param {Object} params.subject - Subject Name (forge ASN.1).
+ * @param {Date} params.notBefore - Start of validity.
+ * @param {Date} params.notAfter - End of validity.
+ * @param {Uint8Array} params.spki - Subject public key (SPKI DER).
+ * @param {Object|Array<Object>} [params.extensions] - Extensions accepted by parseExtensions().
+ * @param {Object} [params.extensionContext] - Key material for identifier extensions.
+ * @returns {Promise<Uint8Array>} Certificate DER.
+ */
+export async function createCertificate(params) {
+  const { signingKey, hashName, serial, issuer, subject, notBefore, notAfter, spki, extensions = {}, extensionContext = {} } = params;
+  const extList = parseExtensions(extensions, { subjectSpki: spki, subjectName: subject, ...extensionContext });
+
+  const tbs = [
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x02')
+    ]),
+    serialToAsn1(serial),
+    signatureAlgorithmIdentifier(signingKey.type, hashName),
+    issuer,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [timeToAsn1(notBefore), timeToAsn1(notAfter)]),
+    subject,
+    derToAsn1(spki)
+  ];
+  if (extList.length > 0) {
+    tbs.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 3, true, [extensionsToAsn1(extList)]));
+  }
+  return signAsn1(signingKey, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, tbs), hashName);
+}
+
+/**
+ * @typedef {Object} ParsedCertificate
+ * @property {Uint8Array} der - Certificate DER.
+ * @property {number} version - 1, 2 or 3.
+ * @property {string} serial - Serial number hex.
+ * @property {string} signatureAlgorithm - OpenSSL name (e.g. 'sha256WithRSAEncryption').
+ * @property {string} signatureOid - Signature algorithm OID.
+ * @property {Array<Object>} issuer - Issuer attributes (see utils/names).
+ * @property {Array<Object>} subject - Subject attributes.
+ * @property {Date} notBefore - Start of validity.
+ * @property {Date} notAfter - End of validity.
+ * @property {Uint8Array} spki - SubjectPublicKeyInfo DER.
+ * @property {Object} publicKey - Public key details (see publicKeyDetails()).
+ * @property {Array<Object>} extensions - Decoded extensions (see decodeExtension()).
+ * @property {Uint8Array} signature - Signature value.
+ * @property {Uint8Array} issuerDer - Issuer Name DER.
+ * @property {Uint8Array} subjectDer - Subject Name DER.
+ */
+
+/**
+ * Parse a DER certificate.
+ * @param {Uint8Array} der - Certificate DER.
+ * @returns {ParsedCertificate} Parsed certificate.
+ * @throws {Error} If the structure is not an X.509 certificate.
+ */
+export function parseCertificateDer(der) {
+  let cert;
+  try {
+    cert = asn1.fromDer(bytesToBinaryString(der), { decodeBitStrings: false });
+  } catch (e) {
+    throw new InvalidEncodingError(`Invalid certificate DER: ${e.message}`, { module: 'certificate', cause: e });
+  }
+  const [tbs, sigAlg, sigValue] = cert.value || [];
+  if (!tbs || !sigAlg || !sigValue || !Array.isArray(tbs.value)) {
+    throw new InvalidEncodingError('Not an X.509 certificate', { module: 'certificate' });
+  }
+
+  const fields = [...tbs.value];
+  let version = 1;
+  if (fields[0].tagClass === asn1.Class.CONTEXT_SPECIFIC && fields[0].type === 0) {
+    version = asn1.derToInteger(fields.shift().value[0].value) + 1;
+  }
+  const [serial, , issuer, validity, subject, spki, ...rest] = fields;
+  const extNode = rest.find(n => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 3);
+  const signatureOid = asn1.derToOid(sigAlg.value[0].value);
+  const spkiDer = asn1ToDer(spki);
+
+  let publicKey;
+  try {
+    publicKey = publicKeyDetails(spkiDer);
+  } catch (e) {
+    publicKey = { type: 'unknown', error: e.message };
+  }
+
+  return {
+    der,
+    version,
+    serial: forge.util.bytesToHex(serial.value.replace(/^\x00+(?=[\s\S])/, '')),
+    signatureAlgorithm: SIGNATURE_ALGORITHM_NAMES[signatureOid] || signatureOid,
+    signatureOid,
+    issuer: nameFromAsn1(issuer),
+    subject: nameFromAsn1(subject),
+    notBefore: timeFromAsn1(validity.value[0]),
+    notAfter: timeFromAsn1(validity.value[1]),
+    spki: spkiDer,
+    publicKey,
+    extensions: extNode ? decodeExtensions(extNode.value[0]) : [],
+    signature: binaryStringToBytes(sigValue.value.substring(1)),
+    issuerDer: asn1ToDer(issuer),
+    subjectDer: asn1ToDer(subject)
+  };
+}
+
+/**
+ * Read a certificate given as PEM, base64 or DER.
+ * @param {string|Uint8Array|ArrayBuffer} input - Certificate.
+ * @param {boolean} [base64=false] - String input is base64 without PEM headers.
+ * @returns {ParsedCertificate} Parsed certificate.
+ * @throws {Error} If the input is not a certificate.
+ */
+export function loadCertificate(input, base64 = false) {
+  if (typeof input === 'string') {
+    if (base64) return parseCertificateDer(base64ToBytes(input));
+    const { label, der } = pemDecode(input);
+    if (label !== 'CERTIFICATE' && label !== 'X509 CERTIFICATE' && label !== 'TRUSTED CERTIFICATE') {
+      throw new InvalidEncodingError(`Expected a CERTIFICATE PEM block, got ${label}`, { module: 'certificate' });
+    }
+    return parseCertificateDer(der);
+  }
+  return parseCertificateDer(toBytes(input));
+}
+
+/**
+ * Read every certificate in a PEM bundle (or an array of PEM/DER certificates).
+ * @param {string|Array<string|Uint8Array>} input - Bundle or list.
+ * @returns {ParsedCertificate[]} Parsed certificates in order.
+ */
+export function loadCertificates(input) {
+  if (Array.isArray(input)) {
+    return input.flatMap(item => (typeof item === 'string' ? loadCertificates(item) : [loadCertificate(item)]));
+  }
+  return pemDecodeAll(input)
+    .filter(block => block.label === 'CERTIFICATE' || block.label === 'TRUSTED CERTIFICATE')
+    .map(block => parseCertificateDer(block.der));
+}
+
+/** PKCS#9 extensionRequest attribute OID. */
+export const EXTENSION_REQUEST_OID = '1.2.840.113549.1.9.14';
+
+/**
+ * @typedef {Object} ParsedCertificationRequest
+ * @property {Uint8Array} der - CSR DER.
+ * @property {Array<Object>} subject - Subject attributes (see utils/names).
+ * @property {Uint8Array} subjectDer - Subject Name DER.
+ * @property {Uint8Array} spki - SubjectPublicKeyInfo DER.
+ * @property {Object} publicKey - Public key details (see publicKeyDetails()).
+ * @property {Array<Object>} extensions - Decoded requested extensions.
+ * @property {Array<{id: string, critical: boolean, value: string}>} rawExtensions - Requested
+ *   extensions with their DER values, ready to copy into a certificate.
+ */
+
+/**
+ * Read a PKCS#10 certificate request given as PEM, base64 or DER.
+ * @param {string|Uint8Array|ArrayBuffer} input - CSR.
+ * @param {boolean} [base64=false] - String input is base64 without PEM headers.
+ * @returns {ParsedCertificationRequest} Parsed CSR (signature not checked).
+ * @throws {Error} If the input is not a CSR.
+ */
+export function loadCertificationRequest(input, base64 = false) {
+  let der;
+  if (typeof input === 'string') {
+    der = base64 ? base64ToBytes(input) : pemDecode(input).der;
+  } else {
+    der = toBytes(input);
+  }
+  const cri = derToAsn1(der).value[0];
+  if (!cri || !Array.isArray(cri.value) || cri.value.length < 3) {
+    throw new InvalidEncodingError('Not a certificate request', { module: 'certificate' });
+  }
+
+  const attributes = cri.value[3] ? cri.value[3].value : [];
+  const extensionRequest = attributes.find(a => asn1.derToOid(a.value[0].value) === EXTENSION_REQUEST_OID);
+  const extNodes = extensionRequest ? extensionRequest.value[1].value[0] : null;
+  const spki = asn1ToDer(cri.value[2]);
+
+  return {
+    der,
+    subject: nameFromAsn1(cri.value[1]),
+    subjectDer: asn1ToDer(cri.value[1]),
+    spki,
+    publicKey: publicKeyDetails(spki),
+    extensions: extNodes ? decodeExtensions(extNodes) : [],
+    rawExtensions: extNodes ? extNodes.value.map(node => ({
+      id: asn1.derToOid(node.value[0].value),
+      critical: node.value.length === 3 && node.value[1].value.charCodeAt(0) !== 0,
+      value: node.value[node.value.length - 1].value
+    })) : []
+  };
+}
+
+/**
+ * @typedef {Object} ParsedCRL
+ * @property {Uint8Array} der - CRL DER.
+ * @property {number} version - 1 or 2.
+ * @property {string} signatureAlgorithm - OpenSSL name (e.g. 'ecdsa-with-SHA256').
+ * @property {string} signatureOid - Signature algorithm OID.
+ * @property {Array<Object>} issuer - Issuer attributes (see utils/names).
+ * @property {Uint8Array} issuerDer - Issuer Name DER.
+ * @property {Date} lastUpdate - thisUpdate.
+ * @property {Date|null} nextUpdate - nextUpdate, or null if absent.
+ * @property {Array<{serial: string, revocationDate: Date, extensions: Array<Object>}>} revoked - Entries.
+ * @property {Array<Object>} extensions - Decoded CRL extensions.
+ */
+
+/**
+ * Parse a DER certificate revocation list.
+ * @param {Uint8Array} der - CRL DER.
+ * @returns {ParsedCRL} Parsed CRL (signature not checked).
+ * @throws {Error} If the structure is not an X.509 CRL.
+ */
+export function parseCRLDer(der) {
+  let crl;
+  try {
+    crl = asn1.fromDer(bytesToBinaryString(der), { decodeBitStrings: false });
+  } catch (e) {
+    throw new InvalidEncodingError(`Invalid CRL DER: ${e.message}`, { module: 'certificate', cause: e });
+  }
+  const [tbs, sigAlg] = crl.value || [];
+  if (crl.tagClass !== asn1.Class.UNIVERSAL || crl.type !== asn1.Type.SEQUENCE ||
+      !tbs || !sigAlg || !Array.isArray(tbs.value) || !Array.isArray(sigAlg.value)) {
+    throw new InvalidEncodingError('Not an X.509 CRL', { module: 'certificate' });
+  }
+  try {
+    return readCRL(der, tbs, sigAlg);
+  } catch (e) {
+    if (e instanceof WebOpenSSLError) throw e;
+    throw new InvalidEncodingError(`Invalid CRL: ${e.message}`, { module: 'certificate', cause: e });
+  }
+}
+
+/**
+ * Read the fields of a CRL whose outer structure has been checked.
+ * @param {Uint8Array} der - CRL DER.
+ * @param {Object} tbs - forge ASN.1 TBSCertList.
+ * @param {Object} sigAlg - forge ASN.1 signature AlgorithmIdentifier.
+ * @returns {ParsedCRL} Parsed CRL.
+ * @throws {Error} If a field is malformed.
+ */
+function readCRL(der, tbs, sigAlg) {
+  // version, nextUpdate, revokedCertificates and crlExtensions are all optional
+  const fields = [...tbs.value];
+  let version = 1;
+  if (fields[0].type === asn1.Type.INTEGER) {
+    version = asn1.derToInteger(fields.shift().value) + 1;
+  }
+  const [, issuer, thisUpdate, ...rest] = fields;
+  if (!issuer || !thisUpdate || ![asn1.Type.UTCTIME, asn1.Type.GENERALIZEDTIME].includes(thisUpdate.type)) {
+    throw new InvalidEncodingError('Not an X.509 CRL', { module: 'certificate' });
+  }
+  const isTime = n => n.tagClass === asn1.Class.UNIVERSAL && [asn1.Type.UTCTIME, asn1.Type.GENERALIZEDTIME].includes(n.type);
+  const nextUpdate = rest.find(isTime);
+  const entries = rest.find(n => n.tagClass === asn1.Class.UNIVERSAL && n.type === asn1.Type.SEQUENCE);
+  const extNode = rest.find(n => n.tagClass === asn1.Class.CONTEXT_SPECIFIC && n.type === 0);
+  const isEntry = n => n.constructed && Array.isArray(n.value) && n.value.length >= 2 &&
+    n.value[0].type === asn1.Type.INTEGER && isTime(n.value[1]);
+  if ((entries && !(Array.isArray(entries.value) && entries.value.every(isEntry))) ||
+      (extNode && !(Array.isArray(extNode.value) && extNode.value.length === 1))) {
+    throw new InvalidEncodingError('Invalid CRL entries or extensions', { module: 'certificate' });
+  }
+  const signatureOid = asn1.derToOid(sigAlg.value[0].value);
+
+  return {
+    der,
+    version,
+    signatureAlgorithm: SIGNATURE_ALGORITHM_NAMES[signatureOid] || signatureOid,
+    signatureOid,
+    issuer: nameFromAsn1(issuer),
+    issuerDer: asn1ToDer(issuer),
+    lastUpdate: timeFromAsn1(thisUpdate),
+    nextUpdate: nextUpdate ? timeFromAsn1(nextUpdate) : null,
+    revoked: (entries ? entries.value : []).map((entry) => {
+      const [serial, date, extensions] = entry.value;
+      return {
+        serial: forge.util.bytesToHex(serial.value.replace(/^\x00+(?=[\s\S])/, '')),
+        revocationDate: timeFromAsn1(date),
+        extensions: extensions ? decodeExtensions(extensions) : []
+      };
+    }),
+    extensions: extNode ? decodeExtensions(extNode.value[0]) : []
+  };
+}
+
+/**
+ * Read a CRL given as PEM, base64 or DER.
+ * @param {string|Uint8Array|ArrayBuffer} input - CRL.
+ * @param {boolean} [base64=false] - String input is base64 without PEM headers.
+ * @returns {ParsedCRL} Parsed CRL.
+ * @throws {Error} If the input is not a CRL.
+ */
+export function loadCRL(input, base64 = false) {
+  if (typeof input === 'string') {
+    if (base64) return parseCRLDer(base64ToBytes(input));
+    const { label, der } = pemDecode(input);
+    if (label !== 'X509 CRL') {
+      throw new InvalidEncodingError(`Expected an X509 CRL PEM block, got ${label}`, { module: 'certificate' });
+    }
+    return parseCRLDer(der);
+  }
+  return parseCRLDer(toBytes(input));
+}
+
+/**
+ * Find a decoded extension by name.
+ * @param {ParsedCertificate} cert - Parsed certificate (or any object with `extensions`).
+ * @param {string} name - Extension name ('basicConstraints', 'subjectAltName', ...).
+ * @returns {Object|undefined} Extension.
+ */
+export function getExtension(cert, name) {
+  return cert.extensions.find(e => e.name === name);
+}
+
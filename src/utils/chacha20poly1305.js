@@ -0,0 +1,172 @@
+/**
+ * ChaCha20-Poly1305 AEAD (RFC 8439). Neither Web Crypto nor node-forge
+ * provides it.
+ *
+ * @module utils/chacha20poly1305
+ */
+
+import { BadDecryptError, InvalidArgumentError } from './errors.js';
+
+/** Poly1305 prime 2^130 - 5. */
+const P1305 = (1n << 130n) - 5n;
+
+/** Poly1305 key clamp for r. */
+const R_CLAMP = 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+
+/**
+ * ChaCha20 block function.
+ * @param {Uint32Array} key - 8-word key.
+ * @param {number} counter - Block counter.
+ * @param {Uint32Array} nonce - 3-word nonce.
+ * @param {Uint32Array} out - 16-word output.
+ */
+function chachaBlock(key, counter, nonce, out) {
+  const s = new Uint32Array(16);
+  s[0] = 0x61707865; s[1] = 0x3320646e; s[2] = 0x79622d32; s[3] = 0x6b206574;
+  s.set(key, 4);
+  s[12] = counter;
+  s.set(nonce, 13);
+  const x = s.slice();
+  const R = (a, b) => (a << b) | (a >>> (32 - b));
+  const qr = (a, b, c, d) => {
+    x[a] += x[b]; x[d] = R(x[d] ^ x[a], 16);
+    x[c] += x[d]; x[b] = R(x[b] ^ x[c], 12);
+    x[a] += x[b]; x[d] = R(x[d] ^ x[a], 8);
+    x[c] += x[d]; x[b] = R(x[b] ^ x[c], 7);
+  };
+  for (let i = 0; i < 10; i++) {
+    qr(0, 4, 8, 12); qr(1, 5, 9, 13); qr(2, 6, 10, 14); qr(3, 7, 11, 15);
+    qr(0, 5, 10, 15); qr(1, 6, 11, 12); qr(2, 7, 8, 13); qr(3, 4, 9, 14);
+  }
+  for (let i = 0; i < 16; i++) out[i] = x[i] + s[i];
+}
+
+/**
+ * Read little-endian 32-bit words.
+ * @param {Uint8Array} bytes - Input, a multiple of 4 bytes.
+ * @returns {Uint32Array} Words.
+ */
+function words(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = new Uint32Array(bytes.length / 4);
+  for (let i = 0; i < out.length; i++) out[i] = view.getUint32(i * 4, true);
+  return out;
+}
+
+/**
+ * XOR data with the ChaCha20 keystream.
+ * @param {Uint8Array} key - 32-byte key.
+ * @param {Uint8Array} nonce - 12-byte nonce.
+ * @param {number} counter - Initial block counter.
+ * @param {Uint8Array} data - Input.
+ * @returns {Uint8Array} Output.
+ */
+export function chacha20(key, nonce, counter, data) {
+  const k = words(key);
+  const n = words(nonce);
+  const block = new Uint32Array(16);
+  const stream = new Uint8Array(block.buffer);
+  const out = new Uint8Array(data.length);
+  for (let offset = 0; offset < data.length; offset += 64, counter++) {
+    chachaBlock(k, counter, n, block);
+    // Keystream bytes are little-endian
+    const view = new DataView(stream.buffer);
+    for (let i = 0; i < 16; i++) view.setUint32(i * 4, block[i], true);
+    const end = Math.min(64, data.length - offset);
+    for (let i = 0; i < end; i++) out[offset + i] = data[offset + i] ^ stream[i];
+  }
+  return out;
+}
+
+/**
+ * Little-endian bytes to BigInt.
+ * @param {Uint8Array} bytes - Input.
+ * @returns {bigint} Value.
+ */
+function leToBigInt(bytes) {
+  let n = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) n = (n << 8n) | BigInt(bytes[i]);
+  return n;
+}
+
+/**
+ * Poly1305 one-time authenticator.
+ * @param {Uint8Array} key - 32-byte one-time key (r || s).
+ * @param {Uint8Array} msg - Message.
+ * @returns {Uint8Array} 16-byte tag.
+ */
+export function poly1305(key, msg) {
+  const r = leToBigInt(key.subarray(0, 16)) & R_CLAMP;
+  const s = leToBigInt(key.subarray(16, 32));
+  let acc = 0n;
+  for (let i = 0; i < msg.length; i += 16) {
+    const chunk = msg.subarray(i, i + 16);
+    acc = ((acc + leToBigInt(chunk) + (1n << BigInt(chunk.length * 8))) * r) % P1305;
+  }
+  acc = (acc + s) & ((1n << 128n) - 1n);
+  const tag = new Uint8Array(16);
+  for (let i = 0; i < 16; i++, acc >>= 8n) tag[i] = Number(acc & 0xffn);
+  return tag;
+}
+
+/**
+ * Poly1305 input of the AEAD construction: padded AAD, padded ciphertext
+ * and both lengths as 64-bit little-endian integers.
+ * @param {Uint8Array} aad - Additional data.
+ * @param {Uint8Array} ciphertext - Ciphertext.
+ * @returns {Uint8Array} MAC input.
+ */
+function macData(aad, ciphertext) {
+  const pad = n => (16 - (n % 16)) % 16;
+  const aadEnd = aad.length + pad(aad.length);
+  const ctEnd = aadEnd + ciphertext.length + pad(ciphertext.length);
+  const out = new Uint8Array(ctEnd + 16);
+  out.set(aad, 0);
+  out.set(ciphertext, aadEnd);
+  const view = new DataView(out.buffer);
+  view.setBigUint64(ctEnd, BigInt(aad.length), true);
+  view.setBigUint64(ctEnd + 8, BigInt(ciphertext.length), true);
+  return out;
+}
+
+/**
+ * Encrypt or decrypt with ChaCha20-Poly1305. The 16-byte tag follows the
+ * ciphertext, as with AES-GCM in Web Crypto.
+ * @param {Uint8Array} key - 32-byte key.
+ * @param {Uint8Array} nonce - 12-byte nonce.
+ * @param {Uint8Array} data - Plaintext, or ciphertext || tag when decrypting.
+ * @param {Object} [options] - Options.
+ * @param {Uint8Array} [options.aad] - Additional authenticated data.
+ * @param {boolean} [options.decrypt=false] - Decrypt and verify the tag.
+ * @returns {Uint8Array} Ciphertext || tag, or plaintext.
+ * @throws {InvalidArgumentError} If the key or nonce length is wrong.
+ * @throws {BadDecryptError} If the tag does not verify.
+ */
+export function chacha20Poly1305(key, nonce, data, { aad = new Uint8Array(0), decrypt = false } = {}) {
+  if (key.length !== 32 || nonce.length !== 12) {
+    throw new InvalidArgumentError(
+      'ChaCha20-Poly1305 needs a 32-byte key and a 12-byte nonce',
+      { module: 'chacha20poly1305' }
+    );
+  }
+  const otk = chacha20(key, nonce, 0, new Uint8Array(32));
+  if (!decrypt) {
+    const ciphertext = chacha20(key, nonce, 1, data);
+    const out = new Uint8Array(ciphertext.length + 16);
+    out.set(ciphertext);
+    out.set(poly1305(otk, macData(aad, ciphertext)), ciphertext.length);
+    return out;
+  }
+
+  if (data.length < 16) {
+    throw new BadDecryptError(undefined, { module: 'chacha20poly1305' });
+  }
+  const ciphertext = data.subarray(0, data.length - 16);
+  const tag = poly1305(otk, macData(aad, ciphertext));
+  let diff = 0;
+  for (let i = 0; i < 16; i++) diff |= tag[i] ^ data[ciphertext.length + i];
+  if (diff !== 0) {
+    throw new BadDecryptError(undefined, { module: 'chacha20poly1305' });
+  }
+  return chacha20(key, nonce, 1, ciphertext);
+}
@@ -0,0 +1,359 @@
+/**
+ * Symmetric ciphers of enc(), keyed by OpenSSL name: AES in CBC, CTR, GCM
+ * and key wrap (RFC 3394) through Web Crypto with a node-forge fallback,
+ * AES-ECB/CFB/OFB and DES-EDE3-CBC through node-forge, and ChaCha20-Poly1305
+ * in pure JS.
+ *
+ * @module utils/ciphers
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes, concatBytes } from './encoding.js';
+import { getWebCrypto, isCryptoKey } from './webcrypto.js';
+import { chacha20Poly1305 } from './chacha20poly1305.js';
+import {
+  WebOpenSSLError,
+  InvalidArgumentError,
+  UnsupportedAlgorithmError,
+  BadDecryptError
+} from './errors.js';
+import { assertFallbackAllowed, assertAlgorithmAllowed } from './config.js';
+
+/** AES modes: IV length, padding, and the Web Crypto and node-forge names. */
+const AES_MODES = {
+  CBC: { ivLength: 16, padded: true, webCrypto: 'AES-CBC', forge: 'AES-CBC' },
+  ECB: { ivLength: 0, padded: true, webCrypto: null, forge: 'AES-ECB' },
+  CFB: { ivLength: 16, padded: false, webCrypto: null, forge: 'AES-CFB' },
+  OFB: { ivLength: 16, padded: false, webCrypto: null, forge: 'AES-OFB' },
+  CTR: { ivLength: 16, padded: false, webCrypto: 'AES-CTR', forge: 'AES-CTR' },
+  GCM: { ivLength: 12, padded: false, webCrypto: 'AES-GCM', forge: 'AES-GCM', aead: true },
+  WRAP: { ivLength: 0, padded: false, webCrypto: 'AES-KW', forge: null, wrap: true }
+};
+
+/**
+ * Supported ciphers keyed by OpenSSL name. `keyLength` and `ivLength` are in
+ * bytes; AEAD ciphers append their tag (16 bytes by default) to the ciphertext.
+ * @type {Object<string, {name: string, keyLength: number, ivLength: number, padded: boolean,
+ *   aead: boolean, wrap: boolean, webCrypto: (string|null), forge: (string|null)}>}
+ */
+export const CIPHERS = {};
+for (const bits of [128, 192, 256]) {
+  for (const [mode, info] of Object.entries(AES_MODES)) {
+    const name = `AES-${bits}-${mode}`;
+    CIPHERS[name] = { aead: false, wrap: false, ...info, name, keyLength: bits / 8 };
+  }
+}
+CIPHERS['CHACHA20-POLY1305'] = {
+  name: 'CHACHA20-POLY1305', keyLength: 32, ivLength: 12, padded: false, aead: true, wrap: false,
+  webCrypto: null, forge: null
+};
+CIPHERS['DES-EDE3-CBC'] = {
+  name: 'DES-EDE3-CBC', keyLength: 24, ivLength: 8, padded: true, aead: false, wrap: false,
+  webCrypto: null, forge: '3DES-CBC'
+};
+
+/** Alternative names accepted by {@link getCipher}, as in `openssl enc`. */
+const ALIASES = {
+  AES128: 'AES-128-CBC',
+  AES192: 'AES-192-CBC',
+  AES256: 'AES-256-CBC',
+  'AES-128-KW': 'AES-128-WRAP',
+  'AES-192-KW': 'AES-192-WRAP',
+  'AES-256-KW': 'AES-256-WRAP',
+  'ID-AES128-WRAP': 'AES-128-WRAP',
+  'ID-AES192-WRAP': 'AES-192-WRAP',
+  'ID-AES256-WRAP': 'AES-256-WRAP',
+  DES3: 'DES-EDE3-CBC'
+};
+
+/** Tag lengths in bits that Web Crypto accepts for AES-GCM. */
+const GCM_TAG_LENGTHS = [32, 64, 96, 104, 112, 120, 128];
+
+/** Default initial value of AES key wrap (RFC 3394 section 2.2.3.1). */
+const KW_IV = new Uint8Array(8).fill(0xa6);
+
+/**
+ * Look up a cipher by OpenSSL name (case-insensitive).
+ * @param {string} algorithm - Cipher name, e.g. 'AES-256-CBC' or 'chacha20-poly1305'.
+ * @returns {Object} Entry of {@link CIPHERS}.
+ * @throws {UnsupportedAlgorithmError} If the cipher is unknown.
+ */
+export function getCipher(algorithm) {
+  const upper = String(algorithm).toUpperCase();
+  const cipher = CIPHERS[ALIASES[upper] || upper];
+  if (!cipher) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported cipher: ${algorithm} (see list({ cipherAlgorithms: true }))`,
+      { module: 'enc' }
+    );
+  }
+  return cipher;
+}
+
+/**
+ * Import a raw key into Web Crypto for a cipher.
+ * @param {Object} cipher - Entry of {@link CIPHERS}.
+ * @param {Uint8Array} key - Raw key.
+ * @param {string[]} usages - Key usages.
+ * @returns {Promise<CryptoKey|null>} Key, or null if Web Crypto is missing or lacks the cipher
+ *   (e.g. 192-bit AES keys in Chrome).
+ */
+async function importWebKey(cipher, key, usages) {
+  const crypto = getWebCrypto();
+  if (!crypto || !cipher.webCrypto) return null;
+  try {
+    return await crypto.subtle.importKey('raw', key, { name: cipher.webCrypto }, false, usages);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether Web Crypto in this runtime can run a cipher.
+ * @param {Object} cipher - Entry of {@link CIPHERS}.
+ * @returns {Promise<boolean>} True if a key of the cipher's size imports.
+ */
+export async function hasWebCryptoCipher(cipher) {
+  const usages = cipher.wrap ? ['wrapKey'] : ['encrypt'];
+  return (await importWebKey(cipher, new Uint8Array(cipher.keyLength), usages)) !== null;
+}
+
+/**
+ * Encrypt or decrypt with a raw key or CryptoKey. Web Crypto is used when
+ * it has the cipher; otherwise node-forge or the pure-JS implementation
+ * runs, which strict mode refuses for ciphers Web Crypto normally provides.
+ * @param {Object} cipher - Entry of {@link CIPHERS}.
+ * @param {Uint8Array|CryptoKey} key - Raw key of `cipher.keyLength` bytes, or a CryptoKey: used as is if
+ *   it is a Web Crypto key for this cipher with the needed usage, otherwise exported if extractable.
+ * @param {Uint8Array} iv - IV of `cipher.ivLength` bytes (any non-empty length for GCM); empty for ECB
+ *   and key wrap.
+ * @param {Uint8Array} data - Plaintext, or ciphertext (with the tag appended for AEAD ciphers).
+ * @param {boolean} decrypt - Decrypt instead of encrypt.
+ * @param {Object} [aeadOptions] - AEAD parameters.
+ * @param {Uint8Array} [aeadOptions.aad] - Additional authenticated data.
+ * @param {number} [aeadOptions.tagLength=128] - Tag length in bits; GCM also takes 32, 64, 96, 104, 112
+ *   and 120.
+ * @returns {Promise<Uint8Array>} Output bytes; AEAD encryption appends the tag.
+ * @throws {InvalidArgumentError} If the key, IV, tag length or key wrap input does not fit the cipher.
+ * @throws {BadDecryptError} On a padding, tag or key wrap integrity failure.
+ * @throws {PolicyError} If the cipher needs a software fallback in strict mode, or fipsLike refuses it.
+ */
+export async function cipherCrypt(cipher, key, iv, data, decrypt, aeadOptions = {}) {
+  const { aad = new Uint8Array(0), tagLength = 128 } = aeadOptions;
+  assertAlgorithmAllowed('enc', cipher.name);
+  const usage = cipher.wrap ? (decrypt ? 'unwrapKey' : 'wrapKey') : (decrypt ? 'decrypt' : 'encrypt');
+  let webKey = null;
+  if (isCryptoKey(key)) {
+    if (key.algorithm.name === cipher.webCrypto && key.algorithm.length === cipher.keyLength * 8 &&
+        key.usages.includes(usage)) {
+      webKey = key;
+    } else if (key.extractable) {
+      key = new Uint8Array(await getWebCrypto().subtle.exportKey('raw', key));
+    } else {
+      throw new InvalidArgumentError(
+        `The CryptoKey is not a ${cipher.name} key with the ${usage} usage, and is not extractable`,
+        { module: 'enc' }
+      );
+    }
+  }
+  if (!webKey && key.length !== cipher.keyLength) {
+    throw new InvalidArgumentError(`${cipher.name} needs a ${cipher.keyLength}-byte key`, { module: 'enc' });
+  }
+  const ivOk = cipher.aead && cipher.webCrypto ? iv.length > 0 : iv.length === cipher.ivLength;
+  if (!ivOk) {
+    throw new InvalidArgumentError(`${cipher.name} needs a ${cipher.ivLength}-byte IV`, { module: 'enc' });
+  }
+  if (cipher.aead && !(cipher.webCrypto ? GCM_TAG_LENGTHS : [128]).includes(tagLength)) {
+    throw new InvalidArgumentError(`Invalid tag length for ${cipher.name}: ${tagLength} bits`, { module: 'enc' });
+  }
+  if (cipher.wrap && (data.length % 8 !== 0 || data.length < (decrypt ? 24 : 16))) {
+    throw new InvalidArgumentError(
+      `${cipher.name} ${decrypt ? 'input' : 'plaintext'} must be a multiple of 8 bytes and at least `
+        + `${decrypt ? 24 : 16} bytes`,
+      { module: 'enc' }
+    );
+  }
+
+  if (cipher.name === 'CHACHA20-POLY1305') {
+    return chacha20Poly1305(key, iv, data, { aad, decrypt });
+  }
+
+  webKey = webKey || await importWebKey(cipher, key, [usage]);
+  if (webKey) {
+    try {
+      return cipher.wrap
+        ? await webKeyWrap(webKey, data, decrypt)
+        : await webCrypt(cipher, webKey, iv, data, decrypt, { aad, tagLength });
+    } catch (error) {
+      if (decrypt) {
+        throw new BadDecryptError(undefined, { module: 'enc', cause: error });
+      }
+      throw new WebOpenSSLError(`Encryption failed: ${error.message}`, { module: 'enc', cause: error });
+    }
+  }
+
+  if (cipher.webCrypto) {
+    assertFallbackAllowed('enc', `${cipher.name} without Web Crypto`);
+  }
+  if (cipher.wrap) {
+    return decrypt ? aesKeyUnwrap(key, data) : aesKeyWrap(key, data);
+  }
+  return forgeCrypt(cipher, key, iv, data, decrypt, { aad, tagLength });
+}
+
+/**
+ * Run a Web Crypto AES-CBC/CTR/GCM operation.
+ * @param {Object} cipher - Entry of {@link CIPHERS}.
+ * @param {CryptoKey} key - Imported key.
+ * @param {Uint8Array} iv - IV or initial counter block.
+ * @param {Uint8Array} data - Input.
+ * @param {boolean} decrypt - Decrypt instead of encrypt.
+ * @param {{aad: Uint8Array, tagLength: number}} aeadOptions - GCM additional data and tag length in bits.
+ * @returns {Promise<Uint8Array>} Output.
+ */
+async function webCrypt(cipher, key, iv, data, decrypt, { aad, tagLength }) {
+  const crypto = getWebCrypto();
+  let params = { name: cipher.webCrypto, iv };
+  if (cipher.webCrypto === 'AES-CTR') {
+    params = { name: 'AES-CTR', counter: iv, length: 128 };
+  } else if (cipher.aead) {
+    params = { name: cipher.webCrypto, iv, additionalData: aad, tagLength };
+  }
+  const result = decrypt
+    ? await crypto.subtle.decrypt(params, key, data)
+    : await crypto.subtle.encrypt(params, key, data);
+  return new Uint8Array(result);
+}
+
+/**
+ * Web Crypto AES-KW over raw bytes: the data travels as an extractable HMAC
+ * key, since wrapKey/unwrapKey only take CryptoKeys.
+ * @param {CryptoKey} kek - AES-KW key-encryption key.
+ * @param {Uint8Array} data - Key to wrap, or wrapped key.
+ * @param {boolean} unwrap - Unwrap instead of wrap.
+ * @returns {Promise<Uint8Array>} Wrapped or unwrapped key.
+ */
+async function webKeyWrap(kek, data, unwrap) {
+  const { subtle } = getWebCrypto();
+  const carrier = { name: 'HMAC', hash: 'SHA-256' };
+  if (unwrap) {
+    const key = await subtle.unwrapKey('raw', data, kek, 'AES-KW', carrier, true, ['sign']);
+    return new Uint8Array(await subtle.exportKey('raw', key));
+  }
+  const key = await subtle.importKey('raw', data, carrier, true, ['sign']);
+  return new Uint8Array(await subtle.wrapKey('raw', key, kek, 'AES-KW'));
+}
+
+/**
+ * Run a node-forge cipher.
+ * @param {Object} cipher - Entry of {@link CIPHERS}.
+ * @param {Uint8Array} key - Raw key.
+ * @param {Uint8Array} iv - IV (unused for ECB).
+ * @param {Uint8Array} data - Input; for GCM decryption, ciphertext || tag.
+ * @param {boolean} decrypt - Decrypt instead of encrypt.
+ * @param {{aad: Uint8Array, tagLength: number}} aeadOptions - GCM additional data and tag length in bits.
+ * @returns {Uint8Array} Output; for GCM encryption, ciphertext || tag.
+ * @throws {BadDecryptError} On a padding or tag failure.
+ */
+function forgeCrypt(cipher, key, iv, data, decrypt, { aad, tagLength }) {
+  const binaryKey = bytesToBinaryString(key);
+  const c = decrypt
+    ? forge.cipher.createDecipher(cipher.forge, binaryKey)
+    : forge.cipher.createCipher(cipher.forge, binaryKey);
+  let input = data;
+  const params = { iv: bytesToBinaryString(iv) };
+  if (cipher.aead) {
+    params.additionalData = bytesToBinaryString(aad);
+    params.tagLength = tagLength;
+  }
+  if (cipher.aead && decrypt) {
+    const tagBytes = tagLength / 8;
+    if (data.length < tagBytes) throw new BadDecryptError(undefined, { module: 'enc' });
+    input = data.subarray(0, data.length - tagBytes);
+    params.tag = forge.util.createBuffer(bytesToBinaryString(data.subarray(data.length - tagBytes)));
+  }
+  c.start(params);
+  c.update(forge.util.createBuffer(bytesToBinaryString(input)));
+  if (!c.finish()) {
+    throw new BadDecryptError(undefined, { module: 'enc' });
+  }
+  const output = binaryStringToBytes(c.output.getBytes());
+  return cipher.aead && !decrypt
+    ? concatBytes(output, binaryStringToBytes(c.mode.tag.getBytes()))
+    : output;
+}
+
+/**
+ * Raw AES block operation, for key wrap.
+ * @param {Uint8Array} key - AES key.
+ * @param {boolean} decrypt - Use the inverse cipher.
+ * @returns {function(Uint8Array): Uint8Array} Maps one 16-byte block.
+ */
+function aesBlock(key, decrypt) {
+  const c = decrypt
+    ? forge.cipher.createDecipher('AES-ECB', bytesToBinaryString(key))
+    : forge.cipher.createCipher('AES-ECB', bytesToBinaryString(key));
+  return block => {
+    c.start();
+    c.update(forge.util.createBuffer(bytesToBinaryString(block)));
+    c.finish(() => true); // no padding
+    return binaryStringToBytes(c.output.getBytes());
+  };
+}
+
+/**
+ * AES key wrap (RFC 3394 section 2.2.1).
+ * @param {Uint8Array} kek - Key-encryption key.
+ * @param {Uint8Array} data - Key to wrap, a multiple of 8 bytes.
+ * @returns {Uint8Array} Wrapped key, 8 bytes longer.
+ */
+function aesKeyWrap(kek, data) {
+  const encrypt = aesBlock(kek, false);
+  const n = data.length / 8;
+  let a = KW_IV.slice();
+  const r = new Uint8Array(data); // copy: Buffer#slice would share memory
+  for (let j = 0; j < 6; j++) {
+    for (let i = 0; i < n; i++) {
+      const b = encrypt(concatBytes(a, r.subarray(i * 8, i * 8 + 8)));
+      a = b.slice(0, 8);
+      xorCounter(a, n * j + i + 1);
+      r.set(b.subarray(8), i * 8);
+    }
+  }
+  return concatBytes(a, r);
+}
+
+/**
+ * AES key unwrap (RFC 3394 section 2.2.2).
+ * @param {Uint8Array} kek - Key-encryption key.
+ * @param {Uint8Array} data - Wrapped key.
+ * @returns {Uint8Array} Unwrapped key.
+ * @throws {BadDecryptError} If the integrity check fails.
+ */
+function aesKeyUnwrap(kek, data) {
+  const decrypt = aesBlock(kek, true);
+  const n = data.length / 8 - 1;
+  let a = new Uint8Array(data.subarray(0, 8));
+  const r = new Uint8Array(data.subarray(8));
+  for (let j = 5; j >= 0; j--) {
+    for (let i = n - 1; i >= 0; i--) {
+      xorCounter(a, n * j + i + 1);
+      const b = decrypt(concatBytes(a, r.subarray(i * 8, i * 8 + 8)));
+      a = b.slice(0, 8);
+      r.set(b.subarray(8), i * 8);
+    }
+  }
+  if (!a.every((byte, i) => byte === KW_IV[i])) {
+    throw new BadDecryptError('Key unwrap failed: integrity check mismatch', { module: 'enc' });
+  }
+  return r;
+}
+
+/**
+ * XOR the 64-bit big-endian step counter t into A, in place.
+ * @param {Uint8Array} a - 8-byte register.
+ * @param {number} t - Counter.
+ */
+function xorCounter(a, t) {
+  for (let k = 7; k >= 0 && t > 0; k--, t = Math.floor(t / 256)) a[k] ^= t & 0xff;
+}
@@ -0,0 +1,253 @@
+/**
+ * OpenSSL configuration files (openssl.cnf): `[section]` headers,
+ * `name = value` lines, quoting and escapes, `$var`, `${var}` and
+ * `${section::var}` expansion, and `.include`. Parsing follows OpenSSL's
+ * NCONF rules, so a value resolves to the same string here as in
+ * `openssl req -config`.
+ *
+ * There is no file system in the browser: `.include` looks the path up in
+ * contents supplied by the caller.
+ *
+ * @module utils/cnf
+ */
+
+import { InvalidArgumentError, InvalidEncodingError } from './errors.js';
+import { debug } from './config.js';
+
+/** Section of the lines before the first header, and the fallback of every lookup. */
+const DEFAULT_SECTION = 'default';
+
+/** Longest expanded value, as OpenSSL's MAX_CONF_VALUE_LENGTH. */
+const MAX_VALUE_LENGTH = 65536;
+
+/** Characters of a name on the left of `=` (OpenSSL's alphanumerics and punctuation). */
+const NAME = /^[A-Za-z0-9_!.%&*+,/;?@^~|-]*/;
+
+/** Characters of a variable name after `$`. */
+const VARIABLE = /^[A-Za-z0-9_]*/;
+
+/** Quote characters; a backslash inside quotes takes the next character literally. */
+const QUOTES = '"\'`';
+
+/** Escapes of unquoted values. */
+const ESCAPES = { r: '\r', n: '\n', b: '\b', t: '\t' };
+
+/**
+ * Strip a `#` comment, skipping quoted and escaped characters.
+ * @param {string} line - Logical line.
+ * @returns {string} Line without the comment.
+ */
+function stripComment(line) {
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '\\') {
+      i++;
+    } else if (QUOTES.includes(c)) {
+      for (i++; i < line.length && line[i] !== c; i++) {
+        if (line[i] === '\\') i++;
+      }
+    } else if (c === '#') {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Join physical lines ending in an unescaped backslash.
+ * @param {string} text - File contents.
+ * @returns {Array<{line: string, number: number}>} Logical lines and their first line numbers.
+ */
+function logicalLines(text) {
+  const out = [];
+  let pending = null;
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const continued = /(?:^|[^\\])(?:\\\\)*\\$/.test(raw);
+    const part = continued ? raw.slice(0, -1) : raw;
+    if (pending) {
+      pending.line += part;
+    } else {
+      pending = { line: part, number: index + 1 };
+    }
+    if (!continued) {
+      out.push(pending);
+      pending = null;
+    }
+  });
+  if (pending) out.push(pending);
+  return out;
+}
+
+/**
+ * Parse an OpenSSL configuration file.
+ *
+ * Values are expanded as they are read, so a variable must be defined
+ * before it is used. A lookup that misses its section falls back to the
+ * `default` section (the lines before the first header); `$ENV::name`
+ * reads `options.env`. A later assignment to the same name replaces the
+ * earlier one and moves it to the end of its section, as in OpenSSL.
+ *
+ * @param {string} text - Configuration file contents.
+ * @param {Object} [options] - Parser options.
+ * @param {Object<string, string>|function(string): (string|null)} [options.includes] - Contents of the
+ *   files named by `.include`, keyed by path as written in the file (after expansion). Missing files are
+ *   skipped, as OpenSSL does.
+ * @param {Object<string, string>} [options.env] - Values of `$ENV::name`.
+ * @param {string} [options.name='config'] - File name for error messages.
+ * @returns {{get: function(string, string): (string|null), section: function(string):
+ *   (Array<{name: string, value: string}>|null), sections: function(): string[]}} Parsed file.
+ *   `get(section, name)` returns a value (or null), `section(name)` its entries in order, and
+ *   `sections()` the section names.
+ * @throws {InvalidEncodingError} On a syntax error, an undefined variable or a recursive include.
+ * @throws {InvalidArgumentError} If `text` is not a string.
+ *
+ * @example
+ * const conf = parseConfig(`
+ * base = example.com
+ * [ alt_names ]
+ * DNS.1 = $base
+ * DNS.2 = www.\${base}
+ * `);
+ * conf.section('alt_names');
+ * // [{ name: 'DNS.1', value: 'example.com' }, { name: 'DNS.2', value: 'www.example.com' }]
+ */
+export function parseConfig(text, options = {}) {
+  const { includes = {}, env = {}, name: fileName = 'config' } = options;
+  if (typeof text !== 'string') {
+    throw new InvalidArgumentError('Configuration must be a string', { module: 'cnf' });
+  }
+
+  /** @type {Map<string, Map<string, string>>} */
+  const sections = new Map([[DEFAULT_SECTION, new Map()]]);
+  // Shared with included files, which continue in the includer's section and may change it
+  let section = DEFAULT_SECTION;
+  let dollarId = false;
+
+  const get = (section, name) => {
+    const value = sections.get(section)?.get(name);
+    if (value !== undefined) return value;
+    if (section === 'ENV' && Object.prototype.hasOwnProperty.call(env, name)) return String(env[name]);
+    return sections.get(DEFAULT_SECTION).get(name) ?? null;
+  };
+
+  const set = (section, name, value) => {
+    if (!sections.has(section)) sections.set(section, new Map());
+    const entries = sections.get(section);
+    entries.delete(name);
+    entries.set(name, value);
+  };
+
+  const readInclude = path => {
+    const content = typeof includes === 'function' ? includes(path) : includes[path];
+    return typeof content === 'string' ? content : null;
+  };
+
+  const parseFile = (source, file, stack) => {
+    for (const { line: raw, number } of logicalLines(source)) {
+      const fail = message => new InvalidEncodingError(`Error on line ${number} of ${file}: ${message}`, {
+        module: 'cnf'
+      });
+
+      // OpenSSL's str_copy: quotes, escapes and variables
+      const expand = value => {
+        let out = '';
+        for (let i = 0; i < value.length;) {
+          const c = value[i];
+          if (QUOTES.includes(c)) {
+            for (i++; i < value.length && value[i] !== c; i++) {
+              if (value[i] === '\\' && ++i === value.length) break;
+              out += value[i];
+            }
+            i++;
+          } else if (c === '\\') {
+            if (i + 1 >= value.length) break;
+            out += ESCAPES[value[i + 1]] ?? value[i + 1];
+            i += 2;
+          } else if (c === '$' && !(dollarId && !'{('.includes(value[i + 1]))) {
+            const close = { '{': '}', '(': ')' }[value[i + 1]];
+            let rest = value.slice(close ? i + 2 : i + 1);
+            const identifier = dollarId ? /^[A-Za-z0-9_$]*/ : VARIABLE;
+            let varSection = section;
+            let varName = rest.match(identifier)[0];
+            rest = rest.slice(varName.length);
+            if (rest.startsWith('::')) {
+              varSection = varName;
+              rest = rest.slice(2);
+              varName = rest.match(identifier)[0];
+              rest = rest.slice(varName.length);
+            }
+            if (close) {
+              if (rest[0] !== close) throw fail(`missing close brace in ${value}`);
+              rest = rest.slice(1);
+            }
+            const resolved = get(varSection, varName);
+            if (resolved === null) {
+              throw fail(`variable has no value: ${varSection === section ? '' : `${varSection}::`}${varName}`);
+            }
+            out += resolved;
+            i = value.length - rest.length;
+          } else {
+            out += c;
+            i++;
+          }
+          if (out.length > MAX_VALUE_LENGTH) throw fail('variable expansion too long');
+        }
+        return out;
+      };
+
+      const line = stripComment(raw).replace(/^\s+/, '');
+      if (!line) continue;
+
+      if (line[0] === '[') {
+        const end = line.indexOf(']');
+        if (end < 0) throw fail('missing close square bracket');
+        section = expand(line.slice(1, end).trim());
+        if (!sections.has(section)) sections.set(section, new Map());
+        continue;
+      }
+
+      let name = line.match(NAME)[0];
+      let target = section;
+      let rest = line.slice(name.length);
+      if (rest.startsWith('::')) {
+        target = name;
+        rest = rest.slice(2);
+        name = rest.match(NAME)[0];
+        rest = rest.slice(name.length);
+      }
+      rest = rest.replace(/^\s+/, '');
+
+      if (name === '.include' || name === '.pragma') {
+        const argument = expand(rest.replace(/^=\s*/, '').trim());
+        if (name === '.pragma') {
+          const match = argument.match(/^dollarid\s*:\s*(\w+)$/);
+          if (match) dollarId = ['on', 'true'].includes(match[1]);
+          continue;
+        }
+        if (stack.includes(argument)) throw fail(`recursive .include of ${argument}`);
+        const content = readInclude(argument);
+        if (content === null) {
+          debug('cnf', `skipping missing .include ${argument}`);
+          continue;
+        }
+        parseFile(content, argument, [...stack, argument]);
+        continue;
+      }
+
+      if (rest[0] !== '=') throw fail('missing equal sign');
+      if (!name) throw fail('missing name');
+      set(target, expand(name), expand(rest.slice(1).trim()));
+    }
+  };
+
+  parseFile(text, fileName, [fileName]);
+
+  return {
+    get,
+    section(name) {
+      const entries = sections.get(name);
+      return entries ? [...entries].map(([key, value]) => ({ name: key, value })) : null;
+    },
+    sections: () => [...sections.keys()]
+  };
+}
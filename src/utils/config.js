@@ -0,0 +1,117 @@
+/**
+ * Library-wide settings: the `strict`/`fipsLike` policy, the opt-in debug
+ * logger and the random generator.
+ *
+ * @module utils/config
+ */
+
+import { PolicyError, InvalidArgumentError, ERROR_CODES } from './errors.js';
+
+/** Algorithms refused in fipsLike mode (lowercase, without dashes). */
+const NON_FIPS_ALGORITHMS = new Set(['md5', 'ripemd160', 'blake2b512', 'blake2s256', 'chacha20poly1305', 'desede3cbc']);
+
+const settings = {
+  strict: false,
+  fipsLike: false,
+  debug: false,
+  random: null
+};
+
+/**
+ * Change library-wide settings; omitted keys keep their value.
+ * @param {Object} [options] - New settings.
+ * @param {boolean} [options.strict] - Refuse the CryptoJS/node-forge software fallbacks used when Web
+ *   Crypto is missing or lacks an algorithm; such calls throw FALLBACK_DISABLED instead.
+ * @param {boolean} [options.fipsLike] - Strict, and refuse MD5, RIPEMD-160, BLAKE2, ChaCha20-Poly1305 and
+ *   DES-EDE3-CBC (ALGORITHM_DISABLED).
+ * @param {boolean|function(string, string, Object=)} [options.debug] - Log internal decisions with
+ *   `console.debug`, or pass them to a function `(module, message, details)`. Keys, passwords and data
+ *   are never logged.
+ * @param {Object|null} [options.random] - Generator from createDrbg() that salts, IVs, nonces and rand()
+ *   draw from instead of the system CSPRNG; a seeded one replays a run byte for byte. That includes the
+ *   per-signature ECDSA nonce `k`, so two messages signed under the same seed reveal the private key.
+ *   Keys generated by Web Crypto are not affected. `null` restores the system CSPRNG.
+ * @returns {{strict: boolean, fipsLike: boolean, debug: boolean|Function, random: Object|null}} Settings now
+ *   in effect.
+ * @throws {InvalidArgumentError} If `random` is not a generator.
+ */
+export function configure(options = {}) {
+  if (options.random && typeof options.random.generate !== 'function') {
+    throw new InvalidArgumentError('random must be a generator from createDrbg(), or null', { module: 'config' });
+  }
+  for (const key of Object.keys(settings)) {
+    if (options[key] !== undefined) settings[key] = options[key];
+  }
+  return getConfig();
+}
+
+/**
+ * Current settings.
+ * @returns {{strict: boolean, fipsLike: boolean, debug: boolean|Function, random: Object|null}} Copy of the
+ *   settings.
+ */
+export function getConfig() {
+  return { ...settings };
+}
+
+/**
+ * Whether software fallbacks are refused (strict or fipsLike).
+ * @returns {boolean} True in strict mode.
+ */
+export function isStrict() {
+  return !!(settings.strict || settings.fipsLike);
+}
+
+/**
+ * Throw unless software fallbacks are allowed.
+ * @param {string} module - Calling command.
+ * @param {string} what - What would have fallen back, for the message.
+ * @throws {PolicyError} FALLBACK_DISABLED in strict mode.
+ */
+export function assertFallbackAllowed(module, what) {
+  if (isStrict()) {
+    throw new PolicyError(`${what} needs a software fallback, which strict mode disables`, {
+      code: ERROR_CODES.FALLBACK_DISABLED,
+      module
+    });
+  }
+  debug(module, `using software fallback: ${what}`);
+}
+
+/**
+ * Whether the fipsLike policy allows an algorithm.
+ * @param {string} algorithm - Algorithm name, e.g. 'MD5'.
+ * @returns {boolean} False for non-FIPS algorithms in fipsLike mode.
+ */
+export function isAlgorithmAllowed(algorithm) {
+  return !(settings.fipsLike && NON_FIPS_ALGORITHMS.has(String(algorithm).toLowerCase().replace(/-/g, '')));
+}
+
+/**
+ * Throw if an algorithm is outside the fipsLike policy.
+ * @param {string} module - Calling command.
+ * @param {string} algorithm - Algorithm name, e.g. 'MD5'.
+ * @throws {PolicyError} ALGORITHM_DISABLED in fipsLike mode.
+ */
+export function assertAlgorithmAllowed(module, algorithm) {
+  if (!isAlgorithmAllowed(algorithm)) {
+    throw new PolicyError(`${algorithm} is disabled in fipsLike mode`, { module });
+  }
+}
+
+/**
+ * Log a debug message when the debug logger is enabled.
+ * @param {string} module - Calling command.
+ * @param {string} message - Message.
+ * @param {Object} [details] - Non-secret details such as lengths and algorithm names.
+ */
+export function debug(module, message, details) {
+  if (!settings.debug) return;
+  if (typeof settings.debug === 'function') {
+    settings.debug(module, message, details);
+  } else if (details === undefined) {
+    console.debug(`[webopenssl:${module}] ${message}`);
+  } else {
+    console.debug(`[webopenssl:${module}] ${message}`, details);
+  }
+}
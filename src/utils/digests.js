@@ -0,0 +1,256 @@
+/**
+ * Message digests of dgst(), keyed by OpenSSL name: SHA-1 and SHA-256/384/512
+ * through Web Crypto with a node-forge fallback, SHA-512/224 and SHA-512/256
+ * through node-forge, MD5, SHA-224 and RIPEMD-160 through CryptoJS, and
+ * SHA-3, SHAKE and BLAKE2 in pure JS. HMAC over any of them is built here on
+ * the incremental hashers.
+ *
+ * @module utils/digests
+ */
+
+import CryptoJS from 'crypto-js';
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes } from './encoding.js';
+import { getWebCrypto } from './webcrypto.js';
+import { createSha3, createShake } from './keccak.js';
+import { createBlake2b, createBlake2s } from './blake2.js';
+import { WebOpenSSLError, InvalidArgumentError, UnsupportedAlgorithmError } from './errors.js';
+import { assertAlgorithmAllowed, assertFallbackAllowed } from './config.js';
+
+/**
+ * Wrap a node-forge message digest.
+ * @param {Object} md - node-forge digest namespace, e.g. forge.md.sha256.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ */
+function forgeHasher(md) {
+  const state = md.create();
+  const hasher = {
+    update(data) {
+      state.update(bytesToBinaryString(data));
+      return hasher;
+    },
+    digest: () => binaryStringToBytes(state.digest().getBytes())
+  };
+  return hasher;
+}
+
+/**
+ * Wrap a CryptoJS hasher.
+ * @param {Object} algo - CryptoJS algorithm, e.g. CryptoJS.algo.MD5.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ */
+function cryptoJSHasher(algo) {
+  const state = algo.create();
+  const hasher = {
+    update(data) {
+      state.update(CryptoJS.lib.WordArray.create(data));
+      return hasher;
+    },
+    digest: () => binaryStringToBytes(state.finalize().toString(CryptoJS.enc.Latin1))
+  };
+  return hasher;
+}
+
+/**
+ * Supported digests keyed by OpenSSL name. `length` is the digest size in
+ * bytes (the default output length for the SHAKE XOFs), `blockSize` the
+ * input block size HMAC pads keys to, and `oid` the identifier used in
+ * RSA DigestInfo and signature algorithms; `create(length)` starts an
+ * incremental hasher.
+ * @type {Object<string, {name: string, aliases: string[], length: number, blockSize: number, xof: boolean,
+ *   webCrypto: (string|null), oid: (string|null), provider: string, create: function(number): Object}>}
+ */
+export const DIGESTS = {};
+
+/**
+ * Add a digest to {@link DIGESTS}.
+ * @param {string} name - OpenSSL name.
+ * @param {string[]} aliases - Other accepted names.
+ * @param {number} length - Digest size in bytes.
+ * @param {number} blockSize - Input block size in bytes.
+ * @param {string} provider - 'node-forge', 'crypto-js' or 'javascript'.
+ * @param {function(number): Object} create - Hasher factory.
+ * @param {Object} [extra] - `webCrypto` name, `oid` and `xof` flag.
+ */
+function define(name, aliases, length, blockSize, provider, create, extra = {}) {
+  DIGESTS[name] = {
+    name, aliases, length, blockSize, xof: false, webCrypto: null, oid: null, provider, create, ...extra
+  };
+}
+
+define('SHA-1', ['SHA1'], 20, 64, 'node-forge', () => forgeHasher(forge.md.sha1), {
+  webCrypto: 'SHA-1',
+  oid: '1.3.14.3.2.26'
+});
+define('SHA-224', ['SHA2-224', 'SHA224'], 28, 64, 'crypto-js', () => cryptoJSHasher(CryptoJS.algo.SHA224), {
+  oid: '2.16.840.1.101.3.4.2.4'
+});
+define('SHA-256', ['SHA2-256', 'SHA256'], 32, 64, 'node-forge', () => forgeHasher(forge.md.sha256), {
+  webCrypto: 'SHA-256',
+  oid: '2.16.840.1.101.3.4.2.1'
+});
+define('SHA-384', ['SHA2-384', 'SHA384'], 48, 128, 'node-forge', () => forgeHasher(forge.md.sha384), {
+  webCrypto: 'SHA-384',
+  oid: '2.16.840.1.101.3.4.2.2'
+});
+define('SHA-512', ['SHA2-512', 'SHA512'], 64, 128, 'node-forge', () => forgeHasher(forge.md.sha512), {
+  webCrypto: 'SHA-512',
+  oid: '2.16.840.1.101.3.4.2.3'
+});
+define('SHA-512/224', ['SHA2-512/224', 'SHA512-224'], 28, 128, 'node-forge',
+  () => forgeHasher(forge.md['sha512/224']), { oid: '2.16.840.1.101.3.4.2.5' });
+define('SHA-512/256', ['SHA2-512/256', 'SHA512-256'], 32, 128, 'node-forge',
+  () => forgeHasher(forge.md['sha512/256']), { oid: '2.16.840.1.101.3.4.2.6' });
+[224, 256, 384, 512].forEach((bits, i) => {
+  define(`SHA3-${bits}`, [], bits / 8, 200 - bits / 4, 'javascript', () => createSha3(bits), {
+    oid: `2.16.840.1.101.3.4.2.${7 + i}`
+  });
+});
+for (const bits of [128, 256]) {
+  define(`SHAKE-${bits}`, [`SHAKE${bits}`], bits / 8, 200 - bits / 4, 'javascript',
+    length => createShake(bits, length), { xof: true });
+}
+define('MD5', ['SSL3-MD5'], 16, 64, 'crypto-js', () => cryptoJSHasher(CryptoJS.algo.MD5), {
+  oid: '1.2.840.113549.2.5'
+});
+define('RIPEMD-160', ['RIPEMD160', 'RIPEMD', 'RMD160'], 20, 64, 'crypto-js',
+  () => cryptoJSHasher(CryptoJS.algo.RIPEMD160), { oid: '1.3.36.3.2.1' });
+define('BLAKE2B-512', ['BLAKE2B512'], 64, 128, 'javascript', () => createBlake2b(64));
+define('BLAKE2S-256', ['BLAKE2S256'], 32, 64, 'javascript', () => createBlake2s(32));
+
+/** Upper-case aliases mapped to {@link DIGESTS} names. */
+const ALIASES = {};
+for (const digest of Object.values(DIGESTS)) {
+  for (const alias of digest.aliases) ALIASES[alias] = digest.name;
+}
+
+/**
+ * Look up a digest by OpenSSL name (case-insensitive).
+ * @param {string} algorithm - Digest name, e.g. 'SHA-256', 'sha3-256' or 'rmd160'.
+ * @param {string} [module='dgst'] - Calling command, for the error.
+ * @returns {Object} Entry of {@link DIGESTS}.
+ * @throws {UnsupportedAlgorithmError} If the digest is unknown.
+ */
+export function getDigest(algorithm, module = 'dgst') {
+  const upper = String(algorithm).toUpperCase();
+  const digest = DIGESTS[ALIASES[upper] || upper];
+  if (!digest) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported digest: ${algorithm} (see list({ digestAlgorithms: true }))`,
+      { module }
+    );
+  }
+  return digest;
+}
+
+/**
+ * Whether Web Crypto in this runtime computes a digest.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @returns {boolean} True if one-shot hashing goes through `crypto.subtle.digest`.
+ */
+export function hasWebCryptoDigest(digest) {
+  return !!(digest.webCrypto && getWebCrypto());
+}
+
+/**
+ * Whether a digest runs on a software fallback here: CryptoJS, or node-forge
+ * for a digest Web Crypto normally provides.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @returns {boolean} True if strict mode refuses the digest.
+ */
+export function isDigestFallback(digest) {
+  return digest.provider === 'crypto-js' || (!!digest.webCrypto && !getWebCrypto());
+}
+
+/**
+ * Resolve the output length of a digest.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @param {number} [xoflen] - Output length in bytes, for XOFs only.
+ * @param {string} module - Calling command.
+ * @returns {number} Output length in bytes.
+ * @throws {InvalidArgumentError} If `xoflen` is given for a fixed-size digest or is not a positive integer.
+ */
+function outputLength(digest, xoflen, module) {
+  if (xoflen === undefined || xoflen === null) return digest.length;
+  if (!digest.xof) {
+    throw new InvalidArgumentError(`Length can only be specified for XOF (${digest.name} has a fixed size)`, {
+      module
+    });
+  }
+  if (!Number.isInteger(xoflen) || xoflen < 1) {
+    throw new InvalidArgumentError('Invalid xoflen: must be a positive integer', { module });
+  }
+  return xoflen;
+}
+
+/**
+ * Start an incremental hash, after checking the strict/fipsLike settings.
+ * Digests that Web Crypto provides still run on node-forge here, since
+ * `subtle.digest` cannot stream; that is only a fallback without Web Crypto.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @param {string} module - Calling command.
+ * @param {number} [xoflen] - Output length in bytes, for XOFs only.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ * @throws {InvalidArgumentError} If `xoflen` does not fit the digest.
+ * @throws {PolicyError} If the digest needs a software fallback in strict mode, or fipsLike refuses it.
+ */
+export function createDigest(digest, module, xoflen) {
+  const length = outputLength(digest, xoflen, module);
+  assertAlgorithmAllowed(module, digest.name);
+  if (isDigestFallback(digest)) {
+    assertFallbackAllowed(module, digest.webCrypto ? `${digest.name} without Web Crypto` : digest.name);
+  }
+  return digest.create(length);
+}
+
+/**
+ * Start an incremental HMAC (RFC 2104) over any fixed-size digest, after the
+ * same checks as {@link createDigest}. Web Crypto's HMAC is one-shot and
+ * limited to SHA-1 and SHA-2, so this is the path for the other digests.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @param {Uint8Array} key - Key.
+ * @param {string} module - Calling command.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ * @throws {UnsupportedAlgorithmError} If the digest is an XOF.
+ * @throws {PolicyError} If the digest needs a software fallback in strict mode, or fipsLike refuses it.
+ */
+export function createHmac(digest, key, module) {
+  if (digest.xof) {
+    throw new UnsupportedAlgorithmError(`HMAC is not defined for the XOF ${digest.name}`, { module });
+  }
+  const block = new Uint8Array(digest.blockSize);
+  block.set(key.length > digest.blockSize ? createDigest(digest, module).update(key).digest() : key);
+  const pad = value => block.map(byte => byte ^ value);
+  const inner = createDigest(digest, module).update(pad(0x36));
+  const hasher = {
+    update(data) {
+      inner.update(data);
+      return hasher;
+    },
+    digest: () => createDigest(digest, module).update(pad(0x5c)).update(inner.digest()).digest()
+  };
+  return hasher;
+}
+
+/**
+ * Hash a message, with Web Crypto when it provides the digest.
+ * @param {Object} digest - Entry of {@link DIGESTS}.
+ * @param {Uint8Array} data - Message.
+ * @param {string} module - Calling command.
+ * @param {number} [xoflen] - Output length in bytes, for XOFs only.
+ * @returns {Promise<Uint8Array>} Digest.
+ * @throws {InvalidArgumentError} If `xoflen` does not fit the digest.
+ * @throws {PolicyError} If the digest needs a software fallback in strict mode, or fipsLike refuses it.
+ */
+export async function digestBytes(digest, data, module, xoflen) {
+  if (!hasWebCryptoDigest(digest)) {
+    return createDigest(digest, module, xoflen).update(data).digest();
+  }
+  outputLength(digest, xoflen, module);
+  assertAlgorithmAllowed(module, digest.name);
+  try {
+    return new Uint8Array(await getWebCrypto().subtle.digest(digest.webCrypto, data));
+  } catch (error) {
+    throw new WebOpenSSLError(`Digest failed: ${error.message}`, { module, cause: error });
+  }
+}
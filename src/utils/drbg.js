@@ -0,0 +1,282 @@
+/**
+ * Deterministic random bit generators of NIST SP 800-90A: HMAC-DRBG and
+ * CTR-DRBG (AES, with the derivation function). HMAC and AES come from
+ * node-forge, because callers such as randomBytes() are synchronous.
+ *
+ * A generator created with a `seed` is fully deterministic, for replaying a
+ * run in tests. Without one it is instantiated from the system CSPRNG and
+ * reseeds from it every `reseedInterval` requests.
+ *
+ * @module utils/drbg
+ */
+
+import forge from 'node-forge';
+import { toBytes, bytesToBinaryString, binaryStringToBytes, concatBytes } from './encoding.js';
+import { systemRandomBytes } from './webcrypto.js';
+import { InvalidArgumentError, UnsupportedAlgorithmError } from './errors.js';
+
+/** HMAC-DRBG digests: node-forge name and output length in bytes. */
+const HMAC_DIGESTS = {
+  'SHA-1': { md: 'sha1', length: 20 },
+  'SHA-256': { md: 'sha256', length: 32 },
+  'SHA-384': { md: 'sha384', length: 48 },
+  'SHA-512': { md: 'sha512', length: 64 }
+};
+
+/** CTR-DRBG ciphers and key lengths in bytes. */
+const CTR_CIPHERS = { 'AES-128': 16, 'AES-192': 24, 'AES-256': 32 };
+
+/** Largest request in bytes (2^19 bits); longer outputs are split into several requests. */
+export const MAX_REQUEST = 65536;
+
+/** Requests between reseeds of an unseeded generator (OpenSSL's default for its public DRBG). */
+const RESEED_INTERVAL = 1 << 16;
+
+/** Nonce length in bytes for unseeded instantiation. */
+const NONCE_LENGTH = 16;
+
+/**
+ * HMAC-DRBG mechanism (SP 800-90A section 10.1.2).
+ * @param {{md: string, length: number}} digest - Entry of HMAC_DIGESTS.
+ * @returns {{seedLength: number, instantiate: function(Uint8Array): void, reseed: function(Uint8Array): void,
+ *   generate: function(number, Uint8Array): Uint8Array}} Mechanism; inputs are already concatenated.
+ */
+function hmacDrbg(digest) {
+  let K = new Uint8Array(digest.length);
+  let V = new Uint8Array(digest.length);
+  const hmac = (key, ...parts) => {
+    const h = forge.hmac.create();
+    h.start(digest.md, bytesToBinaryString(key));
+    for (const part of parts) h.update(bytesToBinaryString(part));
+    return binaryStringToBytes(h.digest().getBytes());
+  };
+  const update = provided => {
+    K = hmac(K, V, new Uint8Array([0]), provided);
+    V = hmac(K, V);
+    if (!provided.length) return;
+    K = hmac(K, V, new Uint8Array([1]), provided);
+    V = hmac(K, V);
+  };
+  return {
+    seedLength: digest.length,
+    instantiate(seedMaterial) {
+      K.fill(0);
+      V.fill(1);
+      update(seedMaterial);
+    },
+    reseed: update,
+    generate(length, additional) {
+      if (additional.length) update(additional);
+      const out = new Uint8Array(length);
+      for (let offset = 0; offset < length; offset += V.length) {
+        V = hmac(K, V);
+        out.set(V.subarray(0, length - offset), offset);
+      }
+      update(additional);
+      return out;
+    }
+  };
+}
+
+/**
+ * AES-ECB encryption of whole blocks.
+ * @param {Uint8Array} key - AES key.
+ * @param {Uint8Array} blocks - Input, a multiple of 16 bytes.
+ * @returns {Uint8Array} Encrypted blocks.
+ */
+function aesEcb(key, blocks) {
+  const c = forge.cipher.createCipher('AES-ECB', bytesToBinaryString(key));
+  c.start();
+  c.update(forge.util.createBuffer(bytesToBinaryString(blocks)));
+  c.finish(() => true); // no padding
+  return binaryStringToBytes(c.output.getBytes());
+}
+
+/**
+ * Add one to a big-endian block, modulo 2^128.
+ * @param {Uint8Array} block - 16-byte counter, updated in place.
+ */
+function increment(block) {
+  for (let i = 15; i >= 0 && ++block[i] === 256; i--) block[i] = 0;
+}
+
+/**
+ * CTR-DRBG mechanism with the derivation function (SP 800-90A section 10.2.1).
+ * @param {number} keyLength - AES key length in bytes.
+ * @returns {{seedLength: number, instantiate: function(Uint8Array): void, reseed: function(Uint8Array): void,
+ *   generate: function(number, Uint8Array): Uint8Array}} Mechanism; inputs are already concatenated.
+ */
+function ctrDrbg(keyLength) {
+  const seedLength = keyLength + 16;
+  let key = new Uint8Array(keyLength);
+  let V = new Uint8Array(16);
+
+  // Block_Cipher_df (section 10.3.2): CBC-MACs under a fixed key, then encryption under the result
+  const derive = input => {
+    const header = new Uint8Array(8);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, input.length);
+    view.setUint32(4, seedLength);
+    const S = concatBytes(header, input, new Uint8Array([0x80]));
+    const padded = new Uint8Array(16 + Math.ceil(S.length / 16) * 16);
+    padded.set(S, 16);
+    const dfKey = Uint8Array.from({ length: keyLength }, (_, i) => i);
+    const temp = new Uint8Array(Math.ceil(seedLength / 16) * 16);
+    for (let i = 0; i * 16 < seedLength; i++) {
+      new DataView(padded.buffer).setUint32(0, i);
+      let chain = new Uint8Array(16);
+      for (let offset = 0; offset < padded.length; offset += 16) {
+        for (let j = 0; j < 16; j++) chain[j] ^= padded[offset + j];
+        chain = aesEcb(dfKey, chain);
+      }
+      temp.set(chain, i * 16);
+    }
+    const k = temp.subarray(0, keyLength);
+    let X = temp.slice(keyLength, seedLength);
+    const out = new Uint8Array(Math.ceil(seedLength / 16) * 16);
+    for (let offset = 0; offset < seedLength; offset += 16) {
+      X = aesEcb(k, X);
+      out.set(X, offset);
+    }
+    return out.subarray(0, seedLength);
+  };
+
+  const keystream = length => {
+    const counters = new Uint8Array(Math.ceil(length / 16) * 16);
+    for (let offset = 0; offset < counters.length; offset += 16) {
+      increment(V);
+      counters.set(V, offset);
+    }
+    return aesEcb(key, counters).subarray(0, length);
+  };
+
+  const update = provided => {
+    const temp = keystream(seedLength);
+    for (let i = 0; i < seedLength; i++) temp[i] ^= provided[i];
+    key = temp.slice(0, keyLength);
+    V = temp.slice(keyLength);
+  };
+
+  return {
+    seedLength,
+    instantiate(seedMaterial) {
+      key.fill(0);
+      V.fill(0);
+      update(derive(seedMaterial));
+    },
+    reseed(seedMaterial) {
+      update(derive(seedMaterial));
+    },
+    generate(length, additional) {
+      const provided = additional.length ? derive(additional) : new Uint8Array(seedLength);
+      if (additional.length) update(provided);
+      const out = keystream(length);
+      update(provided);
+      return out;
+    }
+  };
+}
+
+/**
+ * Optional byte-string input: a string is UTF-8, bytes are used as is.
+ * @param {string|Uint8Array|undefined} value - Input.
+ * @returns {Uint8Array} Bytes (empty if missing).
+ */
+function inputBytes(value) {
+  return value === undefined || value === null ? new Uint8Array(0) : toBytes(value);
+}
+
+/**
+ * Instantiate a DRBG.
+ *
+ * @param {Object} [options] - Generator options.
+ * @param {string} [options.type='HMAC-DRBG'] - 'HMAC-DRBG' or 'CTR-DRBG'.
+ * @param {string} [options.digest='SHA-256'] - HMAC-DRBG digest: 'SHA-1', 'SHA-256', 'SHA-384' or 'SHA-512'.
+ * @param {string} [options.cipher='AES-256'] - CTR-DRBG cipher: 'AES-128', 'AES-192' or 'AES-256' (a '-CTR'
+ *   suffix is accepted).
+ * @param {string|Uint8Array} [options.seed] - Entropy input (strings are UTF-8). Makes the generator
+ *   deterministic; it is then never reseeded on its own.
+ * @param {string|Uint8Array} [options.nonce] - Nonce; 16 random bytes when unseeded.
+ * @param {string|Uint8Array} [options.personalization] - Personalization string.
+ * @param {number} [options.reseedInterval=65536] - Requests between reseeds from the system CSPRNG when
+ *   unseeded.
+ * @returns {{type: string, seeded: boolean, generate: function(number, (string|Uint8Array)=): Uint8Array,
+ *   reseed: function((string|Uint8Array)=, (string|Uint8Array)=): void}} Generator. `generate(length,
+ *   additionalInput)` returns `length` bytes, split into requests of at most 65536 bytes;
+ *   `reseed(entropy, additionalInput)` mixes in new entropy, from the system CSPRNG if omitted.
+ * @throws {UnsupportedAlgorithmError} If the type, digest or cipher is unknown.
+ * @throws {InvalidArgumentError} If `reseedInterval` is not a positive integer.
+ * @throws {UnsupportedAlgorithmError} If an unseeded generator finds no Web Crypto to seed it from.
+ *
+ * @example
+ * // Same bytes on every run
+ * const drbg = createDrbg({ type: 'CTR-DRBG', seed: 'test vector 1' });
+ * drbg.generate(32);
+ */
+export function createDrbg(options = {}) {
+  const {
+    type = 'HMAC-DRBG',
+    digest = 'SHA-256',
+    cipher = 'AES-256',
+    seed,
+    nonce,
+    personalization,
+    reseedInterval = RESEED_INTERVAL
+  } = options;
+
+  const name = String(type).toUpperCase();
+  let mechanism;
+  if (name === 'HMAC-DRBG') {
+    const spec = HMAC_DIGESTS[String(digest).toUpperCase().replace(/^SHA(?=\d)/, 'SHA-')];
+    if (!spec) {
+      throw new UnsupportedAlgorithmError(`Unsupported HMAC-DRBG digest: ${digest}`, { module: 'rand' });
+    }
+    mechanism = hmacDrbg(spec);
+  } else if (name === 'CTR-DRBG') {
+    const keyLength = CTR_CIPHERS[String(cipher).toUpperCase().replace(/-CTR$/, '')];
+    if (!keyLength) {
+      throw new UnsupportedAlgorithmError(`Unsupported CTR-DRBG cipher: ${cipher}`, { module: 'rand' });
+    }
+    mechanism = ctrDrbg(keyLength);
+  } else {
+    throw new UnsupportedAlgorithmError(`Unsupported DRBG: ${type} (use HMAC-DRBG or CTR-DRBG)`, { module: 'rand' });
+  }
+  if (!Number.isInteger(reseedInterval) || reseedInterval < 1) {
+    throw new InvalidArgumentError('Invalid reseedInterval: must be a positive integer', { module: 'rand' });
+  }
+
+  const seeded = seed !== undefined && seed !== null;
+  const entropy = seeded ? toBytes(seed) : systemRandomBytes(mechanism.seedLength);
+  const nonceBytes = nonce !== undefined && nonce !== null
+    ? toBytes(nonce)
+    : seeded ? new Uint8Array(0) : systemRandomBytes(NONCE_LENGTH);
+  mechanism.instantiate(concatBytes(entropy, nonceBytes, inputBytes(personalization)));
+  let requests = 0;
+
+  const reseed = (newEntropy, additionalInput) => {
+    const fresh = newEntropy === undefined || newEntropy === null
+      ? systemRandomBytes(mechanism.seedLength)
+      : toBytes(newEntropy);
+    mechanism.reseed(concatBytes(fresh, inputBytes(additionalInput)));
+    requests = 0;
+  };
+
+  return {
+    type: name,
+    seeded,
+    generate(length, additionalInput) {
+      if (!Number.isInteger(length) || length < 0) {
+        throw new InvalidArgumentError('Invalid length: must be a non-negative integer', { module: 'rand' });
+      }
+      const additional = inputBytes(additionalInput);
+      const out = new Uint8Array(length);
+      for (let offset = 0; offset < length; offset += MAX_REQUEST) {
+        if (!seeded && requests >= reseedInterval) reseed();
+        out.set(mechanism.generate(Math.min(MAX_REQUEST, length - offset), additional), offset);
+        requests++;
+      }
+      return out;
+    },
+    reseed
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * ECDSA over precomputed digests on the NIST prime curves. Web Crypto only
+ * signs messages it hashes itself and node-forge has no ECDSA, so this
+ * implements the curve arithmetic with BigInt (affine coordinates).
+ * It is not constant-time.
+ *
+ * @module utils/ec
+ */
+
+import { bytesToHex, hexToBytes } from './encoding.js';
+import { randomBytes } from './webcrypto.js';
+import { UnsupportedAlgorithmError } from './errors.js';
+
+/** Curve domain parameters (FIPS 186-4 D.1.2); all curves have a = -3. */
+const CURVES = {
+  'P-256': {
+    p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+    b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+    n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+    gx: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+    gy: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n,
+    size: 32
+  },
+  'P-384': {
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000ffffffffn,
+    b: 0xb3312fa7e23ee7e4988e056be3f82d19181d9c6efe8141120314088f5013875ac656398d8a2ed19d2a85c8edd3ec2aefn,
+    n: 0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973n,
+    gx: 0xaa87ca22be8b05378eb1c71ef320ad746e1d3b628ba79b9859f741e082542a385502f25dbf55296c3a545e3872760ab7n,
+    gy: 0x3617de4a96262c6f5d9e98bf9292dc29f8f41dbd289a147ce9da3113b5f0b8c00a60b1ce1d7e819d7a431d7c90ea0e5fn,
+    size: 48
+  },
+  'P-521': {
+    p: (1n << 521n) - 1n,
+    b: 0x0051953eb9618e1c9a1f929a21a0b68540eea2da725b99b315f3b8b489918ef109e156193951ec7e937b1652c0bd3bb1bf073573df883d2c34f1ef451fd46b503f00n,
+    n: 0x01fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffa51868783bf2f966b7fcc0148f709a5d03bb5c9b8899c47aebb6fb71e91386409n,
+    gx: 0x00c6858e06b70404e9cd9e3ecb662395b4429c648139053fb521f828af606b4d3dbaa14b5e77efe75928fe1dc127a2ffa8de3348b3c1856a429bf97e7e31c2e5bd66n,
+    gy: 0x011839296a789a3bc0045c8a5fb42c7d1bd998f54449579b446817afbd17273e662c97ee72995ef42640c550b9013fad0761353c7086a272c24088be94769fd16650n,
+    size: 66
+  }
+};
+
+/**
+ * Reduce modulo m into [0, m).
+ * @param {bigint} a - Value.
+ * @param {bigint} m - Modulus.
+ * @returns {bigint} a mod m.
+ */
+function mod(a, m) {
+  const r = a % m;
+  return r < 0n ? r + m : r;
+}
+
+/**
+ * Modular inverse by the extended Euclidean algorithm.
+ * @param {bigint} a - Value, coprime to m.
+ * @param {bigint} m - Modulus.
+ * @returns {bigint} a^-1 mod m.
+ */
+function invert(a, m) {
+  let [r0, r1] = [mod(a, m), m];
+  let [s0, s1] = [1n, 0n];
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  return mod(s0, m);
+}
+
+/**
+ * Add two affine points (null is the point at infinity).
+ * @param {Object} c - Curve.
+ * @param {{x: bigint, y: bigint}|null} P - First point.
+ * @param {{x: bigint, y: bigint}|null} Q - Second point.
+ * @returns {{x: bigint, y: bigint}|null} P + Q.
+ */
+function add(c, P, Q) {
+  if (!P) return Q;
+  if (!Q) return P;
+  let lambda;
+  if (P.x === Q.x) {
+    if (mod(P.y + Q.y, c.p) === 0n) return null;
+    lambda = mod((3n * P.x * P.x - 3n) * invert(2n * P.y, c.p), c.p);
+  } else {
+    lambda = mod((Q.y - P.y) * invert(Q.x - P.x, c.p), c.p);
+  }
+  const x = mod(lambda * lambda - P.x - Q.x, c.p);
+  return { x, y: mod(lambda * (P.x - x) - P.y, c.p) };
+}
+
+/**
+ * Scalar multiplication by double-and-add.
+ * @param {Object} c - Curve.
+ * @param {bigint} k - Scalar.
+ * @param {{x: bigint, y: bigint}} P - Point.
+ * @returns {{x: bigint, y: bigint}|null} kP.
+ */
+function multiply(c, k, P) {
+  let result = null;
+  let addend = P;
+  for (let e = k; e > 0n; e >>= 1n) {
+    if (e & 1n) result = add(c, result, addend);
+    addend = add(c, addend, addend);
+  }
+  return result;
+}
+
+/**
+ * Look up a curve.
+ * @param {string} curve - 'P-256', 'P-384' or 'P-521'.
+ * @returns {Object} Domain parameters.
+ * @throws {Error} If the curve is unsupported.
+ */
+function getCurve(curve) {
+  const c = CURVES[curve];
+  if (!c) {
+    throw new UnsupportedAlgorithmError(`Unsupported EC curve: ${curve}`, { module: 'ec' });
+  }
+  return c;
+}
+
+/**
+ * Convert bytes to a BigInt.
+ * @param {Uint8Array} bytes - Big-endian bytes.
+ * @returns {bigint} Value.
+ */
+function toBigInt(bytes) {
+  return bytes.length ? BigInt('0x' + bytesToHex(bytes)) : 0n;
+}
+
+/**
+ * Convert a BigInt to fixed-length big-endian bytes.
+ * @param {bigint} n - Value.
+ * @param {number} length - Output length.
+ * @returns {Uint8Array} Bytes.
+ */
+function toBytes(n, length) {
+  return hexToBytes(n.toString(16).padStart(length * 2, '0'));
+}
+
+/**
+ * Convert a digest to an integer as ECDSA does: keep its leftmost bits,
+ * as many as the group order has (SEC 1 section 4.1.3 step 5).
+ * @param {Object} c - Curve.
+ * @param {Uint8Array} digest - Digest.
+ * @returns {bigint} e.
+ */
+function digestToInteger(c, digest) {
+  const e = toBigInt(digest);
+  const excess = digest.length * 8 - c.n.toString(2).length;
+  return excess > 0 ? e >> BigInt(excess) : e;
+}
+
+/**
+ * Sign a digest with ECDSA and a random nonce.
+ * @param {string} curve - 'P-256', 'P-384' or 'P-521'.
+ * @param {Uint8Array} privateScalar - Private key d, big-endian.
+ * @param {Uint8Array} digest - Message digest.
+ * @returns {Uint8Array} Raw signature r || s, each the field size.
+ */
+export function ecdsaSignDigest(curve, privateScalar, digest) {
+  const c = getCurve(curve);
+  const d = toBigInt(privateScalar);
+  const e = digestToInteger(c, digest);
+  const G = { x: c.gx, y: c.gy };
+  for (;;) {
+    const k = mod(toBigInt(randomBytes(c.size + 8)), c.n - 1n) + 1n;
+    const r = mod(multiply(c, k, G).x, c.n);
+    if (r === 0n) continue;
+    const s = mod(invert(k, c.n) * (e + r * d), c.n);
+    if (s === 0n) continue;
+    const out = new Uint8Array(c.size * 2);
+    out.set(toBytes(r, c.size), 0);
+    out.set(toBytes(s, c.size), c.size);
+    return out;
+  }
+}
+
+/**
+ * Verify an ECDSA signature over a digest.
+ * @param {string} curve - 'P-256', 'P-384' or 'P-521'.
+ * @param {Uint8Array} point - Uncompressed public point (0x04 || x || y).
+ * @param {Uint8Array} digest - Message digest.
+ * @param {Uint8Array} signature - Raw signature r || s.
+ * @returns {boolean} True if the signature is valid.
+ */
+export function ecdsaVerifyDigest(curve, point, digest, signature) {
+  const c = getCurve(curve);
+  if (point[0] !== 0x04 || point.length !== 1 + c.size * 2 || signature.length !== c.size * 2) {
+    return false;
+  }
+  const Q = { x: toBigInt(point.subarray(1, 1 + c.size)), y: toBigInt(point.subarray(1 + c.size)) };
+  if (mod(Q.y * Q.y - (Q.x * Q.x * Q.x - 3n * Q.x + c.b), c.p) !== 0n) {
+    return false;
+  }
+  const r = toBigInt(signature.subarray(0, c.size));
+  const s = toBigInt(signature.subarray(c.size));
+  if (r <= 0n || r >= c.n || s <= 0n || s >= c.n) {
+    return false;
+  }
+  const w = invert(s, c.n);
+  const e = digestToInteger(c, digest);
+  const X = add(c, multiply(c, mod(e * w, c.n), { x: c.gx, y: c.gy }), multiply(c, mod(r * w, c.n), Q));
+  return X !== null && mod(X.x, c.n) === r;
+}
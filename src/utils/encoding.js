@@ -0,0 +1,184 @@
+/**
+ * Byte/string conversion helpers shared by the command modules.
+ * Kept dependency-free so every module can use them without pulling in
+ * CryptoJS or node-forge.
+ *
+ * @module utils/encoding
+ */
+
+import { InvalidArgumentError, InvalidEncodingError } from './errors.js';
+
+/**
+ * Convert bytes to a lowercase hex string.
+ * @param {Uint8Array} bytes - Input bytes.
+ * @returns {string} Hex string.
+ */
+export function bytesToHex(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    out += bytes[i].toString(16).padStart(2, '0');
+  }
+  return out;
+}
+
+/**
+ * Parse a hex string (whitespace and colons are ignored).
+ * @param {string} hex - Hex string.
+ * @returns {Uint8Array} Decoded bytes.
+ * @throws {InvalidEncodingError} If the string is not valid hex.
+ */
+export function hexToBytes(hex) {
+  const clean = hex.replace(/[\s:]/g, '');
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new InvalidEncodingError('Invalid hex string', { module: 'encoding' });
+  }
+  const out = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return out;
+}
+
+/**
+ * Convert bytes to a "binary string" (one char per byte), as used by
+ * node-forge and atob/btoa. Works in chunks so large inputs do not
+ * overflow the call stack.
+ * @param {Uint8Array} bytes - Input bytes.
+ * @returns {string} Binary string.
+ */
+export function bytesToBinaryString(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+/**
+ * Convert a binary string (one char per byte) to bytes.
+ * @param {string} str - Binary string.
+ * @returns {Uint8Array} Bytes.
+ */
+export function binaryStringToBytes(str) {
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    out[i] = str.charCodeAt(i) & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Base64-encode bytes.
+ * @param {Uint8Array} bytes - Input bytes.
+ * @returns {string} Base64 string (single line).
+ */
+export function bytesToBase64(bytes) {
+  return btoa(bytesToBinaryString(bytes));
+}
+
+/**
+ * Decode base64 (whitespace such as PEM/`openssl -a` line breaks is ignored).
+ * @param {string} str - Base64 string.
+ * @returns {Uint8Array} Decoded bytes.
+ * @throws {InvalidEncodingError} If the string is not valid base64.
+ */
+export function base64ToBytes(str) {
+  try {
+    return binaryStringToBytes(atob(str.replace(/\s/g, '')));
+  } catch (e) {
+    throw new InvalidEncodingError(`Base64 decode failed: ${e.message}`, { module: 'encoding', cause: e });
+  }
+}
+
+/**
+ * Normalize string/Uint8Array/ArrayBuffer input to bytes. Strings are
+ * decoded as base64 or hex when the matching flag is set, UTF-8 otherwise.
+ * @param {string|Uint8Array|ArrayBuffer} input - Input data.
+ * @param {Object} [options] - Decoding options.
+ * @param {boolean} [options.base64=false] - String input is base64.
+ * @param {boolean} [options.hex=false] - String input is hex.
+ * @returns {Uint8Array} Bytes.
+ * @throws {InvalidArgumentError} If the input type is unsupported.
+ * @throws {InvalidEncodingError} If base64 or hex input is malformed.
+ */
+export function toBytes(input, { base64 = false, hex = false } = {}) {
+  if (typeof input === 'string') {
+    if (base64) return base64ToBytes(input);
+    if (hex) return hexToBytes(input);
+    return new TextEncoder().encode(input);
+  }
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  throw new InvalidArgumentError(
+    'Unsupported input type; must be string, Uint8Array, or ArrayBuffer',
+    { module: 'encoding' }
+  );
+}
+
+/**
+ * Format bytes according to the raw/base64/hex flags used across the API.
+ * @param {Uint8Array} bytes - Bytes to format.
+ * @param {Object} [options] - Format flags.
+ * @param {boolean} [options.raw=false] - Return the Uint8Array unchanged.
+ * @param {boolean} [options.base64=false] - Return base64.
+ * @param {boolean} [options.hex=false] - Return hex.
+ * @param {string} [fallback='hex'] - Format used when no flag is set ('hex', 'base64' or 'utf8').
+ * @returns {string|Uint8Array} Formatted output.
+ */
+export function formatBytes(bytes, { raw = false, base64 = false, hex = false } = {}, fallback = 'hex') {
+  if (raw) return bytes;
+  if (base64) return bytesToBase64(bytes);
+  if (hex) return bytesToHex(bytes);
+  if (fallback === 'base64') return bytesToBase64(bytes);
+  if (fallback === 'utf8') return new TextDecoder().decode(bytes);
+  return bytesToHex(bytes);
+}
+
+/**
+ * Concatenate byte arrays.
+ * @param {...Uint8Array} arrays - Arrays to join.
+ * @returns {Uint8Array} Joined bytes.
+ */
+export function concatBytes(...arrays) {
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) {
+    out.set(a, offset);
+    offset += a.length;
+  }
+  return out;
+}
+
+/**
+ * Constant-time comparison of two byte arrays.
+ * @param {Uint8Array} a - First array.
+ * @param {Uint8Array} b - Second array.
+ * @returns {boolean} True if equal.
+ */
+export function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Base64url-encode bytes without padding (JWK style).
+ * @param {Uint8Array} bytes - Input bytes.
+ * @returns {string} Base64url string.
+ */
+export function bytesToBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url (padding optional).
+ * @param {string} str - Base64url string.
+ * @returns {Uint8Array} Decoded bytes.
+ */
+export function base64UrlToBytes(str) {
+  return base64ToBytes(str.replace(/-/g, '+').replace(/_/g, '/'));
+}
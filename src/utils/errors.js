@@ -0,0 +1,149 @@
+/**
+ * Error classes with stable codes, and an OpenSSL-like error queue.
+ *
+ * Errors that a command throws to its caller are recorded in a small queue
+ * (the last 16 errors), which can be read like OpenSSL's
+ * ERR_get_error()/ERR_peek_error() and printed like ERR_print_errors().
+ * Recording happens at the command boundary (see {@link recordError}), so
+ * errors that the library raises and handles itself never reach the queue.
+ *
+ * @module utils/errors
+ */
+
+/** Stable error codes, safe to compare against `error.code`. */
+export const ERROR_CODES = Object.freeze({
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  INVALID_ENCODING: 'INVALID_ENCODING',
+  UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM',
+  ALGORITHM_DISABLED: 'ALGORITHM_DISABLED',
+  FALLBACK_DISABLED: 'FALLBACK_DISABLED',
+  BAD_DECRYPT: 'BAD_DECRYPT',
+  BAD_SIGNATURE: 'BAD_SIGNATURE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+/** Maximum number of queued errors, as OpenSSL's ERR_NUM_ERRORS. */
+const QUEUE_SIZE = 16;
+
+/** @type {Array<{code: string, module: string, message: string}>} */
+const queue = [];
+
+/**
+ * Base class of the errors thrown by the library.
+ * @property {string} code - One of {@link ERROR_CODES}.
+ * @property {string} module - Command or helper that raised it (e.g. 'enc').
+ */
+export class WebOpenSSLError extends Error {
+  /**
+   * @param {string} message - Error message.
+   * @param {Object} [options] - Error details.
+   * @param {string} [options.code='INTERNAL_ERROR'] - Error code.
+   * @param {string} [options.module=''] - Raising command or helper.
+   * @param {*} [options.cause] - Underlying error.
+   */
+  constructor(message, { code = ERROR_CODES.INTERNAL_ERROR, module = '', cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = code;
+    this.module = module;
+  }
+}
+
+/** Missing, out-of-range or conflicting options (INVALID_ARGUMENT). */
+export class InvalidArgumentError extends WebOpenSSLError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.INVALID_ARGUMENT });
+  }
+}
+
+/** Malformed base64, hex, PEM or DER input (INVALID_ENCODING). */
+export class InvalidEncodingError extends WebOpenSSLError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.INVALID_ENCODING });
+  }
+}
+
+/** Unknown algorithm name or an algorithm this runtime cannot provide (UNSUPPORTED_ALGORITHM). */
+export class UnsupportedAlgorithmError extends WebOpenSSLError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.UNSUPPORTED_ALGORITHM });
+  }
+}
+
+/**
+ * Refused by the `strict`/`fipsLike` settings: ALGORITHM_DISABLED for an
+ * algorithm outside the policy, FALLBACK_DISABLED for a software fallback.
+ */
+export class PolicyError extends WebOpenSSLError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.ALGORITHM_DISABLED, ...options });
+  }
+}
+
+/** Decryption failed: wrong key or password, bad padding or a failed authentication tag (BAD_DECRYPT). */
+export class BadDecryptError extends WebOpenSSLError {
+  constructor(message = 'Bad decrypt: wrong password or corrupted data', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.BAD_DECRYPT });
+  }
+}
+
+/** A signature that must be valid did not verify, e.g. on a certificate request (BAD_SIGNATURE). */
+export class BadSignatureError extends WebOpenSSLError {
+  constructor(message = 'Signature verification failed', options = {}) {
+    super(message, { ...options, code: ERROR_CODES.BAD_SIGNATURE });
+  }
+}
+
+/**
+ * Queue an error thrown out of a command, preceded by the library errors in
+ * its `cause` chain, innermost first, as OpenSSL stacks them. Values other
+ * than WebOpenSSLError are not queued.
+ * @param {*} error - Thrown value.
+ */
+export function recordError(error) {
+  if (!(error instanceof WebOpenSSLError)) return;
+  recordError(error.cause);
+  queue.push({ code: error.code, module: error.module, message: error.message });
+  if (queue.length > QUEUE_SIZE) queue.shift();
+}
+
+/**
+ * Remove and return the oldest queued error (ERR_get_error).
+ * @returns {{code: string, module: string, message: string}|null} Error entry, or null if the queue is empty.
+ */
+export function getError() {
+  return queue.length ? queue.shift() : null;
+}
+
+/**
+ * Return the oldest queued error without removing it (ERR_peek_error).
+ * @returns {{code: string, module: string, message: string}|null} Error entry or null.
+ */
+export function peekError() {
+  return queue.length ? queue[0] : null;
+}
+
+/**
+ * Return the most recent queued error without removing it (ERR_peek_last_error).
+ * @returns {{code: string, module: string, message: string}|null} Error entry or null.
+ */
+export function peekLastError() {
+  return queue.length ? queue[queue.length - 1] : null;
+}
+
+/**
+ * Empty the error queue (ERR_clear_error).
+ */
+export function clearErrors() {
+  queue.length = 0;
+}
+
+/**
+ * Format and empty the error queue, oldest first (ERR_print_errors).
+ * @returns {string} One `error:CODE:module:message` line per error.
+ */
+export function printErrors() {
+  const lines = queue.map(({ code, module, message }) => `error:${code}:${module}:${message}\n`);
+  clearErrors();
+  return lines.join('');
+}
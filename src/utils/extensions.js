@@ -0,0 +1,783 @@
+/**
+ * X.509v3 extension helpers. Converts OpenSSL config-style values
+ * ('critical,CA:TRUE,pathlen:0', 'DNS:example.com,IP:10.0.0.1', ...) and
+ * node-forge extension objects into node-forge extension objects that
+ * CSRs, certificates and CRLs can encode.
+ *
+ * @module utils/extensions
+ */
+
+import forge from 'node-forge';
+import { hexToBytes, bytesToBinaryString, binaryStringToBytes, bytesToHex } from './encoding.js';
+import { nameFromAsn1, formatName } from './names.js';
+import { InvalidArgumentError, InvalidEncodingError, UnsupportedAlgorithmError } from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** OpenSSL extension names mapped to node-forge names. */
+const EXTENSION_NAMES = {
+  basicConstraints: 'basicConstraints',
+  keyUsage: 'keyUsage',
+  extendedKeyUsage: 'extKeyUsage',
+  extKeyUsage: 'extKeyUsage',
+  subjectAltName: 'subjectAltName',
+  issuerAltName: 'issuerAltName',
+  subjectKeyIdentifier: 'subjectKeyIdentifier',
+  authorityKeyIdentifier: 'authorityKeyIdentifier',
+  crlDistributionPoints: 'cRLDistributionPoints',
+  cRLDistributionPoints: 'cRLDistributionPoints',
+  authorityInfoAccess: 'authorityInfoAccess',
+  nsComment: 'nsComment',
+  nsCertType: 'nsCertType'
+};
+
+/** Extension OIDs that node-forge does not know by name. */
+export const EXTENSION_OIDS = {
+  authorityInfoAccess: '1.3.6.1.5.5.7.1.1',
+  nsComment: '2.16.840.1.113730.1.13',
+  cRLNumber: '2.5.29.20',
+  cRLReason: '2.5.29.21',
+  invalidityDate: '2.5.29.24',
+  deltaCRLIndicator: '2.5.29.27',
+  ocspNonce: '1.3.6.1.5.5.7.48.1.2'
+};
+
+/** CRL entry reason codes (RFC 5280 CRLReason) keyed by OpenSSL name; 7 is unused. */
+export const CRL_REASONS = {
+  unspecified: 0,
+  keyCompromise: 1,
+  CACompromise: 2,
+  affiliationChanged: 3,
+  superseded: 4,
+  cessationOfOperation: 5,
+  certificateHold: 6,
+  removeFromCRL: 8,
+  privilegeWithdrawn: 9,
+  AACompromise: 10
+};
+
+/**
+ * Resolve a CRL reason name or code.
+ * @param {string|number} reason - OpenSSL reason name (any case) or RFC 5280 code.
+ * @returns {number} CRLReason code.
+ * @throws {Error} If the reason is unknown.
+ */
+export function crlReasonCode(reason) {
+  if (typeof reason === 'number' && Object.values(CRL_REASONS).includes(reason)) {
+    return reason;
+  }
+  const name = Object.keys(CRL_REASONS).find(k => k.toLowerCase() === String(reason).toLowerCase());
+  if (!name) {
+    throw new InvalidArgumentError(
+      `Invalid CRL reason: ${reason} (use ${Object.keys(CRL_REASONS).join(', ')})`,
+      { module: 'extensions' }
+    );
+  }
+  return CRL_REASONS[name];
+}
+
+/** keyUsage bit names in OpenSSL spelling. */
+export const KEY_USAGE_BITS = [
+  'digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment',
+  'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'
+];
+
+/** extendedKeyUsage purpose OIDs keyed by OpenSSL short name. */
+export const EKU_OIDS = {
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  clientAuth: '1.3.6.1.5.5.7.3.2',
+  codeSigning: '1.3.6.1.5.5.7.3.3',
+  emailProtection: '1.3.6.1.5.5.7.3.4',
+  timeStamping: '1.3.6.1.5.5.7.3.8',
+  OCSPSigning: '1.3.6.1.5.5.7.3.9',
+  anyExtendedKeyUsage: '2.5.29.37.0'
+};
+
+/** AuthorityInfoAccess method OIDs keyed by OpenSSL name. */
+const ACCESS_METHOD_OIDS = {
+  OCSP: '1.3.6.1.5.5.7.48.1',
+  caIssuers: '1.3.6.1.5.5.7.48.2'
+};
+
+/** GeneralName tags keyed by OpenSSL prefix. */
+const GENERAL_NAME_TYPES = { email: 1, DNS: 2, URI: 6, IP: 7, RID: 8 };
+
+/**
+ * Compute an RFC 5280 key identifier: SHA-1 of the subjectPublicKey bits.
+ * @param {Uint8Array} spki - SubjectPublicKeyInfo DER.
+ * @returns {Uint8Array} 20-byte key identifier.
+ */
+export function keyIdentifier(spki) {
+  const info = asn1.fromDer(bytesToBinaryString(spki), { decodeBitStrings: false });
+  const md = forge.md.sha1.create();
+  md.update(info.value[1].value.substring(1));
+  return binaryStringToBytes(md.digest().getBytes());
+}
+
+/**
+ * Split an OpenSSL extension value on commas, trimming whitespace. A value
+ * of `@name` (after any 'critical') takes its items from that config
+ * section instead: `DNS.1 = example.com` becomes 'DNS.1:example.com'.
+ * @param {string} value - Extension value.
+ * @param {function(string): (Array<{name: string, value: string}>|null)} [section] - Config section lookup.
+ * @returns {{critical: boolean, items: string[]}} Items with the 'critical' marker removed.
+ * @throws {Error} If a referenced section is missing.
+ */
+function splitValue(value, section) {
+  const all = value.split(',').map(s => s.trim()).filter(Boolean);
+  const critical = all.includes('critical');
+  const items = all.filter(s => s !== 'critical');
+  if (items.length === 1 && items[0].startsWith('@')) {
+    const entries = section ? section(items[0].slice(1)) : null;
+    if (!entries) {
+      throw new InvalidArgumentError(`Extension section not found: ${items[0].slice(1)}`, { module: 'extensions' });
+    }
+    return { critical, items: entries.map(e => (e.value ? `${e.name}:${e.value}` : e.name)) };
+  }
+  return { critical, items };
+}
+
+/**
+ * Parse `TYPE:value` GeneralNames (subjectAltName, crlDistributionPoints, ...).
+ * @param {string[]} items - Items such as 'DNS:example.com', 'IP:10.0.0.1'.
+ * @returns {Array<Object>} node-forge altNames entries.
+ * @throws {Error} On an unknown name type.
+ */
+export function parseGeneralNames(items) {
+  return items.map((item) => {
+    const idx = item.indexOf(':');
+    // 'DNS.1' as in an [alt_names] section names a DNS entry
+    const prefix = item.slice(0, idx).replace(/\..*$/, '');
+    const value = item.slice(idx + 1);
+    const type = GENERAL_NAME_TYPES[prefix] || GENERAL_NAME_TYPES[prefix.toUpperCase()];
+    if (idx < 0 || !type) {
+      throw new UnsupportedAlgorithmError(`Unsupported GeneralName: ${item}`, { module: 'extensions' });
+    }
+    if (type === 7) return { type, ip: value };
+    if (type === 8) return { type, oid: value };
+    return { type, value };
+  });
+}
+
+/**
+ * Expand the `copy` items of an alternative name as OpenSSL does:
+ * `email:copy` in subjectAltName lists each emailAddress of the subject.
+ * `email:move` (which also edits the subject) and issuerAltName's
+ * `issuer:copy` are refused rather than encoded as the literal 'copy'.
+ * @param {string} name - 'subjectAltName' or 'issuerAltName'.
+ * @param {string[]} items - Items from {@link splitValue}.
+ * @param {Object} [subjectName] - Subject Name ASN.1.
+ * @returns {string[]} Items with the copies expanded.
+ * @throws {Error} If a copy is unsupported or there is no subject to copy from.
+ */
+function copyNames(name, items, subjectName) {
+  return items.flatMap((item) => {
+    const [, prefix, action] = item.match(/^([^.:]+)(?:\.[^:]*)?:(copy|move)$/) || [];
+    if (name === 'subjectAltName' && prefix === 'email') {
+      if (action === 'move') {
+        throw new UnsupportedAlgorithmError('subjectAltName=email:move is not supported', { module: 'extensions' });
+      }
+      if (!subjectName) {
+        throw new InvalidArgumentError('subjectAltName=email:copy needs the subject name', { module: 'extensions' });
+      }
+      return nameFromAsn1(subjectName).filter(a => a.shortName === 'emailAddress').map(a => `email:${a.value}`);
+    }
+    if (name === 'issuerAltName' && prefix === 'issuer' && action === 'copy') {
+      throw new UnsupportedAlgorithmError('issuerAltName=issuer:copy is not supported', { module: 'extensions' });
+    }
+    return [item];
+  });
+}
+
+/**
+ * Encode a GeneralName as forge ASN.1.
+ * @param {Object} name - Entry from {@link parseGeneralNames}.
+ * @returns {Object} forge ASN.1 GeneralName.
+ * @throws {Error} If an IP address is malformed.
+ */
+function generalNameToAsn1(name) {
+  let value = name.value;
+  if (name.type === 7) {
+    value = forge.util.bytesFromIP(name.ip);
+    if (value === null) {
+      throw new InvalidArgumentError(`Invalid IP address: ${name.ip}`, { module: 'extensions' });
+    }
+  } else if (name.type === 8) {
+    value = asn1.oidToDer(name.oid).getBytes();
+  }
+  return asn1.create(asn1.Class.CONTEXT_SPECIFIC, name.type, false, value);
+}
+
+/**
+ * Convert one OpenSSL-style extension value into a node-forge extension.
+ * @param {string} name - node-forge extension name.
+ * @param {string} value - OpenSSL value string.
+ * @param {Object} context - Key material for identifier extensions.
+ * @returns {Object} node-forge extension.
+ * @throws {Error} On unsupported values.
+ */
+function parseExtensionString(name, value, context) {
+  const { critical, items } = splitValue(value, context.section);
+  const ext = { name, critical };
+
+  switch (name) {
+    case 'basicConstraints':
+      for (const item of items) {
+        const [k, v] = item.split(':').map(s => s.trim());
+        if (k.toUpperCase() === 'CA') ext.cA = v.toUpperCase() === 'TRUE';
+        else if (k.toLowerCase() === 'pathlen') ext.pathLenConstraint = parseInt(v, 10);
+        else {
+          throw new UnsupportedAlgorithmError(`Unsupported basicConstraints value: ${item}`, {
+            module: 'extensions'
+          });
+        }
+      }
+      return ext;
+
+    case 'keyUsage':
+      for (const item of items) {
+        if (!KEY_USAGE_BITS.includes(item)) {
+          throw new UnsupportedAlgorithmError(`Unsupported keyUsage: ${item}`, { module: 'extensions' });
+        }
+        ext[item] = true;
+      }
+      return ext;
+
+    case 'extKeyUsage':
+      // Encoded here: node-forge maps names and OIDs through one table and mangles dotted keys
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items.map((item) => {
+        const oid = EKU_OIDS[item] || (/^\d+(\.\d+)+$/.test(item) ? item : null);
+        if (!oid) {
+          throw new UnsupportedAlgorithmError(`Unsupported extendedKeyUsage: ${item}`, { module: 'extensions' });
+        }
+        ext[item] = true;
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes());
+      }));
+      return ext;
+
+    case 'subjectAltName':
+    case 'issuerAltName':
+      ext.altNames = parseGeneralNames(copyNames(name, items, context.subjectName));
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, ext.altNames.map(generalNameToAsn1));
+      return ext;
+
+    case 'cRLDistributionPoints':
+      // One DistributionPoint whose fullName lists every location
+      ext.altNames = parseGeneralNames(items);
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, ext.altNames.map(generalNameToAsn1))
+          ])
+        ])
+      ]);
+      return ext;
+
+    case 'subjectKeyIdentifier': {
+      let id;
+      if (items[0] === 'hash') {
+        if (!context.subjectSpki) {
+          throw new InvalidArgumentError(
+            'subjectKeyIdentifier=hash needs the subject public key',
+            { module: 'extensions' }
+          );
+        }
+        id = keyIdentifier(context.subjectSpki);
+      } else if (items[0] !== 'none') {
+        id = hexToBytes(items[0]);
+      } else {
+        return null;
+      }
+      ext.subjectKeyIdentifier = bytesToHex(id);
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(id));
+      return ext;
+    }
+
+    case 'authorityKeyIdentifier': {
+      // keyid[:always], issuer[:always]
+      const seq = [];
+      const wantKeyId = items.some(i => i.startsWith('keyid'));
+      const wantIssuer = items.some(i => i.startsWith('issuer'));
+      const issuerAlways = items.includes('issuer:always');
+      let keyId = null;
+      if (wantKeyId && context.issuerSpki) {
+        keyId = context.issuerKeyId || keyIdentifier(context.issuerSpki);
+        seq.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, bytesToBinaryString(keyId)));
+      } else if (items.includes('keyid:always')) {
+        throw new InvalidArgumentError(
+          'authorityKeyIdentifier=keyid:always needs the issuer public key',
+          { module: 'extensions' }
+        );
+      }
+      if (wantIssuer && (issuerAlways || !keyId) && context.issuerName && context.issuerSerial) {
+        seq.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+          asn1.create(asn1.Class.CONTEXT_SPECIFIC, 4, true, [context.issuerName])
+        ]));
+        seq.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, forge.util.hexToBytes(context.issuerSerial)));
+      }
+      if (seq.length === 0) return null;
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, seq);
+      return ext;
+    }
+
+    case 'authorityInfoAccess': {
+      // OCSP;URI:http://ocsp.example.com, caIssuers;URI:http://example.com/ca.crt
+      ext.id = EXTENSION_OIDS.authorityInfoAccess;
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items.map((item) => {
+        const [method, location] = item.split(';').map(s => s.trim());
+        const oid = ACCESS_METHOD_OIDS[method] || method;
+        return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+          generalNameToAsn1(parseGeneralNames([location])[0])
+        ]);
+      }));
+      return ext;
+    }
+
+    case 'nsComment':
+      ext.id = EXTENSION_OIDS.nsComment;
+      ext.comment = value;
+      ext.critical = false;
+      ext.value = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.IA5STRING, false, value);
+      return ext;
+
+    case 'nsCertType':
+      for (const item of items) ext[item] = true;
+      return ext;
+
+    default:
+      throw new UnsupportedAlgorithmError(`Unsupported extension: ${name}`, { module: 'extensions' });
+  }
+}
+
+/**
+ * Normalize extensions given as `{ name: value }` (OpenSSL strings or
+ * node-forge fields) or as an array of node-forge extension objects.
+ *
+ * @param {Object|Array<Object>} extensions - Extensions to normalize.
+ * @param {Object} [context] - Key material for identifier extensions.
+ * @param {Uint8Array} [context.subjectSpki] - Subject public key (subjectKeyIdentifier=hash).
+ * @param {Object} [context.subjectName] - Subject Name ASN.1 (subjectAltName=email:copy).
+ * @param {Uint8Array} [context.issuerSpki] - Issuer public key (authorityKeyIdentifier=keyid).
+ * @param {Uint8Array} [context.issuerKeyId] - Issuer's own subjectKeyIdentifier, preferred over hashing.
+ * @param {Object} [context.issuerName] - Issuer Name ASN.1 (authorityKeyIdentifier=issuer).
+ * @param {string} [context.issuerSerial] - Issuer serial hex (authorityKeyIdentifier=issuer).
+ * @param {function(string): (Array<{name: string, value: string}>|null)} [context.section] - Config
+ *   section lookup for `@name` values such as 'subjectAltName = @alt_names'.
+ * @returns {Array<Object>} node-forge extension objects.
+ * @throws {Error} On unsupported extensions or values.
+ *
+ * @example
+ * parseExtensions({
+ *   basicConstraints: 'critical,CA:FALSE',
+ *   subjectAltName: 'DNS:example.com,IP:10.0.0.1'
+ * });
+ */
+export function parseExtensions(extensions = {}, context = {}) {
+  if (Array.isArray(extensions)) {
+    return extensions.map(e => ({ ...e }));
+  }
+  const out = [];
+  for (const [key, value] of Object.entries(extensions)) {
+    const name = EXTENSION_NAMES[key];
+    if (typeof value === 'string') {
+      if (!name) {
+        throw new UnsupportedAlgorithmError(`Unsupported extension: ${key}`, { module: 'extensions' });
+      }
+      const ext = parseExtensionString(name, value, context);
+      if (ext) out.push(ext);
+    } else if (value && typeof value === 'object') {
+      out.push({ ...value, name: name || value.name || key });
+    } else {
+      throw new InvalidArgumentError(`Invalid value for extension ${key}`, { module: 'extensions' });
+    }
+  }
+  return out;
+}
+
+/** Decoded extension names keyed by OID (OpenSSL config spelling). */
+const EXTENSION_NAMES_BY_OID = {
+  '2.5.29.19': 'basicConstraints',
+  '2.5.29.15': 'keyUsage',
+  '2.5.29.37': 'extendedKeyUsage',
+  '2.5.29.17': 'subjectAltName',
+  '2.5.29.18': 'issuerAltName',
+  '2.5.29.14': 'subjectKeyIdentifier',
+  '2.5.29.35': 'authorityKeyIdentifier',
+  '2.5.29.31': 'crlDistributionPoints',
+  '2.5.29.32': 'certificatePolicies',
+  '2.16.840.1.113730.1.1': 'nsCertType',
+  [EXTENSION_OIDS.authorityInfoAccess]: 'authorityInfoAccess',
+  [EXTENSION_OIDS.nsComment]: 'nsComment',
+  [EXTENSION_OIDS.cRLNumber]: 'cRLNumber',
+  [EXTENSION_OIDS.cRLReason]: 'cRLReason',
+  [EXTENSION_OIDS.invalidityDate]: 'invalidityDate',
+  [EXTENSION_OIDS.deltaCRLIndicator]: 'deltaCRLIndicator'
+};
+
+/**
+ * Resolve an extension name (OpenSSL or node-forge spelling) or dotted OID to its OID.
+ * @param {string} name - Name such as 'subjectAltName' or 'extendedKeyUsage'.
+ * @returns {string} OID.
+ * @throws {Error} If the name is unknown.
+ */
+export function extensionOid(name) {
+  if (/^\d+(\.\d+)+$/.test(name)) return name;
+  const id = Object.keys(EXTENSION_NAMES_BY_OID).find(oid => EXTENSION_NAMES_BY_OID[oid] === name)
+    || forge.pki.oids[EXTENSION_NAMES[name] || name];
+  if (!id) {
+    throw new UnsupportedAlgorithmError(`Unknown extension: ${name}`, { module: 'extensions' });
+  }
+  return id;
+}
+
+/** `openssl x509 -text` headings keyed by decoded extension name. */
+const EXTENSION_TITLES = {
+  basicConstraints: 'X509v3 Basic Constraints',
+  keyUsage: 'X509v3 Key Usage',
+  extendedKeyUsage: 'X509v3 Extended Key Usage',
+  subjectAltName: 'X509v3 Subject Alternative Name',
+  issuerAltName: 'X509v3 Issuer Alternative Name',
+  subjectKeyIdentifier: 'X509v3 Subject Key Identifier',
+  authorityKeyIdentifier: 'X509v3 Authority Key Identifier',
+  crlDistributionPoints: 'X509v3 CRL Distribution Points',
+  certificatePolicies: 'X509v3 Certificate Policies',
+  authorityInfoAccess: 'Authority Information Access',
+  nsComment: 'Netscape Comment',
+  nsCertType: 'Netscape Cert Type',
+  cRLNumber: 'X509v3 CRL Number',
+  cRLReason: 'X509v3 CRL Reason Code',
+  invalidityDate: 'Invalidity Date',
+  deltaCRLIndicator: 'X509v3 Delta CRL Indicator'
+};
+
+/** keyUsage bit labels as printed by OpenSSL. */
+const KEY_USAGE_LABELS = [
+  'Digital Signature', 'Non Repudiation', 'Key Encipherment', 'Data Encipherment',
+  'Key Agreement', 'Certificate Sign', 'CRL Sign', 'Encipher Only', 'Decipher Only'
+];
+
+/** CRL reason labels as printed by OpenSSL. */
+const CRL_REASON_LABELS = {
+  unspecified: 'Unspecified',
+  keyCompromise: 'Key Compromise',
+  CACompromise: 'CA Compromise',
+  affiliationChanged: 'Affiliation Changed',
+  superseded: 'Superseded',
+  cessationOfOperation: 'Cessation Of Operation',
+  certificateHold: 'Certificate Hold',
+  removeFromCRL: 'Remove From CRL',
+  privilegeWithdrawn: 'Privilege Withdrawn',
+  AACompromise: 'AA Compromise'
+};
+
+/** extendedKeyUsage labels as printed by OpenSSL. */
+const EKU_LABELS = {
+  serverAuth: 'TLS Web Server Authentication',
+  clientAuth: 'TLS Web Client Authentication',
+  codeSigning: 'Code Signing',
+  emailProtection: 'E-mail Protection',
+  timeStamping: 'Time Stamping',
+  OCSPSigning: 'OCSP Signing',
+  anyExtendedKeyUsage: 'Any Extended Key Usage'
+};
+
+/** Netscape cert type bits and labels. */
+const NS_CERT_TYPES = [
+  ['client', 'SSL Client'], ['server', 'SSL Server'], ['email', 'S/MIME'], ['objsign', 'Object Signing'],
+  ['reserved', 'Unused'], ['sslCA', 'SSL CA'], ['emailCA', 'S/MIME CA'], ['objCA', 'Object Signing CA']
+];
+
+/** GeneralName prefixes as printed by OpenSSL, keyed by decoded type. */
+const GENERAL_NAME_LABELS = {
+  otherName: 'othername', email: 'email', DNS: 'DNS', dirName: 'DirName',
+  URI: 'URI', IP: 'IP Address', RID: 'Registered ID'
+};
+
+/**
+ * Read the bits of a BIT STRING value.
+ * @param {string} value - forge BIT STRING content (unused-bits octet first).
+ * @returns {boolean[]} Bits, most significant first.
+ */
+function bitStringBits(value) {
+  const bits = [];
+  for (let i = 1; i < value.length; i++) {
+    for (let b = 7; b >= 0; b--) bits.push(((value.charCodeAt(i) >> b) & 1) === 1);
+  }
+  return bits;
+}
+
+/**
+ * Format IP address bytes like OpenSSL (IPv6 groups uncompressed, uppercase).
+ * @param {string} bytes - Address as a binary string (4 or 16 bytes).
+ * @returns {string} Address text.
+ */
+function formatIp(bytes) {
+  if (bytes.length === 4) {
+    return Array.from(bytes, c => c.charCodeAt(0)).join('.');
+  }
+  const groups = [];
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    groups.push(((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1)).toString(16).toUpperCase());
+  }
+  return groups.join(':');
+}
+
+/**
+ * Decode a GeneralName.
+ * @param {Object} node - forge ASN.1 GeneralName.
+ * @returns {{type: string, value: string}} Type ('DNS', 'IP', 'email', 'URI', 'dirName', 'RID', 'otherName') and value.
+ */
+export function decodeGeneralName(node) {
+  switch (node.type) {
+    case 0: return { type: 'otherName', value: `${asn1.derToOid(node.value[0].value)}:<unsupported>` };
+    case 1: return { type: 'email', value: node.value };
+    case 2: return { type: 'DNS', value: node.value };
+    case 4: return { type: 'dirName', value: formatName(nameFromAsn1(node.value[0]), 'slash') };
+    case 6: return { type: 'URI', value: node.value };
+    case 7: return { type: 'IP', value: formatIp(node.value) };
+    case 8: return { type: 'RID', value: asn1.derToOid(node.value) };
+    default: return { type: `[${node.type}]`, value: forge.util.bytesToHex(asn1.toDer(node).getBytes()) };
+  }
+}
+
+/**
+ * Format a decoded GeneralName like OpenSSL ('DNS:example.com', 'IP Address:10.0.0.1').
+ * @param {{type: string, value: string}} name - Decoded GeneralName.
+ * @returns {string} Text.
+ */
+export function formatGeneralName(name) {
+  return `${GENERAL_NAME_LABELS[name.type] || name.type}:${name.value}`;
+}
+
+/**
+ * Colon-separated uppercase hex, as OpenSSL prints key identifiers and serials.
+ * @param {string} hex - Hex string.
+ * @returns {string} 'AB:CD:...'.
+ */
+function colonHex(hex) {
+  return (hex.match(/.{2}/g) || []).join(':').toUpperCase();
+}
+
+/**
+ * Decode a certificatePolicies PolicyQualifierInfo (CPS pointer or user notice).
+ * @param {Object} node - forge ASN.1 PolicyQualifierInfo.
+ * @returns {{type: string, value?: string, explicitText?: string}} 'CPS' with its URI, or
+ *   'userNotice' with the explicit text if present.
+ */
+function decodePolicyQualifier(node) {
+  const oid = asn1.derToOid(node.value[0].value);
+  if (oid === '1.3.6.1.5.5.7.2.1') {
+    return { type: 'CPS', value: node.value[1].value };
+  }
+  const notice = { type: oid === '1.3.6.1.5.5.7.2.2' ? 'userNotice' : oid };
+  const text = node.value[1] && node.value[1].value.find(i => typeof i.value === 'string');
+  if (text) {
+    notice.explicitText = text.type === asn1.Type.UTF8 ? forge.util.decodeUtf8(text.value) : text.value;
+  }
+  return notice;
+}
+
+/**
+ * Decode a single Extension.
+ *
+ * @param {Object} node - forge ASN.1 Extension (SEQUENCE { extnID, critical, extnValue }).
+ * @returns {Object} `{ id, name, critical, ...fields }`. Fields by extension:
+ *   basicConstraints `cA`, `pathLenConstraint`; keyUsage `usages`; extendedKeyUsage `purposes`;
+ *   subjectAltName/issuerAltName `altNames`; subjectKeyIdentifier `keyIdentifier`;
+ *   authorityKeyIdentifier `keyIdentifier`, `issuer`, `serial`; crlDistributionPoints `distributionPoints`;
+ *   authorityInfoAccess `accessDescriptions`; certificatePolicies `policies`; nsComment `comment`;
+ *   nsCertType `types`; unknown extensions `value` (hex).
+ */
+export function decodeExtension(node) {
+  const id = asn1.derToOid(node.value[0].value);
+  const critical = node.value.length === 3 && node.value[1].value.charCodeAt(0) !== 0;
+  const raw = node.value[node.value.length - 1].value;
+  const ext = { id, name: EXTENSION_NAMES_BY_OID[id] || id, critical };
+
+  // A value that does not decode as its extension is kept as hex, as `openssl x509 -text` dumps it
+  try {
+    return decodeExtensionValue(ext, asn1.fromDer(raw, { decodeBitStrings: false }), raw);
+  } catch (e) {
+    return { ...ext, value: forge.util.bytesToHex(raw) };
+  }
+}
+
+/**
+ * Decode the fields of a known extension.
+ * @param {Object} ext - `{ id, name, critical }`, to which the fields are added.
+ * @param {Object} value - forge ASN.1 of the extension value.
+ * @param {string} raw - Extension value DER, for unknown extensions.
+ * @returns {Object} The extension with its fields.
+ * @throws {Error} If the value does not have the extension's structure.
+ */
+function decodeExtensionValue(ext, value, raw) {
+  switch (ext.name) {
+    case 'basicConstraints': {
+      ext.cA = false;
+      for (const item of value.value) {
+        if (item.type === asn1.Type.BOOLEAN) ext.cA = item.value.charCodeAt(0) !== 0;
+        if (item.type === asn1.Type.INTEGER) ext.pathLenConstraint = asn1.derToInteger(item.value);
+      }
+      return ext;
+    }
+    case 'keyUsage': {
+      const bits = bitStringBits(value.value);
+      ext.usages = KEY_USAGE_BITS.filter((_, i) => bits[i]);
+      return ext;
+    }
+    case 'extendedKeyUsage':
+      ext.purposes = value.value.map((oidNode) => {
+        const oid = asn1.derToOid(oidNode.value);
+        return Object.keys(EKU_OIDS).find(k => EKU_OIDS[k] === oid) || oid;
+      });
+      return ext;
+    case 'subjectAltName':
+    case 'issuerAltName':
+      ext.altNames = value.value.map(decodeGeneralName);
+      return ext;
+    case 'subjectKeyIdentifier':
+      ext.keyIdentifier = forge.util.bytesToHex(value.value);
+      return ext;
+    case 'authorityKeyIdentifier':
+      for (const item of value.value) {
+        if (item.type === 0) ext.keyIdentifier = forge.util.bytesToHex(item.value);
+        if (item.type === 1) ext.issuer = item.value.map(decodeGeneralName);
+        if (item.type === 2) ext.serial = forge.util.bytesToHex(item.value.replace(/^\x00+(?=[\s\S])/, ''));
+      }
+      return ext;
+    case 'crlDistributionPoints':
+      ext.distributionPoints = value.value.map((dp) => {
+        const point = dp.value.find(i => i.type === 0);
+        const fullName = point && point.value.find(i => i.type === 0);
+        return { fullName: fullName ? fullName.value.map(decodeGeneralName) : [] };
+      });
+      return ext;
+    case 'authorityInfoAccess':
+      ext.accessDescriptions = value.value.map((ad) => {
+        const oid = asn1.derToOid(ad.value[0].value);
+        return {
+          method: Object.keys(ACCESS_METHOD_OIDS).find(k => ACCESS_METHOD_OIDS[k] === oid) || oid,
+          location: decodeGeneralName(ad.value[1])
+        };
+      });
+      return ext;
+    case 'certificatePolicies':
+      ext.policies = value.value.map(p => ({
+        policy: asn1.derToOid(p.value[0].value),
+        qualifiers: (p.value[1] ? p.value[1].value : []).map(decodePolicyQualifier)
+      }));
+      return ext;
+    case 'nsComment':
+      ext.comment = value.value;
+      return ext;
+    case 'nsCertType': {
+      const bits = bitStringBits(value.value);
+      ext.types = NS_CERT_TYPES.filter((_, i) => bits[i]).map(([name]) => name);
+      return ext;
+    }
+    case 'cRLNumber':
+    case 'deltaCRLIndicator':
+      ext.number = forge.util.bytesToHex(value.value.replace(/^\x00+(?=[\s\S])/, ''));
+      return ext;
+    case 'cRLReason': {
+      const code = value.value.charCodeAt(0);
+      ext.reason = Object.keys(CRL_REASONS).find(k => CRL_REASONS[k] === code) || String(code);
+      return ext;
+    }
+    case 'invalidityDate':
+      ext.date = asn1.generalizedTimeToDate(value.value);
+      return ext;
+    default:
+      ext.value = forge.util.bytesToHex(raw);
+      return ext;
+  }
+}
+
+/**
+ * Decode the Extensions SEQUENCE of a certificate, CSR attribute or CRL.
+ * @param {Object} node - forge ASN.1 SEQUENCE OF Extension.
+ * @returns {Array<Object>} Decoded extensions (see {@link decodeExtension}).
+ */
+export function decodeExtensions(node) {
+  const isExtension = ext => ext.constructed && Array.isArray(ext.value) && [2, 3].includes(ext.value.length) &&
+    ext.value[0].type === asn1.Type.OID && ext.value[ext.value.length - 1].type === asn1.Type.OCTETSTRING &&
+    (ext.value.length === 2 || ext.value[1].type === asn1.Type.BOOLEAN);
+  if (!node || !node.constructed || !Array.isArray(node.value) || !node.value.every(isExtension)) {
+    throw new InvalidEncodingError('Invalid extensions', { module: 'extensions' });
+  }
+  return node.value.map(decodeExtension);
+}
+
+/**
+ * Render a decoded extension the way `openssl x509 -text` does.
+ * @param {Object} ext - Extension from {@link decodeExtension}.
+ * @returns {{title: string, lines: string[]}} Heading (with ' critical' when set) and value lines.
+ */
+export function extensionToText(ext) {
+  const title = `${EXTENSION_TITLES[ext.name] || ext.id}:${ext.critical ? ' critical' : ' '}`;
+  let lines;
+  switch (ext.name) {
+    case 'basicConstraints':
+      lines = [`CA:${ext.cA ? 'TRUE' : 'FALSE'}${ext.pathLenConstraint !== undefined ? `, pathlen:${ext.pathLenConstraint}` : ''}`];
+      break;
+    case 'keyUsage':
+      lines = [ext.usages.map(u => KEY_USAGE_LABELS[KEY_USAGE_BITS.indexOf(u)]).join(', ')];
+      break;
+    case 'extendedKeyUsage':
+      lines = [ext.purposes.map(p => EKU_LABELS[p] || p).join(', ')];
+      break;
+    case 'subjectAltName':
+    case 'issuerAltName':
+      lines = [ext.altNames.map(formatGeneralName).join(', ')];
+      break;
+    case 'subjectKeyIdentifier':
+      lines = [colonHex(ext.keyIdentifier)];
+      break;
+    case 'authorityKeyIdentifier':
+      lines = [];
+      // A lone key identifier prints bare; with issuer/serial it gets the keyid: prefix
+      if (ext.keyIdentifier) {
+        lines.push(ext.issuer || ext.serial ? `keyid:${colonHex(ext.keyIdentifier)}` : colonHex(ext.keyIdentifier));
+      }
+      if (ext.issuer) lines.push(...ext.issuer.map(formatGeneralName));
+      if (ext.serial) lines.push(`serial:${colonHex(ext.serial)}`);
+      break;
+    case 'crlDistributionPoints':
+      lines = ext.distributionPoints.flatMap(dp => ['Full Name:', ...dp.fullName.map(n => `  ${formatGeneralName(n)}`)]);
+      break;
+    case 'authorityInfoAccess':
+      lines = ext.accessDescriptions.map(ad =>
+        `${ad.method === 'caIssuers' ? 'CA Issuers' : ad.method} - ${formatGeneralName(ad.location)}`);
+      break;
+    case 'certificatePolicies':
+      lines = ext.policies.flatMap(p => [
+        `Policy: ${p.policy === '2.5.29.32.0' ? 'X509v3 Any Policy' : p.policy}`,
+        ...p.qualifiers.flatMap(q => (q.type === 'CPS'
+          ? [`  CPS: ${q.value}`]
+          : ['  User Notice:', ...(q.explicitText !== undefined ? [`    Explicit Text: ${q.explicitText}`] : [])]))
+      ]);
+      break;
+    case 'nsComment':
+      lines = [ext.comment];
+      break;
+    case 'nsCertType':
+      lines = [ext.types.map(t => NS_CERT_TYPES.find(([name]) => name === t)[1]).join(', ')];
+      break;
+    case 'cRLNumber':
+    case 'deltaCRLIndicator':
+      lines = [BigInt(`0x${ext.number}`).toString()];
+      break;
+    case 'cRLReason':
+      lines = [CRL_REASON_LABELS[ext.reason] || ext.reason];
+      break;
+    case 'invalidityDate':
+      lines = [ext.date.toISOString()];
+      break;
+    default:
+      // Unknown extensions print as an ASCII dump of the value, like OpenSSL
+      lines = [(forge.util.hexToBytes(ext.value).match(/[\s\S]/g) || [])
+        .map(c => (c >= ' ' && c <= '~' ? c : '.')).join('')];
+  }
+  return { title, lines };
+}
@@ -0,0 +1,257 @@
+/**
+ * JSON Web Key (RFC 7517/7518/8037) conversion to and from the PKCS#8/SPKI
+ * form used by the rest of the library, and loading of any key input (PEM,
+ * DER, JWK or CryptoKey). RSA, EC and OKP keys are converted with node-forge
+ * ASN.1; only the X25519 public key needs Web Crypto.
+ *
+ * @module utils/jwk
+ */
+
+import forge from 'node-forge';
+import {
+  bytesToBase64Url,
+  base64UrlToBytes,
+  bytesToBinaryString,
+  binaryStringToBytes
+} from './encoding.js';
+import {
+  KEY_OIDS,
+  CURVE_OIDS,
+  derToAsn1,
+  asn1ToDer,
+  wrapPkcs8,
+  wrapSpki,
+  publicKeyFromPrivate,
+  loadKey
+} from './keys.js';
+import { getWebCrypto, isCryptoKey } from './webcrypto.js';
+import { InvalidArgumentError, InvalidEncodingError, UnsupportedAlgorithmError } from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** Field size in bytes of each supported curve. */
+const CURVE_SIZES = { 'P-256': 32, 'P-384': 48, 'P-521': 66 };
+
+/**
+ * Base64url-encode an ASN.1 INTEGER value without its sign octet.
+ * @param {string} value - INTEGER contents as a binary string.
+ * @returns {string} base64url.
+ */
+function integerToB64(value) {
+  return bytesToBase64Url(binaryStringToBytes(value.replace(/^\x00+/, '')));
+}
+
+/**
+ * Build an ASN.1 INTEGER from a base64url JWK member.
+ * @param {string} b64 - Unsigned big-endian integer, base64url-encoded.
+ * @returns {Object} forge ASN.1 INTEGER.
+ */
+function b64ToInteger(b64) {
+  let value = bytesToBinaryString(base64UrlToBytes(b64)).replace(/^\x00+/, '') || '\x00';
+  if (value.charCodeAt(0) & 0x80) value = '\x00' + value;
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, value);
+}
+
+/**
+ * Read the raw public key bytes of a SubjectPublicKeyInfo.
+ * @param {Uint8Array} spki - SPKI DER.
+ * @returns {string} BIT STRING contents (binary string, without the unused-bits octet).
+ */
+function spkiKeyBytes(spki) {
+  const obj = asn1.fromDer(bytesToBinaryString(spki), { decodeBitStrings: false });
+  return obj.value[1].value.substring(1);
+}
+
+/**
+ * Derive an X25519 public key with Web Crypto (node-forge has no X25519).
+ * @param {Uint8Array} pkcs8 - X25519 PKCS#8 DER.
+ * @returns {Promise<Uint8Array>} 32-byte public key.
+ * @throws {Error} If the runtime lacks X25519 support.
+ */
+async function x25519PublicKey(pkcs8) {
+  const crypto = getWebCrypto();
+  if (!crypto) {
+    throw new UnsupportedAlgorithmError('Deriving an X25519 public key requires Web Crypto', { module: 'jwk' });
+  }
+  try {
+    const key = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'X25519' }, true, ['deriveBits']);
+    const jwk = await crypto.subtle.exportKey('jwk', key);
+    return base64UrlToBytes(jwk.x);
+  } catch (e) {
+    throw new UnsupportedAlgorithmError(
+      `X25519 is not supported by this runtime's Web Crypto: ${e.message}`,
+      { module: 'jwk', cause: e }
+    );
+  }
+}
+
+/**
+ * Derive the SubjectPublicKeyInfo of any supported private key, using Web
+ * Crypto for X25519 where {@link publicKeyFromPrivate} cannot.
+ * @param {KeyInfo} info - Private key from loadKey().
+ * @returns {Promise<Uint8Array>} SPKI DER.
+ */
+export async function derivePublicKey(info) {
+  if (info.type === 'X25519') {
+    return wrapSpki(await x25519PublicKey(info.pkcs8), KEY_OIDS.X25519);
+  }
+  return publicKeyFromPrivate(info);
+}
+
+/**
+ * Convert a key to a JWK. Private keys include their public members.
+ * @param {KeyInfo} info - Key from loadKey().
+ * @returns {Promise<Object>} JWK without `alg`, `use` or `key_ops`.
+ * @throws {Error} If the key type has no JWK form here (RSA-PSS).
+ */
+export async function keyToJwk(info) {
+  const spki = info.kind === 'private' ? await derivePublicKey(info) : info.spki;
+  const pub = spkiKeyBytes(spki);
+
+  switch (info.type) {
+    case 'RSA': {
+      if (info.kind === 'private') {
+        const [, n, e, d, p, q, dp, dq, qi] = asn1.fromDer(derToAsn1(info.pkcs8).value[2].value).value
+          .map(i => integerToB64(i.value));
+        return { kty: 'RSA', n, e, d, p, q, dp, dq, qi };
+      }
+      const [n, e] = asn1.fromDer(pub).value.map(i => integerToB64(i.value));
+      return { kty: 'RSA', n, e };
+    }
+    case 'EC': {
+      const size = CURVE_SIZES[info.curve];
+      const jwk = {
+        kty: 'EC',
+        crv: info.curve,
+        x: bytesToBase64Url(binaryStringToBytes(pub.substr(1, size))),
+        y: bytesToBase64Url(binaryStringToBytes(pub.substr(1 + size, size)))
+      };
+      if (info.kind === 'private') {
+        const d = asn1.fromDer(derToAsn1(info.pkcs8).value[2].value).value[1].value;
+        jwk.d = bytesToBase64Url(binaryStringToBytes(d.padStart(size, '\x00')));
+      }
+      return jwk;
+    }
+    case 'Ed25519':
+    case 'X25519': {
+      const jwk = { kty: 'OKP', crv: info.type, x: bytesToBase64Url(binaryStringToBytes(pub)) };
+      if (info.kind === 'private') {
+        jwk.d = bytesToBase64Url(binaryStringToBytes(asn1.fromDer(derToAsn1(info.pkcs8).value[2].value).value));
+      }
+      return jwk;
+    }
+    default:
+      throw new UnsupportedAlgorithmError(`${info.type} keys cannot be exported as JWK`, { module: 'jwk' });
+  }
+}
+
+/**
+ * Convert a JWK to the normalized key form.
+ * @param {Object} jwk - RSA, EC (P-256/P-384/P-521) or OKP (Ed25519/X25519) JWK.
+ * @returns {KeyInfo} Normalized key.
+ * @throws {Error} If the JWK is incomplete or of an unsupported type.
+ */
+export function jwkToKey(jwk) {
+  if (!jwk || typeof jwk !== 'object' || !jwk.kty) {
+    throw new InvalidEncodingError('Invalid JWK: missing kty', { module: 'jwk' });
+  }
+  const require = (...names) => {
+    const missing = names.filter(n => typeof jwk[n] !== 'string');
+    if (missing.length) {
+      throw new InvalidEncodingError(`Invalid ${jwk.kty} JWK: missing ${missing.join(', ')}`, { module: 'jwk' });
+    }
+  };
+
+  switch (jwk.kty) {
+    case 'RSA': {
+      require('n', 'e');
+      if (jwk.d === undefined) {
+        const rsaPublic = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [b64ToInteger(jwk.n), b64ToInteger(jwk.e)]);
+        return { kind: 'public', type: 'RSA', spki: wrapSpki(asn1ToDer(rsaPublic), KEY_OIDS.rsaEncryption) };
+      }
+      // Keys with only n/e/d cannot be written as PKCS#1
+      require('d', 'p', 'q', 'dp', 'dq', 'qi');
+      const rsaPrivate = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+        ...['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'].map(m => b64ToInteger(jwk[m]))
+      ]);
+      return { kind: 'private', type: 'RSA', pkcs8: wrapPkcs8(asn1ToDer(rsaPrivate), KEY_OIDS.rsaEncryption) };
+    }
+    case 'EC': {
+      require('crv', 'x', 'y');
+      const size = CURVE_SIZES[jwk.crv];
+      if (!size) {
+        throw new UnsupportedAlgorithmError(
+          `Unsupported JWK curve: ${jwk.crv} (use P-256, P-384 or P-521)`,
+          { module: 'jwk' }
+        );
+      }
+      const coord = (m) => bytesToBinaryString(base64UrlToBytes(jwk[m])).padStart(size, '\x00');
+      const point = '\x04' + coord('x') + coord('y');
+      if (jwk.d === undefined) {
+        return { kind: 'public', type: 'EC', curve: jwk.crv, spki: wrapSpki(binaryStringToBytes(point), KEY_OIDS.ecPublicKey, CURVE_OIDS[jwk.crv]) };
+      }
+      // SEC1 ECPrivateKey without the [0] parameters, which PKCS#8 carries
+      const ecPrivate = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x01'),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, coord('d')),
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x00' + point)
+        ])
+      ]);
+      return {
+        kind: 'private',
+        type: 'EC',
+        curve: jwk.crv,
+        pkcs8: wrapPkcs8(asn1ToDer(ecPrivate), KEY_OIDS.ecPublicKey, CURVE_OIDS[jwk.crv])
+      };
+    }
+    case 'OKP': {
+      require('crv');
+      if (!['Ed25519', 'X25519'].includes(jwk.crv)) {
+        throw new UnsupportedAlgorithmError(
+          `Unsupported OKP curve: ${jwk.crv} (use Ed25519 or X25519)`,
+          { module: 'jwk' }
+        );
+      }
+      if (jwk.d === undefined) {
+        require('x');
+        return { kind: 'public', type: jwk.crv, spki: wrapSpki(base64UrlToBytes(jwk.x), KEY_OIDS[jwk.crv]) };
+      }
+      const seed = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(base64UrlToBytes(jwk.d)));
+      return { kind: 'private', type: jwk.crv, pkcs8: wrapPkcs8(asn1ToDer(seed), KEY_OIDS[jwk.crv]) };
+    }
+    default:
+      throw new UnsupportedAlgorithmError(
+        `Unsupported JWK key type: ${jwk.kty} (use RSA, EC or OKP)`,
+        { module: 'jwk' }
+      );
+  }
+}
+
+/**
+ * Read any key input the API accepts into the normalized form.
+ * @param {string|Uint8Array|ArrayBuffer|Object|CryptoKey} input - PEM, DER, JWK or CryptoKey.
+ * @param {string} [passin] - Passphrase for encrypted keys.
+ * @returns {Promise<KeyInfo>} Normalized key.
+ * @throws {Error} If a CryptoKey is not extractable.
+ */
+export async function readKeyInput(input, passin) {
+  if (isCryptoKey(input)) {
+    if (!input.extractable) {
+      throw new InvalidArgumentError('CryptoKey is not extractable', { module: 'jwk' });
+    }
+    const crypto = getWebCrypto();
+    if (!crypto) {
+      throw new UnsupportedAlgorithmError('Reading a CryptoKey requires Web Crypto', { module: 'jwk' });
+    }
+    if (input.type === 'private') {
+      return loadKey(new Uint8Array(await crypto.subtle.exportKey('pkcs8', input)));
+    }
+    return loadKey(new Uint8Array(await crypto.subtle.exportKey('spki', input)));
+  }
+  if (typeof input === 'object' && !(input instanceof Uint8Array) && !(input instanceof ArrayBuffer)) {
+    return jwkToKey(input);
+  }
+  return loadKey(input, passin);
+}
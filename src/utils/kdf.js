@@ -0,0 +1,135 @@
+/**
+ * PBKDF2 (RFC 8018) and HKDF (RFC 5869) over raw bytes, through Web Crypto
+ * with a node-forge fallback.
+ *
+ * @module utils/kdf
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes, concatBytes } from './encoding.js';
+import { getWebCrypto } from './webcrypto.js';
+import { assertFallbackAllowed } from './config.js';
+
+/** Web Crypto names of the digests both Web Crypto and node-forge have, keyed by node-forge name. */
+const WEB_HASHES = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * PBKDF2 through Web Crypto, or node-forge for digests Web Crypto lacks
+ * (and, outside strict mode, when Web Crypto is missing).
+ * @param {Uint8Array} password - Password bytes.
+ * @param {Uint8Array} salt - Salt.
+ * @param {number} iterations - Iteration count.
+ * @param {string} mdName - node-forge digest name, e.g. 'sha256'.
+ * @param {number} length - Number of bytes to derive.
+ * @param {string} [module='enc'] - Calling command, for errors and debug output.
+ * @returns {Promise<Uint8Array>} Derived bytes.
+ * @throws {PolicyError} If Web Crypto is missing in strict mode.
+ */
+export async function pbkdf2(password, salt, iterations, mdName, length, module = 'enc') {
+  const crypto = getWebCrypto();
+  const webHash = WEB_HASHES[mdName];
+  if (crypto && webHash) {
+    const keyMaterial = await crypto.subtle.importKey('raw', password, { name: 'PBKDF2' }, false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations, hash: webHash },
+      keyMaterial,
+      length * 8
+    );
+    return new Uint8Array(bits);
+  }
+  if (!crypto) {
+    assertFallbackAllowed(module, 'PBKDF2 without Web Crypto');
+  }
+  return binaryStringToBytes(forge.pkcs5.pbkdf2(
+    bytesToBinaryString(password),
+    bytesToBinaryString(salt),
+    iterations,
+    length,
+    forge.md[mdName].create()
+  ));
+}
+
+/**
+ * HMAC through Web Crypto, or node-forge for digests Web Crypto lacks (and,
+ * outside strict mode, when it is missing).
+ * @param {string} mdName - node-forge digest name.
+ * @param {Uint8Array} key - Key.
+ * @param {Uint8Array} data - Message.
+ * @param {string} module - Calling command.
+ * @returns {Promise<Uint8Array>} MAC.
+ */
+async function hmacBytes(mdName, key, data, module) {
+  const crypto = getWebCrypto();
+  const webHash = WEB_HASHES[mdName];
+  if (crypto && webHash) {
+    const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: webHash }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, data));
+  }
+  if (!crypto) {
+    assertFallbackAllowed(module, 'HMAC without Web Crypto');
+  }
+  const h = forge.hmac.create();
+  h.start(mdName, bytesToBinaryString(key));
+  h.update(bytesToBinaryString(data));
+  return binaryStringToBytes(h.digest().getBytes());
+}
+
+/**
+ * HKDF-Extract: PRK = HMAC(salt, IKM).
+ * @param {Uint8Array} ikm - Input keying material.
+ * @param {Uint8Array} salt - Salt; empty means HashLen zero bytes.
+ * @param {string} mdName - node-forge digest name, e.g. 'sha256'.
+ * @param {string} [module='enc'] - Calling command, for errors and debug output.
+ * @returns {Promise<Uint8Array>} Pseudorandom key of the digest length.
+ * @throws {PolicyError} If Web Crypto is missing in strict mode.
+ */
+export async function hkdfExtract(ikm, salt, mdName, module = 'enc') {
+  const hashLength = forge.md[mdName].create().digestLength;
+  return hmacBytes(mdName, salt.length ? salt : new Uint8Array(hashLength), ikm, module);
+}
+
+/**
+ * HKDF-Expand: T(i) = HMAC(PRK, T(i-1) || info || i).
+ * @param {Uint8Array} prk - Pseudorandom key, at least the digest length.
+ * @param {Uint8Array} info - Context information (may be empty).
+ * @param {string} mdName - node-forge digest name, e.g. 'sha256'.
+ * @param {number} length - Number of bytes to derive, at most 255 digest lengths.
+ * @param {string} [module='enc'] - Calling command, for errors and debug output.
+ * @returns {Promise<Uint8Array>} Derived bytes.
+ * @throws {PolicyError} If Web Crypto is missing in strict mode.
+ */
+export async function hkdfExpand(prk, info, mdName, length, module = 'enc') {
+  const hashLength = forge.md[mdName].create().digestLength;
+  const out = new Uint8Array(length);
+  let t = new Uint8Array(0);
+  for (let i = 1, offset = 0; offset < length; i++, offset += hashLength) {
+    t = await hmacBytes(mdName, prk, concatBytes(t, info, new Uint8Array([i])), module);
+    out.set(t.subarray(0, Math.min(hashLength, length - offset)), offset);
+  }
+  return out;
+}
+
+/**
+ * HKDF extract-and-expand (RFC 5869) through Web Crypto, or the HMAC steps
+ * above for digests Web Crypto lacks (and, outside strict mode, when it is
+ * missing).
+ * @param {Uint8Array} ikm - Input keying material.
+ * @param {Uint8Array} salt - Salt (may be empty).
+ * @param {Uint8Array} info - Context information (may be empty).
+ * @param {string} mdName - node-forge digest name, e.g. 'sha256'.
+ * @param {number} length - Number of bytes to derive, at most 255 digest lengths.
+ * @param {string} [module='enc'] - Calling command, for errors and debug output.
+ * @returns {Promise<Uint8Array>} Derived bytes.
+ * @throws {PolicyError} If Web Crypto is missing in strict mode.
+ */
+export async function hkdf(ikm, salt, info, mdName, length, module = 'enc') {
+  const crypto = getWebCrypto();
+  const webHash = WEB_HASHES[mdName];
+  if (crypto && webHash) {
+    const keyMaterial = await crypto.subtle.importKey('raw', ikm, { name: 'HKDF' }, false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'HKDF', hash: webHash, salt, info }, keyMaterial, length * 8);
+    return new Uint8Array(bits);
+  }
+  const prk = await hkdfExtract(ikm, salt, mdName, module);
+  return hkdfExpand(prk, info, mdName, length, module);
+}
@@ -0,0 +1,165 @@
+/**
+ * SHA-3 and SHAKE (FIPS 202) on the Keccak-f[1600] permutation. Neither
+ * Web Crypto nor node-forge provides them, and CryptoJS's "SHA3" is the
+ * pre-standard Keccak padding, which gives different digests. 64-bit lanes
+ * are kept as (low, high) pairs of 32-bit halves.
+ *
+ * @module utils/keccak
+ */
+
+import { InvalidArgumentError } from './errors.js';
+
+/** Round constants of the iota step, as (low, high) pairs. */
+const ROUND_CONSTANTS = new Uint32Array([
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000, 0x80008000, 0x80000000,
+  0x0000808b, 0x00000000, 0x80000001, 0x00000000, 0x80008081, 0x80000000, 0x00008009, 0x80000000,
+  0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+  0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003, 0x80000000,
+  0x00008002, 0x80000000, 0x00000080, 0x80000000, 0x0000800a, 0x00000000, 0x8000000a, 0x80000000,
+  0x80008081, 0x80000000, 0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+]);
+
+/** Rotation offsets of the rho step, indexed by lane x + 5y. */
+const RHO = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+/** Destination lane of the pi step, indexed by lane x + 5y. */
+const PI = Array.from({ length: 25 }, (_, i) => {
+  const x = i % 5;
+  const y = Math.floor(i / 5);
+  return y + 5 * ((2 * x + 3 * y) % 5);
+});
+
+/**
+ * Keccak-f[1600], in place.
+ * @param {Uint32Array} s - 25 lanes.
+ * @param {Uint32Array} b - 25-lane scratch space.
+ * @param {Uint32Array} c - 5-lane scratch space.
+ */
+function permute(s, b, c) {
+  for (let round = 0; round < 24; round++) {
+    // theta
+    for (let x = 0; x < 5; x++) {
+      c[2 * x] = s[2 * x] ^ s[2 * x + 10] ^ s[2 * x + 20] ^ s[2 * x + 30] ^ s[2 * x + 40];
+      c[2 * x + 1] = s[2 * x + 1] ^ s[2 * x + 11] ^ s[2 * x + 21] ^ s[2 * x + 31] ^ s[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const l = (x + 4) % 5;
+      const r = (x + 1) % 5;
+      const dLo = c[2 * l] ^ ((c[2 * r] << 1) | (c[2 * r + 1] >>> 31));
+      const dHi = c[2 * l + 1] ^ ((c[2 * r + 1] << 1) | (c[2 * r] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        s[2 * (x + y)] ^= dLo;
+        s[2 * (x + y) + 1] ^= dHi;
+      }
+    }
+    // rho and pi
+    for (let i = 0; i < 25; i++) {
+      let lo = s[2 * i];
+      let hi = s[2 * i + 1];
+      let n = RHO[i];
+      if (n >= 32) {
+        [lo, hi] = [hi, lo];
+        n -= 32;
+      }
+      const j = PI[i];
+      if (n === 0) {
+        b[2 * j] = lo;
+        b[2 * j + 1] = hi;
+      } else {
+        b[2 * j] = (lo << n) | (hi >>> (32 - n));
+        b[2 * j + 1] = (hi << n) | (lo >>> (32 - n));
+      }
+    }
+    // chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const i = 2 * (y + x);
+        const i1 = 2 * (y + (x + 1) % 5);
+        const i2 = 2 * (y + (x + 2) % 5);
+        s[i] = b[i] ^ (~b[i1] & b[i2]);
+        s[i + 1] = b[i + 1] ^ (~b[i1 + 1] & b[i2 + 1]);
+      }
+    }
+    // iota
+    s[0] ^= ROUND_CONSTANTS[2 * round];
+    s[1] ^= ROUND_CONSTANTS[2 * round + 1];
+  }
+}
+
+/**
+ * Start an incremental Keccak sponge.
+ * @param {number} rate - Rate in bytes (200 minus twice the security level).
+ * @param {number} suffix - Domain separation bits with the first padding bit: 0x06 for SHA-3, 0x1f for
+ *   SHAKE.
+ * @param {number} outLength - Output length in bytes.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher; `update`
+ *   returns the hasher.
+ * @throws {InvalidArgumentError} If the output length is not a positive integer.
+ */
+export function createKeccak(rate, suffix, outLength) {
+  if (!Number.isInteger(outLength) || outLength < 1) {
+    throw new InvalidArgumentError('Keccak output length must be a positive integer', { module: 'keccak' });
+  }
+  const s = new Uint32Array(50);
+  const b = new Uint32Array(50);
+  const c = new Uint32Array(10);
+  const block = new Uint8Array(rate);
+  const view = new DataView(block.buffer);
+  let filled = 0;
+
+  const absorb = () => {
+    for (let i = 0; i < rate / 4; i++) s[i] ^= view.getUint32(i * 4, true);
+    permute(s, b, c);
+    block.fill(0);
+    filled = 0;
+  };
+
+  const hasher = {
+    update(data) {
+      for (let i = 0; i < data.length;) {
+        const n = Math.min(rate - filled, data.length - i);
+        block.set(data.subarray(i, i + n), filled);
+        filled += n;
+        i += n;
+        if (filled === rate) absorb();
+      }
+      return hasher;
+    },
+    digest() {
+      block[filled] ^= suffix;
+      block[rate - 1] ^= 0x80;
+      absorb();
+      const out = new Uint8Array(outLength);
+      for (let offset = 0; ; ) {
+        for (let i = 0; i < rate / 4; i++) view.setUint32(i * 4, s[i], true);
+        const n = Math.min(rate, outLength - offset);
+        out.set(block.subarray(0, n), offset);
+        offset += n;
+        if (offset === outLength) break;
+        permute(s, b, c);
+      }
+      return out;
+    }
+  };
+  return hasher;
+}
+
+/**
+ * Start a SHA3-224/256/384/512 hash.
+ * @param {number} bits - Digest size: 224, 256, 384 or 512.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ */
+export function createSha3(bits) {
+  return createKeccak(200 - bits / 4, 0x06, bits / 8);
+}
+
+/**
+ * Start a SHAKE128 or SHAKE256 extendable-output hash.
+ * @param {number} bits - Security level: 128 or 256.
+ * @param {number} outLength - Output length in bytes.
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array}} Hasher.
+ * @throws {InvalidArgumentError} If the output length is not a positive integer.
+ */
+export function createShake(bits, outLength) {
+  return createKeccak(200 - bits / 4, 0x1f, outLength);
+}
@@ -0,0 +1,536 @@
+/**
+ * Key loading helpers: PEM/DER detection and normalization of the common
+ * OpenSSL key containers (PKCS#1, SEC1, PKCS#8, SPKI) to PKCS#8/SPKI DER,
+ * which is what Web Crypto imports. Encrypted PKCS#8 and legacy
+ * `Proc-Type: 4,ENCRYPTED` PEM are decrypted when a passphrase is given.
+ *
+ * @module utils/keys
+ */
+
+import forge from 'node-forge';
+import {
+  base64ToBytes,
+  bytesToBase64,
+  bytesToBinaryString,
+  binaryStringToBytes
+} from './encoding.js';
+import { pbeEncrypt, pbeDecrypt } from './pbe.js';
+import {
+  InvalidEncodingError,
+  BadDecryptError,
+  InvalidArgumentError,
+  UnsupportedAlgorithmError
+} from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** Key algorithm OIDs. */
+export const KEY_OIDS = {
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  rsassaPss: '1.2.840.113549.1.1.10',
+  ecPublicKey: '1.2.840.10045.2.1',
+  X25519: '1.3.101.110',
+  Ed25519: '1.3.101.112'
+};
+
+/** Named curve OIDs keyed by Web Crypto curve name. */
+export const CURVE_OIDS = {
+  'P-256': '1.2.840.10045.3.1.7',
+  'P-384': '1.3.132.0.34',
+  'P-521': '1.3.132.0.35'
+};
+
+/** Curve aliases accepted wherever a curve name is taken. */
+const CURVE_ALIASES = {
+  'P-256': 'P-256', 'P256': 'P-256', 'PRIME256V1': 'P-256', 'SECP256R1': 'P-256',
+  'P-384': 'P-384', 'P384': 'P-384', 'SECP384R1': 'P-384',
+  'P-521': 'P-521', 'P521': 'P-521', 'SECP521R1': 'P-521'
+};
+
+/**
+ * Normalize an OpenSSL or Web Crypto curve name to 'P-256'/'P-384'/'P-521'.
+ * @param {string} name - Curve name (e.g. 'prime256v1', 'secp384r1', 'P-521').
+ * @returns {string} Web Crypto named curve.
+ * @throws {Error} If the curve is unsupported.
+ */
+export function normalizeCurve(name) {
+  const curve = CURVE_ALIASES[String(name).toUpperCase()];
+  if (!curve) {
+    throw new UnsupportedAlgorithmError(`Unsupported curve: ${name} (use P-256, P-384 or P-521)`, { module: 'keys' });
+  }
+  return curve;
+}
+
+/**
+ * Decode the first PEM block in a string.
+ * @param {string} pem - PEM text.
+ * @returns {{label: string, headers: Object, der: Uint8Array}} Block label, RFC 1421 headers and DER bytes.
+ * @throws {InvalidEncodingError} If no PEM block is found.
+ */
+export function pemDecode(pem) {
+  const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(pem);
+  if (!match) {
+    throw new InvalidEncodingError('No PEM block found', { module: 'keys' });
+  }
+  const headers = {};
+  let body = match[2];
+  const split = body.split(/\r?\n\r?\n/);
+  if (split.length > 1 && /^\s*[A-Za-z-]+:/.test(split[0])) {
+    for (const line of split[0].trim().split(/\r?\n/)) {
+      const idx = line.indexOf(':');
+      headers[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    }
+    body = split.slice(1).join('\n');
+  }
+  return { label: match[1], headers, der: base64ToBytes(body) };
+}
+
+/**
+ * Decode every PEM block in a string.
+ * @param {string} pem - PEM text.
+ * @returns {Array<{label: string, headers: Object, der: Uint8Array}>} Blocks in order.
+ */
+export function pemDecodeAll(pem) {
+  const blocks = pem.match(/-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g) || [];
+  return blocks.map(pemDecode);
+}
+
+/**
+ * Encode DER bytes as PEM with 64-character lines.
+ * @param {string} label - PEM label (e.g. 'PUBLIC KEY').
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {string} PEM text ending in a newline.
+ */
+export function pemEncode(label, der) {
+  const body = bytesToBase64(der).replace(/(.{64})/g, '$1\n').replace(/\n$/, '');
+  return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Parse DER bytes with node-forge.
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {Object} forge ASN.1 object.
+ */
+export function derToAsn1(der) {
+  return asn1.fromDer(bytesToBinaryString(der));
+}
+
+/**
+ * Serialize a node-forge ASN.1 object to DER bytes.
+ * @param {Object} obj - forge ASN.1 object.
+ * @returns {Uint8Array} DER bytes.
+ */
+export function asn1ToDer(obj) {
+  return binaryStringToBytes(asn1.toDer(obj).getBytes());
+}
+
+/**
+ * Build an AlgorithmIdentifier for a key type.
+ * @param {string} oid - Key algorithm OID.
+ * @param {string} [curveOid] - Named curve OID for EC keys.
+ * @returns {Object} forge ASN.1 SEQUENCE.
+ */
+function keyAlgorithmIdentifier(oid, curveOid) {
+  const params = [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes())];
+  if (curveOid) {
+    params.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(curveOid).getBytes()));
+  } else if (oid === KEY_OIDS.rsaEncryption) {
+    params.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ''));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, params);
+}
+
+/**
+ * Wrap a PKCS#1 RSAPrivateKey or SEC1 ECPrivateKey in a PKCS#8 PrivateKeyInfo.
+ * @param {Uint8Array} innerDer - Inner private key DER.
+ * @param {string} oid - Key algorithm OID.
+ * @param {string} [curveOid] - Named curve OID for EC keys.
+ * @returns {Uint8Array} PKCS#8 DER.
+ */
+export function wrapPkcs8(innerDer, oid, curveOid) {
+  return asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x00'),
+    keyAlgorithmIdentifier(oid, curveOid),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(innerDer))
+  ]));
+}
+
+/**
+ * Wrap a public key (RSAPublicKey DER or EC point) in a SubjectPublicKeyInfo.
+ * @param {Uint8Array} keyBytes - Public key bytes for the BIT STRING.
+ * @param {string} oid - Key algorithm OID.
+ * @param {string} [curveOid] - Named curve OID for EC keys.
+ * @returns {Uint8Array} SPKI DER.
+ */
+export function wrapSpki(keyBytes, oid, curveOid) {
+  return asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    keyAlgorithmIdentifier(oid, curveOid),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x00' + bytesToBinaryString(keyBytes))
+  ]));
+}
+
+/**
+ * Read the key type and curve from an AlgorithmIdentifier.
+ * @param {Object} algId - forge ASN.1 AlgorithmIdentifier.
+ * @returns {{type: string, curve?: string}} Key type ('RSA', 'RSA-PSS', 'EC', 'Ed25519', 'X25519').
+ * @throws {Error} If the algorithm is unsupported.
+ */
+function keyTypeFromAlgorithmIdentifier(algId) {
+  const oid = asn1.derToOid(algId.value[0].value);
+  switch (oid) {
+    case KEY_OIDS.rsaEncryption: return { type: 'RSA' };
+    case KEY_OIDS.rsassaPss: return { type: 'RSA-PSS' };
+    case KEY_OIDS.Ed25519: return { type: 'Ed25519' };
+    case KEY_OIDS.X25519: return { type: 'X25519' };
+    case KEY_OIDS.ecPublicKey: {
+      const param = algId.value[1];
+      const curveOid = param && param.type === asn1.Type.OID ? asn1.derToOid(param.value) : null;
+      const curve = Object.keys(CURVE_OIDS).find(c => CURVE_OIDS[c] === curveOid);
+      if (!curve) {
+        throw new UnsupportedAlgorithmError(
+          `Unsupported EC curve: ${curveOid || 'explicit parameters'}`,
+          { module: 'keys' }
+        );
+      }
+      return { type: 'EC', curve };
+    }
+    default:
+      throw new UnsupportedAlgorithmError(`Unsupported key algorithm: ${oid}`, { module: 'keys' });
+  }
+}
+
+/**
+ * Identify a DER-encoded key and normalize it to PKCS#8 (private) or SPKI (public).
+ * @param {Uint8Array} der - Key DER in PKCS#8, PKCS#1, SEC1, SPKI or PKCS#1 public format.
+ * @param {string} [label] - PEM label, used as a hint.
+ * @returns {KeyInfo} Normalized key.
+ * @throws {Error} If the structure is not a recognized key.
+ */
+function identifyDerKey(der, label = '') {
+  let obj;
+  try {
+    obj = derToAsn1(der);
+  } catch (e) {
+    throw new InvalidEncodingError(`Invalid key DER: ${e.message}`, { module: 'keys', cause: e });
+  }
+  const items = obj.value;
+  if (!Array.isArray(items) || items.length < 2) {
+    throw new InvalidEncodingError('Unrecognized key structure', { module: 'keys' });
+  }
+
+  // SubjectPublicKeyInfo: SEQUENCE { AlgorithmIdentifier, BIT STRING }
+  if (items[0].type === asn1.Type.SEQUENCE && items[1].type === asn1.Type.BITSTRING) {
+    return { kind: 'public', ...keyTypeFromAlgorithmIdentifier(items[0]), spki: der };
+  }
+
+  if (items[0].type === asn1.Type.INTEGER) {
+    // PKCS#8 PrivateKeyInfo: SEQUENCE { INTEGER 0, AlgorithmIdentifier, OCTET STRING, ... }
+    if (items[1].type === asn1.Type.SEQUENCE && items[2] && items[2].type === asn1.Type.OCTETSTRING) {
+      return { kind: 'private', ...keyTypeFromAlgorithmIdentifier(items[1]), pkcs8: der };
+    }
+    // SEC1 ECPrivateKey: SEQUENCE { INTEGER 1, OCTET STRING, [0] curve, [1] public key }
+    if (items[1].type === asn1.Type.OCTETSTRING) {
+      const params = items.find(i => i.tagClass === asn1.Class.CONTEXT_SPECIFIC && i.type === 0);
+      if (!params) {
+        throw new InvalidEncodingError('SEC1 EC private key without curve parameters', { module: 'keys' });
+      }
+      const curveOid = asn1.derToOid(params.value[0].value);
+      const curve = Object.keys(CURVE_OIDS).find(c => CURVE_OIDS[c] === curveOid);
+      if (!curve) {
+        throw new UnsupportedAlgorithmError(`Unsupported EC curve: ${curveOid}`, { module: 'keys' });
+      }
+      return { kind: 'private', type: 'EC', curve, pkcs8: wrapPkcs8(der, KEY_OIDS.ecPublicKey, curveOid) };
+    }
+    // PKCS#1 RSAPrivateKey: SEQUENCE { version, n, e, d, p, q, dp, dq, qinv }
+    if (items.length >= 9) {
+      return { kind: 'private', type: 'RSA', pkcs8: wrapPkcs8(der, KEY_OIDS.rsaEncryption) };
+    }
+    // PKCS#1 RSAPublicKey: SEQUENCE { n, e }
+    if (items.length === 2 && items[1].type === asn1.Type.INTEGER) {
+      return { kind: 'public', type: 'RSA', spki: wrapSpki(der, KEY_OIDS.rsaEncryption) };
+    }
+  }
+
+  throw new InvalidEncodingError(`Unrecognized key structure${label ? ` in ${label} PEM` : ''}`, { module: 'keys' });
+}
+
+/**
+ * @typedef {Object} KeyInfo
+ * @property {string} kind - 'private' or 'public'.
+ * @property {string} type - 'RSA', 'RSA-PSS', 'EC', 'Ed25519' or 'X25519'.
+ * @property {string} [curve] - Named curve for EC keys ('P-256', 'P-384', 'P-521').
+ * @property {Uint8Array} [pkcs8] - PKCS#8 DER (private keys).
+ * @property {Uint8Array} [spki] - SubjectPublicKeyInfo DER (public keys).
+ */
+
+/**
+ * Check whether DER bytes hold an EncryptedPrivateKeyInfo:
+ * SEQUENCE { AlgorithmIdentifier, OCTET STRING }.
+ * @param {Uint8Array} der - DER bytes.
+ * @returns {boolean} True for encrypted PKCS#8.
+ */
+function isEncryptedPkcs8(der) {
+  try {
+    const items = derToAsn1(der).value;
+    return Array.isArray(items) && items.length === 2 &&
+           items[0].type === asn1.Type.SEQUENCE && items[1].type === asn1.Type.OCTETSTRING;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Load a PEM or DER key of any common OpenSSL format.
+ * @param {string|Uint8Array|ArrayBuffer} key - PEM text or DER bytes.
+ * @param {string} [password] - Passphrase for encrypted PKCS#8 or legacy encrypted PEM (`-passin`).
+ * @returns {KeyInfo} Normalized key.
+ * @throws {Error} If the key cannot be parsed, or is encrypted and the passphrase is missing or wrong.
+ */
+export function loadKey(key, password) {
+  if (typeof key === 'string') {
+    const { label, headers, der } = pemDecode(key);
+    if (label === 'CERTIFICATE') {
+      throw new InvalidArgumentError('Expected a key, got a certificate', { module: 'keys' });
+    }
+    if (label === 'ENCRYPTED PRIVATE KEY') {
+      return identifyDerKey(decryptPkcs8(der, password));
+    }
+    if (headers['Proc-Type']) {
+      return identifyDerKey(decryptLegacyPem(der, headers, password), label);
+    }
+    return identifyDerKey(der, label);
+  }
+  let der;
+  if (key instanceof Uint8Array) der = key;
+  else if (key instanceof ArrayBuffer) der = new Uint8Array(key);
+  else throw new InvalidArgumentError('Key must be a PEM string or DER bytes', { module: 'keys' });
+  return identifyDerKey(isEncryptedPkcs8(der) ? decryptPkcs8(der, password) : der);
+}
+
+/**
+ * Convert a normalized key to a node-forge RSA key object.
+ * @param {KeyInfo} info - Key from {@link loadKey}.
+ * @returns {Object} forge RSA private or public key.
+ * @throws {Error} If the key is not RSA.
+ */
+export function toForgeRsaKey(info) {
+  if (info.type !== 'RSA') {
+    throw new InvalidArgumentError(`Expected an RSA key, got ${info.type}`, { module: 'keys' });
+  }
+  return info.kind === 'private'
+    ? forge.pki.privateKeyFromAsn1(derToAsn1(info.pkcs8))
+    : forge.pki.publicKeyFromAsn1(derToAsn1(info.spki));
+}
+
+/**
+ * Encrypt a PKCS#8 key with a passphrase (PBES2), like
+ * `openssl pkcs8 -topk8 -v2 aes-256-cbc` or, with `kdf: 'scrypt'`, `-scrypt`.
+ * @param {Uint8Array} pkcs8 - PKCS#8 DER.
+ * @param {string} password - Passphrase.
+ * @param {string} [cipher='AES-256-CBC'] - 'AES-128-CBC', 'AES-192-CBC', 'AES-256-CBC' or 'DES-EDE3-CBC'.
+ * @param {Object} [options] - Key derivation options.
+ * @param {string} [options.kdf='pbkdf2'] - 'pbkdf2' or 'scrypt'.
+ * @param {number} [options.iterations=2048] - PBKDF2 iteration count (`-iter`).
+ * @param {string} [options.prf='sha256'] - PBKDF2 HMAC digest (`-v2prf`).
+ * @param {{N: number, r: number, p: number}} [options.scrypt] - scrypt costs (`-scrypt_N`, `-scrypt_r`, `-scrypt_p`).
+ * @returns {Uint8Array} EncryptedPrivateKeyInfo DER.
+ * @throws {Error} If the cipher or KDF is unsupported.
+ */
+export function encryptPkcs8(pkcs8, password, cipher = 'AES-256-CBC', options = {}) {
+  if (!/^(AES-(128|192|256)-CBC|DES-EDE3-CBC)$/i.test(cipher)) {
+    throw new UnsupportedAlgorithmError(`Unsupported PKCS#8 cipher: ${cipher}`, { module: 'keys' });
+  }
+  const { algorithm, ciphertext } = pbeEncrypt(pkcs8, password, { ...options, algorithm: cipher });
+  return asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    algorithm,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(ciphertext))
+  ]));
+}
+
+/**
+ * Decrypt an EncryptedPrivateKeyInfo (PBES2 with PBKDF2 or scrypt, or PKCS#12 PBE).
+ * @param {Uint8Array} der - EncryptedPrivateKeyInfo DER.
+ * @param {string} password - Passphrase.
+ * @returns {Uint8Array} PKCS#8 DER.
+ * @throws {Error} If the passphrase is missing or wrong, or the scheme is unsupported.
+ */
+export function decryptPkcs8(der, password) {
+  if (password === undefined || password === null) {
+    throw new InvalidArgumentError('Private key is encrypted; a passphrase is required', { module: 'keys' });
+  }
+  const [algorithm, data] = derToAsn1(der).value;
+  return pbeDecrypt(algorithm, binaryStringToBytes(data.value), password);
+}
+
+/** Ciphers of legacy encrypted PEM (`DEK-Info`): key length and node-forge name. */
+const LEGACY_PEM_CIPHERS = {
+  'AES-128-CBC': { keyLength: 16, forgeName: 'AES-CBC' },
+  'AES-192-CBC': { keyLength: 24, forgeName: 'AES-CBC' },
+  'AES-256-CBC': { keyLength: 32, forgeName: 'AES-CBC' },
+  'DES-EDE3-CBC': { keyLength: 24, forgeName: '3DES-CBC' },
+  'DES-CBC': { keyLength: 8, forgeName: 'DES-CBC' }
+};
+
+/**
+ * Decrypt a legacy `Proc-Type: 4,ENCRYPTED` PEM body, as written by
+ * `openssl rsa -aes256` or `openssl ec -des3`. The key comes from
+ * EVP_BytesToKey (MD5, one round) salted with the first 8 bytes of the IV.
+ * @param {Uint8Array} der - Encrypted PEM body.
+ * @param {Object} headers - PEM headers with `DEK-Info`.
+ * @param {string} password - Passphrase.
+ * @returns {Uint8Array} Decrypted DER (PKCS#1 or SEC1).
+ * @throws {Error} If the passphrase is missing or wrong, or the cipher is unsupported.
+ */
+function decryptLegacyPem(der, headers, password) {
+  if (password === undefined || password === null) {
+    throw new InvalidArgumentError('Private key is encrypted; a passphrase is required', { module: 'keys' });
+  }
+  const [name, ivHex = ''] = (headers['DEK-Info'] || '').split(',');
+  const cipher = LEGACY_PEM_CIPHERS[name.trim().toUpperCase()];
+  if (!cipher) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported PEM encryption: ${name || 'missing DEK-Info'}`,
+      { module: 'keys' }
+    );
+  }
+  const iv = forge.util.hexToBytes(ivHex.trim());
+  const key = forge.pki.pbe.opensslDeriveBytes(forge.util.encodeUtf8(password), iv.substring(0, 8), cipher.keyLength);
+  const decipher = forge.cipher.createDecipher(cipher.forgeName, key);
+  decipher.start({ iv });
+  decipher.update(forge.util.createBuffer(bytesToBinaryString(der)));
+  if (!decipher.finish()) {
+    throw new BadDecryptError('Decryption failed (wrong password?)', { module: 'keys' });
+  }
+  return binaryStringToBytes(decipher.output.getBytes());
+}
+
+/**
+ * Serialize a PKCS#8 private key as PEM, DER or encrypted PKCS#8.
+ * @param {Uint8Array} pkcs8 - PKCS#8 DER.
+ * @param {Object} [options] - Output options.
+ * @param {string} [options.format='pem'] - 'pem' or 'der'.
+ * @param {string} [options.password] - Encrypt with this passphrase.
+ * @param {string} [options.cipher='AES-256-CBC'] - Cipher for encryption.
+ * @param {string} [options.kdf] - Key derivation for encryption ('pbkdf2' or 'scrypt'); see {@link encryptPkcs8}.
+ * @param {number} [options.iterations] - PBKDF2 iteration count.
+ * @param {Object} [options.scrypt] - scrypt costs.
+ * @returns {string|Uint8Array} Serialized key.
+ */
+export function serializePrivateKey(pkcs8, { format = 'pem', password, cipher, kdf, iterations, scrypt } = {}) {
+  if (password) {
+    const der = encryptPkcs8(pkcs8, password, cipher, { kdf, iterations, scrypt });
+    return format === 'der' ? der : pemEncode('ENCRYPTED PRIVATE KEY', der);
+  }
+  return format === 'der' ? pkcs8 : pemEncode('PRIVATE KEY', pkcs8);
+}
+
+/**
+ * Serialize a SubjectPublicKeyInfo as PEM or DER.
+ * @param {Uint8Array} spki - SPKI DER.
+ * @param {Object} [options] - Output options.
+ * @param {string} [options.format='pem'] - 'pem' or 'der'.
+ * @returns {string|Uint8Array} Serialized key.
+ */
+export function serializePublicKey(spki, { format = 'pem' } = {}) {
+  return format === 'der' ? spki : pemEncode('PUBLIC KEY', spki);
+}
+
+/**
+ * Convert a PKCS#8 private key to its traditional container: PKCS#1
+ * RSAPrivateKey or SEC1 ECPrivateKey (with the curve in [0], as OpenSSL writes it).
+ * @param {Uint8Array} pkcs8 - PKCS#8 DER.
+ * @returns {{label: string, der: Uint8Array}} PEM label ('RSA PRIVATE KEY' or 'EC PRIVATE KEY') and DER.
+ * @throws {Error} If the key type has no traditional format.
+ */
+export function pkcs8ToTraditional(pkcs8) {
+  const info = identifyDerKey(pkcs8);
+  const inner = derToAsn1(pkcs8).value[2].value;
+  if (info.type === 'RSA') {
+    return { label: 'RSA PRIVATE KEY', der: binaryStringToBytes(inner) };
+  }
+  if (info.type !== 'EC') {
+    throw new UnsupportedAlgorithmError(`${info.type} keys have no traditional format; use PKCS#8`, { module: 'keys' });
+  }
+  const ecKey = asn1.fromDer(inner);
+  const hasParams = ecKey.value.some(i => i.tagClass === asn1.Class.CONTEXT_SPECIFIC && i.type === 0);
+  if (!hasParams) {
+    const params = asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(CURVE_OIDS[info.curve]).getBytes())
+    ]);
+    ecKey.value.splice(2, 0, params);
+  }
+  return { label: 'EC PRIVATE KEY', der: asn1ToDer(ecKey) };
+}
+
+/**
+ * Describe a public key: type, size and the public components in hex.
+ * @param {Uint8Array} spki - SubjectPublicKeyInfo DER.
+ * @returns {{type: string, bits: number, n?: string, e?: string, curve?: string, x?: string, y?: string}}
+ *   RSA keys report n/e, EC keys curve/x/y, Ed25519/X25519 keys x.
+ */
+export function publicKeyDetails(spki) {
+  const info = identifyDerKey(spki);
+  const obj = asn1.fromDer(bytesToBinaryString(spki), { decodeBitStrings: false });
+  const keyBytes = obj.value[1].value.substring(1);
+  const hex = (str) => forge.util.bytesToHex(str);
+
+  if (info.type === 'RSA' || info.type === 'RSA-PSS') {
+    const rsa = asn1.fromDer(keyBytes);
+    const n = rsa.value[0].value.replace(/^\x00+/, '');
+    return {
+      type: info.type,
+      bits: n.length * 8 - Math.clz32(n.charCodeAt(0)) + 24,
+      n: hex(n),
+      e: hex(rsa.value[1].value.replace(/^\x00+/, ''))
+    };
+  }
+  if (info.type === 'EC') {
+    const size = (keyBytes.length - 1) / 2;
+    return {
+      type: 'EC',
+      bits: parseInt(info.curve.slice(2), 10),
+      curve: info.curve,
+      x: hex(keyBytes.substr(1, size)),
+      y: hex(keyBytes.substr(1 + size, size))
+    };
+  }
+  return { type: info.type, bits: info.type === 'Ed25519' ? 256 : 253, x: hex(keyBytes) };
+}
+
+/**
+ * Derive the SubjectPublicKeyInfo of a private key.
+ * @param {KeyInfo} info - Private key from {@link loadKey}.
+ * @returns {Uint8Array} SPKI DER.
+ * @throws {Error} If the public key cannot be recovered.
+ */
+export function publicKeyFromPrivate(info) {
+  const inner = derToAsn1(info.pkcs8).value[2].value;
+  switch (info.type) {
+    case 'RSA': {
+      const rsa = asn1.fromDer(inner);
+      return wrapSpki(asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        rsa.value[1], rsa.value[2]
+      ])), KEY_OIDS.rsaEncryption);
+    }
+    case 'EC': {
+      // SEC1 ECPrivateKey carries the public point in [1]
+      const ecKey = asn1.fromDer(inner, { decodeBitStrings: false });
+      const pub = ecKey.value.find(i => i.tagClass === asn1.Class.CONTEXT_SPECIFIC && i.type === 1);
+      if (!pub) {
+        throw new InvalidEncodingError('EC private key does not include its public key', { module: 'keys' });
+      }
+      const point = binaryStringToBytes(pub.value[0].value.substring(1));
+      return wrapSpki(point, KEY_OIDS.ecPublicKey, CURVE_OIDS[info.curve]);
+    }
+    case 'Ed25519': {
+      const seed = binaryStringToBytes(asn1.fromDer(inner).value);
+      const { publicKey } = forge.pki.ed25519.generateKeyPair({ seed });
+      return wrapSpki(new Uint8Array(publicKey), KEY_OIDS.Ed25519);
+    }
+    default:
+      throw new UnsupportedAlgorithmError(
+        `Cannot derive the public key of a ${info.type} key here`,
+        { module: 'keys' }
+      );
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Distinguished Name helpers: OpenSSL `-subj` strings ('/C=US/O=Org/CN=host')
+ * to node-forge attributes, decoding Names from ASN.1 and printing them the
+ * way `openssl x509 -text` does.
+ *
+ * @module utils/names
+ */
+
+import forge from 'node-forge';
+import { InvalidEncodingError, UnsupportedAlgorithmError } from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** DN attributes keyed by OpenSSL short name, with the long name and the string type OpenSSL encodes them as. */
+export const DN_ATTRIBUTES = {
+  C: { oid: '2.5.4.6', long: 'countryName', tag: asn1.Type.PRINTABLESTRING },
+  ST: { oid: '2.5.4.8', long: 'stateOrProvinceName', tag: asn1.Type.UTF8 },
+  L: { oid: '2.5.4.7', long: 'localityName', tag: asn1.Type.UTF8 },
+  street: { oid: '2.5.4.9', long: 'streetAddress', tag: asn1.Type.UTF8 },
+  O: { oid: '2.5.4.10', long: 'organizationName', tag: asn1.Type.UTF8 },
+  OU: { oid: '2.5.4.11', long: 'organizationalUnitName', tag: asn1.Type.UTF8 },
+  CN: { oid: '2.5.4.3', long: 'commonName', tag: asn1.Type.UTF8 },
+  SN: { oid: '2.5.4.4', long: 'surname', tag: asn1.Type.UTF8 },
+  GN: { oid: '2.5.4.42', long: 'givenName', tag: asn1.Type.UTF8 },
+  title: { oid: '2.5.4.12', long: 'title', tag: asn1.Type.UTF8 },
+  serialNumber: { oid: '2.5.4.5', long: 'serialNumber', tag: asn1.Type.PRINTABLESTRING },
+  postalCode: { oid: '2.5.4.17', long: 'postalCode', tag: asn1.Type.UTF8 },
+  organizationIdentifier: { oid: '2.5.4.97', long: 'organizationIdentifier', tag: asn1.Type.UTF8 },
+  emailAddress: { oid: '1.2.840.113549.1.9.1', long: 'emailAddress', tag: asn1.Type.IA5STRING },
+  DC: { oid: '0.9.2342.19200300.100.1.25', long: 'domainComponent', tag: asn1.Type.IA5STRING },
+  UID: { oid: '0.9.2342.19200300.100.1.1', long: 'userId', tag: asn1.Type.UTF8 }
+};
+
+/** Extra aliases accepted in `-subj` strings and policies. */
+const DN_ALIASES = { EMAIL: 'emailAddress', E: 'emailAddress' };
+
+/** OpenSSL short names keyed by OID. */
+const SHORT_NAMES = Object.fromEntries(Object.entries(DN_ATTRIBUTES).map(([name, a]) => [a.oid, name]));
+
+/**
+ * Look up an attribute name (short or long form, case-insensitive).
+ * @param {string} name - Attribute name ('CN', 'commonName', 'emailAddress', ...).
+ * @returns {string|undefined} OpenSSL short name, or undefined if the attribute is unknown.
+ */
+export function findAttributeName(name) {
+  const upper = name.trim().toUpperCase();
+  return Object.keys(DN_ATTRIBUTES).find(k =>
+    k.toUpperCase() === upper || DN_ATTRIBUTES[k].long.toUpperCase() === upper) || DN_ALIASES[upper];
+}
+
+/**
+ * Resolve an attribute name (short or long form, case-insensitive) to its OpenSSL short name.
+ * @param {string} name - Attribute name ('CN', 'commonName', 'emailAddress', ...).
+ * @returns {string} OpenSSL short name.
+ * @throws {UnsupportedAlgorithmError} If the attribute is unknown.
+ */
+export function resolveAttributeName(name) {
+  const short = findAttributeName(name);
+  if (!short) {
+    throw new UnsupportedAlgorithmError(`Unknown DN attribute: ${name}`, { module: 'names' });
+  }
+  return short;
+}
+
+/**
+ * Parse an OpenSSL `-subj` style Distinguished Name. `\/` escapes a slash
+ * inside a value.
+ * @param {string} dn - DN such as '/C=US/O=Example, Inc/CN=example.com'.
+ * @returns {Array<{type: string, shortName: string, value: string, valueTagClass: number}>}
+ *   node-forge attributes in order.
+ * @throws {Error} If an attribute is unknown or malformed.
+ */
+export function parseDistinguishedName(dn) {
+  const parts = dn.replace(/^\s*\//, '').split(/(?<!\\)\//).filter(Boolean);
+  return parts.map((part) => {
+    const idx = part.indexOf('=');
+    if (idx <= 0) {
+      throw new InvalidEncodingError(`Malformed DN component: ${part}`, { module: 'names' });
+    }
+    const shortName = resolveAttributeName(part.slice(0, idx));
+    const { oid, tag } = DN_ATTRIBUTES[shortName];
+    return { type: oid, shortName, value: part.slice(idx + 1).replace(/\\\//g, '/'), valueTagClass: tag };
+  }).filter(attr => attr.value !== '');
+}
+
+/**
+ * Encode attributes as an X.501 Name.
+ * @param {Array<Object>} attributes - Attributes from {@link parseDistinguishedName}.
+ * @returns {Object} forge ASN.1 Name.
+ */
+export function nameToAsn1(attributes) {
+  return forge.pki.distinguishedNameToAsn1({ attributes });
+}
+
+/**
+ * Decode an X.501 Name.
+ * @param {Object} node - forge ASN.1 Name.
+ * @returns {Array<{type: string, shortName: string, value: string, valueTagClass: number}>}
+ *   Attributes in order; string values are decoded to JavaScript strings.
+ */
+export function nameFromAsn1(node) {
+  return forge.pki.RDNAttributesAsArray(node).map(attr => ({
+    type: attr.type,
+    shortName: SHORT_NAMES[attr.type] || attr.type,
+    value: decodeString(attr.value, attr.valueTagClass),
+    valueTagClass: attr.valueTagClass
+  }));
+}
+
+/**
+ * Decode an ASN.1 string value to a JavaScript string.
+ * @param {string} value - forge binary string.
+ * @param {number} tag - Universal tag.
+ * @returns {string} Decoded string.
+ */
+function decodeString(value, tag) {
+  if (tag === asn1.Type.UTF8) {
+    try {
+      return forge.util.decodeUtf8(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  if (tag === asn1.Type.BMPSTRING) {
+    let out = '';
+    for (let i = 0; i + 1 < value.length; i += 2) {
+      out += String.fromCharCode((value.charCodeAt(i) << 8) | value.charCodeAt(i + 1));
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Format attributes as OpenSSL prints Names.
+ * @param {Array<Object>} attributes - Attributes from {@link nameFromAsn1}.
+ * @param {string} [style='oneline'] - 'oneline' ('C = US, O = "Org, Inc"', as in `-text`)
+ *   or 'slash' ('/C=US/O=Org, Inc', as in `-subj` and DirName).
+ * @returns {string} Formatted name.
+ */
+export function formatName(attributes, style = 'oneline') {
+  if (style === 'slash') {
+    return attributes.map(a => `/${a.shortName}=${a.value}`).join('');
+  }
+  return attributes.map((a) => {
+    const value = /[,+"\\<>;]|^[\s#]|\s$/.test(a.value) ? `"${a.value.replace(/(["\\])/g, '\\$1')}"` : a.value;
+    return `${a.shortName} = ${value}`;
+  }).join(', ');
+}
+
+/**
+ * Convert attributes to the `[{ CN: 'value' }]` shape returned by parseCSR() and x509().
+ * @param {Array<Object>} attributes - Attributes from {@link nameFromAsn1}.
+ * @returns {Array<Object>} One single-key object per attribute.
+ */
+export function nameToObjects(attributes) {
+  return attributes.map(a => ({ [a.shortName]: a.value }));
+}
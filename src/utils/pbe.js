@@ -0,0 +1,269 @@
+/**
+ * Password-based encryption shared by PKCS#8 and PKCS#12: PBES2 with
+ * PBKDF2 (RFC 8018) or scrypt (RFC 7914), and the legacy PKCS#12 PBE schemes
+ * (RFC 7292 appendix C).
+ *
+ * @module utils/pbe
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes } from './encoding.js';
+import { randomBytes } from './webcrypto.js';
+import { scrypt, SCRYPT_DEFAULTS } from './scrypt.js';
+import { BadDecryptError, UnsupportedAlgorithmError } from './errors.js';
+
+const asn1 = forge.asn1;
+
+/** PBE algorithm OIDs. */
+export const PBE_OIDS = {
+  PBES2: '1.2.840.113549.1.5.13',
+  PBKDF2: '1.2.840.113549.1.5.12',
+  scrypt: '1.3.6.1.4.1.11591.4.11',
+  'PBE-SHA1-3DES': '1.2.840.113549.1.12.1.3',
+  'PBE-SHA1-2DES': '1.2.840.113549.1.12.1.4',
+  'PBE-SHA1-RC2-128': '1.2.840.113549.1.12.1.5',
+  'PBE-SHA1-RC2-40': '1.2.840.113549.1.12.1.6'
+};
+
+/** PBES2 encryption schemes keyed by OpenSSL cipher name. */
+const PBES2_CIPHERS = {
+  'AES-128-CBC': { oid: '2.16.840.1.101.3.4.1.2', keyLength: 16, ivLength: 16, forgeName: 'AES-CBC' },
+  'AES-192-CBC': { oid: '2.16.840.1.101.3.4.1.22', keyLength: 24, ivLength: 16, forgeName: 'AES-CBC' },
+  'AES-256-CBC': { oid: '2.16.840.1.101.3.4.1.42', keyLength: 32, ivLength: 16, forgeName: 'AES-CBC' },
+  'DES-EDE3-CBC': { oid: '1.2.840.113549.3.7', keyLength: 24, ivLength: 8, forgeName: '3DES-CBC' }
+};
+
+/** PKCS#12 PBE schemes keyed by OpenSSL name: key/IV lengths and cipher. */
+const PKCS12_PBE = {
+  'PBE-SHA1-3DES': { keyLength: 24, ivLength: 8, cipher: '3DES' },
+  'PBE-SHA1-2DES': { keyLength: 16, ivLength: 8, cipher: '3DES' },
+  'PBE-SHA1-RC2-128': { keyLength: 16, ivLength: 8, cipher: 'RC2', bits: 128 },
+  'PBE-SHA1-RC2-40': { keyLength: 5, ivLength: 8, cipher: 'RC2', bits: 40 }
+};
+
+/** PBKDF2 PRF OIDs keyed by digest name. */
+const PRF_OIDS = {
+  sha1: '1.2.840.113549.2.7',
+  sha256: '1.2.840.113549.2.9',
+  sha384: '1.2.840.113549.2.10',
+  sha512: '1.2.840.113549.2.11'
+};
+
+/**
+ * Derive key material with the PKCS#12 KDF (RFC 7292 appendix B).
+ * @param {string} password - Password (encoded as a BMPString with a trailing NUL).
+ * @param {Uint8Array} salt - Salt.
+ * @param {number} id - Purpose: 1 key, 2 IV, 3 MAC key.
+ * @param {number} iterations - Iteration count.
+ * @param {number} length - Output length in bytes.
+ * @param {string} [digest='sha1'] - Digest name.
+ * @returns {Uint8Array} Derived bytes.
+ */
+export function pkcs12Kdf(password, salt, id, iterations, length, digest = 'sha1') {
+  const md = forge.md[digest].create();
+  const out = forge.pki.pbe.generatePkcs12Key(
+    password, forge.util.createBuffer(bytesToBinaryString(salt)), id, iterations, length, md
+  );
+  return binaryStringToBytes(out.getBytes());
+}
+
+/**
+ * Run a node-forge cipher over data.
+ * @param {Object} cipher - Started forge cipher.
+ * @param {Uint8Array} data - Input.
+ * @returns {Uint8Array} Output.
+ * @throws {BadDecryptError} If padding is invalid (typically a wrong password).
+ */
+function runCipher(cipher, data) {
+  cipher.update(forge.util.createBuffer(bytesToBinaryString(data)));
+  if (!cipher.finish()) {
+    throw new BadDecryptError('Decryption failed (wrong password?)', { module: 'pbe' });
+  }
+  return binaryStringToBytes(cipher.output.getBytes());
+}
+
+/**
+ * Create a started forge cipher for a PKCS#12 PBE scheme.
+ * @param {Object} scheme - Entry from PKCS12_PBE.
+ * @param {string} key - Key bytes (binary string).
+ * @param {string} iv - IV bytes (binary string).
+ * @param {boolean} encrypt - Direction.
+ * @returns {Object} forge cipher.
+ */
+function pkcs12Cipher(scheme, key, iv, encrypt) {
+  if (scheme.cipher === 'RC2') {
+    const cipher = encrypt
+      ? forge.rc2.createEncryptionCipher(key, scheme.bits)
+      : forge.rc2.createDecryptionCipher(key, scheme.bits);
+    cipher.start(iv);
+    return cipher;
+  }
+  // Two-key triple DES reuses the first key: K1 K2 K1
+  const desKey = key.length === 16 ? key + key.substring(0, 8) : key;
+  const cipher = encrypt ? forge.cipher.createCipher('3DES-CBC', desKey) : forge.cipher.createDecipher('3DES-CBC', desKey);
+  cipher.start({ iv });
+  return cipher;
+}
+
+/**
+ * Encrypt data with a password.
+ * @param {Uint8Array} data - Plaintext.
+ * @param {string} password - Password.
+ * @param {Object} [options] - Scheme options.
+ * @param {string} [options.algorithm='AES-256-CBC'] - PBES2 cipher ('AES-128-CBC', 'AES-192-CBC',
+ *   'AES-256-CBC', 'DES-EDE3-CBC') or PKCS#12 scheme ('PBE-SHA1-3DES', 'PBE-SHA1-2DES',
+ *   'PBE-SHA1-RC2-128', 'PBE-SHA1-RC2-40').
+ * @param {number} [options.iterations=2048] - KDF iteration count (PBKDF2 and PKCS#12 PBE).
+ * @param {string} [options.kdf='pbkdf2'] - PBES2 key derivation: 'pbkdf2' or 'scrypt'.
+ * @param {string} [options.prf='sha256'] - PBKDF2 HMAC digest.
+ * @param {{N: number, r: number, p: number}} [options.scrypt] - scrypt costs (default N=16384, r=8, p=1).
+ * @param {number} [options.saltLength] - Salt bytes (16 for PBES2, 8 for PKCS#12 PBE).
+ * @returns {{algorithm: Object, ciphertext: Uint8Array}} forge ASN.1 AlgorithmIdentifier and ciphertext.
+ * @throws {Error} If the algorithm is unsupported.
+ */
+export function pbeEncrypt(data, password, options = {}) {
+  const { algorithm = 'AES-256-CBC', iterations = 2048, kdf = 'pbkdf2', prf = 'sha256' } = options;
+  const name = algorithm.toUpperCase();
+
+  if (PKCS12_PBE[name]) {
+    const scheme = PKCS12_PBE[name];
+    const salt = randomBytes(options.saltLength || 8);
+    const key = bytesToBinaryString(pkcs12Kdf(password, salt, 1, iterations, scheme.keyLength));
+    const iv = bytesToBinaryString(pkcs12Kdf(password, salt, 2, iterations, scheme.ivLength));
+    return {
+      algorithm: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(PBE_OIDS[name]).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(salt)),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(iterations).getBytes())
+        ])
+      ]),
+      ciphertext: runCipher(pkcs12Cipher(scheme, key, iv, true), data)
+    };
+  }
+
+  const cipher = PBES2_CIPHERS[name];
+  if (!cipher) {
+    throw new UnsupportedAlgorithmError(`Unsupported PBE algorithm: ${algorithm}`, { module: 'pbe' });
+  }
+  const salt = bytesToBinaryString(randomBytes(options.saltLength || 16));
+  const iv = bytesToBinaryString(randomBytes(cipher.ivLength));
+  const int = n => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(n).getBytes());
+
+  let key;
+  let kdfOid;
+  let kdfParams;
+  if (kdf === 'scrypt') {
+    const costs = { ...SCRYPT_DEFAULTS, ...options.scrypt };
+    key = bytesToBinaryString(scrypt(new TextEncoder().encode(password), binaryStringToBytes(salt), costs, cipher.keyLength));
+    kdfOid = PBE_OIDS.scrypt;
+    // scrypt-params ::= SEQUENCE { salt, costParameter, blockSize, parallelizationParameter, keyLength }
+    kdfParams = [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, salt),
+      int(costs.N), int(costs.r), int(costs.p), int(cipher.keyLength)
+    ];
+  } else if (kdf === 'pbkdf2') {
+    if (!PRF_OIDS[prf]) {
+      throw new UnsupportedAlgorithmError(`Unsupported PBKDF2 PRF: ${prf}`, { module: 'pbe' });
+    }
+    key = forge.pkcs5.pbkdf2(forge.util.encodeUtf8(password), salt, iterations, cipher.keyLength, forge.md[prf].create());
+    kdfOid = PBE_OIDS.PBKDF2;
+    kdfParams = [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, salt), int(iterations)];
+    if (prf !== 'sha1') {
+      kdfParams.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(PRF_OIDS[prf]).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+      ]));
+    }
+  } else {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported PBES2 key derivation: ${kdf} (use pbkdf2 or scrypt)`,
+      { module: 'pbe' }
+    );
+  }
+  const forgeCipher = forge.cipher.createCipher(cipher.forgeName, key);
+  forgeCipher.start({ iv });
+
+  return {
+    algorithm: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(PBE_OIDS.PBES2).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(kdfOid).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, kdfParams)
+        ]),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(cipher.oid).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, iv)
+        ])
+      ])
+    ]),
+    ciphertext: runCipher(forgeCipher, data)
+  };
+}
+
+/**
+ * Decrypt data encrypted under a PBES2 or PKCS#12 PBE AlgorithmIdentifier.
+ * @param {Object} algorithm - forge ASN.1 AlgorithmIdentifier.
+ * @param {Uint8Array} ciphertext - Encrypted bytes.
+ * @param {string} password - Password.
+ * @returns {Uint8Array} Plaintext.
+ * @throws {Error} If the scheme is unsupported or the password is wrong.
+ */
+export function pbeDecrypt(algorithm, ciphertext, password) {
+  const oid = asn1.derToOid(algorithm.value[0].value);
+  const params = algorithm.value[1];
+
+  const pkcs12Name = Object.keys(PKCS12_PBE).find(n => PBE_OIDS[n] === oid);
+  if (pkcs12Name) {
+    const scheme = PKCS12_PBE[pkcs12Name];
+    const salt = binaryStringToBytes(params.value[0].value);
+    const iterations = asn1.derToInteger(params.value[1].value);
+    const key = bytesToBinaryString(pkcs12Kdf(password, salt, 1, iterations, scheme.keyLength));
+    const iv = bytesToBinaryString(pkcs12Kdf(password, salt, 2, iterations, scheme.ivLength));
+    return runCipher(pkcs12Cipher(scheme, key, iv, false), ciphertext);
+  }
+
+  if (oid !== PBE_OIDS.PBES2) {
+    throw new UnsupportedAlgorithmError(`Unsupported PBE algorithm: ${forge.pki.oids[oid] || oid}`, { module: 'pbe' });
+  }
+  const [kdf, scheme] = params.value;
+  const schemeOid = asn1.derToOid(scheme.value[0].value);
+  const cipher = Object.values(PBES2_CIPHERS).find(c => c.oid === schemeOid);
+  if (!cipher) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported PBES2 cipher: ${forge.pki.oids[schemeOid] || schemeOid}`,
+      { module: 'pbe' }
+    );
+  }
+
+  const kdfOid = asn1.derToOid(kdf.value[0].value);
+  const [salt, ...kdfParams] = kdf.value[1].value;
+  let key;
+  if (kdfOid === PBE_OIDS.scrypt) {
+    const [N, r, p] = kdfParams.map(n => asn1.derToInteger(n.value));
+    key = bytesToBinaryString(scrypt(new TextEncoder().encode(password), binaryStringToBytes(salt.value), { N, r, p }, cipher.keyLength));
+  } else if (kdfOid === PBE_OIDS.PBKDF2) {
+    // PBKDF2-params ::= SEQUENCE { salt, iterationCount, keyLength OPTIONAL, prf DEFAULT hmacWithSHA1 }
+    const prfNode = kdfParams.find(n => n.type === asn1.Type.SEQUENCE);
+    const prfOid = prfNode ? asn1.derToOid(prfNode.value[0].value) : PRF_OIDS.sha1;
+    const prf = Object.keys(PRF_OIDS).find(k => PRF_OIDS[k] === prfOid);
+    if (!prf) {
+      throw new UnsupportedAlgorithmError(
+        `Unsupported PBKDF2 PRF: ${forge.pki.oids[prfOid] || prfOid}`,
+        { module: 'pbe' }
+      );
+    }
+    key = forge.pkcs5.pbkdf2(
+      forge.util.encodeUtf8(password), salt.value, asn1.derToInteger(kdfParams[0].value), cipher.keyLength, forge.md[prf].create()
+    );
+  } else {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported PBES2 key derivation: ${forge.pki.oids[kdfOid] || kdfOid}`,
+      { module: 'pbe' }
+    );
+  }
+  const forgeCipher = forge.cipher.createDecipher(cipher.forgeName, key);
+  forgeCipher.start({ iv: scheme.value[1].value });
+  return runCipher(forgeCipher, ciphertext);
+}
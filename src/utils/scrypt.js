@@ -0,0 +1,117 @@
+/**
+ * scrypt key derivation (RFC 7914). Neither Web Crypto nor node-forge
+ * provides it; PBKDF2-HMAC-SHA256 comes from node-forge.
+ *
+ * @module utils/scrypt
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes } from './encoding.js';
+import { InvalidArgumentError } from './errors.js';
+
+/** OpenSSL's defaults for `-scrypt` (N, r, p). */
+export const SCRYPT_DEFAULTS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Salsa20/8 core, in place.
+ * @param {Uint32Array} B - 16-word block.
+ * @param {Uint32Array} x - 16-word scratch space.
+ */
+function salsa208(B, x) {
+  const R = (a, b) => (a << b) | (a >>> (32 - b));
+  x.set(B);
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9);
+    x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18);
+    x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9);
+    x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18);
+    x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9);
+    x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18);
+    x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9);
+    x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18);
+    x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9);
+    x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18);
+    x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9);
+    x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18);
+    x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9);
+    x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18);
+    x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9);
+    x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18);
+  }
+  for (let i = 0; i < 16; i++) B[i] += x[i];
+}
+
+/**
+ * scryptBlockMix, in place.
+ * @param {Uint32Array} B - 32r-word block.
+ * @param {Uint32Array} Y - 32r-word scratch space.
+ * @param {number} r - Block size parameter.
+ * @param {Uint32Array} X - 16-word scratch space.
+ * @param {Uint32Array} tmp - 16-word scratch space.
+ */
+function blockMix(B, Y, r, X, tmp) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) X[k] ^= B[i * 16 + k];
+    salsa208(X, tmp);
+    Y.set(X, i * 16);
+  }
+  // Even blocks first, then odd blocks
+  for (let i = 0; i < r; i++) {
+    B.set(Y.subarray(2 * i * 16, (2 * i + 1) * 16), i * 16);
+    B.set(Y.subarray((2 * i + 1) * 16, (2 * i + 2) * 16), (r + i) * 16);
+  }
+}
+
+/**
+ * Derive a key with scrypt.
+ * @param {Uint8Array} password - Password bytes.
+ * @param {Uint8Array} salt - Salt.
+ * @param {Object} params - Cost parameters.
+ * @param {number} params.N - CPU/memory cost, a power of two.
+ * @param {number} params.r - Block size.
+ * @param {number} params.p - Parallelization.
+ * @param {number} length - Output length in bytes.
+ * @returns {Uint8Array} Derived key.
+ * @throws {Error} If the parameters are invalid.
+ */
+export function scrypt(password, salt, { N, r, p }, length) {
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+    throw new InvalidArgumentError('Invalid scrypt N: must be a power of two greater than 1', { module: 'scrypt' });
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1) {
+    throw new InvalidArgumentError('Invalid scrypt r/p: must be positive integers', { module: 'scrypt' });
+  }
+  if (128 * r * N > 1024 * 1024 * 1024) {
+    throw new InvalidArgumentError('scrypt parameters need more than 1 GiB of memory', { module: 'scrypt' });
+  }
+
+  const pass = bytesToBinaryString(password);
+  const md = () => forge.md.sha256.create();
+  const blocks = binaryStringToBytes(forge.pkcs5.pbkdf2(pass, bytesToBinaryString(salt), 1, 128 * r * p, md()));
+
+  const words = 32 * r;
+  const X = new Uint32Array(words);
+  const Y = new Uint32Array(words);
+  const V = new Uint32Array(words * N);
+  const T = new Uint32Array(16);
+  const tmp = new Uint32Array(16);
+  const view = new DataView(blocks.buffer, blocks.byteOffset, blocks.byteLength);
+
+  for (let i = 0; i < p; i++) {
+    const offset = i * 128 * r;
+    for (let k = 0; k < words; k++) X[k] = view.getUint32(offset + k * 4, true);
+    for (let n = 0; n < N; n++) {
+      V.set(X, n * words);
+      blockMix(X, Y, r, T, tmp);
+    }
+    for (let n = 0; n < N; n++) {
+      const j = X[(2 * r - 1) * 16] & (N - 1);
+      for (let k = 0; k < words; k++) X[k] ^= V[j * words + k];
+      blockMix(X, Y, r, T, tmp);
+    }
+    for (let k = 0; k < words; k++) view.setUint32(offset + k * 4, X[k], true);
+  }
+
+  return binaryStringToBytes(forge.pkcs5.pbkdf2(pass, bytesToBinaryString(blocks), 1, length, md()));
+}
@@ -0,0 +1,492 @@
+/**
+ * Signature helpers shared by dgst, req and the PKI modules: RSA PKCS#1 v1.5,
+ * RSA-PSS and ECDSA via crypto.subtle, with node-forge as the RSA fallback.
+ * Digests Web Crypto cannot sign with (MD5, SHA-224, SHA-512/t, SHA-3,
+ * RIPEMD-160) are hashed by utils/digests and signed as precomputed digests.
+ * ECDSA signatures are DER-encoded as OpenSSL writes them.
+ *
+ * @module utils/signature
+ */
+
+import forge from 'node-forge';
+import { bytesToBinaryString, binaryStringToBytes, concatBytes } from './encoding.js';
+import { toForgeRsaKey, derToAsn1, asn1ToDer, publicKeyFromPrivate } from './keys.js';
+import { getWebCrypto } from './webcrypto.js';
+import { getDigest, createDigest } from './digests.js';
+import { ecdsaSignDigest, ecdsaVerifyDigest } from './ec.js';
+import { InvalidArgumentError, UnsupportedAlgorithmError } from './errors.js';
+
+/** ECDSA field sizes in bytes, for converting between raw and DER signatures. */
+const EC_FIELD_SIZES = { 'P-256': 32, 'P-384': 48, 'P-521': 66 };
+
+/**
+ * Resolve the RSA-PSS salt length option for a key.
+ * @param {number|string} saltLength - Bytes, 'digest' or 'max'.
+ * @param {string} hashName - Digest name.
+ * @param {number} modulusBits - RSA modulus size in bits.
+ * @returns {number} Salt length in bytes.
+ */
+function resolveSaltLength(saltLength, hashName, modulusBits) {
+  const hashLength = getDigest(hashName, 'signature').length;
+  if (saltLength === 'digest' || saltLength === -1) return hashLength;
+  if (saltLength === 'max' || saltLength === -2) {
+    return Math.ceil((modulusBits - 1) / 8) - hashLength - 2;
+  }
+  const n = Number(saltLength);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new InvalidArgumentError(`Invalid RSA-PSS salt length: ${saltLength}`, { module: 'signature' });
+  }
+  return n;
+}
+
+/**
+ * Build the Web Crypto import and sign/verify parameters for a key.
+ * @param {KeyInfo} key - Key from loadKey().
+ * @param {Object} sigOptions - Signature options.
+ * @param {number} modulusBits - RSA modulus size (RSA keys only).
+ * @returns {{importParams: Object, signParams: Object}|null} Parameters, or null if Web Crypto cannot handle it.
+ */
+function webCryptoSignatureParams(key, { hashName, padding, saltLength }, modulusBits) {
+  if (!getDigest(hashName, 'signature').webCrypto) return null;
+  if (key.type === 'EC') {
+    return {
+      importParams: { name: 'ECDSA', namedCurve: key.curve },
+      signParams: { name: 'ECDSA', hash: hashName }
+    };
+  }
+  if (padding === 'pss') {
+    return {
+      importParams: { name: 'RSA-PSS', hash: hashName },
+      signParams: { name: 'RSA-PSS', saltLength: resolveSaltLength(saltLength, hashName, modulusBits) }
+    };
+  }
+  return {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: hashName },
+    signParams: { name: 'RSASSA-PKCS1-v1_5' }
+  };
+}
+
+/**
+ * Wrap a digest of utils/digests as a node-forge message digest, for the
+ * node-forge RSA-PSS, MGF1 and OAEP code.
+ * @param {string} hashName - Digest name.
+ * @returns {Object} forge-style digest with start(), update(binaryString) and digest().
+ */
+export function forgeMessageDigest(hashName) {
+  const digest = getDigest(hashName, 'signature');
+  let hasher;
+  const md = {
+    algorithm: digest.name.toLowerCase(),
+    digestLength: digest.length,
+    blockLength: digest.blockSize,
+    start() {
+      hasher = createDigest(digest, 'signature');
+      return md;
+    },
+    update(data) {
+      hasher.update(binaryStringToBytes(data));
+      return md;
+    },
+    digest: () => forge.util.createBuffer(bytesToBinaryString(hasher.digest()))
+  };
+  return md.start();
+}
+
+/**
+ * Create a node-forge RSA-PSS signature scheme.
+ * @param {Object} sigOptions - Signature options.
+ * @param {number} modulusBits - RSA modulus size in bits.
+ * @returns {{scheme: Object}} forge scheme.
+ */
+function forgeRsaScheme({ hashName, saltLength }, modulusBits) {
+  return {
+    scheme: forge.pss.create({
+      md: forgeMessageDigest(hashName),
+      mgf: forge.mgf.mgf1.create(forgeMessageDigest(hashName)),
+      saltLength: resolveSaltLength(saltLength, hashName, modulusBits)
+    })
+  };
+}
+
+/**
+ * Hash data for signing as a precomputed digest.
+ * @param {Uint8Array} data - Data to sign or verify.
+ * @param {string} hashName - Digest name.
+ * @returns {Uint8Array} Digest.
+ */
+function hashForSignature(data, hashName) {
+  return createDigest(getDigest(hashName, 'signature'), 'signature').update(data).digest();
+}
+
+/**
+ * Convert an IEEE P1363 (r || s) ECDSA signature to DER, as OpenSSL writes it.
+ * @param {Uint8Array} sig - Raw signature.
+ * @returns {Uint8Array} DER ECDSA-Sig-Value.
+ */
+function ecdsaRawToDer(sig) {
+  const half = sig.length / 2;
+  const integer = (bytes) => {
+    let i = 0;
+    while (i < bytes.length - 1 && bytes[i] === 0) i++;
+    let value = bytes.subarray(i);
+    if (value[0] & 0x80) value = concatBytes(new Uint8Array([0]), value);
+    return forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.INTEGER, false, bytesToBinaryString(value));
+  };
+  return asn1ToDer(forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SEQUENCE, true, [
+    integer(sig.subarray(0, half)),
+    integer(sig.subarray(half))
+  ]));
+}
+
+/**
+ * Convert a DER ECDSA signature to IEEE P1363 (r || s) for Web Crypto.
+ * @param {Uint8Array} der - DER ECDSA-Sig-Value.
+ * @param {number} size - Curve field size in bytes.
+ * @returns {Uint8Array|null} Raw signature, or null if malformed.
+ */
+function ecdsaDerToRaw(der, size) {
+  let obj;
+  try {
+    obj = derToAsn1(der);
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(obj.value) || obj.value.length !== 2) return null;
+  const out = new Uint8Array(size * 2);
+  for (let i = 0; i < 2; i++) {
+    let value = binaryStringToBytes(obj.value[i].value);
+    while (value.length > size && value[0] === 0) value = value.subarray(1);
+    if (value.length > size) return null;
+    out.set(value, size * (i + 1) - value.length);
+  }
+  return out;
+}
+
+/**
+ * Sign data with a private key.
+ * @param {KeyInfo} key - Private key from loadKey().
+ * @param {Uint8Array} data - Data to sign.
+ * @param {Object} sigOptions - Hash name, RSA padding and PSS salt length.
+ * @returns {Promise<Uint8Array>} Signature (DER for ECDSA).
+ */
+export async function signData(key, data, sigOptions) {
+  if (key.kind !== 'private') {
+    throw new InvalidArgumentError('Signing requires a private key', { module: 'signature' });
+  }
+  if (key.type !== 'RSA' && key.type !== 'EC') {
+    throw new UnsupportedAlgorithmError(`Unsupported key type for signatures: ${key.type}`, { module: 'signature' });
+  }
+  const forgeKey = key.type === 'RSA' ? toForgeRsaKey(key) : null;
+  const modulusBits = forgeKey ? forgeKey.n.bitLength() : 0;
+  const crypto = getWebCrypto();
+  const params = webCryptoSignatureParams(key, sigOptions, modulusBits);
+
+  if (crypto && params) {
+    const cryptoKey = await crypto.subtle.importKey('pkcs8', key.pkcs8, params.importParams, false, ['sign']);
+    const sig = new Uint8Array(await crypto.subtle.sign(params.signParams, cryptoKey, data));
+    return key.type === 'EC' ? ecdsaRawToDer(sig) : sig;
+  }
+
+  if (!forgeKey && params) {
+    throw new UnsupportedAlgorithmError('ECDSA signatures require Web Crypto', { module: 'signature' });
+  }
+  return signDigest(key, hashForSignature(data, sigOptions.hashName), sigOptions);
+}
+
+/**
+ * Verify a signature with a public key (or the public half of a private key).
+ * @param {KeyInfo} key - Key from loadKey().
+ * @param {Uint8Array} data - Signed data.
+ * @param {Uint8Array} signature - Signature (DER for ECDSA).
+ * @param {Object} sigOptions - Hash name, RSA padding and PSS salt length.
+ * @returns {Promise<boolean>} True if the signature is valid.
+ */
+export async function verifyData(key, data, signature, sigOptions) {
+  if (key.type !== 'RSA' && key.type !== 'EC') {
+    throw new UnsupportedAlgorithmError(`Unsupported key type for signatures: ${key.type}`, { module: 'signature' });
+  }
+  const crypto = getWebCrypto();
+  let forgeKey = null;
+  if (key.type === 'RSA') {
+    forgeKey = toForgeRsaKey(key);
+    if (key.kind === 'private') {
+      forgeKey = forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e);
+    }
+  }
+  const modulusBits = forgeKey ? forgeKey.n.bitLength() : 0;
+  const params = webCryptoSignatureParams(key, sigOptions, modulusBits);
+
+  if (crypto && params) {
+    let cryptoKey;
+    if (key.kind === 'public') {
+      cryptoKey = await crypto.subtle.importKey('spki', key.spki, params.importParams, false, ['verify']);
+    } else {
+      // Derive the public key from the private JWK by dropping the private members
+      const privateKey = await crypto.subtle.importKey('pkcs8', key.pkcs8, params.importParams, true, ['sign']);
+      const { kty, crv, x, y, n, e } = await crypto.subtle.exportKey('jwk', privateKey);
+      const jwk = key.type === 'EC' ? { kty, crv, x, y } : { kty, n, e };
+      cryptoKey = await crypto.subtle.importKey('jwk', jwk, params.importParams, false, ['verify']);
+    }
+    let sig = signature;
+    if (key.type === 'EC') {
+      sig = ecdsaDerToRaw(signature, EC_FIELD_SIZES[key.curve]);
+      if (!sig) return false;
+    }
+    return crypto.subtle.verify(params.signParams, cryptoKey, sig, data);
+  }
+
+  if (!forgeKey && params) {
+    throw new UnsupportedAlgorithmError('ECDSA signatures require Web Crypto', { module: 'signature' });
+  }
+  return verifyDigest(key, hashForSignature(data, sigOptions.hashName), signature, sigOptions);
+}
+
+
+/**
+ * Check a precomputed digest against its declared algorithm.
+ * @param {Uint8Array} digest - Digest bytes.
+ * @param {string} [hashName] - Digest name from normalizeSignatureHash().
+ * @throws {Error} If the length does not match.
+ */
+function checkDigestLength(digest, hashName) {
+  const expected = hashName && getDigest(hashName, 'signature').length;
+  if (hashName && digest.length !== expected) {
+    throw new InvalidArgumentError(
+      `Invalid digest length ${digest.length} for ${hashName} (expected ${expected})`,
+      { module: 'signature' }
+    );
+  }
+}
+
+/**
+ * Encode the RSA PKCS#1 v1.5 signature payload: a DigestInfo when the
+ * digest algorithm is known, otherwise the bytes as given (`openssl pkeyutl`
+ * without `-pkeyopt digest:`).
+ * @param {Uint8Array} digest - Digest bytes.
+ * @param {string} [hashName] - Digest name.
+ * @returns {string} Payload as a binary string.
+ */
+function pkcs1Payload(digest, hashName) {
+  if (!hashName) return bytesToBinaryString(digest);
+  const { asn1 } = forge;
+  const { oid } = getDigest(hashName, 'signature');
+  return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytesToBinaryString(digest))
+  ])).getBytes();
+}
+
+/**
+ * Sign a precomputed digest (`openssl pkeyutl -sign`). Web Crypto always
+ * hashes, so RSA goes through node-forge and ECDSA through utils/ec.
+ * @param {KeyInfo} key - RSA or EC private key from loadKey().
+ * @param {Uint8Array} digest - Digest to sign.
+ * @param {Object} sigOptions - Signature options.
+ * @param {string} [sigOptions.hashName] - Digest algorithm; required for RSA-PSS.
+ * @param {string} [sigOptions.padding='pkcs1'] - RSA padding: 'pkcs1' or 'pss'.
+ * @param {number|string} [sigOptions.saltLength='digest'] - RSA-PSS salt length.
+ * @returns {Uint8Array} Signature (DER for ECDSA).
+ * @throws {Error} If the key or options are unsupported.
+ */
+export function signDigest(key, digest, { hashName, padding = 'pkcs1', saltLength = 'digest' } = {}) {
+  if (key.type !== 'RSA' && key.type !== 'EC') {
+    throw new UnsupportedAlgorithmError(`Unsupported key type for signatures: ${key.type}`, { module: 'signature' });
+  }
+  if (key.kind !== 'private') {
+    throw new InvalidArgumentError('Signing requires a private key', { module: 'signature' });
+  }
+  checkDigestLength(digest, hashName);
+  if (key.type === 'EC') {
+    const d = binaryStringToBytes(forge.asn1.fromDer(derToAsn1(key.pkcs8).value[2].value).value[1].value);
+    return ecdsaRawToDer(ecdsaSignDigest(key.curve, d, digest));
+  }
+  const forgeKey = toForgeRsaKey(key);
+  if (padding === 'pss') {
+    if (!hashName) {
+      throw new InvalidArgumentError('RSA-PSS signatures need the digest algorithm', { module: 'signature' });
+    }
+    const { scheme } = forgeRsaScheme({ hashName, padding, saltLength }, forgeKey.n.bitLength());
+    const md = { digest: () => forge.util.createBuffer(bytesToBinaryString(digest)) };
+    return binaryStringToBytes(forgeKey.sign(md, scheme));
+  }
+  return binaryStringToBytes(forge.pki.rsa.encrypt(pkcs1Payload(digest, hashName), forgeKey, 0x01));
+}
+
+/**
+ * Verify a signature over a precomputed digest (`openssl pkeyutl -verify`).
+ * @param {KeyInfo} key - RSA or EC key from loadKey(); private keys verify with their public half.
+ * @param {Uint8Array} digest - Signed digest.
+ * @param {Uint8Array} signature - Signature (DER for ECDSA).
+ * @param {Object} sigOptions - Same options as {@link signDigest}; `saltLength` may also be 'auto'.
+ * @returns {boolean} True if the signature is valid.
+ * @throws {Error} If the key or options are unsupported.
+ */
+export function verifyDigest(key, digest, signature, { hashName, padding = 'pkcs1', saltLength = 'digest' } = {}) {
+  if (key.type !== 'RSA' && key.type !== 'EC') {
+    throw new UnsupportedAlgorithmError(`Unsupported key type for signatures: ${key.type}`, { module: 'signature' });
+  }
+  checkDigestLength(digest, hashName);
+  const spki = key.kind === 'private' ? publicKeyFromPrivate(key) : key.spki;
+  if (key.type === 'EC') {
+    const raw = ecdsaDerToRaw(signature, EC_FIELD_SIZES[key.curve]);
+    const point = forge.asn1.fromDer(bytesToBinaryString(spki), { decodeBitStrings: false }).value[1].value.substring(1);
+    return !!raw && ecdsaVerifyDigest(key.curve, binaryStringToBytes(point), digest, raw);
+  }
+  if (padding === 'pss' && !hashName) {
+    throw new InvalidArgumentError('RSA-PSS signatures need the digest algorithm', { module: 'signature' });
+  }
+  const forgeKey = toForgeRsaKey({ kind: 'public', type: key.type, spki });
+  try {
+    if (padding === 'pss') {
+      // 'auto' accepts the salt lengths OpenSSL signs with: the digest length or the maximum
+      return (saltLength === 'auto' ? ['digest', 'max'] : [saltLength]).some(length => {
+        const { scheme } = forgeRsaScheme({ hashName, padding, saltLength: length }, forgeKey.n.bitLength());
+        try {
+          return forgeKey.verify(bytesToBinaryString(digest), bytesToBinaryString(signature), scheme);
+        } catch (e) {
+          return false;
+        }
+      });
+    }
+    return forge.pki.rsa.decrypt(bytesToBinaryString(signature), forgeKey, true) === pkcs1Payload(digest, hashName);
+  } catch (e) {
+    return false;
+  }
+}
+
+/** X.509 signature algorithm OIDs keyed by key type and digest. */
+export const SIGNATURE_ALGORITHM_OIDS = {
+  RSA: {
+    'MD5': '1.2.840.113549.1.1.4',
+    'SHA-1': '1.2.840.113549.1.1.5',
+    'SHA-224': '1.2.840.113549.1.1.14',
+    'SHA-256': '1.2.840.113549.1.1.11',
+    'SHA-384': '1.2.840.113549.1.1.12',
+    'SHA-512': '1.2.840.113549.1.1.13',
+    'SHA-512/224': '1.2.840.113549.1.1.15',
+    'SHA-512/256': '1.2.840.113549.1.1.16',
+    'SHA3-224': '2.16.840.1.101.3.4.3.13',
+    'SHA3-256': '2.16.840.1.101.3.4.3.14',
+    'SHA3-384': '2.16.840.1.101.3.4.3.15',
+    'SHA3-512': '2.16.840.1.101.3.4.3.16',
+    'RIPEMD-160': '1.3.36.3.3.1.2'
+  },
+  EC: {
+    'SHA-1': '1.2.840.10045.4.1',
+    'SHA-224': '1.2.840.10045.4.3.1',
+    'SHA-256': '1.2.840.10045.4.3.2',
+    'SHA-384': '1.2.840.10045.4.3.3',
+    'SHA-512': '1.2.840.10045.4.3.4',
+    'SHA3-224': '2.16.840.1.101.3.4.3.9',
+    'SHA3-256': '2.16.840.1.101.3.4.3.10',
+    'SHA3-384': '2.16.840.1.101.3.4.3.11',
+    'SHA3-512': '2.16.840.1.101.3.4.3.12'
+  }
+};
+
+/**
+ * Normalize an OpenSSL digest name ('sha256', 'SHA-256', 'sha3-256') to the
+ * name used by utils/digests.
+ * @param {string} name - Digest name.
+ * @param {string} [module='signature'] - Calling command, for the error.
+ * @returns {string} 'SHA-256', 'SHA3-256', 'SHA-512/256', 'MD5', ...
+ * @throws {UnsupportedAlgorithmError} If the digest is not usable for signatures (XOFs, BLAKE2).
+ */
+export function normalizeSignatureHash(name, module = 'signature') {
+  const digest = getDigest(name, module);
+  if (!digest.oid) {
+    throw new UnsupportedAlgorithmError(`Unsupported signature digest: ${name}`, { module });
+  }
+  return digest.name;
+}
+
+/**
+ * Look up the key type and digest of a signature algorithm OID.
+ * @param {string} oid - Signature algorithm OID (e.g. '1.2.840.10045.4.3.2').
+ * @returns {{keyType: string, hashName: string}|null} 'RSA'/'EC' and digest, or null if unknown.
+ */
+export function signatureAlgorithmFromOid(oid) {
+  for (const [keyType, hashes] of Object.entries(SIGNATURE_ALGORITHM_OIDS)) {
+    for (const [hashName, value] of Object.entries(hashes)) {
+      if (value === oid) return { keyType, hashName };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the AlgorithmIdentifier for signing with a key and digest.
+ * @param {string} keyType - 'RSA' or 'EC'.
+ * @param {string} hashName - Digest name from normalizeSignatureHash().
+ * @returns {Object} forge ASN.1 AlgorithmIdentifier.
+ * @throws {Error} If the combination is unsupported.
+ */
+export function signatureAlgorithmIdentifier(keyType, hashName) {
+  const oid = (SIGNATURE_ALGORITHM_OIDS[keyType] || {})[hashName];
+  if (!oid) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported signature algorithm: ${keyType} with ${hashName}`,
+      { module: 'signature' }
+    );
+  }
+  const { asn1 } = forge;
+  const params = [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes())];
+  // RSA identifiers carry explicit NULL parameters; ECDSA ones omit them (RFC 5758)
+  if (keyType === 'RSA') {
+    params.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ''));
+  }
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, params);
+}
+
+/**
+ * Sign a to-be-signed structure (CertificationRequestInfo, TBSCertificate,
+ * TBSCertList, ...) and wrap it as SEQUENCE { tbs, signatureAlgorithm, signature }.
+ * @param {KeyInfo} key - Private key from loadKey().
+ * @param {Object} tbs - forge ASN.1 to-be-signed structure.
+ * @param {string} hashName - Digest name from normalizeSignatureHash().
+ * @returns {Promise<Uint8Array>} Signed structure DER.
+ */
+export async function signAsn1(key, tbs, hashName) {
+  const { asn1 } = forge;
+  const algorithm = signatureAlgorithmIdentifier(key.type, hashName);
+  const signature = await signData(key, asn1ToDer(tbs), { hashName, padding: 'pkcs1', saltLength: 'digest' });
+  return asn1ToDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    tbs,
+    algorithm,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x00' + bytesToBinaryString(signature))
+  ]));
+}
+
+/**
+ * Split a signed structure (SEQUENCE { tbs, signatureAlgorithm, signature })
+ * and check its signature with the given public key.
+ * @param {KeyInfo} key - Signer's public key from loadKey().
+ * @param {Uint8Array} der - Signed structure DER (CSR, certificate, CRL).
+ * @returns {Promise<boolean>} True if the signature is valid.
+ * @throws {Error} If the signature algorithm is unsupported.
+ */
+export async function verifySignedAsn1(key, der) {
+  const { asn1 } = forge;
+  const obj = asn1.fromDer(bytesToBinaryString(der), { decodeBitStrings: false });
+  const [tbs, algorithm, signature] = obj.value;
+  const oid = asn1.derToOid(algorithm.value[0].value);
+  const sigAlg = signatureAlgorithmFromOid(oid);
+  if (!sigAlg) {
+    throw new UnsupportedAlgorithmError(
+      `Unsupported signature algorithm: ${forge.pki.oids[oid] || oid}`,
+      { module: 'signature' }
+    );
+  }
+  if (sigAlg.keyType !== (key.type === 'RSA-PSS' ? 'RSA' : key.type)) {
+    return false;
+  }
+  return verifyData(
+    key,
+    binaryStringToBytes(asn1.toDer(tbs).getBytes()),
+    binaryStringToBytes(signature.value.substring(1)),
+    { hashName: sigAlg.hashName, padding: 'pkcs1', saltLength: 'digest' }
+  );
+}
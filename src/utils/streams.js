@@ -0,0 +1,54 @@
+/**
+ * Blob and ReadableStream input, read as byte chunks so that large files
+ * are hashed or encrypted in constant memory.
+ *
+ * @module utils/streams
+ */
+
+import { toBytes } from './encoding.js';
+
+/** Default bytes read per Blob slice. */
+export const BLOB_READ_SIZE = 1 << 20;
+
+/**
+ * Check for a Blob (or File).
+ * @param {*} value - Value to test.
+ * @returns {boolean} True for Blob objects.
+ */
+export function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+/**
+ * Check for a WHATWG ReadableStream.
+ * @param {*} value - Value to test.
+ * @returns {boolean} True for readable streams.
+ */
+export function isReadableStream(value) {
+  return !!value && typeof value.getReader === 'function';
+}
+
+/**
+ * Read a Blob or ReadableStream as a sequence of byte chunks.
+ * @param {Blob|ReadableStream} input - Data source.
+ * @param {number} [blobReadSize=1048576] - Bytes read per Blob slice.
+ * @yields {Uint8Array} Chunks in order.
+ */
+export async function* readChunks(input, blobReadSize = BLOB_READ_SIZE) {
+  if (isBlob(input)) {
+    for (let offset = 0; offset < input.size; offset += blobReadSize) {
+      yield new Uint8Array(await input.slice(offset, offset + blobReadSize).arrayBuffer());
+    }
+    return;
+  }
+  const reader = input.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield toBytes(value);
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
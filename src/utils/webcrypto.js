@@ -0,0 +1,133 @@
+/**
+ * Web Crypto API lookup shared by the command modules.
+ * The implementation is found through `globalThis`, so browsers, Web and
+ * Service Workers, Deno, Bun, Cloudflare Workers and Node 19+ all take the
+ * same code paths; older Node releases fall back to `node:crypto`'s
+ * `webcrypto`.
+ *
+ * @module utils/webcrypto
+ */
+
+import { getConfig } from './config.js';
+import { UnsupportedAlgorithmError } from './errors.js';
+
+/** Node's `webcrypto`, once looked up; undefined before the first lookup. */
+let nodeWebCrypto;
+
+/**
+ * Pending `import('node:crypto')` where Node has no synchronous way to load
+ * it (the ES module build before Node 20.16), or null.
+ */
+let nodeWebCryptoImport = null;
+
+/**
+ * Return the Web Crypto implementation if it is available.
+ * @returns {Crypto|null} Crypto object with `subtle` and `getRandomValues`, or null.
+ */
+export function getWebCrypto() {
+  const crypto = typeof globalThis !== 'undefined' ? globalThis.crypto : undefined;
+  if (crypto && crypto.subtle && typeof crypto.getRandomValues === 'function') {
+    return crypto;
+  }
+  if (nodeWebCrypto === undefined) {
+    nodeWebCrypto = loadNodeWebCrypto();
+  }
+  return nodeWebCrypto ?? null;
+}
+
+/**
+ * Return the Web Crypto implementation once Node's has been imported.
+ * Without `process.getBuiltinModule` or `module.require`, `node:crypto` can
+ * only be loaded asynchronously; the import starts on the first lookup and
+ * {@link getWebCrypto} returns null until it has finished.
+ * @returns {Promise<Crypto|null>} Crypto object, or null.
+ */
+export async function loadWebCrypto() {
+  const crypto = getWebCrypto();
+  if (crypto || !nodeWebCryptoImport) return crypto;
+  await nodeWebCryptoImport;
+  return getWebCrypto();
+}
+
+/**
+ * Look up `webcrypto` from `node:crypto` without a static import, so that
+ * bundlers do not try to resolve it for browser builds.
+ * @returns {Crypto|null|undefined} Node's Web Crypto, null outside Node, or
+ *   undefined while it is being imported.
+ */
+function loadNodeWebCrypto() {
+  if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+    return null;
+  }
+  const fromModule = nodeCrypto => {
+    const crypto = nodeCrypto && nodeCrypto.webcrypto;
+    return crypto && crypto.subtle ? crypto : null;
+  };
+  try {
+    if (typeof process.getBuiltinModule === 'function') {
+      return fromModule(process.getBuiltinModule('node:crypto'));
+    }
+    if (typeof module !== 'undefined' && typeof module.require === 'function') {
+      return fromModule(module.require('crypto'));
+    }
+  } catch (error) {
+    return null;
+  }
+  if (!nodeWebCryptoImport) {
+    // A variable specifier keeps bundlers from resolving it
+    const specifier = 'node:crypto';
+    nodeWebCryptoImport = import(/* webpackIgnore: true */ /* @vite-ignore */ specifier)
+      .then(nodeCrypto => { nodeWebCrypto = fromModule(nodeCrypto); })
+      .catch(() => { nodeWebCrypto = null; });
+  }
+  return undefined;
+}
+
+/** Largest request `getRandomValues` accepts, in bytes. */
+const GET_RANDOM_VALUES_LIMIT = 65536;
+
+/**
+ * Secure random bytes from the system CSPRNG, Web Crypto's
+ * `getRandomValues`. There is no software fallback: node-forge's PRNG is
+ * seeded from `Math.random` where it has no CSPRNG of its own. Long outputs
+ * are filled in `getRandomValues`-sized pieces.
+ * @param {number} length - Number of bytes.
+ * @returns {Uint8Array} Random bytes.
+ * @throws {UnsupportedAlgorithmError} If the runtime has no Web Crypto.
+ */
+export function systemRandomBytes(length) {
+  const crypto = getWebCrypto();
+  if (!crypto) {
+    throw new UnsupportedAlgorithmError('No secure random source: Web Crypto getRandomValues is unavailable', {
+      module: 'rand'
+    });
+  }
+  const out = new Uint8Array(length);
+  for (let offset = 0; offset < length; offset += GET_RANDOM_VALUES_LIMIT) {
+    crypto.getRandomValues(out.subarray(offset, offset + GET_RANDOM_VALUES_LIMIT));
+  }
+  return out;
+}
+
+/**
+ * Random bytes for salts, IVs, nonces and rand(): from the generator set
+ * with `configure({ random })` if any, otherwise {@link systemRandomBytes}.
+ * @param {number} length - Number of bytes.
+ * @returns {Uint8Array} Random bytes.
+ * @throws {UnsupportedAlgorithmError} If no generator is configured and the runtime has no Web Crypto.
+ */
+export function randomBytes(length) {
+  const { random } = getConfig();
+  return random ? random.generate(length) : systemRandomBytes(length);
+}
+
+/**
+ * Check whether a value is a Web Crypto CryptoKey.
+ * @param {*} value - Value to test.
+ * @returns {boolean} True for CryptoKey objects.
+ */
+export function isCryptoKey(value) {
+  if (typeof CryptoKey !== 'undefined' && value instanceof CryptoKey) return true;
+  return !!value && typeof value === 'object' &&
+         'algorithm' in value && 'usages' in value && 'extractable' in value;
+}
@@ -0,0 +1,118 @@
+import { asn1parse } from '../src/modules/asn1parse.js';
+
+// openssl req -x509 -new -key ec.pem -subj "/CN=asn1 test/O=Web" -set_serial 0x0102 -outform DER | base64
+const CERT = [
+  'MIIBiDCCAS2gAwIBAgICAQIwCgYIKoZIzj0EAwIwIjESMBAGA1UEAwwJYXNuMSB0ZXN0MQwwCgYDVQQKDANXZWIwHhcNMjYx',
+  'MDE4MjEyMDQ4WhcNMjYxMDE5MjEyMDQ4WjAiMRIwEAYDVQQDDAlhc24xIHRlc3QxDDAKBgNVBAoMA1dlYjBZMBMGByqGSM49',
+  'AgEGCCqGSM49AwEHA0IABL/fcxkUqhyDbqdfrHocxFnIfv+AlpCNNXd4rTFeuezQ/ae/Ooh2sPYLMM0pbel0V5FztA5pM0Ec',
+  'Jzlw3YgEDg2jUzBRMB0GA1UdDgQWBBQX2o99EGbdGucFbuZUD1ecpyxmLTAfBgNVHSMEGDAWgBQX2o99EGbdGucFbuZUD1ec',
+  'pyxmLTAPBgNVHRMBAf8EBTADAQH/MAoGCCqGSM49BAMCA0kAMEYCIQCgAxuLfEa3Ec3PKXcnHR5WZemsBjCJCew3WtvtjEhs',
+  '1AIhALczYotRqCEvOerlfTfIVRnby7woJ7L/HaapxzPxKqZs'
+].join('');
+
+// openssl asn1parse -inform DER -i (lines keep OpenSSL's trailing padding)
+const OPENSSL_LINES = [
+  '    0:d=0  hl=4 l= 392 cons: SEQUENCE          ',
+  '    4:d=1  hl=4 l= 301 cons:  SEQUENCE          ',
+  '    8:d=2  hl=2 l=   3 cons:   cont [ 0 ]        ',
+  '   10:d=3  hl=2 l=   1 prim:    INTEGER           :02',
+  '   13:d=2  hl=2 l=   2 prim:   INTEGER           :0102',
+  '   17:d=2  hl=2 l=  10 cons:   SEQUENCE          ',
+  '   19:d=3  hl=2 l=   8 prim:    OBJECT            :ecdsa-with-SHA256',
+  '   29:d=2  hl=2 l=  34 cons:   SEQUENCE          ',
+  '   31:d=3  hl=2 l=  18 cons:    SET               ',
+  '   33:d=4  hl=2 l=  16 cons:     SEQUENCE          ',
+  '   35:d=5  hl=2 l=   3 prim:      OBJECT            :commonName',
+  '   40:d=5  hl=2 l=   9 prim:      UTF8STRING        :asn1 test',
+  '   51:d=3  hl=2 l=  12 cons:    SET               ',
+  '   53:d=4  hl=2 l=  10 cons:     SEQUENCE          ',
+  '   55:d=5  hl=2 l=   3 prim:      OBJECT            :organizationName',
+  '   60:d=5  hl=2 l=   3 prim:      UTF8STRING        :Web',
+  '   65:d=2  hl=2 l=  30 cons:   SEQUENCE          ',
+  '   67:d=3  hl=2 l=  13 prim:    UTCTIME           :261018212048Z',
+  '   82:d=3  hl=2 l=  13 prim:    UTCTIME           :261019212048Z',
+  '   97:d=2  hl=2 l=  34 cons:   SEQUENCE          ',
+  '   99:d=3  hl=2 l=  18 cons:    SET               ',
+  '  101:d=4  hl=2 l=  16 cons:     SEQUENCE          ',
+  '  103:d=5  hl=2 l=   3 prim:      OBJECT            :commonName',
+  '  108:d=5  hl=2 l=   9 prim:      UTF8STRING        :asn1 test',
+  '  119:d=3  hl=2 l=  12 cons:    SET               ',
+  '  121:d=4  hl=2 l=  10 cons:     SEQUENCE          ',
+  '  123:d=5  hl=2 l=   3 prim:      OBJECT            :organizationName',
+  '  128:d=5  hl=2 l=   3 prim:      UTF8STRING        :Web',
+  '  133:d=2  hl=2 l=  89 cons:   SEQUENCE          ',
+  '  135:d=3  hl=2 l=  19 cons:    SEQUENCE          ',
+  '  137:d=4  hl=2 l=   7 prim:     OBJECT            :id-ecPublicKey',
+  '  146:d=4  hl=2 l=   8 prim:     OBJECT            :prime256v1',
+  '  156:d=3  hl=2 l=  66 prim:    BIT STRING        ',
+  '  224:d=2  hl=2 l=  83 cons:   cont [ 3 ]        ',
+  '  226:d=3  hl=2 l=  81 cons:    SEQUENCE          ',
+  '  228:d=4  hl=2 l=  29 cons:     SEQUENCE          ',
+  '  230:d=5  hl=2 l=   3 prim:      OBJECT            :X509v3 Subject Key Identifier',
+  '  235:d=5  hl=2 l=  22 prim:      OCTET STRING      [HEX DUMP]:041417DA8F7D1066DD1AE7056EE6540F579CA72C662D',
+  '  259:d=4  hl=2 l=  31 cons:     SEQUENCE          ',
+  '  261:d=5  hl=2 l=   3 prim:      OBJECT            :X509v3 Authority Key Identifier',
+  '  266:d=5  hl=2 l=  24 prim:      OCTET STRING      [HEX DUMP]:3016801417DA8F7D1066DD1AE7056EE6540F579CA72C662D',
+  '  292:d=4  hl=2 l=  15 cons:     SEQUENCE          ',
+  '  294:d=5  hl=2 l=   3 prim:      OBJECT            :X509v3 Basic Constraints',
+  '  299:d=5  hl=2 l=   1 prim:      BOOLEAN           :255',
+  '  302:d=5  hl=2 l=   5 prim:      OCTET STRING      [HEX DUMP]:30030101FF',
+  '  309:d=1  hl=2 l=  10 cons:  SEQUENCE          ',
+  '  311:d=2  hl=2 l=   8 prim:   OBJECT            :ecdsa-with-SHA256',
+  '  321:d=1  hl=2 l=  73 prim:  BIT STRING        '
+];
+
+describe('asn1parse', () => {
+  test('prints what openssl asn1parse -i prints', async () => {
+    const { lines, tree } = await asn1parse({ input: CERT, indent: true });
+    expect(lines).toEqual(OPENSSL_LINES);
+    expect(tree).toHaveLength(1);
+    expect(tree[0]).toMatchObject({ offset: 0, headerLength: 4, length: 392, tagName: 'SEQUENCE', constructed: true });
+  });
+
+  test('parses an OCTET STRING with strparse', async () => {
+    // openssl asn1parse -strparse 266 (the Authority Key Identifier value)
+    const { lines } = await asn1parse({ input: CERT, strparse: 266 });
+    expect(lines).toEqual([
+      '    0:d=0  hl=2 l=  22 cons: SEQUENCE          ',
+      '    2:d=1  hl=2 l=  20 prim: cont [ 0 ]        '
+    ]);
+  });
+
+  test('walks BER indefinite lengths', async () => {
+    const ber = new Uint8Array([0x30, 0x80, 0x02, 0x01, 0x05, 0x04, 0x02, 0x68, 0x69, 0x00, 0x00]);
+    const { lines } = await asn1parse({ input: ber, indent: true });
+    expect(lines).toEqual([
+      '    0:d=0  hl=2 l=inf  cons: SEQUENCE          ',
+      '    2:d=1  hl=2 l=   1 prim:  INTEGER           :05',
+      '    5:d=1  hl=2 l=   2 prim:  OCTET STRING      :hi',
+      '    9:d=1  hl=2 l=   0 prim:  EOC               '
+    ]);
+  });
+
+  test('reports a truncated encoding', async () => {
+    const { error, lines } = await asn1parse({ input: new Uint8Array([0x30, 0x05, 0x02, 0x01]) });
+    expect(error).toMatchObject({ offset: expect.any(Number) });
+    expect(lines[lines.length - 1]).toBe('Error in encoding');
+  });
+
+  test('stops below depth 128 like openssl', async () => {
+    // 5000 nested indefinite length SEQUENCEs: 30 80 30 80 ...
+    const ber = new Uint8Array(5000 * 2);
+    for (let i = 0; i < 5000; i++) ber.set([0x30, 0x80], i * 2);
+    const { error, lines } = await asn1parse({ input: ber });
+    expect(error).toEqual({ offset: 129 * 2, message: 'BAD RECURSION DEPTH' });
+    expect(lines).toHaveLength(130);
+    expect(lines[128]).toMatch(/^ {2}256:d=128 hl=2 l=inf  cons: SEQUENCE/);
+    expect(lines[129]).toBe('Error in encoding');
+  });
+
+  test('walks elements at depth 128', async () => {
+    const nested = new Uint8Array(128 * 2);
+    for (let i = 0; i < 128; i++) nested.set([0x30, 0x80], i * 2);
+    const ber = new Uint8Array([...nested, 0x02, 0x01, 0x01, ...new Uint8Array(128 * 2)]);
+    const { error, lines } = await asn1parse({ input: ber });
+    expect(error).toBeUndefined();
+    expect(lines[128]).toMatch(/^ {2}256:d=128 hl=2 l= {3}1 prim: INTEGER/);
+  });
+});
@@ -0,0 +1,77 @@
+import { createDrbg } from '../src/utils/drbg.js';
+import { rand } from '../src/modules/rand.js';
+import { hexToBytes, bytesToHex } from '../src/utils/encoding.js';
+
+const generateHex = (drbg, length, additionalInput) => bytesToHex(drbg.generate(length, additionalInput));
+
+describe('createDrbg known answers', () => {
+  test('HMAC-DRBG SHA-256 matches the first NIST CAVP vector (no prediction resistance)', () => {
+    const drbg = createDrbg({
+      type: 'HMAC-DRBG',
+      digest: 'SHA-256',
+      seed: hexToBytes('ca851911349384bffe89de1cbdc46e6831e44d34a4fb935ee285dd14b71a7488'),
+      nonce: hexToBytes('659ba96c601dc69fc902940805ec0ca8')
+    });
+    drbg.generate(128);
+    expect(generateHex(drbg, 128)).toBe(
+      'e528e9abf2dece54d47c7e75e5fe302149f817ea9fb4bee6f4199697d04d5b89' +
+      'd54fbb978a15b5c443c9ec21036d2460b6f73ebad0dc2aba6e624abf07745bc1' +
+      '07694bb7547bb0995f70de25d6b29e2d3011bb19d27676c07162c8b5ccde0668' +
+      '961df86803482cb37ed6d5c0bb8d50cf1f50d476aa0458bdaba806f48be9dcb8'
+    );
+  });
+
+  // The vectors below come from OpenSSL's EVP_RAND with TEST-RAND as the entropy source
+  test('HMAC-DRBG SHA-512 matches OpenSSL', () => {
+    const drbg = createDrbg({
+      digest: 'SHA512',
+      seed: hexToBytes('00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff'),
+      nonce: hexToBytes('0123456789abcdef')
+    });
+    expect(generateHex(drbg, 48)).toBe(
+      '33c5d7c3c4457b7ab239c24b38cc3d32b8794d79638cf803154b3972bb3fa604' +
+      '39b42fe4f00fb6902d7297fc8560e208'
+    );
+    expect(generateHex(drbg, 16)).toBe('5d6cd51281a22bd88c3ba579e3a8426f');
+  });
+
+  test('CTR-DRBG AES-256 with personalization, additional input and reseed matches OpenSSL', () => {
+    const drbg = createDrbg({
+      type: 'CTR-DRBG',
+      cipher: 'AES-256-CTR',
+      seed: hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f' +
+        '2021222324252627282930313233343536'),
+      nonce: hexToBytes('20212223242526272829'),
+      personalization: 'personal'
+    });
+    expect(generateHex(drbg, 64)).toBe(
+      '56794f1bc5d59a56ef2c20b7571e7e49399da7202d4168dd133820f7f28c1de5' +
+      'ebba96315d1260f77f593b7f9841ac1a81891a4a642da1cf75da0e31a7057934'
+    );
+    expect(generateHex(drbg, 32, 'adin')).toBe('e4b77f68c912527f757ad6cef955ba713d22ec56756a4af9fa2cb343e7accbba');
+    drbg.reseed(hexToBytes('f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff000102030405060708090a0b0c0d0e0f'));
+    expect(generateHex(drbg, 32)).toBe('e50475694d935663013fa12125b56189ae8fd4ce2a7b7ff9e6e1c433fdc7968b');
+  });
+
+  test('CTR-DRBG AES-128 matches OpenSSL', () => {
+    const drbg = createDrbg({
+      type: 'CTR-DRBG',
+      cipher: 'AES-128',
+      seed: hexToBytes('00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff'),
+      nonce: hexToBytes('0123456789abcdef')
+    });
+    expect(generateHex(drbg, 32)).toBe('aad98c4a9332a8354c96a4a7ff1e494987276c2aef3d66e1c59e36f726ff2a60');
+  });
+});
+
+describe('seeded rand()', () => {
+  test('repeats its output for the same seed', async () => {
+    const first = await rand({ length: 48, hex: true, seed: 'test vector 1', drbg: 'CTR-DRBG' });
+    await expect(rand({ length: 48, hex: true, seed: 'test vector 1', drbg: 'CTR-DRBG' })).resolves.toBe(first);
+    await expect(rand({ length: 48, hex: true, seed: 'test vector 2', drbg: 'CTR-DRBG' })).resolves.not.toBe(first);
+  });
+
+  test('rejects unknown generators', () => {
+    expect(() => createDrbg({ type: 'HASH-DRBG' })).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_ALGORITHM' }));
+  });
+});
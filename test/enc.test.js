@@ -0,0 +1,287 @@
+import { enc } from '../src/modules/enc.js';
+
+// openssl enc -<cipher> <options> -pass pass:secret -base64 -A <<< 'hello webopenssl' (no newline)
+const PLAINTEXT = 'hello webopenssl';
+const OPENSSL_VECTORS = [
+  {
+    args: '-aes-256-cbc -pbkdf2 -iter 10000 -md sha256',
+    options: { algorithm: 'AES-256-CBC', pbkdf2: true, iterations: 10000, md: 'sha256' },
+    output: 'U2FsdGVkX1/ttxv8Z6qdm07G3B0rvrwKLj7DyfcxZ6GMQ3Qc3lyj/mFmNEtABEya'
+  },
+  {
+    args: '-aes-128-cbc -pbkdf2 -iter 1000 -md sha1',
+    options: { algorithm: 'AES-128-CBC', pbkdf2: true, iterations: 1000, md: 'sha1' },
+    output: 'U2FsdGVkX1+6OSpDeUC/P+8CxqQdL8mD9Px/81qlfebqlyE5BWVxaJsC22G/Ni2t'
+  },
+  {
+    args: '-aes-256-cbc -md md5',
+    options: { algorithm: 'AES-256-CBC', md: 'md5' },
+    output: 'U2FsdGVkX1+rw7AEDliiglTi36+B+Ob8bEo/GLN2WzVN0G5sSM6M1K4NGYYgTPlt'
+  },
+  {
+    args: '-aes-192-cbc -md sha256',
+    options: { algorithm: 'AES-192-CBC', md: 'sha256' },
+    output: 'U2FsdGVkX18XU5eim03iOe58n0nMr5o2ykEnk5MjNYxeCrp1Xim5cioTCFSeAtbh'
+  }
+];
+
+describe('enc OpenSSL Salted__ format', () => {
+  test.each(OPENSSL_VECTORS)('decrypts openssl enc $args', async ({ options, output }) => {
+    const result = await enc({
+      ...options,
+      decrypt: true,
+      input: output,
+      password: 'secret',
+      opensslFormat: true,
+      base64: true
+    });
+    expect(result.data).toBe(PLAINTEXT);
+  });
+
+  test('encrypts with a fixed salt to what openssl enc -S writes', async () => {
+    const result = await enc({
+      algorithm: 'AES-256-CBC',
+      input: PLAINTEXT,
+      password: 'secret',
+      salt: '0102030405060708',
+      opensslFormat: true,
+      pbkdf2: true,
+      base64: true
+    });
+    // openssl enc -aes-256-cbc -pbkdf2 -iter 10000 -md sha256 -S 0102030405060708, with the header prepended
+    expect(result.data).toBe('U2FsdGVkX18BAgMEBQYHCEtnTpqH3UCKNXlKWae7/OoKaOM25+kAU5bdC3vHyjWf');
+    expect(result.params).toMatchObject({ kdf: 'PBKDF2', md: 'sha256', iterations: 10000, saltLength: 8 });
+  });
+
+  test('round-trips with a random salt', async () => {
+    const encrypted = await enc({ input: PLAINTEXT, password: 'pw', opensslFormat: true, pbkdf2: true, base64: true });
+    expect(encrypted.data.startsWith('U2FsdGVkX1')).toBe(true);
+    const decrypted = await enc({
+      decrypt: true,
+      input: encrypted.data,
+      password: 'pw',
+      opensslFormat: true,
+      pbkdf2: true,
+      base64: true
+    });
+    expect(decrypted.data).toBe(PLAINTEXT);
+  });
+
+  test('rejects a wrong password', async () => {
+    await expect(enc({
+      decrypt: true,
+      input: OPENSSL_VECTORS[0].output,
+      password: 'wrong',
+      opensslFormat: true,
+      pbkdf2: true,
+      base64: true
+    })).rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+  });
+});
+
+describe('enc streams', () => {
+  const PLAIN = new TextEncoder().encode('forty bytes of plaintext for 3 segments.');
+  const KEY = '000102030405060708090a0b0c0d0e0f';
+
+  const collect = async stream => new Uint8Array(await new Response(stream).arrayBuffer());
+  const encrypt = async options => collect((await enc({ input: new Blob([PLAIN]), chunkSize: 16, ...options })).data);
+  const decrypt = async (bytes, options) => {
+    const { data } = await enc({ input: new Blob([bytes]), decrypt: true, ...options });
+    return collect(data);
+  };
+
+  test('round-trips with a password, a key and additional data', async () => {
+    const sealed = await encrypt({ password: 'secret', iterations: 1000 });
+    // 42-byte header, then 16 + 16 + 8 bytes of ciphertext, each with a 16-byte tag
+    expect(sealed.length).toBe(42 + 32 + 32 + 24);
+    await expect(decrypt(sealed, { password: 'secret' })).resolves.toEqual(PLAIN);
+
+    const withKey = await encrypt({ key: KEY, algorithm: 'CHACHA20-POLY1305', aad: 'header' });
+    await expect(decrypt(withKey, { key: KEY, aad: 'header' })).resolves.toEqual(PLAIN);
+    await expect(decrypt(withKey, { key: KEY, aad: 'other' })).rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+    await expect(decrypt(withKey, { key: KEY })).rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+  });
+
+  test('rejects truncated, reordered and extended streams', async () => {
+    const sealed = await encrypt({ key: KEY });
+    const first = sealed.slice(42, 74);
+    const second = sealed.slice(74, 106);
+    const reordered = Uint8Array.from([...sealed.slice(0, 42), ...second, ...first, ...sealed.slice(106)]);
+    for (const bytes of [sealed.slice(0, 106), sealed.slice(0, -1), reordered, Uint8Array.from([...sealed, 0])]) {
+      await expect(decrypt(bytes, { key: KEY })).rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+    }
+  });
+
+  test('rejects bad headers before deriving a key', async () => {
+    const sealed = await encrypt({ password: 'secret', iterations: 1000 });
+    const withIterations = (iterations) => {
+      const bytes = sealed.slice();
+      new DataView(bytes.buffer).setUint32(11, iterations);
+      return bytes;
+    };
+    for (const bytes of [withIterations(0), withIterations(0xffffffff), sealed.slice(1), sealed.slice(0, 41)]) {
+      await expect(decrypt(bytes, { password: 'secret' })).rejects.toMatchObject({ code: 'INVALID_ENCODING' });
+    }
+    await expect(decrypt(sealed, { key: KEY })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(encrypt({ password: 'secret', iterations: 0 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(encrypt({ key: KEY, algorithm: 'AES-256-CBC' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+  });
+
+  test('reads ReadableStream input in pieces of any size', async () => {
+    const source = new ReadableStream({
+      start(controller) {
+        PLAIN.forEach(byte => controller.enqueue(Uint8Array.of(byte)));
+        controller.close();
+      }
+    });
+    const { data, params } = await enc({ input: source, key: KEY, chunkSize: 16 });
+    expect(params).toMatchObject({ algorithm: 'AES-256-GCM', kdf: 'HKDF', chunkSize: 16, format: 'STREAM' });
+    await expect(decrypt(await collect(data), { key: KEY })).resolves.toEqual(PLAIN);
+  });
+});
+
+describe('enc raw key', () => {
+  const KEY = '000102030405060708090a0b0c0d0e0f';
+  const IV = '0f0e0d0c0b0a09080706050403020100';
+  // printf 'Hello World' | openssl enc -aes-128-cbc -K <KEY> -iv <IV> | xxd -p
+  const OPENSSL_CIPHERTEXT = '0da1b607e39dc00e586eaf696188bb48';
+  const hexBytes = hex => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+
+  test('reads -K and -iv strings as hex whatever the output format', async () => {
+    const options = { algorithm: 'AES-128-CBC', input: new TextEncoder().encode('Hello World'), key: KEY, iv: IV };
+    expect((await enc({ ...options, hex: true })).data).toBe(OPENSSL_CIPHERTEXT);
+    expect((await enc({ ...options, raw: true })).data).toEqual(hexBytes(OPENSSL_CIPHERTEXT));
+    const decrypted = await enc({ ...options, input: hexBytes(OPENSSL_CIPHERTEXT), decrypt: true });
+    expect(decrypted.data).toBe('Hello World');
+  });
+
+  test('returns a generated IV and salt as hex', async () => {
+    const result = await enc({ input: PLAINTEXT, password: 'pw' });
+    expect(result.iv).toMatch(/^[0-9a-f]{32}$/);
+    expect(result.salt).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('rejects an IV of the wrong length', async () => {
+    await expect(enc({ algorithm: 'AES-128-CBC', input: 'Hello World', key: KEY, iv: IV.slice(0, 16) }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: 'AES-128-CBC needs a 16-byte IV' });
+  });
+});
+
+describe('enc ciphers against openssl', () => {
+  const KEYS = {
+    128: '000102030405060708090a0b0c0d0e0f',
+    192: '000102030405060708090a0b0c0d0e0f1011121314151617',
+    256: '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'
+  };
+  const IV = '0f0e0d0c0b0a09080706050403020100';
+  const INPUT = new TextEncoder().encode('hello webopenssl, 37 bytes of input!!');
+
+  // printf 'hello webopenssl, 37 bytes of input!!' | openssl enc -<cipher> -K <key> [-iv <iv>] | xxd -p
+  test.each([
+    ['AES-128-CTR', 128, IV, '48cc95fedb6c2c8d66708cb902ddea066b869792553c19300bc1b1832f196831cbaa8c9dcf'],
+    ['AES-192-CTR', 192, IV, '42c24d4ca078f29e70f9df1534f8c4f400515b44b8979ae14bf3402a252b552bc74c988add'],
+    ['AES-192-CFB', 192, IV, '42c24d4ca078f29e70f9df1534f8c4f407410ef13fd7327d9f2ce4308a2ba0c999782b59c6'],
+    ['AES-256-OFB', 256, IV, '1ad48f542353384e11c5b4afe431f6cd241879e0ec9c7e2b2f2af2a26fa77d9979a0ef8375'],
+    ['AES-128-ECB', 128, undefined,
+      '38d52b43e4924b82f5fac61d903da0371860a9577179879832a2e3a0f406c3f7c935bceee9599b45cf64ec8d4883744b'],
+    ['AES-256-ECB', 256, undefined,
+      '436b0f9ab41a051d9797b44470a9f668977e18a5d514af375b1b1e972d5cfa4efeffe32a4951b3c5a65bf15db3b11d5b'],
+    ['AES-256-CBC', 256, IV,
+      '11c51740cb31fba8a7b9148d7279507b80fc575915e8c9aa7e1fa3a942f21fd0a95ce8e126e93ef0fb2e70bfb225601c'],
+    // -provider legacy -provider default
+    ['DES-EDE3-CBC', 192, '0706050403020100',
+      'abc2b9d4321eb0f064792a67b341218d1d62e2fadd06a3f59eaefaf1366f8ba758446acbd2378e23']
+  ])('%s matches openssl enc -K', async (algorithm, bits, iv, expected) => {
+    const options = { algorithm, key: KEYS[bits], iv, hex: true };
+    await expect(enc({ ...options, input: INPUT })).resolves.toMatchObject({ data: expected });
+    const decrypted = await enc({ ...options, input: expected, decrypt: true, raw: true });
+    expect(decrypted.data).toEqual(INPUT);
+  });
+
+  test('AES-128-WRAP matches openssl enc -id-aes128-wrap and RFC 3394', async () => {
+    // printf '\x00\x11...\xff' | openssl enc -id-aes128-wrap -K <key> -iv a6a6a6a6a6a6a6a6 (RFC 3394, 4.1)
+    const options = { algorithm: 'AES-128-WRAP', key: KEYS[128], hex: true };
+    const wrapped = '1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe5';
+    await expect(enc({ ...options, input: '00112233445566778899aabbccddeeff' })).resolves.toMatchObject({
+      data: wrapped
+    });
+    await expect(enc({ ...options, input: wrapped, decrypt: true })).resolves.toMatchObject({
+      data: '00112233445566778899aabbccddeeff'
+    });
+  });
+
+  test('CHACHA20-POLY1305 matches RFC 8439, 2.8.2', async () => {
+    // openssl enc refuses AEAD ciphers; the same vector is what OpenSSL's EVP test suite checks
+    const options = {
+      algorithm: 'CHACHA20-POLY1305',
+      key: '808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9f',
+      iv: '070000004041424344454647',
+      aad: '50515253c0c1c2c3c4c5c6c7',
+      hex: true
+    };
+    const plaintext = "Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, " +
+      'sunscreen would be it.';
+    const ciphertext = 'd31a8d34648e60db7b86afbc53ef7ec2a4aded51296e08fea9e2b5a736ee62d6' +
+      '3dbea45e8ca9671282fafb69da92728b1a71de0a9e060b2905d6a5b67ecd3b36' +
+      '92ddbd7f2d778b8c9803aee328091b58fab324e4fad675945585808b4831d7bc' +
+      '3ff4def08e4b7a9de576d26586cec64b6116';
+    const result = await enc({ ...options, input: Buffer.from(plaintext).toString('hex') });
+    expect(result).toMatchObject({ data: ciphertext, tag: '1ae10b594f09e26a7e902ecbd0600691' });
+    const decrypted = await enc({ ...options, input: ciphertext, tag: result.tag, decrypt: true, raw: true });
+    expect(new TextDecoder().decode(decrypted.data)).toBe(plaintext);
+    await expect(enc({ ...options, input: ciphertext, tag: '00'.repeat(16), decrypt: true }))
+      .rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+  });
+});
+
+describe('enc AEAD and nosalt against reference vectors', () => {
+  // McGrew and Viega, "The Galois/Counter Mode of Operation", test case 4 (AES-128, 60 bytes, 20 bytes AAD)
+  const GCM = {
+    algorithm: 'AES-128-GCM',
+    key: 'feffe9928665731c6d6a8f9467308308',
+    iv: 'cafebabefacedbaddecaf888',
+    aad: 'feedfacedeadbeeffeedfacedeadbeefabaddad2',
+    hex: true
+  };
+  const GCM_PLAINTEXT = 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a72' +
+    '1c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39';
+  const GCM_CIPHERTEXT = '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e' +
+    '21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091';
+  const GCM_TAG = '5bc94fbc3221a5db94fae95ae7121a47';
+
+  test('seals AES-GCM with additional data to the published ciphertext and tag', async () => {
+    const result = await enc({ ...GCM, input: GCM_PLAINTEXT });
+    expect(result).toMatchObject({ data: GCM_CIPHERTEXT, tag: GCM_TAG, iv: GCM.iv });
+    expect(result.params).toMatchObject({ kdf: null, ivLength: 12, tagLength: 128 });
+    await expect(enc({ ...GCM, input: GCM_CIPHERTEXT, tag: GCM_TAG, decrypt: true })).resolves.toMatchObject({
+      data: GCM_PLAINTEXT
+    });
+    // The tag may also trail the ciphertext, as Web Crypto returns it
+    await expect(enc({ ...GCM, input: GCM_CIPHERTEXT + GCM_TAG, decrypt: true })).resolves.toMatchObject({
+      data: GCM_PLAINTEXT
+    });
+    await expect(enc({ ...GCM, aad: '00', input: GCM_CIPHERTEXT, tag: GCM_TAG, decrypt: true }))
+      .rejects.toMatchObject({ code: 'BAD_DECRYPT' });
+  });
+
+  test('truncates the GCM tag to tagLength bits', async () => {
+    const result = await enc({ ...GCM, input: GCM_PLAINTEXT, tagLength: 96 });
+    expect(result).toMatchObject({ data: GCM_CIPHERTEXT, tag: GCM_TAG.slice(0, 24) });
+    await expect(enc({ ...GCM, input: GCM_CIPHERTEXT, tag: result.tag, tagLength: 96, decrypt: true }))
+      .resolves.toMatchObject({ data: GCM_PLAINTEXT });
+  });
+
+  test.each([
+    // printf 'hello webopenssl' | openssl enc -aes-256-cbc -pbkdf2 -iter 10000 -nosalt -k secret -a -A
+    ['-aes-256-cbc -pbkdf2 -nosalt', { algorithm: 'AES-256-CBC', pbkdf2: true, iterations: 10000 },
+      'ue4IfioyttbAO/NfFr5lEwvDLlsZpyoNoLDIJq5kjjw='],
+    // printf 'hello webopenssl' | openssl enc -aes-128-cbc -md md5 -nosalt -k secret -a -A
+    ['-aes-128-cbc -md md5 -nosalt', { algorithm: 'AES-128-CBC', md: 'md5' },
+      'mHaTbiT6sxntAq1tSQkCTqSiAEryV3BbTgWu10NeLNM=']
+  ])('matches openssl enc %s', async (_, options, expected) => {
+    const common = { ...options, password: 'secret', nosalt: true, opensslFormat: true, base64: true };
+    await expect(enc({ ...common, input: PLAINTEXT })).resolves.toMatchObject({ data: expected });
+    await expect(enc({ ...common, input: expected, decrypt: true })).resolves.toMatchObject({ data: PLAINTEXT });
+  });
+});
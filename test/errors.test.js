@@ -0,0 +1,60 @@
+import { hexToBytes, base64ToBytes, toBytes } from '../src/utils/encoding.js';
+import { parseDistinguishedName } from '../src/utils/names.js';
+import {
+  clearErrors, getError, peekLastError, InvalidArgumentError, InvalidEncodingError
+} from '../src/utils/errors.js';
+import webopenssl from '../src/index.js';
+
+describe('error module attribution', () => {
+  beforeEach(() => clearErrors());
+
+  test.each([
+    ['hexToBytes', () => hexToBytes('xyz'), 'INVALID_ENCODING', 'encoding'],
+    ['base64ToBytes', () => base64ToBytes('!!!!'), 'INVALID_ENCODING', 'encoding'],
+    ['toBytes', () => toBytes(42), 'INVALID_ARGUMENT', 'encoding'],
+    ['parseDistinguishedName', () => parseDistinguishedName('/XX=1'), 'UNSUPPORTED_ALGORITHM', 'names']
+  ])('%s errors name their helper', (_, fn, code, module) => {
+    expect(fn).toThrow(expect.objectContaining({ code, module }));
+  });
+
+  test('hexToBytes throws InvalidEncodingError', () => {
+    expect(() => hexToBytes('abc')).toThrow(InvalidEncodingError);
+  });
+});
+
+describe('error queue', () => {
+  beforeEach(() => clearErrors());
+
+  test('records what a command throws, not every error constructed', async () => {
+    try {
+      throw new InvalidArgumentError('handled inside the library', { module: 'test' });
+    } catch {
+      // a probe that recovers
+    }
+    expect(peekLastError()).toBeNull();
+
+    await expect(webopenssl.enc({ algorithm: 'NOPE', input: 'x', password: 'p' })).rejects.toThrow();
+    expect(getError()).toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'enc' });
+    expect(getError()).toBeNull();
+
+    expect(() => webopenssl.createHash('NOPE')).toThrow();
+    expect(getError()).toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'dgst' });
+  });
+
+  test('records the library errors a command error wraps, innermost first', async () => {
+    await expect(webopenssl.req({ subject: '/XX=1' })).rejects.toThrow();
+    expect(getError()).toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'names' });
+    expect(getError()).toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'req' });
+    expect(getError()).toBeNull();
+  });
+
+  test('leaves the queue empty when a command succeeds', async () => {
+    // Prompt mode skips fields it does not know
+    const config = webopenssl.parseConfig([
+      '[ req ]', 'distinguished_name = dn', '[ dn ]', 'CN = Common Name', 'CN_default = example.org',
+      'nickname = Nickname', 'nickname_default = x'
+    ].join('\n'));
+    await expect(webopenssl.req({ config, keyAlgo: 'EC' })).resolves.toHaveProperty('csr');
+    expect(peekLastError()).toBeNull();
+  });
+});
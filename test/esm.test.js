@@ -0,0 +1,31 @@
+// Node 18 without process.getBuiltinModule, as seen by the ES module build:
+// its entry point awaits the node:crypto import before the synchronous APIs
+// can be reached
+const globalCrypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+const getBuiltinModule = process.getBuiltinModule;
+
+beforeAll(() => {
+  delete globalThis.crypto;
+  process.getBuiltinModule = undefined;
+});
+
+afterAll(() => {
+  if (globalCrypto) Object.defineProperty(globalThis, 'crypto', globalCrypto);
+  process.getBuiltinModule = getBuiltinModule;
+});
+
+describe('ES module entry point without a global crypto', () => {
+  test('has Web Crypto before any command runs', async () => {
+    const { default: webopenssl } = await import('../src/esm.js');
+    expect(webopenssl.isWebCryptoAvailable()).toBe(true);
+
+    webopenssl.configure({ strict: true });
+    try {
+      expect(webopenssl.createHash('sha256').update('abc').digest())
+        .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+      expect(webopenssl.createDrbg().generate(16)).toHaveLength(16);
+    } finally {
+      webopenssl.configure({ strict: false });
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { genpkey } from '../src/modules/genpkey.js';
+import { pkey } from '../src/modules/pkey.js';
+import { configure } from '../src/utils/config.js';
+
+const subtle = globalThis.crypto.subtle;
+const generateKey = subtle.generateKey;
+
+/** Make Web Crypto key generation fail with a DOMException of the given name. */
+function failGenerateKey(name) {
+  subtle.generateKey = async () => {
+    throw new DOMException(`generateKey: ${name}`, name);
+  };
+}
+
+afterEach(() => {
+  subtle.generateKey = generateKey;
+  configure({ strict: false });
+});
+
+describe('genpkey fallbacks', () => {
+  test('falls back to node-forge when Web Crypto lacks Ed25519', async () => {
+    failGenerateKey('NotSupportedError');
+    const { privateKey, publicKey } = await genpkey({ algorithm: 'Ed25519', format: 'der' });
+    // PKCS#8 and SPKI prefixes of `openssl genpkey -algorithm ED25519 -outform DER`
+    expect(Buffer.from(privateKey.subarray(0, 16)).toString('hex')).toBe('302e020100300506032b657004220420');
+    expect(Buffer.from(publicKey.subarray(0, 12)).toString('hex')).toBe('302a300506032b6570032100');
+  });
+
+  test('refuses the node-forge fallback in strict mode', async () => {
+    failGenerateKey('NotSupportedError');
+    configure({ strict: true });
+    await expect(genpkey({ algorithm: 'Ed25519' })).rejects.toMatchObject({
+      code: 'FALLBACK_DISABLED',
+      module: 'genpkey'
+    });
+    await expect(genpkey({ algorithm: 'RSA', bits: 1024 })).rejects.toMatchObject({ code: 'FALLBACK_DISABLED' });
+  });
+
+  test('does not fall back on other Web Crypto errors', async () => {
+    failGenerateKey('OperationError');
+    for (const algorithm of ['RSA', 'EC', 'Ed25519', 'X25519']) {
+      await expect(genpkey({ algorithm, bits: 1024 })).rejects.toMatchObject({
+        name: 'WebOpenSSLError',
+        module: 'genpkey',
+        message: 'Key generation failed: generateKey: OperationError',
+        cause: expect.objectContaining({ name: 'OperationError' })
+      });
+    }
+  });
+
+  test('reports algorithms Web Crypto lacks and node-forge cannot make', async () => {
+    failGenerateKey('NotSupportedError');
+    await expect(genpkey({ algorithm: 'X25519' })).rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM' });
+    await expect(genpkey({ algorithm: 'EC', curve: 'P-521' })).rejects.toMatchObject({
+      code: 'UNSUPPORTED_ALGORITHM',
+      message: "P-521 is not supported by this runtime's Web Crypto"
+    });
+  });
+});
+
+describe('genpkey output', () => {
+  const toHex = bytes => Buffer.from(bytes).toString('hex');
+
+  // PKCS#8 and SPKI layouts of `openssl genpkey -algorithm EC -pkeyopt ec_paramgen_curve:<curve>`; each ?
+  // stands for the private scalar or the public point
+  test.each([
+    ['P-256',
+      '308187020100301306072a8648ce3d020106082a8648ce3d030107046d306b0201010420?a14403420004?',
+      '3059301306072a8648ce3d020106082a8648ce3d03010703420004?', 32],
+    ['P-384',
+      '3081b6020100301006072a8648ce3d020106052b8104002204819e30819b0201010430?a16403620004?',
+      '3076301006072a8648ce3d020106052b8104002203620004?', 48],
+    ['P-521',
+      '3081ee020100301006072a8648ce3d020106052b810400230481d63081d30201010442?a181890381860004?',
+      '30819b301006072a8648ce3d020106052b810400230381860004?', 66]
+  ])('writes %s keys as openssl genpkey does', async (curve, pkcs8, spki, size) => {
+    const layout = (template, ...sizes) => new RegExp(`^${template.split('?').map((part, i) =>
+      part + (i < sizes.length ? `[0-9a-f]{${sizes[i] * 2}}` : '')).join('')}$`);
+    const { privateKey, publicKey } = await genpkey({ algorithm: 'EC', curve, format: 'der' });
+    expect(toHex(privateKey)).toMatch(layout(pkcs8, size, size * 2));
+    expect(toHex(publicKey)).toMatch(layout(spki, size * 2));
+  });
+
+  test.each([
+    // openssl genpkey -algorithm ED25519 / X25519 -outform DER
+    ['Ed25519', '302e020100300506032b657004220420', '302a300506032b6570032100'],
+    ['X25519', '302e020100300506032b656e04220420', '302a300506032b656e032100']
+  ])('writes %s keys as openssl genpkey does', async (algorithm, pkcs8, spki) => {
+    const { privateKey, publicKey } = await genpkey({ algorithm, format: 'der' });
+    expect(toHex(privateKey)).toMatch(new RegExp(`^${pkcs8}[0-9a-f]{64}$`));
+    expect(toHex(publicKey)).toMatch(new RegExp(`^${spki}[0-9a-f]{64}$`));
+  });
+
+  test('writes RSA keys with the requested size and exponent', async () => {
+    // openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:1024 -pkeyopt rsa_keygen_pubexp:3
+    const { privateKey } = await genpkey({ algorithm: 'RSA', bits: 1024, publicExponent: 3 });
+    const jwk = await pkey({ input: privateKey, format: 'jwk' });
+    expect(jwk).toMatchObject({ kty: 'RSA', e: 'Aw' });
+    expect(Buffer.from(jwk.n, 'base64url')).toHaveLength(128);
+  });
+
+  test('encrypts the private key as PKCS#8 with PBES2', async () => {
+    // openssl genpkey -algorithm EC -aes-256-cbc -pass pass:secret: PBES2, PBKDF2 with hmacWithSHA256 and
+    // 2048 iterations, AES-256-CBC. openssl pkey -passin reads what genpkey writes.
+    const { privateKey } = await genpkey({ algorithm: 'EC', password: 'secret', format: 'der' });
+    expect(toHex(privateKey)).toMatch(new RegExp('^3081f4305f06092a864886f70d01050d3052303106092a864886f70d01050c' +
+      '30240410[0-9a-f]{32}02020800300c06082a864886f70d02090500301d060960864801650304012a0410'));
+    const decrypted = await pkey({ input: privateKey, passin: 'secret', outform: 'der' });
+    expect(toHex(decrypted)).toMatch(/^308187020100301306072a8648ce3d020106082a8648ce3d030107/);
+    await expect(pkey({ input: privateKey, passin: 'wrong' })).rejects.toThrow();
+  });
+});
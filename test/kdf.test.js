@@ -0,0 +1,41 @@
+import { kdf } from '../src/modules/kdf.js';
+
+const hex = colons => colons.replace(/:/g, '').toLowerCase();
+
+describe('kdf digest names', () => {
+  test('HKDF accepts SHA2-256 as openssl kdf does', async () => {
+    // openssl kdf -keylen 32 -kdfopt digest:SHA2-256 -kdfopt key:secret -kdfopt salt:salt
+    //   -kdfopt info:session HKDF
+    const expected = hex('2B:AF:27:09:AD:CA:A8:E0:99:BD:3C:C7:94:C5:F2:E4:' +
+      '71:EE:A1:F4:67:E6:80:E1:67:0D:46:B8:7F:AD:49:7A');
+    const kdfopt = ['digest:SHA2-256', 'key:secret', 'salt:salt', 'info:session'];
+    await expect(kdf({ algorithm: 'HKDF', keylen: 32, kdfopt })).resolves.toBe(expected);
+    await expect(kdf({ algorithm: 'HKDF', digest: 'sha256', key: 'secret', salt: 'salt', info: 'session' }))
+      .resolves.toBe(expected);
+  });
+
+  test('PBKDF2 accepts SHA2-512 as openssl kdf does', async () => {
+    // openssl kdf -keylen 48 -kdfopt digest:SHA2-512 -kdfopt pass:password -kdfopt salt:saltsalt
+    //   -kdfopt iter:1000 PBKDF2
+    const result = await kdf({
+      algorithm: 'PBKDF2',
+      keylen: 48,
+      kdfopt: ['digest:SHA2-512', 'pass:password', 'salt:saltsalt', 'iter:1000']
+    });
+    expect(result).toBe(hex('43:AB:F8:C7:02:7C:6B:D9:D6:3E:9D:81:78:4A:00:61:88:47:4A:8D:B1:46:63:D6:01:14:' +
+      'F5:EE:F4:E9:4B:1B:76:AB:A8:8D:A7:B0:4E:A3:35:B9:E7:BA:AA:6B:DE:5E'));
+  });
+
+  test('PBKDF2 with SHA1 matches the openssl kdf default digest', async () => {
+    // openssl kdf -keylen 20 -kdfopt pass:password -kdfopt salt:saltsalt -kdfopt iter:1000 PBKDF2
+    const options = { algorithm: 'PBKDF2', keylen: 20, digest: 'SHA1', pass: 'password', salt: 'saltsalt', iter: 1000 };
+    await expect(kdf(options)).resolves.toBe(hex('E9:FE:BF:F5:4B:FC:E6:68:FD:E3:01:AC:C8:55:63:CC:9D:C7:1E:F6'));
+  });
+
+  test('rejects unknown digests and digests HKDF/PBKDF2 do not support', async () => {
+    await expect(kdf({ algorithm: 'HKDF', digest: 'SHA-999', key: 'secret' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'kdf' });
+    await expect(kdf({ algorithm: 'HKDF', digest: 'SHAKE-128', key: 'secret' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'kdf' });
+  });
+});
@@ -0,0 +1,43 @@
+import { mac } from '../src/modules/mac.js';
+import { dgst } from '../src/modules/dgst.js';
+
+// printf payload | openssl dgst -<digest> -hmac secret
+const OPENSSL_HMACS = {
+  'SHA-1': 'f75efc0f29bf50c23f99b30b86f7c78fdaf5f11d',
+  'SHA-224': 'e38dfe867e55673eaac16a80895ec74132d6b58624417c3eded0f0d8',
+  'SHA-256': 'b82fcb791acec57859b989b430a826488ce2e479fdf92326bd0a2e8375a42ba4',
+  'SHA-512/224': '44a396eae46d4a9ae83940db876d13beb2a6b7aa1dad4caf9dd9946c',
+  'SHA3-256': 'ae59295c5ed19d7dd82a60738eeba662a6879814b41d6e9b6b7b514debfaee8a',
+  'SHA3-512': '39a3427fb82f3963da9d8533a7cd96798b900d83f11b5490d080a048d44d0680' +
+    '96ad4ccc38ca8caf82983c04c38a9c84cea6bb9ea188428d72d3451107c494f4',
+  'MD5': '4f967408b96fb0e40180074062022698',
+  'RIPEMD-160': '9a7fa5df2266ac8f0d4bf41ef3cd5c008797c792',
+  'BLAKE2B-512': '457c9cc54bf63e7825d690d9585bae80f1c9519f4e256a782a3d52cdafa08e92' +
+    '514068effdb1669f9ee47b1cedd2458d3731f23dcab98876201d946867b9e565',
+  'BLAKE2S-256': 'c35549a99926f7ced54b70f0afb7ac2edf5a4acdd99b3a44602ef4f1af5abd3b'
+};
+
+describe('HMAC', () => {
+  test.each(Object.entries(OPENSSL_HMACS))('mac HMAC-%s matches openssl', async (digest, expected) => {
+    await expect(mac({ algorithm: 'HMAC', digest, key: 'secret', input: 'payload' })).resolves.toBe(expected);
+  });
+
+  test('dgst -hmac and -macopt accept OpenSSL digest names', async () => {
+    await expect(dgst({ algorithm: 'sha3-256', input: 'payload', hmac: 'secret' }))
+      .resolves.toBe(OPENSSL_HMACS['SHA3-256']);
+    await expect(dgst({ algorithm: 'SHA2-224', input: 'payload', macopt: 'hexkey:736563726574' }))
+      .resolves.toBe(OPENSSL_HMACS['SHA-224']);
+  });
+
+  test('hashes keys longer than the block size', async () => {
+    // openssl mac -digest SHA3-384 -macopt hexkey:abab...(200 bytes) HMAC
+    const tag = await mac({ digest: 'SHA3-384', macopt: [`hexkey:${'ab'.repeat(200)}`], input: 'payload' });
+    expect(tag).toBe('6647e5f49f8c9084d810cf57be6072a8bc1fedb1aee465f875bcc5920f0ee349' +
+      '75d88443ea9bc3d8adb20f03c56671d2');
+  });
+
+  test('rejects XOF digests, as openssl mac does', async () => {
+    await expect(mac({ digest: 'SHAKE-128', key: 'secret', input: 'payload' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'mac' });
+  });
+});
@@ -0,0 +1,63 @@
+import { passwd } from '../src/modules/passwd.js';
+
+// openssl passwd -<algorithm> -salt <salt> <password>
+const OPENSSL_HASHES = [
+  { algorithm: '1', salt: 'saltsalt', password: 'secret', hash: '$1$saltsalt$9xy1btjgzLYfb7hivXtC//' },
+  { algorithm: 'apr1', salt: 'saltsalt', password: 'secret', hash: '$apr1$saltsalt$LrttParrLPdxvgutaSXWJ0' },
+  {
+    algorithm: '5',
+    salt: 'saltsalt',
+    password: 'secret',
+    hash: '$5$saltsalt$0IyaXrmV7.sGNS6tirgqHLqX/G.FBvgkYA.lpPdS5sA'
+  },
+  {
+    algorithm: '6',
+    salt: 'saltsalt',
+    password: 'secret',
+    hash: '$6$saltsalt$TVLlQcbpFVof5W3Yz4DTP6gRstiNuHwwTt6GLc1E5n0U0aDehy0S5knV8wiOQSpT0Y77vwPZN.Pq.H91p5hVO1'
+  },
+  {
+    algorithm: '5',
+    salt: 'rounds=10000$saltsaltsaltsalt',
+    password: 'secret',
+    hash: '$5$rounds=10000$saltsaltsaltsalt$3.q0wxDPPSWRtui9rRNc2IRjV7ksgysXTxfm7sVYx78'
+  },
+  {
+    // Salts longer than 16 characters are truncated
+    algorithm: '6',
+    salt: 'abcdefghijklmnopqrst',
+    password: 'hello world',
+    hash: '$6$abcdefghijklmnop$dyjnFJu9Pkd1ApapGt4vpRhVPNC0rsMxMKD.u85UP3gYS.PwqhKDfqyjj/vee1iGwy05mxfbOmg4bDg1hwZeh/'
+  }
+];
+
+describe('passwd', () => {
+  test.each(OPENSSL_HASHES)('matches openssl passwd -$algorithm -salt $salt', async ({ hash, ...options }) => {
+    await expect(passwd(options)).resolves.toBe(hash);
+  });
+
+  test.each(OPENSSL_HASHES)('verifies the openssl $algorithm hash', async ({ password, hash }) => {
+    await expect(passwd({ password, verify: hash })).resolves.toBe(true);
+    await expect(passwd({ password: `${password}!`, verify: hash })).resolves.toBe(false);
+  });
+
+  test('verifies bcrypt hashes', async () => {
+    // OpenBSD bcrypt test vector
+    const hash = '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW';
+    await expect(passwd({ password: 'U*U', verify: hash })).resolves.toBe(true);
+    await expect(passwd({ password: 'U*V', verify: hash })).resolves.toBe(false);
+  });
+
+  test('generates a random salt of the scheme length', async () => {
+    const hash = await passwd({ algorithm: '6', password: 'secret' });
+    expect(hash).toMatch(/^\$6\$[./0-9A-Za-z]{16}\$[./0-9A-Za-z]{86}$/);
+    await expect(passwd({ password: 'secret', verify: hash })).resolves.toBe(true);
+  });
+
+  test('rejects unknown schemes and bad salts', async () => {
+    await expect(passwd({ algorithm: 'crypt', password: 'secret' }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_ALGORITHM', module: 'passwd' });
+    await expect(passwd({ algorithm: '6', salt: 'a$b', password: 'secret' }))
+      .rejects.toMatchObject({ code: 'INVALID_ARGUMENT', module: 'passwd' });
+  });
+});
@@ -0,0 +1,127 @@
+import { verify } from '../src/modules/verify.js';
+
+// openssl req -x509 -new -key ca.key -subj "/C=DE/O=Example/CN=Example CA" -set_serial 1
+//   -addext subjectKeyIdentifier=hash -addext basicConstraints=critical,CA:TRUE
+//   -addext keyUsage=critical,keyCertSign,cRLSign
+const ROOT_CERT = `-----BEGIN CERTIFICATE-----
+MIICQTCCAaqgAwIBAgIBATANBgkqhkiG9w0BAQsFADA0MQswCQYDVQQGEwJERTEQ
+MA4GA1UECgwHRXhhbXBsZTETMBEGA1UEAwwKRXhhbXBsZSBDQTAeFw0yNjEwMTgy
+MTI0NDhaFw0zNjEwMTUyMTI0NDhaMDQxCzAJBgNVBAYTAkRFMRAwDgYDVQQKDAdF
+eGFtcGxlMRMwEQYDVQQDDApFeGFtcGxlIENBMIGfMA0GCSqGSIb3DQEBAQUAA4GN
+ADCBiQKBgQCjixfZwowdc3xjsj9hS0kroOwucbKLHW0DU7JJ+nmeQ04PXxo3NNrv
+lJTVVJSdX37gruyTazVcZvpoHjTrHCOT8IC/XkOPqvlikpTghQjN9ihCcg+zOY4m
+FebzYKY1S2TsavGSenDxJBIXk0EKKXBuZw8Q2e+t+yDt0m8UOUmu1wIDAQABo2Mw
+YTAfBgNVHSMEGDAWgBSy/AM16HsQ5GFm0gBz47zVNZ+p5DAdBgNVHQ4EFgQUsvwD
+Neh7EORhZtIAc+O81TWfqeQwDwYDVR0TAQH/BAUwAwEB/zAOBgNVHQ8BAf8EBAMC
+AQYwDQYJKoZIhvcNAQELBQADgYEAKd7o3eo3v3aHUBUwPuEYdbXPqPPu5SVzLwUn
+y1z9aVg1ug1QdDXPYQwc9GePQZQug/Nwq2i9UW+O83pcHzK/jubA1b7BsqsyPjOG
+GSG4vDjCVTsXqMkh2bPR5F3+tv0l+2D+5mvZwaYYRKgf21/HPFLk3QwyLKqASqna
+cEpp9TM=
+-----END CERTIFICATE-----`;
+
+// openssl ca -extensions inter -startdate 20261018000000Z -enddate 20311018000000Z (P-384 key), with
+//   basicConstraints=critical,CA:TRUE,pathlen:0 and keyUsage=critical,keyCertSign,cRLSign
+const INTERMEDIATE_CERT = `-----BEGIN CERTIFICATE-----
+MIICBjCCAW+gAwIBAgICIAEwDQYJKoZIhvcNAQELBQAwNDELMAkGA1UEBhMCREUx
+EDAOBgNVBAoMB0V4YW1wbGUxEzARBgNVBAMMCkV4YW1wbGUgQ0EwHhcNMjYxMDE4
+MDAwMDAwWhcNMzExMDE4MDAwMDAwWjAfMR0wGwYDVQQDDBRFeGFtcGxlIEludGVy
+bWVkaWF0ZTB2MBAGByqGSM49AgEGBSuBBAAiA2IABBHwr/g0SQhLus+C6lFeotOr
+nuDLa71siSGLufTZtwEUlSPMF1fIglTZE2RSxUkqIgJoTkJGGyU6kIxUSkjrtAmV
+Qs4zsdrFrRNoogiBV5SUI2JVQon18jJnFAMW+naUV6NmMGQwHQYDVR0OBBYEFMHC
+vgcygl18OEg1awR2wcHit4SiMB8GA1UdIwQYMBaAFLL8AzXoexDkYWbSAHPjvNU1
+n6nkMBIGA1UdEwEB/wQIMAYBAf8CAQAwDgYDVR0PAQH/BAQDAgEGMA0GCSqGSIb3
+DQEBCwUAA4GBAHG0517qbn7fb4bCfBq1Svr+izKBSXEzEX2+2lEBv4IG+bNhhxCr
+/c+YRMU5CCqB316g3c6TLK3WK/S/C35lBXajCaxkEVtBEElOKwlS9aQ7ToBvdTJ1
+vQvQkVkrRyigOIXQOb1Jentd0t/bIBBSRZItd3T4zutSWmxKntuS8A/f
+-----END CERTIFICATE-----`;
+
+// openssl ca -extensions leaf -cert inter.pem -startdate 20261018000000Z -enddate 20271018000000Z, with
+//   basicConstraints=critical,CA:FALSE, keyUsage=critical,digitalSignature, extendedKeyUsage=serverAuth
+//   and subjectAltName=DNS:www.example.org
+const LEAF_CERT = `-----BEGIN CERTIFICATE-----
+MIIB3DCCAWKgAwIBAgICIAIwCgYIKoZIzj0EAwIwHzEdMBsGA1UEAwwURXhhbXBs
+ZSBJbnRlcm1lZGlhdGUwHhcNMjYxMDE4MDAwMDAwWhcNMjcxMDE4MDAwMDAwWjAa
+MRgwFgYDVQQDDA93d3cuZXhhbXBsZS5vcmcwWTATBgcqhkjOPQIBBggqhkjOPQMB
+BwNCAATFE/RcIG9EPu4TgoXvFpHQlaDpgqsQIvI2XaVbVBT1aaR8OFZG35AW36s2
+IHbH5oR95BVZqN5qSA9eiks+L82/o4GSMIGPMB0GA1UdDgQWBBSyRIY0pzkpu6g6
+tGMQuCVdYaYldDAfBgNVHSMEGDAWgBTBwr4HMoJdfDhINWsEdsHB4reEojAMBgNV
+HRMBAf8EAjAAMA4GA1UdDwEB/wQEAwIHgDATBgNVHSUEDDAKBggrBgEFBQcDATAa
+BgNVHREEEzARgg93d3cuZXhhbXBsZS5vcmcwCgYIKoZIzj0EAwIDaAAwZQIxAKz1
+JznqdIYfxj+tiSKsr4XoeYdbXbCthVsgL5I4jt26GIwaVxjHSqKimbLzPUQ7jAIw
+KvlLsRU9eOGI9Qj5Z+AnJFo/TJtTB4RtDv0IxVgNccpCUMGhH+YTK8DPuDl0Szqw
+-----END CERTIFICATE-----`;
+
+// openssl ca -extensions sub -cert inter.pem: a CA below the pathlen:0 intermediate
+const SUB_CA_CERT = `-----BEGIN CERTIFICATE-----
+MIIBqzCCATGgAwIBAgICIAMwCgYIKoZIzj0EAwIwHzEdMBsGA1UEAwwURXhhbXBs
+ZSBJbnRlcm1lZGlhdGUwHhcNMjYxMDE4MDAwMDAwWhcNMzExMDE4MDAwMDAwWjAZ
+MRcwFQYDVQQDDA5FeGFtcGxlIFN1YiBDQTBZMBMGByqGSM49AgEGCCqGSM49AwEH
+A0IABKjipBec0qoAjjwoDEhIjcuah4oR1kstm9G9OrBNIt8a8xvCyqUrurCKoLcD
+pUL1UGUNC/R8Ip9U74L7RsfaCQ2jYzBhMB0GA1UdDgQWBBTwdmJ7rub5LynjAqlz
+QU+YMrC4nzAfBgNVHSMEGDAWgBTBwr4HMoJdfDhINWsEdsHB4reEojAPBgNVHRMB
+Af8EBTADAQH/MA4GA1UdDwEB/wQEAwICBDAKBggqhkjOPQQDAgNoADBlAjEAlSRX
+3O+S5p0nonNSFx+Y+ezHgtidnYB07HkGI/dI2oTHM+juFbbtGmSZjcNJOG3NAjA6
+tA3Gm38LehLShIFthY32+Qh5fgwXb5pDhzEsZlZPwIVFUMgVjZjUauadLVS6Tks=
+-----END CERTIFICATE-----`;
+
+// openssl ca -extensions leaf -cert sub.pem, subject /CN=deep.example.org
+const DEEP_LEAF_CERT = `-----BEGIN CERTIFICATE-----
+MIIBtzCCAV2gAwIBAgICIAQwCgYIKoZIzj0EAwIwGTEXMBUGA1UEAwwORXhhbXBs
+ZSBTdWIgQ0EwHhcNMjYxMDE4MDAwMDAwWhcNMjcxMDE4MDAwMDAwWjAbMRkwFwYD
+VQQDDBBkZWVwLmV4YW1wbGUub3JnMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE
+xRP0XCBvRD7uE4KF7xaR0JWg6YKrECLyNl2lW1QU9WmkfDhWRt+QFt+rNiB2x+aE
+feQVWajeakgPXopLPi/Nv6OBkjCBjzAdBgNVHQ4EFgQUskSGNKc5KbuoOrRjELgl
+XWGmJXQwHwYDVR0jBBgwFoAU8HZie67m+S8p4wKpc0FPmDKwuJ8wDAYDVR0TAQH/
+BAIwADAOBgNVHQ8BAf8EBAMCB4AwEwYDVR0lBAwwCgYIKwYBBQUHAwEwGgYDVR0R
+BBMwEYIPd3d3LmV4YW1wbGUub3JnMAoGCCqGSM49BAMCA0gAMEUCIQCQrXsBV+mX
+OpSm6NY3e0Vxz6BSvjh+MN71v0b5drb+oQIgMpx4f6szCAN4RUo3ziRJ6nX4Pugq
+62M+KnUrBbNASi8=
+-----END CERTIFICATE-----`;
+
+// openssl verify -attime 1798761600
+const ATTIME = new Date('2027-01-01T00:00:00Z');
+
+describe('verify against openssl verify', () => {
+  test('accepts the chain openssl verify accepts', async () => {
+    // openssl verify -CAfile root.pem -untrusted inter.pem -purpose sslserver -verify_hostname www.example.org
+    const result = await verify({
+      certificate: LEAF_CERT,
+      untrusted: INTERMEDIATE_CERT,
+      trusted: ROOT_CERT,
+      attime: ATTIME,
+      purpose: 'sslserver',
+      hostname: 'www.example.org'
+    });
+    expect(result).toMatchObject({ valid: true, errors: [] });
+    expect(result.chain.map(cert => cert.subject))
+      .toEqual(['CN = www.example.org', 'CN = Example Intermediate', 'C = DE, O = Example, CN = Example CA']);
+  });
+
+  test('accepts a trusted intermediate as anchor with -partial_chain', async () => {
+    const options = { certificate: LEAF_CERT, trusted: INTERMEDIATE_CERT, attime: ATTIME };
+    await expect(verify({ ...options, partialChain: true })).resolves.toMatchObject({ valid: true });
+  });
+
+  // The first error is the one openssl verify stops at
+  test.each([
+    ['-CAfile root.pem', {},
+      'error 20 at 0 depth lookup: unable to get local issuer certificate'],
+    ['-CAfile inter.pem', { trusted: INTERMEDIATE_CERT },
+      'error 2 at 1 depth lookup: unable to get issuer certificate'],
+    ['-CAfile root.pem -untrusted inter.pem -attime 1830297600', { untrusted: INTERMEDIATE_CERT, attime: 1830297600 },
+      'error 10 at 0 depth lookup: certificate has expired'],
+    ['-CAfile root.pem -untrusted inter.pem -purpose sslclient', { untrusted: INTERMEDIATE_CERT, purpose: 'sslclient' },
+      'error 26 at 0 depth lookup: unsuitable certificate purpose'],
+    ['-CAfile root.pem -untrusted inter.pem -verify_hostname www.example.com',
+      { untrusted: INTERMEDIATE_CERT, hostname: 'www.example.com' },
+      'error 62 at 0 depth lookup: hostname mismatch'],
+    ['-CAfile root.pem -untrusted inter.pem,sub.pem deep.pem',
+      { certificate: DEEP_LEAF_CERT, untrusted: [INTERMEDIATE_CERT, SUB_CA_CERT] },
+      'error 25 at 2 depth lookup: path length constraint exceeded']
+  ])('reports what openssl verify %s reports', async (_, options, expected) => {
+    const result = await verify({ certificate: LEAF_CERT, trusted: ROOT_CERT, attime: ATTIME, ...options });
+    expect(result.valid).toBe(false);
+    const [first] = result.errors;
+    expect(`error ${first.error} at ${first.depth} depth lookup: ${first.message}`).toBe(expected);
+  });
+});
@@ -0,0 +1,39 @@
+// Node 18 without process.getBuiltinModule, as seen by the ES module build:
+// node:crypto can only be imported asynchronously
+const globalCrypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+const getBuiltinModule = process.getBuiltinModule;
+
+beforeAll(() => {
+  delete globalThis.crypto;
+  process.getBuiltinModule = undefined;
+});
+
+afterAll(() => {
+  if (globalCrypto) Object.defineProperty(globalThis, 'crypto', globalCrypto);
+  process.getBuiltinModule = getBuiltinModule;
+});
+
+describe('Web Crypto lookup without a global crypto', () => {
+  test('imports node:crypto before the first command runs', async () => {
+    const { default: webopenssl } = await import('../src/index.js');
+    const { getWebCrypto, systemRandomBytes } = await import('../src/utils/webcrypto.js');
+    expect(getWebCrypto()).toBeNull();
+    // No node-forge PRNG fallback in the meantime
+    expect(() => systemRandomBytes(16)).toThrow(expect.objectContaining({
+      code: 'UNSUPPORTED_ALGORITHM',
+      module: 'rand',
+      message: 'No secure random source: Web Crypto getRandomValues is unavailable'
+    }));
+
+    webopenssl.configure({ strict: true });
+    try {
+      const hex = await webopenssl.rand({ length: 16, hex: true });
+      expect(hex).toMatch(/^[0-9a-f]{32}$/);
+      expect(getWebCrypto()).not.toBeNull();
+      expect(typeof getWebCrypto().subtle.digest).toBe('function');
+      expect(webopenssl.isWebCryptoAvailable()).toBe(true);
+    } finally {
+      webopenssl.configure({ strict: false });
+    }
+  });
+});